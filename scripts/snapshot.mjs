@@ -0,0 +1,138 @@
+// Prefetch the built-in profiles into a versioned snapshot for the deployed site.
+//
+//   node scripts/snapshot.mjs [--out public/snapshots] [--sources pubmed,arxiv] [--keep 14]
+//                             [--max-results 200] [--offline] [--seed <url>]
+//
+// Snapshots go to public/snapshots by default, so `react-scripts build` copies them into
+// the build, next to an Atom feed per built-in profile (<profile id>.atom) for readers. --offline answers PubMed queries from the recorded fixtures in src/fixtures
+// instead of NCBI. REACT_APP_NCBI_API_KEY and REACT_APP_NCBI_EMAIL are used as in the app.
+//
+// Each snapshot builds on the newest one in --out. When there is none there (a fresh clone
+// or a CI runner), it builds on the newest one the deployed site publishes instead, from
+// --seed (the homepage's snapshots/ by default), so first-seen dates and the manifest's
+// history survive. That snapshot is saved to --out as well.
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { createRequire, register } from 'module';
+import path from 'path';
+import { parseArgs } from 'util';
+
+register('./srcLoader.mjs', import.meta.url);
+
+const { createSourceAdapters, DEFAULT_ENABLED_SOURCES } = await import('../src/sources/index.js');
+const { DEFAULT_PROFILES } = await import('../src/searchProfiles.js');
+const {
+  addToManifest, buildSnapshot, MANIFEST_FILE, SNAPSHOT_VERSION, snapshotArticles, snapshotFileName
+} = await import('../src/snapshots.js');
+const { toAtom } = await import('../src/feeds.js');
+
+// Newest articles per hosted feed
+const FEED_ENTRIES = 50;
+
+const { values: options } = parseArgs({
+  options: {
+    out: { type: 'string', default: 'public/snapshots' },
+    sources: { type: 'string', default: DEFAULT_ENABLED_SOURCES.join(',') },
+    keep: { type: 'string', default: '14' },
+    'max-results': { type: 'string', default: '200' },
+    offline: { type: 'boolean', default: false },
+    seed: { type: 'string' }
+  }
+});
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// The deployed site's address, from package.json's homepage
+const siteUrl = async () => (await readJson(new URL('../package.json', import.meta.url))).homepage.replace(/\/$/, '');
+
+const profileFeed = (snapshot, profile, homepage) => toAtom(snapshotArticles(snapshot, profile.id).slice(0, FEED_ENTRIES), {
+  title: `Radiology AI Dashboard: ${profile.name}`,
+  link: `${homepage}/#publications`,
+  id: `${homepage}/snapshots/${profile.id}.atom`,
+  self: `${homepage}/snapshots/${profile.id}.atom`,
+  updated: new Date(snapshot.createdAt)
+});
+
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return response.json();
+};
+
+// The deployed site's newest snapshot, or null when it has none or can't be reached
+const publishedSnapshot = async (baseUrl) => {
+  try {
+    const manifest = await fetchJson(`${baseUrl}/${MANIFEST_FILE}`);
+    if (manifest?.version !== SNAPSHOT_VERSION || !manifest.latest) return null;
+    const snapshot = await fetchJson(`${baseUrl}/${manifest.latest}`);
+    console.log(`Building on ${baseUrl}/${manifest.latest}`);
+    return { manifest, snapshot };
+  } catch (error) {
+    console.warn(`No published snapshot to build on: ${error.message}`);
+    return null;
+  }
+};
+
+const main = async () => {
+  const outDir = path.resolve(options.out);
+  let enabledIds = options.sources.split(',').map(id => id.trim()).filter(Boolean);
+  let fixtureServer;
+  let pubmed = {
+    apiKey: process.env.REACT_APP_NCBI_API_KEY,
+    email: process.env.REACT_APP_NCBI_EMAIL
+  };
+
+  if (options.offline) {
+    const require = createRequire(import.meta.url);
+    const { startMockEutilsServer } = require('../src/fixtures/mockEutilsServer');
+    fixtureServer = await startMockEutilsServer();
+    pubmed = { baseUrl: fixtureServer.baseUrl, requestsPerSecond: 100 };
+    // Only PubMed has recorded responses
+    enabledIds = ['pubmed'];
+  }
+
+  try {
+    const homepage = await siteUrl();
+    let manifest = await readJson(path.join(outDir, MANIFEST_FILE));
+    let previous = manifest?.latest ? await readJson(path.join(outDir, manifest.latest)) : null;
+    // Offline runs stay offline
+    const published = !previous && !options.offline
+      ? await publishedSnapshot(options.seed || `${homepage}/snapshots`)
+      : null;
+    if (published) ({ manifest, snapshot: previous } = published);
+
+    const snapshot = await buildSnapshot(createSourceAdapters({ pubmed }), enabledIds, DEFAULT_PROFILES, {
+      previous,
+      maxResults: Number(options['max-results'])
+    });
+    const file = snapshotFileName(snapshot.createdAt);
+    const { manifest: next, removed } = addToManifest(manifest, snapshot, file, { keep: Number(options.keep) });
+
+    await mkdir(outDir, { recursive: true });
+    if (published) await writeFile(path.join(outDir, manifest.latest), JSON.stringify(previous));
+    await writeFile(path.join(outDir, file), JSON.stringify(snapshot));
+    await writeFile(path.join(outDir, MANIFEST_FILE), JSON.stringify(next, null, 2));
+    await Promise.all(removed.map(name => rm(path.join(outDir, name), { force: true })));
+    await Promise.all(snapshot.profiles.map(profile =>
+      writeFile(path.join(outDir, `${profile.id}.atom`), profileFeed(snapshot, profile, homepage))));
+
+    snapshot.profiles.forEach(profile => {
+      const failed = profile.failures.length > 0 ? ` (failed: ${profile.failures.join(', ')})` : '';
+      console.log(`${profile.name}: ${profile.count} articles, ${profile.added} new${failed}`);
+    });
+    console.log(`Wrote ${path.relative(process.cwd(), path.join(outDir, file))}`);
+  } finally {
+    if (fixtureServer) await fixtureServer.close();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
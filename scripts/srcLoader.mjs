@@ -0,0 +1,23 @@
+// Module hooks that let Node import the app's modules from src/. They are ES modules in a
+// CommonJS package and import each other without file extensions, as webpack allows.
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+const FIXTURES_URL = new URL('../src/fixtures/', import.meta.url).href;
+
+const isAppModule = (url) => url.startsWith(SRC_URL) && !url.startsWith(FIXTURES_URL);
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (context.parentURL && isAppModule(context.parentURL) && /^\.{1,2}\//.test(specifier)) {
+    const base = new URL(specifier, context.parentURL).href;
+    const found = [base, `${base}.js`, `${base}/index.js`]
+      .find(candidate => /\.js$/.test(candidate) && existsSync(fileURLToPath(candidate)));
+    if (found) return { url: found, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => (isAppModule(url) && url.endsWith('.js')
+  ? nextLoad(url, { ...context, format: 'module' })
+  : nextLoad(url, context));
@@ -1,354 +1,702 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import axios from 'axios';
-import { Pie, Line } from 'react-chartjs-2';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Pie } from 'react-chartjs-2';
 import 'chart.js/auto'; // Automatically registers required Chart.js components
 import './App.css';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
-import CalendarHeatmap from 'react-calendar-heatmap';
-import 'react-calendar-heatmap/dist/styles.css';
-import { Tooltip } from 'react-tooltip';
-import 'react-tooltip/dist/react-tooltip.css';
-import * as tf from '@tensorflow/tfjs';
-import * as cheerio from 'cheerio';
-import stringSimilarity from 'string-similarity';
-
-// Add these utility functions at the top, after imports
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const fetchWithRetry = async (url, options = {}, retries = 3) => {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await axios(url, {
-        ...options,
-        timeout: 10000 // 10 second timeout
-      });
-      await delay(1500);
-      return response;
-    } catch (error) {
-      console.error(`Attempt ${i + 1} failed:`, error.message);
-      if (i === retries - 1) throw error;
-      await delay(2000 * Math.pow(2, i));
-    }
-  }
-};
+import {
+  createProfile,
+  loadActiveProfileId,
+  loadProfiles,
+  saveActiveProfileId,
+  saveProfiles
+} from './searchProfiles';
+import QueryBuilder from './QueryBuilder';
+import { countBySubdomain } from './subdomainClassifier';
+import { categorizeArticle } from './studyCategory';
+import { extractEvidence } from './evidence';
+import {
+  classifyArticle,
+  loadTopicModel,
+  saveTopicModel,
+  trainTopicModel,
+  trainingExamples
+} from './topicModel';
+import { loadCorrections, removeCorrection, saveCorrection } from './labelCorrections';
+import {
+  deduplicateArticles,
+  loadDecisions,
+  loadThresholds,
+  saveDecisions,
+  saveThresholds
+} from './deduplicate';
+import ArticleCard from './ArticleCard';
+import ArticleDetail from './ArticleDetail';
+import EvidenceTable from './EvidenceTable';
+import DuplicateReview from './DuplicateReview';
+import TopicModelPanel from './TopicModelPanel';
+import SourceSettings from './SourceSettings';
+import {
+  createSourceAdapters,
+  loadEnabledSources,
+  saveEnabledSources
+} from './sources';
+import { articleKey, lastSyncedAt, openArticleArchive, syncProfile } from './articleArchive';
+import { importLatestSnapshot } from './snapshots';
+import {
+  REFRESHED_MESSAGE,
+  isNetworkError,
+  queueRefresh,
+  refreshDue,
+  registerPeriodicRefresh,
+  saveRefreshConfig
+} from './backgroundRefresh';
+import DataStatus from './DataStatus';
+import ShortcutHelp from './ShortcutHelp';
+import { pubmedUrl, stepIndex, toggledStatus, triageAction, triageAnnouncement } from './triage';
+import { createSearchIndex } from './searchIndex';
+import { parseViewHash, viewHash } from './viewState';
+import ExportMenu from './ExportMenu';
+import ReadingList from './ReadingList';
+import PublicationCalendar from './PublicationCalendar';
+import { inDateRange } from './calendarData';
+import TrendAnalytics from './TrendAnalytics';
+import ComparisonView from './ComparisonView';
+import DigestGenerator from './DigestGenerator';
+import FacetSidebar from './FacetSidebar';
+import { activeFacetCount, facetCounts, filterByFacets, toggleFacetValue } from './facets';
+import AuthorAnalytics from './AuthorAnalytics';
+import { buildAuthorIndex } from './authorIndex';
+import JournalBreakdown from './JournalBreakdown';
+import JournalRegistryEditor from './JournalRegistryEditor';
+import {
+  createJournalLookup,
+  journalBreakdown,
+  loadJournalRegistry,
+  mergeJournals,
+  parseJournalFile,
+  saveJournalRegistry
+} from './journalRegistry';
+import RankingControls from './RankingControls';
+import { loadBlendWeights, rankArticles, saveBlendWeights } from './articleRanking';
+import {
+  citationMetricsFor,
+  createCitationProviders,
+  loadCitationCache,
+  refreshCitationMetrics,
+  saveCitationCache,
+  staleCitationKeys
+} from './citationMetrics';
+import {
+  READ_STATUSES,
+  importReadingList,
+  loadReadingList,
+  readingListEntry,
+  removeReadingListEntry,
+  updateReadingListEntry
+} from './readingListStore';
+import WhatsNew from './WhatsNew';
+import {
+  isNewSince,
+  loadNotifyProfiles,
+  notificationsSupported,
+  notifyNewArticles,
+  recordVisit,
+  requestNotificationPermission,
+  saveNotifyProfiles
+} from './newArticles';
 
-// Define radiology subdomains and their related keywords
-const radiologySubdomains = {
-  'Neuroradiology': ['brain', 'neurological', 'spine', 'head', 'neck', 'neural', 'neuro'],
-  'Chest/Cardiac': ['chest', 'lung', 'cardiac', 'heart', 'thoracic', 'pulmonary', 'cardiovascular'],
-  'Abdominal': ['abdomen', 'liver', 'pancreas', 'gastrointestinal', 'gi', 'abdominal'],
-  'Musculoskeletal': ['musculoskeletal', 'bone', 'joint', 'orthopedic', 'msk', 'skeletal'],
-  'Breast': ['breast', 'mammography', 'mammogram', 'mammographic'],
-  'Nuclear/Molecular': ['nuclear', 'pet', 'molecular', 'spect', 'radioisotope'],
-  'General/Other': [] // Catch-all category
-};
+// Optional NCBI credentials raise the E-utilities rate limit from 3 to 10 requests/second
+const sourceAdapters = createSourceAdapters({
+  pubmed: {
+    apiKey: process.env.REACT_APP_NCBI_API_KEY,
+    email: process.env.REACT_APP_NCBI_EMAIL
+  }
+});
 
-// Define top radiology journals with impact factors
-const TOP_JOURNALS = [
-  'Radiology',
-  'European Radiology',
-  'Journal of the American College of Radiology',
-  'European Journal of Radiology',
-  'American Journal of Roentgenology',
-  'RadioGraphics'
-];
+// Similar articles for the detail panel come from PubMed whichever sources are enabled
+const loadRelated = (article) => sourceAdapters
+  .find(adapter => adapter.id === 'pubmed')
+  .relatedArticles(article);
 
-// Smart search query for high-impact papers
-const buildSearchQuery = () => {
-  const journalQuery = TOP_JOURNALS.map(journal => `"${journal}"[Journal]`).join(' OR ');
-  
-  return `(
-    ("artificial intelligence"[Title] OR "deep learning"[Title] OR "machine learning"[Title])
-    AND (${journalQuery})
-    AND ("2023"[Date - Publication] OR "2024"[Date - Publication])
-    AND (("clinical"[Title/Abstract] OR "validation"[Title/Abstract] OR "implementation"[Title/Abstract])
-    NOT ("letter"[Publication Type] OR "editorial"[Publication Type] OR "comment"[Publication Type]))
-  )`;
-};
+// An OpenCitations access token is optional; it identifies the dashboard's requests
+const citationProviders = createCitationProviders({
+  opencitations: { accessToken: process.env.REACT_APP_OPENCITATIONS_TOKEN }
+});
 
-// Add this with the other helper functions at the top
-const getDateOfWeek = (week, year) => {
-  const date = new Date(year, 0, 1 + (week - 1) * 7);
-  return date;
+// Opened on first use and shared by every sync
+let articleArchive;
+const getArticleArchive = () => {
+  articleArchive = articleArchive || openArticleArchive();
+  return articleArchive;
 };
 
-// Helper: Format a Date as "YYYY/MM/DD"
-function formatDate(date) {
-  const yyyy = date.getFullYear();
-  const mm = (date.getMonth() + 1).toString().padStart(2, '0');
-  const dd = date.getDate().toString().padStart(2, '0');
-  return `${yyyy}/${mm}/${dd}`;
-}
-
-// Improved categorization system
-const categorizeArticle = (article) => {
-  const text = (article.title + ' ' + article.abstract).toLowerCase();
-  
-  // Define categories with weighted keywords
-  const categories = {
-    'Clinical AI Applications': {
-      keywords: ['diagnosis', 'prediction', 'detection', 'classification', 'segmentation'],
-      weight: 0
-    },
-    'Performance Validation': {
-      keywords: ['accuracy', 'sensitivity', 'specificity', 'validation', 'performance'],
-      weight: 0
-    },
-    'Implementation Studies': {
-      keywords: ['implementation', 'workflow', 'integration', 'clinical practice', 'deployment'],
-      weight: 0
-    },
-    'Technical Innovation': {
-      keywords: ['novel', 'algorithm', 'framework', 'architecture', 'methodology'],
-      weight: 0
-    }
-  };
-
-  // Calculate weights for each category
-  Object.keys(categories).forEach(category => {
-    categories[category].weight = categories[category].keywords
-      .filter(keyword => text.includes(keyword)).length;
+// The newest published data snapshot is imported once per page load, before any sync.
+// Resolves to the number of records it added or updated.
+let snapshotImport;
+const importSnapshot = (archive) => {
+  snapshotImport = snapshotImport || importLatestSnapshot(archive, loadProfiles()).catch(error => {
+    console.warn('No data snapshot loaded:', error.message);
+    return 0;
   });
-
-  // Return category with highest weight
-  return Object.entries(categories)
-    .reduce((max, [category, data]) => 
-      data.weight > max.weight ? {category, weight: data.weight} : max,
-      {category: 'Other', weight: 0}
-    ).category;
-};
-
-// Add this helper function for week-based date handling
-const getWeekDates = (date = new Date()) => {
-  const curr = new Date(date);
-  const first = curr.getDate() - curr.getDay();
-  const firstDay = new Date(curr.setDate(first));
-  const lastDay = new Date(curr.setDate(first + 6));
-  return { firstDay, lastDay };
-};
-
-// Add this helper function at the top with other helpers
-const getWeekNumber = (date) => {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  d.setDate(d.getDate() + 4 - (d.getDay() || 7));
-  const yearStart = new Date(d.getFullYear(), 0, 1);
-  const weekNumber = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-  return `${d.getFullYear()}-W${weekNumber.toString().padStart(2, '0')}`;
+  return snapshotImport;
 };
 
 // Update the NavigationBar component
-const NavigationBar = ({ onSectionClick, activeSection }) => (
+const NAV_SECTIONS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'statistics', label: 'Statistics' },
+  { id: 'trends', label: 'Trends' },
+  { id: 'compare', label: 'Compare' },
+  { id: 'digest', label: 'Digest' },
+  { id: 'authors', label: 'Authors' },
+  { id: 'publications', label: 'Publications' },
+  { id: 'evidence', label: 'Evidence' },
+  { id: 'reading-list', label: 'My list' },
+  { id: 'profiles', label: 'Profiles' },
+  { id: 'help', label: 'Help' }
+];
+
+// Section links keep the current filters in their href so they can be shared or opened in a new tab
+const NavigationBar = ({ onSectionClick, activeSection, sectionHref, children }) => (
   <nav className="nav-bar" role="navigation" aria-label="Main navigation">
     <div className="nav-container">
-      <a href="/" className="nav-logo" aria-label="Home">
+      <a href={`${process.env.PUBLIC_URL}/`} className="nav-logo" aria-label="Home">
         Radiology AI Dashboard
       </a>
       <div className="nav-links">
-        <a
-          href="#overview"
-          className={`nav-link ${activeSection === 'overview' ? 'active' : ''}`}
-          onClick={() => onSectionClick('overview')}
-        >
-          Overview
-        </a>
-        <a
-          href="#statistics"
-          className={`nav-link ${activeSection === 'statistics' ? 'active' : ''}`}
-          onClick={() => onSectionClick('statistics')}
-        >
-          Statistics
-        </a>
-        <a
-          href="#publications"
-          className={`nav-link ${activeSection === 'publications' ? 'active' : ''}`}
-          onClick={() => onSectionClick('publications')}
-        >
-          Publications
-        </a>
-        <a
-          href="#help"
-          className={`nav-link ${activeSection === 'help' ? 'active' : ''}`}
-          onClick={() => onSectionClick('help')}
-        >
-          Help
-        </a>
+        {NAV_SECTIONS.map(({ id, label }) => (
+          <a
+            key={id}
+            href={sectionHref(id)}
+            className={`nav-link ${activeSection === id ? 'active' : ''}`}
+            onClick={(e) => {
+              e.preventDefault();
+              onSectionClick(id);
+            }}
+          >
+            {label}
+          </a>
+        ))}
       </div>
+      {children}
     </div>
   </nav>
 );
 
-// Update Google Scholar configuration
-const GOOGLE_SCHOLAR_CONFIG = {
-  baseUrl: 'https://corsproxy.io/?',
-  searchQuery: 'artificial intelligence radiology clinical',
-  yearRange: 1
-};
-
 function App() {
+  // The view (section, filters, search, page) starts from the URL so shared links reopen it
+  const [initialView] = useState(() => parseViewHash(window.location.hash));
   // State declarations first
-  const [articles, setArticles] = useState([]);
-  const [subdomainStats, setSubdomainStats] = useState({});
+  const [fetchedArticles, setArticles] = useState([]);
+  const [topicModel, setTopicModel] = useState(null);
+  const [topicModelStatus, setTopicModelStatus] = useState('loading');
+  const [corrections, setCorrections] = useState(loadCorrections);
+  const [dedupeThresholds, setDedupeThresholds] = useState(loadThresholds);
+  const [dedupeDecisions, setDedupeDecisions] = useState(loadDecisions);
+  const [enabledSources, setEnabledSources] = useState(loadEnabledSources);
+  const [sourceFailures, setSourceFailures] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState("");
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [currentPage, setCurrentPage] = useState(initialView.page);
   const articlesPerPage = 10;
-  const [selectedSubdomain, setSelectedSubdomain] = useState(null);
+  const [facetSelection, setFacetSelection] = useState(initialView.facets);
+  const [selectedAuthor, setSelectedAuthor] = useState(initialView.author);
+  const [sortMode, setSortMode] = useState(initialView.sort);
+  const [newOnly, setNewOnly] = useState(initialView.newOnly);
+  // Each profile's "new since" cut-off, recorded once per page load
+  const [visitSince, setVisitSince] = useState({});
+  const [notifyProfiles, setNotifyProfiles] = useState(loadNotifyProfiles);
+  const [blendWeights, setBlendWeights] = useState(loadBlendWeights);
+  const [journals, setJournals] = useState(loadJournalRegistry);
+  const [citationCache, setCitationCache] = useState(loadCitationCache);
   const [showFAQ, setShowFAQ] = useState(false);
-  const [lastRefresh, setLastRefresh] = useState(localStorage.getItem('lastRefresh') || null);
-  const [dateRange, setDateRange] = useState([null, null]);
+  const [exportSelection, setExportSelection] = useState(() => new Set());
+  const [readingList, setReadingList] = useState(loadReadingList);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(loadActiveProfileId);
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  // When the active profile last synced with every enabled source
+  const [lastRefresh, setLastRefresh] = useState(null);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  // A sync that failed offline waits for the connection: 'worker' when Background Sync
+  // will run it, 'page' when the dashboard has to
+  const [refreshQueued, setRefreshQueued] = useState(null);
+  const [dateRange, setDateRange] = useState([initialView.startDate, initialView.endDate]);
   const [startDate, endDate] = dateRange;
-  const [activeSection, setActiveSection] = useState('overview');
-
-  // Add these at the top level of your App component
-  const CACHE_KEY = 'radiology_ai_articles';
-  const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-  // Add this function to handle caching
-  const getCachedArticles = () => {
-    const cached = localStorage.getItem(CACHE_KEY);
-    if (cached) {
-      const { timestamp, data } = JSON.parse(cached);
-      if (Date.now() - timestamp < CACHE_DURATION) {
-        return data;
-      }
-    }
-    return null;
+  const [activeSection, setActiveSection] = useState(initialView.section);
+  const [selectedArticleId, setSelectedArticleId] = useState(initialView.article);
+  // Keyboard triage: the focused card, the shortcut overlay, a request to edit the focused
+  // card's tags and what the screen-reader status last said
+  const [focusedArticleId, setFocusedArticleId] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [tagRequest, setTagRequest] = useState(null);
+  const [triageMessage, setTriageMessage] = useState('');
+  const searchInputRef = useRef(null);
+
+  const view = {
+    section: activeSection,
+    searchTerm,
+    facets: facetSelection,
+    author: selectedAuthor,
+    startDate,
+    endDate,
+    newOnly,
+    sort: sortMode,
+    page: currentPage,
+    article: selectedArticleId
   };
+  const currentHash = viewHash(view);
+  const sectionHref = (section) => viewHash({ ...view, section });
+
+  // Mirror the view in the URL. Each change is a history entry, except edits to an
+  // existing search, which replace the entry rather than adding one per keystroke, and
+  // steps from one open article to the next, so Back closes the detail panel.
+  useEffect(() => {
+    if (window.location.hash === currentHash) return;
+    const previous = parseViewHash(window.location.hash);
+    const next = parseViewHash(currentHash);
+    const withoutSearch = (state) => viewHash({ ...state, searchTerm: '', page: 1 });
+    const editingSearch = previous.searchTerm && next.searchTerm
+      && withoutSearch(previous) === withoutSearch(next);
+    const withoutArticle = (state) => viewHash({ ...state, article: null, page: 1 });
+    const steppingArticles = previous.article && next.article
+      && withoutArticle(previous) === withoutArticle(next);
+    const url = `${window.location.pathname}${window.location.search}${currentHash}`;
+    if (!window.location.hash || editingSearch || steppingArticles) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [currentHash]);
 
-  // Updated fetch function
-  const fetchArticles = useCallback(async () => {
-    setLoading(true);
+  // Back/forward and edited URLs restore the view they describe
+  useEffect(() => {
+    const restoreView = () => {
+      const restored = parseViewHash(window.location.hash);
+      setActiveSection(restored.section);
+      setSearchTerm(restored.searchTerm);
+      setFacetSelection(restored.facets);
+      setSelectedAuthor(restored.author);
+      setDateRange([restored.startDate, restored.endDate]);
+      setNewOnly(restored.newOnly);
+      setSortMode(restored.sort);
+      setCurrentPage(restored.page);
+      setSelectedArticleId(restored.article);
+    };
+    window.addEventListener('popstate', restoreView);
+    return () => window.removeEventListener('popstate', restoreView);
+  }, []);
+
+  // Only the latest load or sync may update state, so switching profiles mid-sync is safe
+  const syncRequest = useRef(0);
+
+  // Fetch what is new since the last sync into the archive, then show the whole archive.
+  // A background sync leaves the current articles on screen and only logs failures.
+  const syncArticles = useCallback(async ({ background = false } = {}) => {
+    const request = ++syncRequest.current;
+    if (!background) setLoading(true);
     try {
-      const baseUrl = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
-      const searchQuery = buildSearchQuery();
-      
-      const searchUrl = `${baseUrl}/esearch.fcgi?db=pubmed&term=${
-        encodeURIComponent(searchQuery)
-      }&retmax=50&sort=relevance&retmode=json`;
-      
-      const searchResponse = await axios.get(searchUrl);
-      const ids = searchResponse.data.esearchresult.idlist;
-
-      if (ids.length > 0) {
-        const summaryUrl = `${baseUrl}/esummary.fcgi?db=pubmed&id=${ids.join(',')}&retmode=json`;
-        const detailsResponse = await axios.get(summaryUrl);
-        
-        const articles = Object.values(detailsResponse.data.result)
-          .filter(item => item?.uid)
-          .map(item => ({
-            title: item.title,
-            authors: item.authors?.map(a => a.name) || [],
-            journal: item.fulljournalname || "",
-            publicationDate: item.pubdate || new Date().toISOString(),
-            link: `https://pubmed.ncbi.nlm.nih.gov/${item.uid}`,
-            abstract: item.abstract || "",
-            category: categorizeArticle(item),
-            citationCount: 0, // We could add citation count if needed
-            impactFactor: getJournalImpactFactor(item.fulljournalname)
-          }))
-          .sort((a, b) => b.impactFactor - a.impactFactor) // Sort by journal impact factor
-          .slice(0, 10); // Get top 10 papers
-
-        setArticles(articles);
-        updateStats(articles);
+      const archive = await getArticleArchive();
+      const { articles: archived, failures, syncedAt } = await syncProfile(
+        archive,
+        sourceAdapters,
+        enabledSources,
+        activeProfile,
+        { maxResults: 200 }
+      );
+      if (request !== syncRequest.current) return;
+      // Articles this sync added; a profile's first sync finds everything, which isn't news
+      const found = archived.filter(article => article.firstSeen === syncedAt);
+      if (found.length < archived.length && loadNotifyProfiles().includes(activeProfile.id)) {
+        // Not awaited: showing the articles doesn't wait on the notification
+        notifyNewArticles(activeProfile, found);
       }
+      setSourceFailures(failures);
+      setArticles(archived);
+      setLastRefresh(syncedAt);
+      setRefreshQueued(null);
+      setError(null);
     } catch (error) {
+      if (request !== syncRequest.current) return;
       console.error('Error fetching articles:', error);
-      setError('Failed to load articles. Please try again later.');
+      const offline = isNetworkError(error);
+      if (offline) setRefreshQueued((await queueRefresh()) ? 'worker' : 'page');
+      if (!background) {
+        setError(offline
+          ? 'You are offline and no articles have been saved yet. They will load when the connection returns.'
+          : 'Failed to load articles. Please try again later.');
+      }
     } finally {
-      setLoading(false);
+      if (request === syncRequest.current) setLoading(false);
+    }
+  }, [activeProfile, enabledSources]);
+
+  const updateEnabledSources = (sourceIds) => {
+    setEnabledSources(sourceIds);
+    saveEnabledSources(sourceIds);
+  };
+
+  // Records of the same paper from different sources or versions become one article.
+  // The archive keeps records from sources that have since been disabled; skip those.
+  const dedupeRecords = useCallback((records) => {
+    const sourceNames = sourceAdapters
+      .filter(adapter => enabledSources.includes(adapter.id))
+      .map(adapter => adapter.name);
+    return deduplicateArticles(
+      records.filter(article => sourceNames.includes(article.source)),
+      dedupeThresholds,
+      dedupeDecisions
+    );
+  }, [enabledSources, dedupeThresholds, dedupeDecisions]);
+
+  const { articles: uniqueArticles, reviews: duplicateReviews } = useMemo(
+    () => dedupeRecords(fetchedArticles),
+    [dedupeRecords, fetchedArticles]
+  );
+
+  const updateDedupeThresholds = (thresholds) => {
+    setDedupeThresholds(thresholds);
+    saveThresholds(thresholds);
+  };
+
+  const decideDuplicate = (key, decision) => {
+    const decisions = { ...dedupeDecisions, [key]: decision };
+    setDedupeDecisions(decisions);
+    saveDecisions(decisions);
+  };
+
+  // Citation metrics are cached for a week; look up articles that are new or due a refresh
+  useEffect(() => {
+    const cache = loadCitationCache();
+    if (staleCitationKeys(uniqueArticles, cache).length === 0) return;
+    let cancelled = false;
+    refreshCitationMetrics(uniqueArticles, citationProviders, cache)
+      .then(({ cache: next }) => {
+        // A newer run started from a newer cache; saving this one could overwrite it
+        if (cancelled) return;
+        saveCitationCache(next);
+        setCitationCache(next);
+      })
+      .catch(error => console.error('Error refreshing citation metrics:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [uniqueArticles]);
+
+  const journalLookup = useMemo(() => createJournalLookup(journals), [journals]);
+
+  // Subdomains come from the topic model (or keyword rules) and the user's corrections;
+  // journal tier and impact factor come from the journal registry and citations from
+  // iCite or OpenCitations, falling back to Google Scholar's count; study evidence is
+  // read from the abstract
+  const enrichArticle = useCallback((article) => {
+    const journal = journalLookup(article);
+    const study = categorizeArticle(article);
+    const citations = citationMetricsFor(citationCache, article);
+    return {
+      ...article,
+      category: study.category,
+      categoryKeywords: study.keywords,
+      evidence: extractEvidence(article),
+      citationCount: citations ? citations.citationCount : (article.citationCount || 0),
+      relativeCitationRatio: citations ? citations.relativeCitationRatio : null,
+      citationsPerYear: citations ? citations.citationsPerYear : null,
+      journalTier: journal ? journal.tier : null,
+      impactFactor: (journal && journal.impactFactor) || 0,
+      subdomains: classifyArticle(topicModel, article, corrections)
+    };
+  }, [journalLookup, citationCache, topicModel, corrections]);
+
+  const articles = useMemo(() => uniqueArticles.map(enrichArticle), [uniqueArticles, enrichArticle]);
+
+  // Another profile's archive, prepared the same way, for comparisons across profiles
+  const loadProfileArticles = useCallback(async (profileId) => {
+    const archive = await getArticleArchive();
+    return dedupeRecords(await archive.getArticles(profileId)).articles.map(enrichArticle);
+  }, [dedupeRecords, enrichArticle]);
+
+  // The search index follows the archive, re-indexing only articles that changed
+  const [searchIndex] = useState(createSearchIndex);
+  const searchResults = useMemo(() => {
+    searchIndex.update(articles);
+    return searchTerm.trim() ? searchIndex.search(searchTerm) : null;
+  }, [searchIndex, articles, searchTerm]);
+
+  const since = visitSince[activeProfile.id] || null;
+  const newCount = useMemo(
+    () => articles.filter(article => isNewSince(article, since)).length,
+    [articles, since]
+  );
+
+  const authorIndex = useMemo(() => buildAuthorIndex(articles), [articles]);
+  // An author link from a shared URL does nothing until the archive has that author
+  const authorFilter = selectedAuthor && authorIndex.byId.get(selectedAuthor);
+
+  // Search, author and "new" filters cover the whole archive, best match first
+  const searchedArticles = useMemo(() => {
+    const byId = new Map(articles.map(article => [article.uid, article]));
+    const searched = searchResults ? searchResults.results.map(result => byId.get(result.id)) : articles;
+    return searched
+      .filter(article => !authorFilter || authorFilter.articleIds.has(article.uid))
+      .filter(article => !newOnly || isNewSince(article, since));
+  }, [articles, searchResults, authorFilter, newOnly, since]);
+
+  // A search keeps its best-match order unless another ranking is chosen
+  const rankingMode = sortMode === 'match' && !searchResults
+    ? 'blend'
+    : sortMode || (searchResults ? 'match' : 'blend');
+  const listedArticles = useMemo(
+    () => rankArticles(searchedArticles, rankingMode, { weights: blendWeights }),
+    [searchedArticles, rankingMode, blendWeights]
+  );
+
+  // The subdomain pie, calendar, journal chart and trends follow the search, author and facet filters
+  const facetContext = useMemo(() => ({ journalLookup }), [journalLookup]);
+  const facetedArticles = useMemo(
+    () => filterByFacets(searchedArticles, facetSelection, facetContext),
+    [searchedArticles, facetSelection, facetContext]
+  );
+  const facetedSubdomainStats = useMemo(() => countBySubdomain(facetedArticles), [facetedArticles]);
+
+  const updateBlendWeights = (weights) => {
+    setBlendWeights(weights);
+    saveBlendWeights(weights);
+  };
+
+  const updateJournals = (next) => {
+    setJournals(next);
+    saveJournalRegistry(next);
+  };
+
+  const importJournals = (text, filename) => {
+    const result = mergeJournals(journals, parseJournalFile(text, filename));
+    updateJournals(result.journals);
+    return result;
+  };
+
+  const openAuthor = (authorId) => {
+    setSelectedAuthor(authorId);
+    setActiveSection('authors');
+  };
+
+  const searchForTerm = (term) => {
+    setSearchTerm(term.includes(' ') ? `"${term}"` : term);
+    setCurrentPage(1);
+    setActiveSection('publications');
+  };
+
+  const filterByAuthor = (authorId) => {
+    setSelectedAuthor(authorId);
+    setCurrentPage(1);
+    setActiveSection('publications');
+  };
+
+  const subdomainStats = useMemo(() => countBySubdomain(articles), [articles]);
+
+  const topicModelRef = useRef(null);
+
+  const retrainTopicModel = useCallback(async (currentCorrections) => {
+    setTopicModelStatus('training');
+    try {
+      const trained = await trainTopicModel(trainingExamples(currentCorrections));
+      await saveTopicModel(trained).catch(error => {
+        console.error('Error saving topic model:', error);
+      });
+      topicModelRef.current?.model.dispose();
+      topicModelRef.current = trained;
+      setTopicModel(trained);
+      setTopicModelStatus('ready');
+    } catch (error) {
+      console.error('Error training topic model:', error);
+      setTopicModelStatus('unavailable');
     }
   }, []);
 
-  // Update stats function
-  const updateStats = (articles) => {
-    const stats = {};
-    articles.forEach(article => {
-      const subdomain = article.category;
-      stats[subdomain] = (stats[subdomain] || 0) + 1;
+  // Load the saved topic model, training a first one from the bundled fixtures if needed
+  useEffect(() => {
+    let cancelled = false;
+    loadTopicModel().then(saved => {
+      if (cancelled) return;
+      if (saved) {
+        topicModelRef.current = saved;
+        setTopicModel(saved);
+        setTopicModelStatus('ready');
+      } else {
+        retrainTopicModel(loadCorrections());
+      }
     });
-    setSubdomainStats(stats);
+    return () => {
+      cancelled = true;
+    };
+  }, [retrainTopicModel]);
+
+  const correctSubdomains = (article, subdomains) => {
+    setCorrections(saveCorrection(corrections, article, subdomains));
   };
 
-  // Enhanced data refresh logic
+  const resetCorrection = (article) => {
+    setCorrections(removeCorrection(corrections, article.uid));
+  };
+
+  // Sync at most once a day, in the background since the archive is already on screen
   const checkAndRefresh = useCallback(() => {
-    const now = new Date();
-    const lastRefreshDate = lastRefresh ? new Date(lastRefresh) : null;
-    
-    // Check if it's a new day
-    const isNewDay = !lastRefreshDate || 
-      lastRefreshDate.getDate() !== now.getDate() ||
-      lastRefreshDate.getMonth() !== now.getMonth() ||
-      lastRefreshDate.getFullYear() !== now.getFullYear();
-    
-    if (isNewDay) {
-      fetchArticles();
-      setLastRefresh(now.toISOString());
-      localStorage.setItem('lastRefresh', now.toISOString());
-    }
-  }, [lastRefresh, fetchArticles]);
+    if (refreshDue(lastRefresh)) syncArticles({ background: true });
+  }, [lastRefresh, syncArticles]);
 
-  // Update useEffect to check more frequently
+  // Opening a profile for the first time this page load starts a visit to it
   useEffect(() => {
-    // Initial fetch
-    if (!lastRefresh) {
-      fetchArticles();
-    }
-    
-    // Check for refresh every 30 minutes
-    const interval = setInterval(checkAndRefresh, 30 * 60 * 1000);
-    
-    // Also check when the window regains focus
-    const handleFocus = () => checkAndRefresh();
-    window.addEventListener('focus', handleFocus);
-    
+    setVisitSince(current => (activeProfile.id in current
+      ? current
+      : { ...current, [activeProfile.id]: recordVisit(activeProfile.id) }));
+  }, [activeProfile.id]);
+
+  // Resolves to false when the browser won't allow notifications
+  const updateNotify = async (enabled) => {
+    if (enabled && !(await requestNotificationPermission())) return false;
+    const next = notifyProfiles.filter(id => id !== activeProfile.id);
+    if (enabled) next.push(activeProfile.id);
+    setNotifyProfiles(next);
+    saveNotifyProfiles(next);
+    return true;
+  };
+
+  const selectProfile = (profileId) => {
+    setActiveProfileId(profileId);
+    saveActiveProfileId(profileId);
+    setFacetSelection({});
+    setCurrentPage(1);
+  };
+
+  const updateProfiles = (nextProfiles) => {
+    setProfiles(nextProfiles);
+    saveProfiles(nextProfiles);
+  };
+
+  // Saving changes the query, so the profile's archived results are no longer valid
+  const saveProfile = async (profile) => {
+    const archive = await getArticleArchive();
+    await archive.clearProfile(profile.id);
+    updateProfiles(profiles.map(p => (p.id === profile.id ? profile : p)));
+  };
+
+  const addProfile = () => {
+    const profile = createProfile();
+    updateProfiles([...profiles, profile]);
+    selectProfile(profile.id);
+  };
+
+  const deleteProfile = (profileId) => {
+    const remaining = profiles.filter(profile => profile.id !== profileId);
+    getArticleArchive().then(archive => archive.clearProfile(profileId));
+    updateProfiles(remaining);
+    selectProfile(remaining[0].id);
+  };
+
+  // The service worker syncs daily where Periodic Background Sync is available. An open
+  // dashboard also checks when it is shown again, for the day changing while it was open.
+  useEffect(() => {
+    registerPeriodicRefresh();
+  }, []);
+
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') checkAndRefresh();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [checkAndRefresh]);
+
+  // A queued refresh runs when the connection returns, here unless Background Sync has it
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      if (refreshQueued === 'page') syncArticles({ background: true });
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
     return () => {
-      clearInterval(interval);
-      window.removeEventListener('focus', handleFocus);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
     };
-  }, [fetchArticles, checkAndRefresh, lastRefresh]);
+  }, [refreshQueued, syncArticles]);
 
-  // Update the useEffect hook
+  // The service worker syncs from what the dashboard last showed: the active profile and
+  // the profiles that asked for notifications
+  useEffect(() => {
+    saveRefreshConfig({
+      profiles: profiles.filter(profile => profile.id === activeProfile.id || notifyProfiles.includes(profile.id)),
+      enabledSources,
+      notifyProfiles
+    }).catch(error => console.warn('Error saving the background refresh settings:', error));
+  }, [profiles, activeProfile.id, enabledSources, notifyProfiles]);
+
+  // After a background sync by the service worker, show the updated archive
+  const reloadArchive = useCallback(async () => {
+    const request = ++syncRequest.current;
+    const archive = await getArticleArchive();
+    const [archived, syncState] = await Promise.all([
+      archive.getArticles(activeProfile.id),
+      archive.getSyncState(activeProfile.id)
+    ]);
+    if (request !== syncRequest.current) return;
+    setArticles(archived);
+    setLastRefresh(lastSyncedAt(syncState, enabledSources));
+    setRefreshQueued(null);
+    setError(null);
+  }, [activeProfile.id, enabledSources]);
+
+  useEffect(() => {
+    if (!navigator.serviceWorker) return undefined;
+    const handleMessage = (event) => {
+      if (event.data?.type === REFRESHED_MESSAGE) reloadArchive();
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [reloadArchive]);
+
+  // Show the profile's archive straight away, topped up from the published snapshot, then
+  // sync if it is out of date or a snapshot was just imported
   useEffect(() => {
     const initializeArticles = async () => {
+      const request = ++syncRequest.current;
       setLoading(true);
       try {
-        // Try to get cached articles first
-        const cached = getCachedArticles();
-        if (cached) {
-          setArticles(cached);
-          updateStats(cached);
-          return;
-        }
+        const archive = await getArticleArchive();
+        const imported = await importSnapshot(archive);
+        const [archived, syncState] = await Promise.all([
+          archive.getArticles(activeProfile.id),
+          archive.getSyncState(activeProfile.id)
+        ]);
+        if (request !== syncRequest.current) return;
 
-        // If no cache, fetch new articles
-        const articles = await fetchArticles();
-        
-        // Cache the results
-        localStorage.setItem(CACHE_KEY, JSON.stringify({
-          timestamp: Date.now(),
-          data: articles
-        }));
-        
+        const syncedAt = lastSyncedAt(syncState, enabledSources);
+        setArticles(archived);
+        setLastRefresh(syncedAt);
+        const due = imported > 0 || refreshDue(syncedAt);
+        if (due && archived.length === 0) {
+          await syncArticles();
+        } else {
+          setLoading(false);
+          if (due) syncArticles({ background: true });
+        }
       } catch (error) {
         console.error('Error initializing articles:', error);
         setError('Failed to load articles. Please try again later.');
-      } finally {
         setLoading(false);
       }
     };
 
     initializeArticles();
-  }, [fetchArticles]);
+  }, [activeProfile.id, enabledSources, syncArticles]);
 
   // Add this FAQ data
   const faqData = [
     {
       question: "How often is the data updated?",
-      answer: "The dashboard fetches new articles from PubMed at the start of each session and can be manually refreshed. Articles are from the current month, using official MeSH terms for AI in Radiology."
+      answer: "Every article a profile finds is kept in an archive in your browser. Once a day the dashboard asks each enabled source only for records added since the last sync, so the archive and its trend charts grow over time."
     },
     {
       question: "How are articles categorized?",
@@ -360,35 +708,75 @@ function App() {
     },
     {
       question: "How many articles are displayed?",
-      answer: "The dashboard shows 10 articles per page, with the ability to navigate through all results. Articles are sorted by publication date (newest first)."
+      answer: "Every article in the archive that matches your filters is listed, 10 per page. Sort them by recency, PubMed relevance, journal tier, citations or a weighted blend of all four."
     }
   ];
 
-  // Add date range filtering
-  const getFilteredArticles = useCallback(() => {
-    if (!startDate && !endDate) return articles;
+  // Add date range filtering; an article matches on its publication or epub day
+  const datedArticles = useMemo(() => {
+    if (!startDate && !endDate) return listedArticles;
+    return listedArticles.filter(article => inDateRange(article, startDate, endDate));
+  }, [listedArticles, startDate, endDate]);
 
-    return articles.filter(article => {
-      const pubDate = new Date(article.publicationDate);
-      if (startDate && endDate) {
-        return pubDate >= startDate && pubDate <= endDate;
-      }
-      if (startDate) {
-        return pubDate >= startDate;
-      }
-      if (endDate) {
-        return pubDate <= endDate;
-      }
-      return true;
-    });
-  }, [articles, startDate, endDate]);
+  // Facet counts cover the articles the other filters leave, so they match the list
+  const facets = useMemo(
+    () => facetCounts(datedArticles, facetSelection, facetContext),
+    [datedArticles, facetSelection, facetContext]
+  );
+  const filteredArticles = useMemo(
+    () => filterByFacets(datedArticles, facetSelection, facetContext),
+    [datedArticles, facetSelection, facetContext]
+  );
 
-  // Update the filtering logic to include subdomain filtering
-  const filteredArticles = getFilteredArticles().filter(article => {
-    const matchesSearch = article.title.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesSubdomain = !selectedSubdomain || article.category === selectedSubdomain;
-    return matchesSearch && matchesSubdomain;
-  });
+  const toggleFacet = (facetId, value) => {
+    setFacetSelection(toggleFacetValue(facetSelection, facetId, value));
+    setCurrentPage(1);
+  };
+
+  const toggleBookmark = (article) => {
+    setReadingList(readingListEntry(readingList, article)
+      ? removeReadingListEntry(readingList, article)
+      : updateReadingListEntry(readingList, article));
+  };
+
+  const changeReadingListEntry = (article, changes) => {
+    setReadingList(updateReadingListEntry(readingList, article, changes));
+  };
+
+  const importIntoReadingList = (json) => {
+    const result = importReadingList(readingList, json);
+    setReadingList(result.list);
+    return result;
+  };
+
+  // Bookmarked articles still in the archive are shown with their current data
+  const archivedByKey = useMemo(
+    () => new Map(articles.map(article => [articleKey(article), article])),
+    [articles]
+  );
+
+  const toggleExportSelection = (article) => {
+    const next = new Set(exportSelection);
+    if (next.has(article.uid)) next.delete(article.uid);
+    else next.add(article.uid);
+    setExportSelection(next);
+  };
+
+  // The open article, and where it sits in the filtered list for previous/next. An article
+  // opened from a link or a related paper may not be in the list; it has no neighbours then.
+  const selectedArticle = selectedArticleId && articles.find(article => article.uid === selectedArticleId);
+  const selectedIndex = selectedArticle ? filteredArticles.indexOf(selectedArticle) : -1;
+
+  // Stepping through articles keeps the list on the page that holds the open one
+  const openArticleAt = (index) => {
+    setSelectedArticleId(filteredArticles[index].uid);
+    setCurrentPage(Math.floor(index / articlesPerPage) + 1);
+  };
+
+  const archivedByPmid = useMemo(
+    () => new Map(articles.filter(article => article.pmid).map(article => [article.pmid, article])),
+    [articles]
+  );
 
   const pageCount = Math.ceil(filteredArticles.length / articlesPerPage);
   const currentArticles = filteredArticles.slice(
@@ -396,11 +784,77 @@ function App() {
     currentPage * articlesPerPage
   );
 
+  const focusedIndex = filteredArticles.findIndex(article => article.uid === focusedArticleId);
+
+  const focusArticleAt = (index) => {
+    const article = filteredArticles[index];
+    setFocusedArticleId(article.uid);
+    const page = Math.floor(index / articlesPerPage) + 1;
+    if (page !== currentPage) setCurrentPage(page);
+    setTriageMessage(triageAnnouncement(article, {
+      index,
+      total: filteredArticles.length,
+      entry: readingListEntry(readingList, article),
+      selected: exportSelection.has(article.uid)
+    }));
+  };
+
+  const setTriageStatus = (article, status) => {
+    const next = toggledStatus(readingListEntry(readingList, article), status);
+    changeReadingListEntry(article, { status: next });
+    setTriageMessage(`Marked ${READ_STATUSES.find(option => option.id === next).label.toLowerCase()}.`);
+  };
+
+  const runTriageAction = (action) => {
+    if (action === 'help') return setShowShortcuts(true);
+    if (action === 'search') return searchInputRef.current?.focus();
+    if (action === 'next' || action === 'previous') {
+      // With no card focused, j and k start at the top of the page
+      const index = stepIndex(focusedIndex, action === 'next' ? 1 : -1, filteredArticles.length, (currentPage - 1) * articlesPerPage);
+      return index >= 0 && focusArticleAt(index);
+    }
+    const article = filteredArticles[focusedIndex];
+    if (!article) return setTriageMessage('No article is focused. Press j to move to the first one.');
+    if (action === 'open') return setSelectedArticleId(article.uid);
+    if (action === 'source') return window.open(pubmedUrl(article), '_blank', 'noopener,noreferrer');
+    if (action === 'read') return setTriageStatus(article, 'read');
+    if (action === 'discuss') return setTriageStatus(article, 'to-discuss');
+    if (action === 'bookmark') {
+      setTriageMessage(readingListEntry(readingList, article) ? 'Removed from my list.' : 'Added to my list.');
+      return toggleBookmark(article);
+    }
+    if (action === 'tag') {
+      if (!readingListEntry(readingList, article)) changeReadingListEntry(article, {});
+      return setTagRequest({ uid: article.uid, at: Date.now() });
+    }
+    if (action === 'select') {
+      setTriageMessage(exportSelection.has(article.uid) ? 'Removed from the export selection.' : 'Selected for export.');
+      return toggleExportSelection(article);
+    }
+    return undefined;
+  };
+
+  // The listener stays put while the handler sees each render's list and reading list
+  const triageKeyHandler = useRef(null);
+  triageKeyHandler.current = (e) => {
+    if (activeSection !== 'publications' || selectedArticle || showShortcuts) return;
+    const action = triageAction(e);
+    if (!action) return;
+    e.preventDefault();
+    runTriageAction(action);
+  };
+
+  useEffect(() => {
+    const handleKey = (e) => triageKeyHandler.current(e);
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
+
   // Prepare data for the Pie Chart (subdomain distribution)
   const chartData = {
-    labels: Object.keys(subdomainStats),
+    labels: Object.keys(facetedSubdomainStats),
     datasets: [{
-      data: Object.values(subdomainStats),
+      data: Object.values(facetedSubdomainStats),
       backgroundColor: [
         '#3b82f6',  // Blue
         '#6366f1',  // Indigo
@@ -432,105 +886,13 @@ function App() {
     }
   };
 
-  // Update WeeklyStats component
-  const WeeklyStats = ({ articles }) => {
-    const formatWeekLabel = useCallback((weekKey) => {
-      const [year, week] = weekKey.split('-W');
-      const date = getDateOfWeek(parseInt(week), parseInt(year));
-      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    }, []);
-
-    const weeklyData = useMemo(() => {
-      const weeks = {};
-      articles.forEach(article => {
-        const date = new Date(article.publicationDate);
-        const weekKey = getWeekNumber(date);
-        weeks[weekKey] = (weeks[weekKey] || 0) + 1;
-      });
-
-      return Object.entries(weeks)
-        .sort(([a], [b]) => a.localeCompare(b))
-        .slice(-12)
-        .map(([week, count]) => ({
-          week: formatWeekLabel(week),
-          count
-        }));
-    }, [articles, formatWeekLabel]);
-
-    // Update Line chart options
-    const lineChartOptions = {
-      responsive: true,
-      maintainAspectRatio: false,
-      scales: {
-        x: {
-          grid: { color: 'rgba(255, 255, 255, 0.1)' },
-          ticks: { color: '#ffffff' }
-        },
-        y: {
-          grid: { color: 'rgba(255, 255, 255, 0.1)' },
-          ticks: { color: '#ffffff' }
-        }
-      },
-      plugins: {
-        legend: {
-          display: false
-        }
-      }
-    };
-
-    return (
-      <div className="charts-section">
-        <h2>Weekly Publication Trends</h2>
-        <div className="chart-container">
-          <Line
-            data={{
-              labels: weeklyData.map(data => data.week),
-              datasets: [{
-                label: 'Articles per Week',
-                data: weeklyData.map(data => data.count),
-                borderColor: '#3b82f6',
-                backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                tension: 0.4
-              }]
-            }}
-            options={lineChartOptions}
-          />
-        </div>
-      </div>
-    );
-  };
-
-  // Update the article rendering section
-  const ArticleCard = ({ article }) => (
-    <article 
-      className="article-card" 
-      tabIndex="0"
-      onClick={() => window.open(article.link, '_blank', 'noopener,noreferrer')}
-    >
-      <span className="article-category" role="tag">
-        {article.category || 'General'}
-      </span>
-      <h3 className="article-title">
-        {article.title}
-      </h3>
-      <div className="article-meta">
-        <span className="article-journal">
-          {article.journal || article.source}
-          {article.citationCount > 0 && ` • ${article.citationCount} citations`}
-        </span>
-        <time dateTime={article.publicationDate}>
-          {new Date(article.publicationDate).toLocaleDateString()}
-        </time>
-      </div>
-    </article>
-  );
-
   const HeroSection = ({ stats }) => (
     <section className="hero-section">
       <h1 className="hero-title">Radiology AI Research Dashboard</h1>
       <p className="hero-subtitle">
         Track and analyze the latest developments in AI-powered radiology research
       </p>
+      <p className="hero-profile">Profile: {stats.profileName}</p>
       <div className="quick-stats">
         <div className="quick-stat">
           <div className="quick-stat-value">{stats.totalArticles}</div>
@@ -548,26 +910,15 @@ function App() {
     </section>
   );
 
-  // Helper function to get journal impact factor
-  const getJournalImpactFactor = (journal) => {
-    const impactFactors = {
-      'Radiology': 19.8,
-      'European Radiology': 7.8,
-      'Journal of the American College of Radiology': 4.3,
-      'European Journal of Radiology': 3.8,
-      'American Journal of Roentgenology': 3.7,
-      'RadioGraphics': 3.5
-    };
-    
-    return impactFactors[journal] || 0;
-  };
-
   return (
     <>
       <NavigationBar 
-        onSectionClick={setActiveSection} 
-        activeSection={activeSection} 
-      />
+        onSectionClick={setActiveSection}
+        activeSection={activeSection}
+        sectionHref={sectionHref}
+      >
+        <DataStatus online={online} lastRefresh={lastRefresh} queued={Boolean(refreshQueued)} />
+      </NavigationBar>
       <div className="dashboard">
         {loading ? (
           <div className="loading-state">
@@ -577,13 +928,14 @@ function App() {
         ) : error ? (
           <div className="error-state">
             <p>{error}</p>
-            <button onClick={() => fetchArticles()}>Retry</button>
+            <button onClick={() => syncArticles()}>Retry</button>
           </div>
         ) : (
           <>
             {activeSection === 'overview' && (
               <>
                 <HeroSection stats={{
+                  profileName: activeProfile.name,
                   totalArticles: articles.length,
                   topSubdomain: Object.entries(subdomainStats)
                     .reduce((max, [key, value]) => 
@@ -601,73 +953,294 @@ function App() {
               <>
                 <div className="charts-section">
                   <h2>Distribution by Radiology Subdomain</h2>
+                  {activeFacetCount(facetSelection) > 0 && (
+                    <p className="topic-model-meta">Showing the articles that match the Publications filters.</p>
+                  )}
                   <div className="chart-container">
                     <Pie data={chartData} options={chartOptions} />
                   </div>
                 </div>
-                <WeeklyStats articles={articles} />
+                <PublicationCalendar
+                  articles={facetedArticles}
+                  onSelectRange={(from, to) => {
+                    setDateRange([from, to]);
+                    setCurrentPage(1);
+                    setActiveSection('publications');
+                  }}
+                />
+                <JournalBreakdown breakdown={journalBreakdown(facetedArticles, journalLookup)} />
+                <TopicModelPanel
+                  status={topicModelStatus}
+                  topicModel={topicModel}
+                  correctionCount={Object.keys(corrections).length}
+                  onRetrain={() => retrainTopicModel(corrections)}
+                />
               </>
             )}
 
+            {activeSection === 'trends' && (
+              <TrendAnalytics
+                articles={facetedArticles}
+                dateWindowDays={activeProfile.dateWindowDays}
+                onSearchTerm={searchForTerm}
+              />
+            )}
+
+            {activeSection === 'compare' && (
+              <ComparisonView
+                articles={articles}
+                activeProfileId={activeProfile.id}
+                profiles={profiles}
+                loadProfileArticles={loadProfileArticles}
+                journalLookup={journalLookup}
+              />
+            )}
+
+            {activeSection === 'digest' && (
+              <DigestGenerator
+                articles={articles}
+                activeProfileId={activeProfile.id}
+                profiles={profiles}
+                loadProfileArticles={loadProfileArticles}
+                blendWeights={blendWeights}
+              />
+            )}
+
+            {activeSection === 'authors' && (
+              <AuthorAnalytics
+                authorIndex={authorIndex}
+                selectedAuthor={selectedAuthor}
+                onOpenAuthor={openAuthor}
+                onFilterPublications={filterByAuthor}
+              />
+            )}
+
+            {activeSection === 'evidence' && (
+              <EvidenceTable articles={filteredArticles} onOpen={setSelectedArticleId} />
+            )}
+
+            {activeSection === 'reading-list' && (
+              <ReadingList
+                list={readingList}
+                liveArticles={archivedByKey}
+                onChange={changeReadingListEntry}
+                onRemove={(article) => setReadingList(removeReadingListEntry(readingList, article))}
+                onImport={importIntoReadingList}
+              />
+            )}
+
+            {activeSection === 'profiles' && (
+              <QueryBuilder
+                profiles={profiles}
+                activeProfileId={activeProfile.id}
+                onSelect={selectProfile}
+                onSave={saveProfile}
+                onCreate={addProfile}
+                onDelete={deleteProfile}
+              />
+            )}
+
+            {activeSection === 'profiles' && (
+              <SourceSettings
+                sources={sourceAdapters}
+                enabledSources={enabledSources}
+                failures={sourceFailures}
+                onChange={updateEnabledSources}
+              />
+            )}
+
+            {activeSection === 'profiles' && (
+              <DuplicateReview
+                thresholds={dedupeThresholds}
+                reviews={duplicateReviews}
+                onThresholdsChange={updateDedupeThresholds}
+                onDecide={decideDuplicate}
+              />
+            )}
+
+            {activeSection === 'profiles' && (
+              <JournalRegistryEditor
+                journals={journals}
+                unmatched={journalBreakdown(articles, journalLookup).filter(journal => !journal.registered)}
+                onChange={updateJournals}
+                onImport={importJournals}
+              />
+            )}
+
             {activeSection === 'publications' && (
               <>
-                <div className="filters-container">
-                  <div className="date-range-picker">
-                    <DatePicker
-                      selectsRange={true}
-                      startDate={startDate}
-                      endDate={endDate}
-                      onChange={(update) => setDateRange(update)}
-                      isClearable={true}
-                      placeholderText="Select date range"
-                      className="date-picker"
+                <div className="publications-layout">
+                  <FacetSidebar
+                    facets={facets}
+                    selection={facetSelection}
+                    onToggle={toggleFacet}
+                    onClear={() => {
+                      setFacetSelection({});
+                      setCurrentPage(1);
+                    }}
+                  />
+                  <div className="publications-main">
+                    <div className="filters-container">
+                      <div className="date-range-picker">
+                        <DatePicker
+                          selectsRange={true}
+                          startDate={startDate}
+                          endDate={endDate}
+                          onChange={(update) => {
+                            setDateRange(update);
+                            setCurrentPage(1);
+                          }}
+                          isClearable={true}
+                          placeholderText="Select date range"
+                          className="date-picker"
+                        />
+                      </div>
+                      <div className="search-container">
+                        <input
+                          ref={searchInputRef}
+                          className="search-input"
+                          type="text"
+                          aria-label="Search articles"
+                          value={searchTerm}
+                          placeholder='Search articles, e.g. author:smith "deep learning" NOT review'
+                          title="Fields: title:, abstract:, author:, journal:, mesh:, keyword:, category:. Combine with AND, OR, NOT and parentheses; use quotes for phrases and * for prefixes."
+                          onChange={(e) => {
+                            setSearchTerm(e.target.value);
+                            setCurrentPage(1);
+                          }}
+                        />
+                      </div>
+                    </div>
+
+                    {authorFilter && (
+                      <div className="author-filter" role="status">
+                        Papers by{' '}
+                        <button className="author-link" onClick={() => openAuthor(authorFilter.id)}>
+                          {authorFilter.name}
+                        </button>
+                        <button
+                          className="author-filter-clear"
+                          aria-label="Clear author filter"
+                          onClick={() => {
+                            setSelectedAuthor(null);
+                            setCurrentPage(1);
+                          }}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    )}
+
+                    <RankingControls
+                      mode={rankingMode}
+                      searching={Boolean(searchResults)}
+                      weights={blendWeights}
+                      onModeChange={(mode) => {
+                        setSortMode(mode);
+                        setCurrentPage(1);
+                      }}
+                      onWeightsChange={updateBlendWeights}
                     />
-                  </div>
-                  <div className="search-container">
-                    <input
-                      className="search-input"
-                      type="text"
-                      value={searchTerm}
-                      placeholder="Search articles..."
-                      onChange={(e) => setSearchTerm(e.target.value)}
+
+                    <WhatsNew
+                      since={since}
+                      newCount={newCount}
+                      newOnly={newOnly}
+                      onNewOnlyChange={(checked) => {
+                        setNewOnly(checked);
+                        setCurrentPage(1);
+                      }}
+                      notify={notifyProfiles.includes(activeProfile.id)}
+                      notificationsAvailable={notificationsSupported()}
+                      onNotifyChange={updateNotify}
+                      articles={filteredArticles}
+                      feed={{
+                        title: `Radiology AI Dashboard: ${activeProfile.name}`,
+                        link: window.location.href
+                      }}
                     />
-                  </div>
-                </div>
 
-                <div className="subdomain-filters">
-                  {Object.keys(radiologySubdomains).map(domain => (
-                    <button
-                      key={domain}
-                      className={`subdomain-filter ${selectedSubdomain === domain ? 'active' : ''}`}
-                      onClick={() => setSelectedSubdomain(domain)}
-                    >
-                      {domain}
-                    </button>
-                  ))}
-                </div>
+                    <ExportMenu
+                      articles={filteredArticles}
+                      selectedIds={exportSelection}
+                      onClearSelection={() => setExportSelection(new Set())}
+                    />
 
-                <div className="articles-container">
-                  {currentArticles.map(article => (
-                    <ArticleCard key={article.uid} article={article} />
-                  ))}
-                </div>
+                    <div className="triage-bar">
+                      <span className="topic-model-meta">
+                        {filteredArticles.length} article{filteredArticles.length === 1 ? '' : 's'}
+                        {pageCount > 1 && `, page ${currentPage} of ${pageCount}`}
+                      </span>
+                      <button className="query-button" aria-haspopup="dialog" onClick={() => setShowShortcuts(true)}>
+                        Keyboard shortcuts (?)
+                      </button>
+                    </div>
+                    <div className="visually-hidden" role="status" aria-live="polite">{triageMessage}</div>
 
-                <div className="pagination">
-                  {Array.from({ length: pageCount }, (_, i) => (
-                    <button
-                      key={i + 1}
-                      className={`page-button ${currentPage === i + 1 ? 'active' : ''}`}
-                      onClick={() => setCurrentPage(i + 1)}
+                    <div
+                      className="articles-container"
+                      role="feed"
+                      aria-busy={loading}
+                      aria-label={`Publications, page ${currentPage} of ${Math.max(pageCount, 1)}`}
                     >
-                      {i + 1}
-                    </button>
-                  ))}
+                      {currentArticles.map((article, i) => (
+                        <ArticleCard
+                          key={article.uid}
+                          article={article}
+                          isCorrected={Boolean(corrections[article.uid])}
+                          onCorrect={correctSubdomains}
+                          onResetCorrection={resetCorrection}
+                          highlights={searchResults?.highlights}
+                          selected={exportSelection.has(article.uid)}
+                          onToggleSelected={toggleExportSelection}
+                          readingEntry={readingListEntry(readingList, article)}
+                          onToggleBookmark={toggleBookmark}
+                          onReadingListChange={changeReadingListEntry}
+                          isNew={isNewSince(article, since)}
+                          authorLinks={authorIndex.articleAuthors.get(article.uid)}
+                          onSelectAuthor={filterByAuthor}
+                          onOpen={(selected) => setSelectedArticleId(selected.uid)}
+                          position={{ index: (currentPage - 1) * articlesPerPage + i, total: filteredArticles.length }}
+                          focused={article.uid === focusedArticleId}
+                          onFocus={(focused) => setFocusedArticleId(focused.uid)}
+                          editNotesRequest={tagRequest?.uid === article.uid ? tagRequest.at : null}
+                        />
+                      ))}
+                    </div>
+
+                    <div className="pagination">
+                      {Array.from({ length: pageCount }, (_, i) => (
+                        <button
+                          key={i + 1}
+                          className={`page-button ${currentPage === i + 1 ? 'active' : ''}`}
+                          onClick={() => setCurrentPage(i + 1)}
+                        >
+                          {i + 1}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                 </div>
               </>
             )}
           </>
         )}
       </div>
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+      {selectedArticle && (
+        <ArticleDetail
+          article={selectedArticle}
+          position={selectedIndex >= 0 ? { index: selectedIndex, total: filteredArticles.length } : null}
+          onPrevious={selectedIndex > 0 ? () => openArticleAt(selectedIndex - 1) : null}
+          onNext={selectedIndex >= 0 && selectedIndex < filteredArticles.length - 1
+            ? () => openArticleAt(selectedIndex + 1)
+            : null}
+          onClose={() => setSelectedArticleId(null)}
+          loadRelated={loadRelated}
+          findArchived={(pmid) => archivedByPmid.get(pmid)}
+          onOpen={setSelectedArticleId}
+        />
+      )}
     </>
   );
 }
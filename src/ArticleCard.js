@@ -0,0 +1,266 @@
+import React, { useEffect, useRef, useState } from 'react';
+import SubdomainEditor from './SubdomainEditor';
+import ReadingListEditor from './ReadingListEditor';
+import { READ_STATUSES } from './readingListStore';
+import { highlightSegments, matchSnippet } from './searchIndex';
+import { METHOD_LABELS } from './topicModel';
+import { evidenceFacets } from './evidence';
+import { dateTimeAttribute, formatPublicationDate } from './dates';
+
+// Authors listed on a card before "+N more"
+const MAX_AUTHORS = 6;
+
+// Evidence shown as tags beside the study category; metrics and sizes are in the detail panel
+const CARD_FACETS = ['Modality', 'Design', 'Regulatory', 'Deployment'];
+
+// "Google Scholar" -> "google-scholar", matching the .article-source modifiers in App.css
+const sourceClassName = (source) => source.toLowerCase().replace(/\s+/g, '-');
+
+// "42 citations (RCR 3.2, 21/yr)"; RCR is the NIH relative citation ratio, 1.0 being field average
+const citationText = ({ citationCount, relativeCitationRatio, citationsPerYear }) => {
+  const details = [
+    relativeCitationRatio !== null && relativeCitationRatio !== undefined && `RCR ${relativeCitationRatio.toFixed(1)}`,
+    citationsPerYear > 0 && `${citationsPerYear}/yr`
+  ].filter(Boolean);
+  return `${citationCount} citation${citationCount === 1 ? '' : 's'}${details.length ? ` (${details.join(', ')})` : ''}`;
+};
+
+// Text with the search terms that matched it wrapped in <mark>
+const Highlighted = ({ text, terms }) => highlightSegments(text, terms).map((segment, i) => (
+  segment.match
+    ? <mark key={i} className="search-highlight">{segment.text}</mark>
+    : <React.Fragment key={i}>{segment.text}</React.Fragment>
+));
+
+const ArticleCard = ({
+  article,
+  isCorrected,
+  onCorrect,
+  onResetCorrection,
+  highlights,
+  selected,
+  onToggleSelected,
+  readingEntry,
+  onToggleBookmark,
+  onReadingListChange,
+  isNew,
+  authorLinks,
+  onSelectAuthor,
+  onOpen,
+  position,
+  focused,
+  onFocus,
+  editNotesRequest
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [editingNotes, setEditingNotes] = useState(false);
+  const cardRef = useRef(null);
+  const readStatus = readingEntry && READ_STATUSES.find(status => status.id === readingEntry.status);
+  const abstractSnippet = matchSnippet(article.abstract, highlights?.abstract);
+  const authorsMatched = highlights?.authors.size > 0;
+  // Cards open the detail panel where there is one, and the source's page otherwise
+  const open = () => (onOpen ? onOpen(article) : window.open(article.link, '_blank', 'noopener,noreferrer'));
+  const titleId = `article-title-${article.uid}`;
+
+  // Keyboard triage moves focus from card to card
+  useEffect(() => {
+    if (focused && !cardRef.current.contains(document.activeElement)) {
+      cardRef.current.focus();
+      cardRef.current.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [focused]);
+
+  // t in triage opens the reading-list editor at its tags
+  useEffect(() => {
+    if (editNotesRequest) setEditingNotes(true);
+  }, [editNotesRequest]);
+
+  // Focusing the card first lets the editor's fields save on blur
+  const closeNotes = () => {
+    cardRef.current.focus();
+    setEditingNotes(false);
+  };
+
+  return (
+    <article 
+      ref={cardRef}
+      className={`article-card ${focused ? 'focused' : ''}`}
+      tabIndex="0"
+      aria-labelledby={titleId}
+      aria-posinset={position && position.index + 1}
+      aria-setsize={position && position.total}
+      onFocus={() => onFocus && onFocus(article)}
+      onClick={open}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' && e.target === e.currentTarget) open();
+      }}
+    >
+      <div className="article-tags">
+        {onToggleSelected && (
+          <input
+            type="checkbox"
+            className="article-select"
+            aria-label="Select for export"
+            checked={Boolean(selected)}
+            onClick={(e) => e.stopPropagation()}
+            onChange={() => onToggleSelected(article)}
+          />
+        )}
+        {isNew && (
+          <span className="article-new" title={`First seen ${new Date(article.firstSeen).toLocaleString()}`}>
+            New
+          </span>
+        )}
+        <span className="article-category">
+          <Highlighted text={article.category || 'General'} terms={highlights?.category} />
+        </span>
+        {evidenceFacets(article.evidence)
+          .filter(facet => CARD_FACETS.includes(facet.facet))
+          .map(facet => (
+            <span key={`${facet.facet}-${facet.label}`} className="article-evidence" title={facet.sentence}>
+              {facet.label}
+            </span>
+          ))}
+        {(article.subdomains || []).map(({ subdomain, confidence, method }) => (
+          <span
+            key={subdomain}
+            className="article-subdomain"
+            title={`${Math.round(confidence * 100)}% confidence${method ? ` (${METHOD_LABELS[method]})` : ''}`}
+          >
+            {subdomain}
+          </span>
+        ))}
+        {readStatus && (
+          <button
+            className={`article-reading-status ${readingEntry.status}`}
+            aria-expanded={editingNotes}
+            title={readingEntry.note || 'Edit status, tags and notes'}
+            disabled={!onReadingListChange}
+            onClick={(e) => {
+              e.stopPropagation();
+              setEditingNotes(!editingNotes);
+            }}
+          >
+            {readStatus.label}
+          </button>
+        )}
+        {(readingEntry?.tags || []).map(tag => (
+          <span key={tag} className="article-reading-tag">#{tag}</span>
+        ))}
+        {onToggleBookmark && (
+          <button
+            className={`article-bookmark ${readingEntry ? 'active' : ''}`}
+            aria-label={readingEntry ? 'Remove from my list' : 'Add to my list'}
+            aria-pressed={Boolean(readingEntry)}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleBookmark(article);
+            }}
+          >
+            {readingEntry ? '★' : '☆'}
+          </button>
+        )}
+        {onCorrect && (
+          <button
+            className="article-edit-subdomains"
+            aria-label="Correct subdomains"
+            aria-expanded={editing}
+            onClick={(e) => {
+              e.stopPropagation();
+              setEditing(!editing);
+            }}
+          >
+            ✎
+          </button>
+        )}
+      </div>
+      {editing && (
+        <SubdomainEditor
+          article={article}
+          isCorrected={isCorrected}
+          onSave={(subdomains) => {
+            onCorrect(article, subdomains);
+            setEditing(false);
+          }}
+          onReset={() => {
+            onResetCorrection(article);
+            setEditing(false);
+          }}
+          onClose={() => setEditing(false)}
+        />
+      )}
+      {editingNotes && readingEntry && onReadingListChange && (
+        <ReadingListEditor
+          entry={readingEntry}
+          onChange={(changes) => onReadingListChange(article, changes)}
+          focusTags={editNotesRequest}
+          onClose={closeNotes}
+        />
+      )}
+      <h3 className="article-title" id={titleId}>
+        <Highlighted text={article.title} terms={highlights?.title} />
+      </h3>
+      {onSelectAuthor && authorLinks ? (
+        <p className="article-authors">
+          {authorLinks.slice(0, MAX_AUTHORS).map(({ id, name }, index) => (
+            <React.Fragment key={index}>
+              {index > 0 && ', '}
+              {id ? (
+                <button
+                  className="author-link"
+                  title="Show this author's papers"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onSelectAuthor(id);
+                  }}
+                >
+                  <Highlighted text={name} terms={highlights?.authors} />
+                </button>
+              ) : <Highlighted text={name} terms={highlights?.authors} />}
+            </React.Fragment>
+          ))}
+          {authorLinks.length > MAX_AUTHORS && ` +${authorLinks.length - MAX_AUTHORS} more`}
+        </p>
+      ) : authorsMatched && (
+        <p className="article-authors">
+          <Highlighted text={(article.authors || []).join(', ')} terms={highlights.authors} />
+        </p>
+      )}
+      {abstractSnippet && (
+        <p className="article-snippet">
+          <Highlighted text={abstractSnippet} terms={highlights.abstract} />
+        </p>
+      )}
+      <div className="article-sources">
+        {[...new Set((article.sources || [{ source: article.source }]).map(({ source }) => source))]
+          .filter(Boolean)
+          .map(source => (
+            <span key={source} className={`article-source ${sourceClassName(source)}`}>
+              {source}
+            </span>
+          ))}
+      </div>
+      <div className="article-meta">
+        <span className="article-journal">
+          <Highlighted text={article.journal || article.source} terms={highlights?.journal} />
+          {article.citationCount > 0 && ` • ${citationText(article)}`}
+        </span>
+        {article.mergedFrom > 1 && (
+          <span
+            className="article-merged"
+            title={article.sources
+              .map(source => `${source.source} (${source.version}${source.date ? `, ${source.date}` : ''})`)
+              .join('\n')}
+          >
+            Merged from {article.mergedFrom} sources
+          </span>
+        )}
+        <time dateTime={dateTimeAttribute(article.publicationDate)}>
+          {formatPublicationDate(article.publicationDate)}
+        </time>
+      </div>
+    </article>
+  );
+};
+
+export default ArticleCard;
@@ -0,0 +1,269 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { METHOD_LABELS } from './topicModel';
+import { evidenceFacets } from './evidence';
+import { SourceSentence } from './EvidenceTable';
+import { isTyping } from './triage';
+
+// Related articles per uid, kept for the page load so stepping back and forth is instant
+const relatedCache = new Map();
+
+const FIELD_LABELS = {
+  title: 'title',
+  keywords: 'author keyword',
+  mesh: 'MeSH heading',
+  abstract: 'abstract',
+  journal: 'journal'
+};
+
+// "METHODS: We trained..." -> { label: 'METHODS', text: 'We trained...' }
+const abstractSections = (abstract) => abstract.split('\n').filter(Boolean).map(line => {
+  const match = line.match(/^([A-Z][A-Za-z ,&/-]{0,40}): (.*)$/);
+  return match ? { label: match[1], text: match[2] } : { label: null, text: line };
+});
+
+const RelatedArticles = ({ article, loadRelated, findArchived, onOpen }) => {
+  const [state, setState] = useState(() => relatedCache.get(article.uid) || { status: 'loading', items: [] });
+
+  useEffect(() => {
+    const cached = relatedCache.get(article.uid);
+    if (cached) {
+      setState(cached);
+      return undefined;
+    }
+    let cancelled = false;
+    setState({ status: 'loading', items: [] });
+    loadRelated(article)
+      .then(items => {
+        const next = { status: 'ready', items };
+        relatedCache.set(article.uid, next);
+        if (!cancelled) setState(next);
+      })
+      .catch(error => {
+        console.error('Error loading related articles:', error);
+        if (!cancelled) setState({ status: 'error', items: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [article, loadRelated]);
+
+  if (state.status === 'loading') return <p className="topic-model-meta">Loading related articles...</p>;
+  if (state.status === 'error') return <p className="source-warning">Related articles couldn't be loaded.</p>;
+  if (state.items.length === 0) {
+    return <p className="topic-model-meta">{article.pmid ? 'PubMed lists no related articles.' : 'Related articles come from PubMed and need a PMID.'}</p>;
+  }
+  return (
+    <ol className="article-detail-related">
+      {state.items.map(item => {
+        const archived = findArchived(item.pmid);
+        return (
+          <li key={item.pmid}>
+            {archived ? (
+              <button className="author-link" onClick={() => onOpen(archived.uid)}>{item.title}</button>
+            ) : (
+              <a href={item.link} target="_blank" rel="noopener noreferrer">{item.title}</a>
+            )}
+            <span className="topic-model-meta">
+              {[item.journal, item.publicationDate].filter(Boolean).join(', ')}
+              {archived && ' \u2022 in the dashboard'}
+            </span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+// Why each label was given: the study-category keywords and each subdomain's evidence
+const ClassificationReasons = ({ article }) => (
+  <ul className="article-detail-reasons">
+    <li>
+      <strong>{article.category}</strong>
+      {': '}
+      {article.categoryKeywords && article.categoryKeywords.length > 0
+        ? `the title or abstract mentions ${article.categoryKeywords.map(keyword => `"${keyword}"`).join(', ')}`
+        : 'no study-type keyword in the title or abstract'}
+    </li>
+    {(article.subdomains || []).map(({ subdomain, confidence, method, evidence = [] }) => (
+      <li key={subdomain}>
+        <strong>{subdomain}</strong>
+        {`: ${Math.round(confidence * 100)}% confidence`}
+        {method && `, ${METHOD_LABELS[method]}`}
+        {evidence.length > 0
+          ? `; matched ${evidence.map(({ field, term }) => `"${term}" in the ${FIELD_LABELS[field] || field}`).join(', ')}`
+          : method === 'model' && '; no keyword rule matched, the model decided on the wording as a whole'}
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * Everything the dashboard knows about one article, over the current section.
+ * Left and right arrow keys step through the current filtered list and Escape closes.
+ */
+const ArticleDetail = ({
+  article,
+  position,
+  onPrevious,
+  onNext,
+  onClose,
+  loadRelated,
+  findArchived,
+  onOpen
+}) => {
+  const panelRef = useRef(null);
+
+  // Focus the panel on open and hand focus back to where it was on close
+  useEffect(() => {
+    const returnFocus = document.activeElement;
+    return () => returnFocus?.focus?.();
+  }, []);
+
+  useEffect(() => {
+    panelRef.current?.focus();
+  }, [article.uid]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target)) return;
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft' && onPrevious) onPrevious();
+      else if (e.key === 'ArrowRight' && onNext) onNext();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onPrevious, onNext, onClose]);
+
+  const affiliations = article.affiliations || [];
+  const facets = evidenceFacets(article.evidence);
+  const sources = [...new Set((article.sources || [{ source: article.source }]).map(({ source }) => source))]
+    .filter(Boolean);
+
+  return (
+    <div className="article-detail-backdrop" onClick={onClose}>
+      <section
+        className="article-detail"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="article-detail-title"
+        tabIndex="-1"
+        ref={panelRef}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="article-detail-nav">
+          <button className="query-button" disabled={!onPrevious} onClick={onPrevious} title={'Previous article (\u2190)'}>
+            {'\u2190 Previous'}
+          </button>
+          <span className="topic-model-meta">
+            {position ? `${position.index + 1} of ${position.total}` : 'Not in the current list'}
+          </span>
+          <button className="query-button" disabled={!onNext} onClick={onNext} title={'Next article (\u2192)'}>
+            {'Next \u2192'}
+          </button>
+          <button className="author-filter-clear" aria-label="Close details" onClick={onClose}>
+            {'\u00d7'}
+          </button>
+        </div>
+
+        <h2 id="article-detail-title">{article.title}</h2>
+        <p className="topic-model-meta">
+          {[article.journal || article.source, article.publicationDate, article.publicationStatus]
+            .filter(Boolean)
+            .join(' \u2022 ')}
+        </p>
+
+        <div className="article-detail-links">
+          {article.link && <a href={article.link} target="_blank" rel="noopener noreferrer">Open at {article.source}</a>}
+          {article.doi && <a href={`https://doi.org/${article.doi}`} target="_blank" rel="noopener noreferrer">doi:{article.doi}</a>}
+          {article.pmid && <span>PMID {article.pmid}</span>}
+          {sources.length > 1 && <span>Found in {sources.join(', ')}</span>}
+        </div>
+
+        <h3>Abstract</h3>
+        {article.abstract ? abstractSections(article.abstract).map((section, i) => (
+          <p key={i} className="article-detail-abstract">
+            {section.label && <strong>{section.label}: </strong>}
+            {section.text}
+          </p>
+        )) : <p className="topic-model-meta">No abstract available.</p>}
+
+        <h3>Authors</h3>
+        {(article.authorDetails || []).length === 0 ? (
+          <p className="topic-model-meta">No authors listed.</p>
+        ) : (
+          <>
+            <p className="article-detail-authors">
+              {article.authorDetails.map((author, i) => (
+                <React.Fragment key={i}>
+                  {i > 0 && ', '}
+                  {author.name}
+                  {author.affiliations.length > 0 && (
+                    <sup>{author.affiliations.map(affiliation => affiliations.indexOf(affiliation) + 1).join(',')}</sup>
+                  )}
+                </React.Fragment>
+              ))}
+            </p>
+            {affiliations.length > 0 && (
+              <ol className="article-detail-affiliations">
+                {affiliations.map(affiliation => <li key={affiliation}>{affiliation}</li>)}
+              </ol>
+            )}
+          </>
+        )}
+
+        <h3>Why these categories</h3>
+        <ClassificationReasons article={article} />
+
+        <h3>Study evidence</h3>
+        {facets.length === 0 ? (
+          <p className="topic-model-meta">No modality, design, dataset size or metric found in the abstract.</p>
+        ) : (
+          <dl className="article-detail-evidence">
+            {facets.map(facet => (
+              <React.Fragment key={`${facet.facet}-${facet.label}`}>
+                <dt>{facet.label}</dt>
+                <dd><SourceSentence sentence={facet.sentence} match={facet.match} /></dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+
+        {[
+          ['MeSH headings', article.meshTerms],
+          ['Keywords', article.keywords],
+          ['Publication types', article.publicationTypes]
+        ].filter(([, terms]) => terms && terms.length > 0).map(([heading, terms]) => (
+          <React.Fragment key={heading}>
+            <h3>{heading}</h3>
+            <div className="article-detail-terms">
+              {terms.map(term => <span key={term} className="article-subdomain">{term}</span>)}
+            </div>
+          </React.Fragment>
+        ))}
+
+        {(article.grants || []).length > 0 && (
+          <>
+            <h3>Funding</h3>
+            <ul className="article-detail-grants">
+              {article.grants.map((grant, i) => (
+                <li key={i}>{[grant.agency, grant.id, grant.country].filter(Boolean).join(', ')}</li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <h3>Related articles</h3>
+        <RelatedArticles
+          article={article}
+          loadRelated={loadRelated}
+          findArchived={findArchived}
+          onOpen={onOpen}
+        />
+      </section>
+    </div>
+  );
+};
+
+export default ArticleDetail;
@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import ArticleCard from './ArticleCard';
+import CoauthorNetwork from './CoauthorNetwork';
+import { coauthorNetwork } from './authorIndex';
+import { parseDateParts } from './dates';
+
+const TOP_COUNT = 15;
+
+// Newest first; partial dates ("2023 Winter") sort as the start of their year or month
+const byPublicationDate = (a, b) => {
+  const [yearA = 0, monthA = 0, dayA = 0] = parseDateParts(a.publicationDate);
+  const [yearB = 0, monthB = 0, dayB = 0] = parseDateParts(b.publicationDate);
+  return yearB - yearA || monthB - monthA || dayB - dayA;
+};
+
+const papers = (count) => `${count} ${count === 1 ? 'paper' : 'papers'}`;
+
+const AuthorProfile = ({ author, authorIndex, onOpenAuthor, onFilterPublications }) => (
+  <section className="author-profile" aria-label={`Author profile: ${author.name}`}>
+    <div className="reading-list-header">
+      <h2>{author.name}</h2>
+      <div className="query-builder-actions">
+        <button className="query-button" onClick={() => onOpenAuthor(null)}>All authors</button>
+        <button className="query-button primary" onClick={() => onFilterPublications(author.id)}>
+          Show in Publications
+        </button>
+      </div>
+    </div>
+    <p className="topic-model-meta">
+      {papers(author.articleIds.size)} in the dashboard
+      {author.variants.length > 0 && `; also listed as ${author.variants.join(', ')}`}
+    </p>
+
+    <div className="author-columns">
+      <div>
+        <h3>Institutions</h3>
+        {author.institutions.length === 0 ? (
+          <p className="topic-model-meta">No affiliations recorded.</p>
+        ) : (
+          <ul className="author-ranking">
+            {author.institutions.map(({ name, count }) => (
+              <li key={name}><span>{name}</span><span>{papers(count)}</span></li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div>
+        <h3>Co-authors</h3>
+        {author.coauthors.length === 0 ? (
+          <p className="topic-model-meta">No co-authors in the dashboard.</p>
+        ) : (
+          <ul className="author-ranking">
+            {author.coauthors.slice(0, TOP_COUNT).map(({ id, count }) => (
+              <li key={id}>
+                <button className="author-link" onClick={() => onOpenAuthor(id)}>{authorIndex.byId.get(id).name}</button>
+                <span>{count} shared</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+
+    <h3>Papers</h3>
+    <div className="articles-container">
+      {[...author.articles].sort(byPublicationDate).map(article => (
+        <ArticleCard key={article.uid} article={article} />
+      ))}
+    </div>
+  </section>
+);
+
+// Most prolific authors and institutions, the co-authorship network and author profiles
+const AuthorAnalytics = ({ authorIndex, selectedAuthor, onOpenAuthor, onFilterPublications }) => {
+  const [query, setQuery] = useState('');
+  const network = useMemo(() => coauthorNetwork(authorIndex), [authorIndex]);
+  const author = selectedAuthor && authorIndex.byId.get(selectedAuthor);
+
+  if (author) {
+    return (
+      <AuthorProfile
+        author={author}
+        authorIndex={authorIndex}
+        onOpenAuthor={onOpenAuthor}
+        onFilterPublications={onFilterPublications}
+      />
+    );
+  }
+
+  const needle = query.trim().toLowerCase();
+  const listed = needle
+    ? authorIndex.authors.filter(({ name, variants }) => [name, ...variants].some(n => n.toLowerCase().includes(needle)))
+    : authorIndex.authors;
+
+  return (
+    <section className="author-analytics" aria-label="Authors">
+      <h2>Authors and Institutions</h2>
+      <p className="topic-model-meta">
+        {authorIndex.authors.length} authors from {authorIndex.institutions.length} institutions.
+        {' '}Name variants such as initials and accents are merged into one author.
+      </p>
+
+      <div className="author-columns">
+        <div>
+          <h3>Most prolific authors</h3>
+          <input
+            className="search-input"
+            type="text"
+            value={query}
+            placeholder="Find an author..."
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <ol className="author-ranking">
+            {listed.slice(0, TOP_COUNT).map(({ id, name, articleIds, institutions }) => (
+              <li key={id}>
+                <span>
+                  <button className="author-link" onClick={() => onOpenAuthor(id)}>{name}</button>
+                  {institutions[0] && <span className="author-institution">{institutions[0].name}</span>}
+                </span>
+                <span>{papers(articleIds.size)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+        <div>
+          <h3>Top institutions</h3>
+          <ol className="author-ranking">
+            {authorIndex.institutions.slice(0, TOP_COUNT).map(({ key, name, count }) => (
+              <li key={key}><span>{name}</span><span>{papers(count)}</span></li>
+            ))}
+          </ol>
+        </div>
+      </div>
+
+      <h3>Co-authorship network</h3>
+      <p className="topic-model-meta">
+        The {network.nodes.length} most prolific authors with co-authors; colours mark collaboration clusters.
+      </p>
+      <CoauthorNetwork network={network} onSelect={onOpenAuthor} />
+    </section>
+  );
+};
+
+export default AuthorAnalytics;
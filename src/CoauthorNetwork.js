@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { layoutNetwork } from './authorIndex';
+
+const WIDTH = 720;
+const HEIGHT = 480;
+const CLUSTER_COLORS = ['#37DBFF', '#B66DFF', '#34D399', '#FFB547', '#FF6B6B', '#7C9CFF', '#F472B6', '#A3E635'];
+
+// Co-authorship graph of the most prolific authors, coloured by collaboration cluster.
+// Node size follows paper count and line width the number of shared papers.
+const CoauthorNetwork = ({ network, onSelect }) => {
+  const positions = useMemo(() => layoutNetwork(network, { width: WIDTH, height: HEIGHT }), [network]);
+  const maxCount = Math.max(1, ...network.nodes.map(node => node.count));
+
+  if (network.nodes.length === 0) {
+    return <p className="topic-model-meta">No co-authored papers yet.</p>;
+  }
+
+  return (
+    <svg className="coauthor-network" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Co-authorship network">
+      {network.links.map(({ source, target, weight }) => (
+        <line
+          key={`${source}|${target}`}
+          x1={positions[source].x}
+          y1={positions[source].y}
+          x2={positions[target].x}
+          y2={positions[target].y}
+          strokeWidth={Math.min(weight, 4)}
+          className="coauthor-link"
+        />
+      ))}
+      {network.nodes.map(node => {
+        const { x, y } = positions[node.id];
+        const radius = 5 + 9 * Math.sqrt(node.count / maxCount);
+        return (
+          <g
+            key={node.id}
+            className="coauthor-node"
+            transform={`translate(${x}, ${y})`}
+            tabIndex="0"
+            role="button"
+            aria-label={`${node.name}, ${node.count} papers`}
+            onClick={() => onSelect(node.id)}
+            onKeyDown={(e) => e.key === 'Enter' && onSelect(node.id)}
+          >
+            <title>{`${node.name} (${node.count} papers, cluster ${node.cluster + 1})`}</title>
+            <circle r={radius} fill={CLUSTER_COLORS[node.cluster % CLUSTER_COLORS.length]} />
+            <text y={radius + 12} textAnchor="middle">{node.name}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default CoauthorNetwork;
@@ -0,0 +1,312 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import DatePicker from 'react-datepicker';
+import {
+  SIDE_NAMES,
+  compareSides,
+  comparisonCsv,
+  describeSide,
+  emptySide,
+  filterSide,
+  quarterSides
+} from './comparison';
+import { journalBreakdown } from './journalRegistry';
+import { radiologySubdomains } from './subdomainClassifier';
+import { downloadBlob, downloadFile } from './download';
+
+const SIDE_COLORS = ['#37DBFF', '#B66DFF'];
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+const signed = (value, format = String) => `${value > 0 ? '+' : ''}${format(value)}`;
+
+// Side A's bars point left and side B's right, so the two distributions mirror each other
+const mirroredOptions = (byShare) => ({
+  indexAxis: 'y',
+  responsive: true,
+  maintainAspectRatio: false,
+  scales: {
+    x: {
+      stacked: true,
+      grid: { color: 'rgba(255, 255, 255, 0.1)' },
+      ticks: {
+        color: '#ffffff',
+        callback: (value) => (byShare ? percent(Math.abs(value)) : Math.abs(value))
+      }
+    },
+    y: {
+      stacked: true,
+      grid: { display: false },
+      ticks: { color: '#ffffff' }
+    }
+  },
+  plugins: {
+    legend: { labels: { color: '#ffffff' } },
+    tooltip: {
+      callbacks: {
+        label: (item) => `${item.dataset.label}: ${byShare ? percent(Math.abs(item.parsed.x)) : Math.abs(item.parsed.x)}`
+      }
+    }
+  }
+});
+
+// The chart on the dashboard's background, so the PNG reads outside the dark theme too
+const saveChartImage = (chart, filename) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = chart.canvas.width;
+  canvas.height = chart.canvas.height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#24242D';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(chart.canvas, 0, 0);
+  canvas.toBlob(blob => downloadBlob(blob, filename), 'image/png');
+};
+
+const SideFilters = ({ name, side, profiles, journals, onChange }) => (
+  <fieldset className="comparison-side">
+    <legend>Side {name}</legend>
+    <select
+      className="profile-select"
+      aria-label={`Side ${name} profile`}
+      value={side.profileId}
+      onChange={(e) => onChange({ ...side, profileId: e.target.value, journal: null })}
+    >
+      {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+    </select>
+    <DatePicker
+      selectsRange={true}
+      startDate={side.startDate}
+      endDate={side.endDate}
+      onChange={([startDate, endDate]) => onChange({ ...side, startDate, endDate })}
+      isClearable={true}
+      placeholderText="Any date"
+      className="date-picker"
+    />
+    <select
+      className="profile-select"
+      aria-label={`Side ${name} subdomain`}
+      value={side.subdomain || ''}
+      onChange={(e) => onChange({ ...side, subdomain: e.target.value || null })}
+    >
+      <option value="">All subdomains</option>
+      {Object.keys(radiologySubdomains).map(subdomain => <option key={subdomain} value={subdomain}>{subdomain}</option>)}
+    </select>
+    <select
+      className="profile-select"
+      aria-label={`Side ${name} journal`}
+      value={side.journal || ''}
+      onChange={(e) => onChange({ ...side, journal: e.target.value || null })}
+    >
+      <option value="">All journals</option>
+      {journals.map(journal => <option key={journal.name} value={journal.name}>{journal.name} ({journal.count})</option>)}
+    </select>
+  </fieldset>
+);
+
+/**
+ * Two filter sets side by side: mirrored subdomain charts, count and share differences,
+ * and each side's top journals and distinctive terms, exportable as PNG or CSV.
+ * Profiles other than the active one are read from their archives.
+ */
+const ComparisonView = ({ articles, activeProfileId, profiles, loadProfileArticles, journalLookup }) => {
+  const [sides, setSides] = useState(() => quarterSides(activeProfileId));
+  const [byShare, setByShare] = useState(true);
+  const [loaded, setLoaded] = useState({});
+  const chartRef = useRef(null);
+
+  // Archives of the other profiles either side uses
+  const otherProfiles = [...new Set(sides.map(side => side.profileId))]
+    .filter(id => id !== activeProfileId)
+    .join(',');
+  useEffect(() => {
+    let cancelled = false;
+    otherProfiles.split(',').filter(Boolean).forEach(profileId => {
+      loadProfileArticles(profileId)
+        .then(list => {
+          if (!cancelled) setLoaded(current => ({ ...current, [profileId]: list }));
+        })
+        .catch(error => console.error('Error loading profile archive:', error));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [otherProfiles, loadProfileArticles]);
+
+  // Each side's profile articles, undefined while an archive is loading
+  const sources = useMemo(
+    () => sides.map(side => (side.profileId === activeProfileId ? articles : loaded[side.profileId])),
+    [sides, activeProfileId, articles, loaded]
+  );
+  const comparison = useMemo(() => (sources.every(Boolean)
+    ? compareSides(sides.map((side, i) => filterSide(sources[i], side, journalLookup)), journalLookup)
+    : null), [sides, sources, journalLookup]);
+  const journalOptions = useMemo(
+    () => sources.map(list => (list ? journalBreakdown(list, journalLookup) : [])),
+    [sources, journalLookup]
+  );
+
+  const updateSide = (index, side) => setSides(sides.map((current, i) => (i === index ? side : current)));
+
+  const fileName = (extension) => `comparison-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  return (
+    <div className="charts-section">
+      <div className="trend-header">
+        <h2>Compare</h2>
+        <div className="query-builder-actions">
+          <button className="query-button" onClick={() => setSides(quarterSides(activeProfileId))}>
+            This quarter vs last
+          </button>
+          <button className="query-button" onClick={() => setSides([emptySide(activeProfileId), emptySide(activeProfileId)])}>
+            Reset
+          </button>
+        </div>
+      </div>
+
+      <div className="comparison-sides">
+        {sides.map((side, i) => (
+          <SideFilters
+            key={SIDE_NAMES[i]}
+            name={SIDE_NAMES[i]}
+            side={side}
+            profiles={profiles}
+            journals={journalOptions[i]}
+            onChange={(next) => updateSide(i, next)}
+          />
+        ))}
+      </div>
+
+      {!comparison ? (
+        <p className="topic-model-meta">Loading the profile archives...</p>
+      ) : (
+        <>
+          <div className="comparison-totals">
+            {sides.map((side, i) => (
+              <div key={SIDE_NAMES[i]} className="quick-stat">
+                <div className="quick-stat-value" style={{ color: SIDE_COLORS[i] }}>{comparison.totals[i]}</div>
+                <div className="quick-stat-label">{SIDE_NAMES[i]}: {describeSide(side, profiles)}</div>
+              </div>
+            ))}
+            <div className="quick-stat">
+              <div className="quick-stat-value">
+                {signed(comparison.totals[1] - comparison.totals[0])}
+              </div>
+              <div className="quick-stat-label">
+                B vs A{comparison.growth !== null && ` (${signed(comparison.growth, percent)})`}
+              </div>
+            </div>
+          </div>
+
+          <div className="trend-header">
+            <h3>Articles by subdomain</h3>
+            <div className="query-builder-actions">
+              <select
+                className="profile-select"
+                aria-label="Chart values"
+                value={byShare ? 'share' : 'count'}
+                onChange={(e) => setByShare(e.target.value === 'share')}
+              >
+                <option value="share">Share of each side</option>
+                <option value="count">Article counts</option>
+              </select>
+              <button className="query-button" onClick={() => chartRef.current && saveChartImage(chartRef.current, fileName('png'))}>
+                Save image
+              </button>
+              <button
+                className="query-button"
+                onClick={() => downloadFile(`\ufeff${comparisonCsv(comparison, sides, profiles)}`, fileName('csv'), 'text/csv')}
+              >
+                Download CSV
+              </button>
+            </div>
+          </div>
+          <div className="chart-container">
+            <Bar
+              ref={chartRef}
+              data={{
+                labels: comparison.subdomains.map(row => row.subdomain),
+                datasets: SIDE_NAMES.map((name, i) => ({
+                  label: `${name}: ${describeSide(sides[i], profiles)}`,
+                  data: comparison.subdomains.map(row => (i === 0 ? -1 : 1) * (byShare ? row.shares[i] : row.counts[i])),
+                  backgroundColor: SIDE_COLORS[i]
+                }))
+              }}
+              options={mirroredOptions(byShare)}
+            />
+          </div>
+
+          <table className="trend-table">
+            <thead>
+              <tr>
+                <th>Subdomain</th>
+                <th>A</th>
+                <th>A share</th>
+                <th>B</th>
+                <th>B share</th>
+                <th>Count change</th>
+                <th>Share change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.subdomains.map(row => (
+                <tr key={row.subdomain}>
+                  <td>{row.subdomain}</td>
+                  <td>{row.counts[0]}</td>
+                  <td>{percent(row.shares[0])}</td>
+                  <td>{row.counts[1]}</td>
+                  <td>{percent(row.shares[1])}</td>
+                  <td className={`trend-change ${row.countDifference > 0 ? 'up' : row.countDifference < 0 ? 'down' : ''}`}>
+                    {signed(row.countDifference)}
+                  </td>
+                  <td className={`trend-change ${row.shareDifference > 0 ? 'up' : row.shareDifference < 0 ? 'down' : ''}`}>
+                    {signed(Math.round(row.shareDifference * 1000) / 10)} pts
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td>All articles</td>
+                <td>{comparison.totals[0]}</td>
+                <td />
+                <td>{comparison.totals[1]}</td>
+                <td />
+                <td>{signed(comparison.totals[1] - comparison.totals[0])}</td>
+                <td />
+              </tr>
+            </tbody>
+          </table>
+
+          <div className="comparison-sides">
+            {SIDE_NAMES.map((name, i) => (
+              <div key={name}>
+                <h3>Top journals in {name}</h3>
+                {comparison.topJournals[i].length === 0 ? (
+                  <p className="topic-model-meta">No articles.</p>
+                ) : (
+                  <ul className="author-ranking">
+                    {comparison.topJournals[i].map(journal => (
+                      <li key={journal.name}><span>{journal.name}</span><span>{journal.count}</span></li>
+                    ))}
+                  </ul>
+                )}
+                <h3>Terms more common in {name}</h3>
+                {comparison.terms[i].length === 0 ? (
+                  <p className="topic-model-meta">No term stands out against {SIDE_NAMES[1 - i]}.</p>
+                ) : (
+                  <ol className="emerging-terms">
+                    {comparison.terms[i].map(term => (
+                      <li key={term.term}>
+                        <span>{term.term}</span>
+                        <span className="topic-model-meta">{term.current} vs {term.previous}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonView;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { dataFreshness } from './backgroundRefresh';
+
+const LABELS = {
+  live: 'Live',
+  stale: 'Stale',
+  offline: 'Offline'
+};
+
+const formatSynced = (syncedAt) => new Date(syncedAt).toLocaleString(undefined, {
+  day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// Whether the shown articles are today's, when they last synced and whether a refresh
+// is waiting for the connection
+const DataStatus = ({ online, lastRefresh, queued }) => {
+  const freshness = dataFreshness({ online, lastRefresh });
+  const details = [
+    lastRefresh ? `Last synced ${formatSynced(lastRefresh)}` : 'Not synced yet',
+    queued && 'refresh queued until the connection returns'
+  ].filter(Boolean).join(', ');
+  return (
+    <div className={`data-status ${freshness}`} role="status" title={details}>
+      <span className="data-status-dot" aria-hidden="true" />
+      <span>{LABELS[freshness]}</span>
+      <span className="data-status-details">{details}</span>
+    </div>
+  );
+};
+
+export default DataStatus;
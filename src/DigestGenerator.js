@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import Chart from 'chart.js/auto';
+import DatePicker from 'react-datepicker';
+import { buildDigest, digestHtml, digestMarkdown, digestText, lastWeek } from './digest';
+import { dayKey } from './dates';
+import { downloadFile } from './download';
+
+// Darker than the dashboard's chart colours, for a white page
+const PRINT_COLORS = ['#005F73', '#0A9396', '#94D2BD', '#EE9B00', '#CA6702', '#BB3E03', '#AE2012', '#9B2226', '#3D405B'];
+
+// White behind the chart, since the page (or an email client) may not be
+const whiteBackground = {
+  id: 'whiteBackground',
+  beforeDraw: (chart) => {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+};
+
+// Draw a chart on a detached canvas and return it as a PNG data URL
+const chartImage = (config, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const chart = new Chart(canvas, {
+    ...config,
+    options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 },
+    plugins: [whiteBackground]
+  });
+  const image = chart.toBase64Image('image/png');
+  chart.destroy();
+  return image;
+};
+
+const pieImage = (digest) => chartImage({
+  type: 'pie',
+  data: {
+    labels: Object.keys(digest.subdomainStats),
+    datasets: [{ data: Object.values(digest.subdomainStats), backgroundColor: PRINT_COLORS }]
+  },
+  options: {
+    plugins: {
+      title: { display: true, text: 'Articles by subdomain', color: '#1a1a1a' },
+      legend: { position: 'right', labels: { color: '#1a1a1a' } }
+    }
+  }
+}, 380, 260);
+
+const trendImage = (digest) => chartImage({
+  type: 'line',
+  data: {
+    labels: digest.trend.periods.map(period => period.label),
+    datasets: digest.trend.series.map((row, i) => ({
+      label: row.subdomain,
+      data: row.counts,
+      borderColor: PRINT_COLORS[i % PRINT_COLORS.length],
+      backgroundColor: PRINT_COLORS[i % PRINT_COLORS.length],
+      fill: true
+    }))
+  },
+  options: {
+    scales: {
+      x: { ticks: { color: '#1a1a1a' } },
+      y: { stacked: true, ticks: { color: '#1a1a1a' } }
+    },
+    plugins: {
+      title: { display: true, text: 'Articles per week, last 12 weeks', color: '#1a1a1a' },
+      legend: { labels: { color: '#1a1a1a', boxWidth: 12 } }
+    }
+  }
+}, 380, 260);
+
+/**
+ * The department digest for a profile and date window (last week by default): a preview
+ * of the print-ready page, printing, and downloads as HTML, Markdown or plain text.
+ * Profiles other than the active one are read from their archives.
+ */
+const DigestGenerator = ({ articles, activeProfileId, profiles, loadProfileArticles, blendWeights }) => {
+  const [profileId, setProfileId] = useState(activeProfileId);
+  const [dateRange, setDateRange] = useState(() => {
+    const week = lastWeek();
+    return [week.start, week.end];
+  });
+  const [startDate, endDate] = dateRange;
+  const [result, setResult] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generate = async () => {
+    setGenerating(true);
+    setError(null);
+    try {
+      const source = profileId === activeProfileId ? articles : await loadProfileArticles(profileId);
+      const digest = buildDigest(source, {
+        start: startDate,
+        end: endDate,
+        profileName: profiles.find(profile => profile.id === profileId).name,
+        weights: blendWeights
+      });
+      const charts = digest.total > 0 ? { pie: pieImage(digest), trend: trendImage(digest) } : {};
+      setResult({ digest, html: digestHtml(digest, charts) });
+    } catch (error) {
+      console.error('Error generating the digest:', error);
+      setError('Could not generate the digest. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const fileName = (extension) => `radiology-ai-digest-${dayKey(result.digest.start)}.${extension}`;
+
+  const print = () => {
+    const url = URL.createObjectURL(new Blob([result.html], { type: 'text/html;charset=utf-8' }));
+    const page = window.open(url, '_blank');
+    if (!page) {
+      setError('The print view was blocked. Allow pop-ups for this site, or download the HTML and print it.');
+      return;
+    }
+    page.addEventListener('load', () => {
+      page.print();
+      URL.revokeObjectURL(url);
+    });
+  };
+
+  return (
+    <div className="charts-section">
+      <div className="trend-header">
+        <h2>Digest</h2>
+      </div>
+      <div className="digest-options">
+        <select
+          className="profile-select"
+          aria-label="Digest profile"
+          value={profileId}
+          onChange={(e) => setProfileId(e.target.value)}
+        >
+          {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+        </select>
+        <DatePicker
+          selectsRange={true}
+          startDate={startDate}
+          endDate={endDate}
+          onChange={setDateRange}
+          placeholderText="Select date range"
+          className="date-picker"
+        />
+        <button
+          className="query-button"
+          onClick={() => {
+            const week = lastWeek();
+            setDateRange([week.start, week.end]);
+          }}
+        >
+          Last week
+        </button>
+        <button
+          className="query-button primary"
+          disabled={generating || !startDate || !endDate}
+          onClick={generate}
+        >
+          {generating ? 'Generating...' : 'Generate digest'}
+        </button>
+      </div>
+      {error && <p className="source-warning">{error}</p>}
+
+      {result && (
+        <>
+          <div className="trend-header">
+            <p className="topic-model-meta">
+              {result.digest.total} article{result.digest.total === 1 ? '' : 's'} from{' '}
+              {dayKey(result.digest.start)} to {dayKey(result.digest.end)}, {result.digest.previousTotal} in the period before.
+            </p>
+            <div className="query-builder-actions">
+              <button className="query-button" onClick={print}>Print</button>
+              <button className="query-button" onClick={() => downloadFile(result.html, fileName('html'), 'text/html')}>
+                Download HTML
+              </button>
+              <button
+                className="query-button"
+                onClick={() => downloadFile(digestMarkdown(result.digest), fileName('md'), 'text/markdown')}
+              >
+                Download Markdown
+              </button>
+              <button
+                className="query-button"
+                onClick={() => downloadFile(digestText(result.digest), fileName('txt'), 'text/plain')}
+              >
+                Download text
+              </button>
+            </div>
+          </div>
+          <iframe
+            className="digest-preview"
+            title="Digest preview"
+            sandbox="allow-popups allow-popups-to-escape-sandbox"
+            srcDoc={result.html}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DigestGenerator;
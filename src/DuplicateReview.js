@@ -0,0 +1,68 @@
+import React from 'react';
+
+const THRESHOLD_FIELDS = [
+  { key: 'title', label: 'Title similarity for a match' },
+  { key: 'author', label: 'Author overlap for a match' },
+  { key: 'review', label: 'Title similarity to flag for review' }
+];
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const RecordSummary = ({ record }) => (
+  <div className="duplicate-record">
+    <a href={record.link} target="_blank" rel="noopener noreferrer">{record.title}</a>
+    <span className="topic-model-meta">
+      {record.source} • {(record.authors || []).slice(0, 3).join(', ')}
+      {record.publicationDate && ` • ${record.publicationDate}`}
+    </span>
+  </div>
+);
+
+// Match thresholds and the list of borderline duplicate pairs awaiting a decision
+const DuplicateReview = ({ thresholds, reviews, onThresholdsChange, onDecide }) => (
+  <section className="duplicate-review" aria-label="Duplicate review">
+    <h2>Duplicate Detection</h2>
+    <div className="duplicate-thresholds">
+      {THRESHOLD_FIELDS.map(({ key, label }) => (
+        <label key={key} className="query-field">
+          <span className="query-field-label">{label}: {percent(thresholds[key])}</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={thresholds[key]}
+            onChange={(e) => onThresholdsChange({ ...thresholds, [key]: parseFloat(e.target.value) })}
+          />
+        </label>
+      ))}
+    </div>
+
+    <h3>Possible duplicates ({reviews.length})</h3>
+    {reviews.length === 0 ? (
+      <p className="topic-model-meta">No borderline matches to review.</p>
+    ) : (
+      <ul className="duplicate-list">
+        {reviews.map(review => (
+          <li key={review.key} className="duplicate-pair">
+            <RecordSummary record={review.a} />
+            <RecordSummary record={review.b} />
+            <span className="topic-model-meta">
+              Title {percent(review.titleSimilarity)} similar, authors {percent(review.authorSimilarity)} shared
+            </span>
+            <div className="query-builder-actions">
+              <button className="query-button primary" onClick={() => onDecide(review.key, 'merge')}>
+                Merge
+              </button>
+              <button className="query-button" onClick={() => onDecide(review.key, 'separate')}>
+                Keep separate
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </section>
+);
+
+export default DuplicateReview;
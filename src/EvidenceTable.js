@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import {
+  METRICS,
+  formatDatasetSize,
+  formatMetric,
+  headlineMetric
+} from './evidence';
+
+// A source sentence with the extracted text marked
+export const SourceSentence = ({ sentence, match }) => {
+  const start = match ? sentence.indexOf(match) : -1;
+  if (start < 0) return <q>{sentence}</q>;
+  return (
+    <q>
+      {sentence.slice(0, start)}
+      <mark className="search-highlight">{match}</mark>
+      {sentence.slice(start + match.length)}
+    </q>
+  );
+};
+
+// Each column's cell values ({ label, sentence, match }) and the value it sorts by.
+// Numeric columns sort largest first; empty cells always sort last.
+const COLUMNS = [
+  {
+    id: 'modality',
+    label: 'Modality',
+    values: (evidence) => evidence.modalities.map(item => ({ ...item, label: item.value })),
+    sortValue: (evidence) => evidence.modalities.map(item => item.value).join(', ') || null
+  },
+  {
+    id: 'design',
+    label: 'Design',
+    values: (evidence) => evidence.designs.map(item => ({ ...item, label: item.value })),
+    sortValue: (evidence) => evidence.designs.map(item => item.value).join(', ') || null
+  },
+  {
+    id: 'size',
+    label: 'Dataset size',
+    numeric: true,
+    values: (evidence) => (evidence.datasetSize
+      ? [{ ...evidence.datasetSize, label: formatDatasetSize(evidence.datasetSize) }]
+      : []),
+    sortValue: (evidence) => evidence.datasetSize?.value ?? null
+  },
+  ...METRICS.map(({ id, label }) => ({
+    id,
+    label,
+    numeric: true,
+    values: (evidence) => {
+      const metric = headlineMetric(evidence, id);
+      return metric ? [{ ...metric, label: formatMetric(metric.value) }] : [];
+    },
+    sortValue: (evidence) => headlineMetric(evidence, id)?.value ?? null
+  })),
+  {
+    id: 'regulatory',
+    label: 'FDA / deployment',
+    values: (evidence) => [
+      evidence.fda && { ...evidence.fda, label: 'FDA' },
+      evidence.deployment && { ...evidence.deployment, label: 'Deployed' }
+    ].filter(Boolean),
+    sortValue: (evidence) => (evidence.fda ? 2 : 0) + (evidence.deployment ? 1 : 0) || null
+  }
+];
+
+const compareValues = (a, b) => (typeof a === 'number' ? a - b : String(a).localeCompare(String(b)));
+
+// Modality, design, dataset size, metrics and regulatory status for every listed article.
+// Click a header to sort and a value to see the sentence it was read from.
+const EvidenceTable = ({ articles, onOpen }) => {
+  const [sort, setSort] = useState({ column: null, descending: true });
+  const [source, setSource] = useState(null);
+
+  const rows = useMemo(() => {
+    const column = COLUMNS.find(option => option.id === sort.column);
+    if (!column) return articles;
+    const direction = sort.descending ? -1 : 1;
+    return [...articles].sort((a, b) => {
+      const [x, y] = [column.sortValue(a.evidence), column.sortValue(b.evidence)];
+      if (x === null || y === null) return (x === null) - (y === null);
+      return direction * compareValues(x, y);
+    });
+  }, [articles, sort]);
+
+  const sortBy = (column) => setSort(current => (current.column === column.id
+    ? { column: column.id, descending: !current.descending }
+    : { column: column.id, descending: Boolean(column.numeric) }));
+
+  const withEvidence = articles.filter(article => COLUMNS.some(column => column.sortValue(article.evidence) !== null)).length;
+
+  return (
+    <div className="charts-section">
+      <h2>Study Evidence</h2>
+      <p className="topic-model-meta">
+        Read from the title and abstract of the {articles.length} articles matching the current filters;
+        {` ${withEvidence}`} report at least one value. Metrics show the first value each abstract reports.
+      </p>
+      <div className="evidence-table-container">
+        <table className="trend-table evidence-table">
+          <thead>
+            <tr>
+              <th>Article</th>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.id}
+                  aria-sort={sort.column !== column.id ? 'none' : sort.descending ? 'descending' : 'ascending'}
+                >
+                  <button className="evidence-sort" onClick={() => sortBy(column)}>
+                    {column.label}
+                    {sort.column === column.id && (sort.descending ? ' \u25bc' : ' \u25b2')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(article => (
+              <React.Fragment key={article.uid}>
+                <tr>
+                  <td>
+                    <button className="author-link" onClick={() => onOpen(article.uid)}>{article.title}</button>
+                  </td>
+                  {COLUMNS.map(column => (
+                    <td key={column.id}>
+                      {column.values(article.evidence).map((value, i) => {
+                        const id = `${article.uid}:${column.id}:${i}`;
+                        return (
+                          <button
+                            key={id}
+                            className={`evidence-value ${source?.id === id ? 'active' : ''}`}
+                            aria-expanded={source?.id === id}
+                            title={value.sentence}
+                            onClick={() => setSource(source?.id === id ? null : { id, uid: article.uid, ...value })}
+                          >
+                            {value.label}
+                          </button>
+                        );
+                      })}
+                    </td>
+                  ))}
+                </tr>
+                {source?.uid === article.uid && (
+                  <tr className="evidence-source">
+                    <td colSpan={COLUMNS.length + 1}>
+                      <SourceSentence sentence={source.sentence} match={source.match} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default EvidenceTable;
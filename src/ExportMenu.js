@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from './citationExport';
+import { downloadFile } from './download';
+
+// Exports the checked articles, or every article in the current filtered list if none are checked
+const ExportMenu = ({ articles, selectedIds, onClearSelection }) => {
+  const [formatId, setFormatId] = useState(EXPORT_FORMATS[0].id);
+  const selected = articles.filter(article => selectedIds.has(article.uid));
+  const toExport = selected.length > 0 ? selected : articles;
+
+  const exportArticles = () => {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(format.format(toExport), `radiology-ai-${date}.${format.extension}`, format.mimeType);
+  };
+
+  return (
+    <div className="export-menu">
+      <select
+        className="profile-select"
+        value={formatId}
+        aria-label="Export format"
+        onChange={(e) => setFormatId(e.target.value)}
+      >
+        {EXPORT_FORMATS.map(format => (
+          <option key={format.id} value={format.id}>{format.label}</option>
+        ))}
+      </select>
+      <button
+        className="query-button primary"
+        disabled={toExport.length === 0}
+        onClick={exportArticles}
+      >
+        Export {selected.length > 0 ? `${selected.length} selected` : `all ${articles.length}`}
+      </button>
+      {selected.length > 0 && (
+        <button className="query-button" onClick={onClearSelection}>
+          Clear selection
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { activeFacetCount } from './facets';
+
+// Values listed before "Show all"; picked values are always listed
+const VISIBLE_VALUES = 8;
+
+const FacetGroup = ({ facet, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? facet.values : facet.values.filter((option, i) => i < VISIBLE_VALUES || option.selected);
+
+  return (
+    <fieldset className="facet-group">
+      <legend>{facet.label}</legend>
+      {shown.map(option => (
+        <label key={option.value} className="facet-option">
+          <input
+            type="checkbox"
+            checked={option.selected}
+            disabled={!option.selected && option.count === 0}
+            onChange={() => onToggle(facet.id, option.value)}
+          />
+          <span className="facet-value">{option.value}</span>
+          <span className="facet-count">{option.count}</span>
+        </label>
+      ))}
+      {facet.values.length > VISIBLE_VALUES && (
+        <button className="author-link" aria-expanded={expanded} onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${facet.values.length}`}
+        </button>
+      )}
+    </fieldset>
+  );
+};
+
+/**
+ * Facets of the publication list with a live count per value. Ticking several values in
+ * one facet widens the list to any of them; ticking values in several facets narrows it.
+ */
+const FacetSidebar = ({ facets, selection, onToggle, onClear }) => {
+  const active = activeFacetCount(selection);
+  return (
+    <aside className="facet-sidebar" aria-label="Filters">
+      <div className="facet-sidebar-header">
+        <h3>Filters</h3>
+        {active > 0 && (
+          <button className="query-button" onClick={onClear}>Clear all ({active})</button>
+        )}
+      </div>
+      {facets.map(facet => <FacetGroup key={facet.id} facet={facet} onToggle={onToggle} />)}
+    </aside>
+  );
+};
+
+export default FacetSidebar;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+
+const JOURNALS_SHOWN = 15;
+
+// Bar colours by registry tier; journals without an entry are grey
+const TIER_COLORS = { 1: '#37DBFF', 2: '#B66DFF', 3: '#34D399' };
+const UNRANKED_COLOR = 'rgba(255, 255, 255, 0.35)';
+
+const chartOptions = {
+  indexAxis: 'y',
+  responsive: true,
+  maintainAspectRatio: false,
+  scales: {
+    x: {
+      grid: { color: 'rgba(255, 255, 255, 0.1)' },
+      ticks: { color: '#ffffff', precision: 0 }
+    },
+    y: {
+      grid: { display: false },
+      ticks: { color: '#ffffff' }
+    }
+  },
+  plugins: {
+    legend: { display: false }
+  }
+};
+
+// Articles per journal for the current filters, coloured by journal tier
+const JournalBreakdown = ({ breakdown }) => {
+  const shown = breakdown.slice(0, JOURNALS_SHOWN);
+  return (
+    <div className="charts-section">
+      <h2>Articles by Journal</h2>
+      <div className="chart-container journal-breakdown">
+        <Bar
+          data={{
+            labels: shown.map(journal => journal.name),
+            datasets: [{
+              label: 'Articles',
+              data: shown.map(journal => journal.count),
+              backgroundColor: shown.map(journal => TIER_COLORS[journal.tier] || UNRANKED_COLOR)
+            }]
+          }}
+          options={chartOptions}
+        />
+      </div>
+      <p className="topic-model-meta">
+        {breakdown.length > JOURNALS_SHOWN && `Top ${JOURNALS_SHOWN} of ${breakdown.length} journals. `}
+        Colours show journal tier 1, 2 and 3; grey journals are not in the registry.
+      </p>
+    </div>
+  );
+};
+
+export default JournalBreakdown;
@@ -0,0 +1,158 @@
+import React, { useRef, useState } from 'react';
+import { downloadFile } from './download';
+import { DEFAULT_JOURNALS, JOURNAL_TIERS, exportJournalRegistry, normalizeJournal } from './journalRegistry';
+
+const UNMATCHED_SHOWN = 10;
+
+// One editable registry entry. Text fields save when they lose focus.
+const JournalRow = ({ journal, onChange, onRemove }) => {
+  const [draft, setDraft] = useState({
+    ...journal,
+    issns: journal.issns.join(', '),
+    aliases: journal.aliases.join('; '),
+    impactFactor: journal.impactFactor ?? ''
+  });
+
+  const save = (changes = {}) => {
+    const next = normalizeJournal({ ...draft, ...changes });
+    // A journal needs a name; clearing it puts the old one back
+    if (!next) {
+      setDraft({ ...draft, name: journal.name });
+      return;
+    }
+    if (JSON.stringify(next) !== JSON.stringify(journal)) onChange(next);
+  };
+
+  const field = (key, label, props = {}) => (
+    <input
+      className="query-textarea"
+      aria-label={label}
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+      onBlur={() => save()}
+      onKeyDown={(e) => e.key === 'Enter' && save()}
+      {...props}
+    />
+  );
+
+  return (
+    <tr>
+      <td>{field('name', 'Journal name')}</td>
+      <td>{field('abbreviation', 'Abbreviation')}</td>
+      <td>{field('issns', 'ISSNs', { placeholder: '0033-8419, 1527-1315' })}</td>
+      <td>{field('aliases', 'Aliases', { placeholder: 'Separate with ;' })}</td>
+      <td>
+        <select
+          className="profile-select"
+          aria-label="Tier"
+          value={draft.tier || ''}
+          onChange={(e) => {
+            setDraft({ ...draft, tier: e.target.value });
+            save({ tier: e.target.value });
+          }}
+        >
+          <option value="">Unranked</option>
+          {JOURNAL_TIERS.map(tier => <option key={tier.id} value={tier.id}>{tier.label}</option>)}
+        </select>
+      </td>
+      <td>{field('impactFactor', 'Impact factor', { inputMode: 'decimal', size: 5 })}</td>
+      <td>
+        <button className="query-button" aria-label={`Remove ${journal.name}`} onClick={onRemove}>×</button>
+      </td>
+    </tr>
+  );
+};
+
+// The journal registry behind journal-tier ranking: edit entries, add journals seen in
+// the archive but not yet registered, and import or export the whole list
+const JournalRegistryEditor = ({ journals, unmatched, onChange, onImport }) => {
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const importFile = async (file) => {
+    try {
+      const { imported, skipped } = onImport(await file.text(), file.name);
+      setMessage(`Imported ${imported} journal${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} without a name` : ''}.`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+    fileInput.current.value = '';
+  };
+
+  const exportRegistry = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportJournalRegistry(journals), `radiology-ai-journals-${date}.json`, 'application/json');
+  };
+
+  return (
+    <section className="journal-registry" aria-label="Journal registry">
+      <div className="reading-list-header">
+        <h2>Journals</h2>
+        <div className="query-builder-actions">
+          <button className="query-button" onClick={() => fileInput.current.click()}>Import JSON or CSV</button>
+          <button className="query-button" onClick={exportRegistry}>Export JSON</button>
+          <button className="query-button" onClick={() => onChange(DEFAULT_JOURNALS)}>Reset to defaults</button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json,text/csv,.csv"
+            hidden
+            onChange={(e) => e.target.files[0] && importFile(e.target.files[0])}
+          />
+        </div>
+      </div>
+      <p className="topic-model-meta">
+        Articles are matched to journals by ISSN, full name, abbreviation or alias. CSV files need a
+        header row with a name column, and may add abbreviation, issn, aliases, tier and impact factor.
+      </p>
+      {message && <p className="source-warning" role="status">{message}</p>}
+
+      <div className="journal-registry-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Abbreviation</th>
+              <th>ISSNs</th>
+              <th>Aliases</th>
+              <th>Tier</th>
+              <th>Impact factor</th>
+              <th aria-label="Remove" />
+            </tr>
+          </thead>
+          <tbody>
+            {journals.map((journal, index) => (
+              <JournalRow
+                key={`${index}-${journal.name}`}
+                journal={journal}
+                onChange={(next) => onChange(journals.map((j, i) => (i === index ? next : j)))}
+                onRemove={() => onChange(journals.filter((_, i) => i !== index))}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {unmatched.length > 0 && (
+        <>
+          <h3>Journals in the archive without an entry</h3>
+          <ul className="author-ranking">
+            {unmatched.slice(0, UNMATCHED_SHOWN).map(({ name, count }) => (
+              <li key={name}>
+                <span>{name} ({count})</span>
+                <button
+                  className="query-button"
+                  onClick={() => onChange([...journals, normalizeJournal({ name })])}
+                >
+                  Add
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default JournalRegistryEditor;
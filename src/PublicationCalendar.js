@@ -0,0 +1,97 @@
+import React, { useMemo, useState } from 'react';
+import CalendarHeatmap from 'react-calendar-heatmap';
+import 'react-calendar-heatmap/dist/styles.css';
+import { Tooltip } from 'react-tooltip';
+import 'react-tooltip/dist/react-tooltip.css';
+import { calendarDays, intensity } from './calendarData';
+
+const TOOLTIP_ID = 'publication-calendar-tooltip';
+
+// A year of publication and epub dates. Click a day, or drag across several, to list
+// those articles in Publications.
+const PublicationCalendar = ({ articles, onSelectRange }) => {
+  const [today] = useState(() => new Date());
+  const [drag, setDrag] = useState(null);
+
+  const start = useMemo(() => new Date(today.getFullYear(), today.getMonth(), today.getDate() - 364), [today]);
+  const days = useMemo(() => calendarDays(articles, start, today), [articles, start, today]);
+  const byKey = useMemo(() => new Map(days.map(day => [day.key, day])), [days]);
+  // The heatmap places values by whole days since its start, which lands a day early
+  // after a daylight saving change unless the time is away from midnight
+  const values = useMemo(() => days.map(day => ({
+    ...day,
+    date: new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate(), 12)
+  })), [days]);
+  const max = Math.max(0, ...days.map(day => day.count));
+  const total = days.reduce((sum, day) => sum + day.count, 0);
+
+  const inDrag = (date) => {
+    if (!drag) return false;
+    const [from, to] = [drag.from, drag.to].sort((a, b) => a - b);
+    return date >= from && date <= to;
+  };
+
+  const finishDrag = () => {
+    if (!drag) return;
+    const [from, to] = [drag.from, drag.to].sort((a, b) => a - b);
+    setDrag(null);
+    onSelectRange(from, to);
+  };
+
+  const renderTooltip = ({ content }) => {
+    const day = byKey.get(content);
+    if (!day) return null;
+    return (
+      <div className="calendar-tooltip">
+        <strong>{day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</strong>
+        <div>
+          {day.published} published, {day.epub} online first
+        </div>
+        {day.titles.length > 0 && (
+          <ul>
+            {day.titles.map(title => <li key={title}>{title}</li>)}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <section className="publication-calendar" aria-label="Publication calendar">
+      <h2>Publication Calendar</h2>
+      <p className="topic-model-meta">
+        {total} publication and epub dates in the last year. Click a day or drag across a range to see those articles.
+      </p>
+      <div className="publication-calendar-grid" onMouseLeave={() => setDrag(null)}>
+        <CalendarHeatmap
+          startDate={new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)}
+          endDate={today}
+          values={values}
+          showWeekdayLabels={true}
+          classForValue={(value) => (value && value.count > 0
+            ? `color-scale-${intensity(value.count, max)}`
+            : 'color-empty')}
+          tooltipDataAttrs={(value) => (value && value.key
+            ? { 'data-tooltip-id': TOOLTIP_ID, 'data-tooltip-content': value.key }
+            : {})}
+          transformDayElement={(rect, value) => {
+            if (!value || !byKey.has(value.key)) return rect;
+            const { date } = byKey.get(value.key);
+            return React.cloneElement(rect, {
+              className: `${rect.props.className} ${inDrag(date) ? 'calendar-day-selected' : ''}`,
+              onMouseDown: (e) => {
+                e.preventDefault();
+                setDrag({ from: date, to: date });
+              },
+              onMouseEnter: () => drag && setDrag({ ...drag, to: date }),
+              onMouseUp: finishDrag
+            });
+          }}
+        />
+      </div>
+      <Tooltip id={TOOLTIP_ID} render={renderTooltip} />
+    </section>
+  );
+};
+
+export default PublicationCalendar;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DATE_WINDOWS, PUBLICATION_TYPES, buildSearchQuery } from './searchProfiles';
+
+const toLines = (terms) => terms.join('\n');
+const fromLines = (text) => text.split('\n').map(term => term.trim()).filter(Boolean);
+
+const TERM_FIELDS = ['meshTerms', 'keywords', 'requiredTerms', 'journals'];
+
+const termTextOf = (profile) => Object.fromEntries(
+  TERM_FIELDS.map(field => [field, toLines(profile[field] || [])])
+);
+
+const TermListField = ({ label, hint, value, onChange }) => (
+  <label className="query-field">
+    <span className="query-field-label">{label}</span>
+    <textarea
+      className="query-textarea"
+      rows={4}
+      value={value}
+      placeholder={hint}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  </label>
+);
+
+// Panel for choosing, editing and saving named search profiles
+const QueryBuilder = ({ profiles, activeProfileId, onSelect, onSave, onCreate, onDelete }) => {
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  const [draft, setDraft] = useState(activeProfile);
+  // Term lists are edited as raw text so a trailing newline isn't swallowed mid-typing
+  const [termText, setTermText] = useState(() => termTextOf(activeProfile));
+
+  const resetDraft = useCallback(() => {
+    setDraft(activeProfile);
+    setTermText(termTextOf(activeProfile));
+  }, [activeProfile]);
+
+  useEffect(resetDraft, [resetDraft]);
+
+  const updateTerms = (field) => (text) => {
+    setTermText(current => ({ ...current, [field]: text }));
+    setDraft(current => ({ ...current, [field]: fromLines(text) }));
+  };
+
+  const toggleExcludedType = (type) => {
+    setDraft(current => ({
+      ...current,
+      excludedPublicationTypes: current.excludedPublicationTypes.includes(type)
+        ? current.excludedPublicationTypes.filter(t => t !== type)
+        : [...current.excludedPublicationTypes, type]
+    }));
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(activeProfile);
+
+  return (
+    <section className="query-builder" aria-label="Search profiles">
+      <div className="query-builder-header">
+        <h2>Search Profiles</h2>
+        <div className="query-builder-actions">
+          <select
+            className="profile-select"
+            value={activeProfile.id}
+            onChange={(e) => onSelect(e.target.value)}
+            aria-label="Active profile"
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+          <button className="query-button" onClick={onCreate}>New profile</button>
+          <button
+            className="query-button"
+            onClick={() => onDelete(activeProfile.id)}
+            disabled={profiles.length < 2}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <label className="query-field">
+        <span className="query-field-label">Profile name</span>
+        <input
+          className="search-input"
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+      </label>
+
+      <div className="query-builder-grid">
+        <TermListField
+          label="MeSH terms (any)"
+          hint="One MeSH heading per line"
+          value={termText.meshTerms}
+          onChange={updateTerms('meshTerms')}
+        />
+        <TermListField
+          label="Title/abstract keywords (any)"
+          hint="One keyword or phrase per line"
+          value={termText.keywords}
+          onChange={updateTerms('keywords')}
+        />
+        <TermListField
+          label="Must also mention (any)"
+          hint="Leave empty to skip"
+          value={termText.requiredTerms}
+          onChange={updateTerms('requiredTerms')}
+        />
+        <TermListField
+          label="Journals (any)"
+          hint="Leave empty to search all journals"
+          value={termText.journals}
+          onChange={updateTerms('journals')}
+        />
+      </div>
+
+      <fieldset className="query-field">
+        <legend className="query-field-label">Exclude publication types</legend>
+        <div className="query-checkboxes">
+          {PUBLICATION_TYPES.map(type => (
+            <label key={type} className="query-checkbox">
+              <input
+                type="checkbox"
+                checked={draft.excludedPublicationTypes.includes(type)}
+                onChange={() => toggleExcludedType(type)}
+              />
+              {type}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="query-field">
+        <span className="query-field-label">Date window</span>
+        <select
+          className="profile-select"
+          value={draft.dateWindowDays ?? ''}
+          onChange={(e) => setDraft({
+            ...draft,
+            dateWindowDays: e.target.value ? parseInt(e.target.value, 10) : null
+          })}
+        >
+          {DATE_WINDOWS.map(option => (
+            <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="query-preview">
+        <span className="query-field-label">PubMed query preview</span>
+        <pre>{buildSearchQuery(draft)}</pre>
+      </div>
+
+      <div className="query-builder-actions">
+        <button className="query-button primary" onClick={() => onSave(draft)} disabled={!isDirty}>
+          Save and search
+        </button>
+        <button className="query-button" onClick={resetDraft} disabled={!isDirty}>
+          Discard changes
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default QueryBuilder;
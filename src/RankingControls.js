@@ -0,0 +1,42 @@
+import React from 'react';
+import { DEFAULT_BLEND_WEIGHTS, MATCH_MODE, RANKING_MODES } from './articleRanking';
+
+const WEIGHT_LABELS = {
+  recency: 'Recency',
+  relevance: 'PubMed relevance',
+  journal: 'Journal tier',
+  citations: 'Citations'
+};
+
+// Ranking mode for the publication list, with the blend weights when the blend is chosen
+const RankingControls = ({ mode, searching, weights, onModeChange, onWeightsChange }) => (
+  <div className="ranking-controls">
+    <label className="query-field">
+      <span className="query-field-label">Sort by</span>
+      <select className="profile-select" value={mode} onChange={(e) => onModeChange(e.target.value)}>
+        {(searching ? [MATCH_MODE, ...RANKING_MODES] : RANKING_MODES).map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+    {mode === 'blend' && (
+      <div className="ranking-weights">
+        {Object.keys(DEFAULT_BLEND_WEIGHTS).map(key => (
+          <label key={key} className="query-field">
+            <span className="query-field-label">{WEIGHT_LABELS[key]}: {Math.round(weights[key] * 100)}%</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={weights[key]}
+              onChange={(e) => onWeightsChange({ ...weights, [key]: parseFloat(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default RankingControls;
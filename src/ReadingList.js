@@ -0,0 +1,102 @@
+import React, { useRef, useState } from 'react';
+import ArticleCard from './ArticleCard';
+import ReadingListEditor from './ReadingListEditor';
+import { downloadFile } from './download';
+import { READ_STATUSES, exportReadingList, readingListTags } from './readingListStore';
+
+// "My list": bookmarked articles with their own filters, plus JSON import/export for sharing
+const ReadingList = ({ list, liveArticles, onChange, onRemove, onImport }) => {
+  const [status, setStatus] = useState('');
+  const [tag, setTag] = useState('');
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const entries = Object.entries(list)
+    .filter(([, entry]) => !status || entry.status === status)
+    .filter(([, entry]) => !tag || entry.tags.includes(tag))
+    .filter(([, entry]) => !text || `${entry.article.title} ${entry.note}`.toLowerCase().includes(text.toLowerCase()))
+    .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const exportList = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportReadingList(list), `radiology-ai-reading-list-${date}.json`, 'application/json');
+  };
+
+  const importFile = async (file) => {
+    try {
+      const { imported, skipped } = onImport(await file.text());
+      setMessage(`Imported ${imported} article${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} invalid` : ''}.`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+    fileInput.current.value = '';
+  };
+
+  return (
+    <section className="reading-list" aria-label="My list">
+      <div className="reading-list-header">
+        <h2>My list ({Object.keys(list).length})</h2>
+        <div className="query-builder-actions">
+          <button className="query-button" onClick={() => fileInput.current.click()}>Import JSON</button>
+          <button className="query-button" disabled={Object.keys(list).length === 0} onClick={exportList}>
+            Export JSON
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => e.target.files[0] && importFile(e.target.files[0])}
+          />
+        </div>
+      </div>
+      {message && <p className="source-warning" role="status">{message}</p>}
+
+      <div className="filters-container">
+        <select className="profile-select" value={status} aria-label="Filter by status" onChange={(e) => setStatus(e.target.value)}>
+          <option value="">All statuses</option>
+          {READ_STATUSES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        <select className="profile-select" value={tag} aria-label="Filter by tag" onChange={(e) => setTag(e.target.value)}>
+          <option value="">All tags</option>
+          {readingListTags(list).map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <input
+          className="search-input"
+          type="text"
+          value={text}
+          placeholder="Search titles and notes..."
+          onChange={(e) => setText(e.target.value)}
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="reading-list-empty">
+          {Object.keys(list).length === 0
+            ? 'Bookmark articles with ☆ in Publications to add them here.'
+            : 'No articles match these filters.'}
+        </p>
+      ) : (
+        <div className="articles-container">
+          {entries.map(([key, entry]) => {
+            const article = liveArticles.get(key) || entry.article;
+            return (
+              <div key={key} className="reading-list-item">
+                <ArticleCard article={article} readingEntry={entry} />
+                <ReadingListEditor
+                  key={entry.updatedAt}
+                  entry={entry}
+                  onChange={(changes) => onChange(article, changes)}
+                  onRemove={() => onRemove(article)}
+                />
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReadingList;
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { READ_STATUSES } from './readingListStore';
+
+// Status, tags and notes for a bookmarked article. Tags and notes save when the field loses focus.
+// Opened from the keyboard it starts in the tags field, and Escape closes it.
+const ReadingListEditor = ({ entry, onChange, onRemove, focusTags, onClose }) => {
+  const [tags, setTags] = useState(entry.tags.join(', '));
+  const [note, setNote] = useState(entry.note);
+  const tagsRef = useRef(null);
+
+  useEffect(() => {
+    if (focusTags) tagsRef.current?.focus();
+  }, [focusTags]);
+
+  const saveTags = () => {
+    const next = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (next.join(',') !== entry.tags.join(',')) onChange({ tags: next });
+  };
+
+  return (
+    <div
+      className="reading-list-editor"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape' && onClose) onClose();
+      }}
+    >
+      <div className="reading-list-status" role="radiogroup" aria-label="Read status">
+        {READ_STATUSES.map(status => (
+          <button
+            key={status.id}
+            role="radio"
+            aria-checked={entry.status === status.id}
+            className={`query-button ${entry.status === status.id ? 'primary' : ''}`}
+            onClick={() => onChange({ status: status.id })}
+          >
+            {status.label}
+          </button>
+        ))}
+      </div>
+      <label className="query-field">
+        <span className="query-field-label">Tags (comma-separated)</span>
+        <input
+          ref={tagsRef}
+          className="query-textarea"
+          value={tags}
+          placeholder="journal club, dbt"
+          onChange={(e) => setTags(e.target.value)}
+          onBlur={saveTags}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') saveTags();
+          }}
+        />
+      </label>
+      <label className="query-field">
+        <span className="query-field-label">Notes</span>
+        <textarea
+          className="query-textarea"
+          rows={3}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onBlur={() => note !== entry.note && onChange({ note })}
+        />
+      </label>
+      {onRemove && (
+        <div className="query-builder-actions">
+          <button className="query-button" onClick={onRemove}>Remove from my list</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingListEditor;
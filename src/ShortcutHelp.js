@@ -0,0 +1,56 @@
+import React, { useEffect, useRef } from 'react';
+import { TRIAGE_SHORTCUTS } from './triage';
+
+// The publication list's keyboard shortcuts. Escape or ? closes it.
+const ShortcutHelp = ({ onClose }) => {
+  const closeRef = useRef(null);
+
+  // Focus the close button on open and hand focus back to where it was on close
+  useEffect(() => {
+    const returnFocus = document.activeElement;
+    closeRef.current?.focus();
+    return () => returnFocus?.focus?.();
+  }, []);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key !== 'Escape' && e.key !== '?') return;
+      e.preventDefault();
+      onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="shortcut-help-backdrop" onClick={onClose}>
+      <section
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="trend-header">
+          <h2 id="shortcut-help-title">Keyboard shortcuts</h2>
+          <button ref={closeRef} className="author-filter-clear" aria-label="Close shortcuts" onClick={onClose}>
+            {'\u00d7'}
+          </button>
+        </div>
+        <dl className="shortcut-list">
+          {TRIAGE_SHORTCUTS.map(shortcut => (
+            <React.Fragment key={shortcut.key}>
+              <dt><kbd>{shortcut.key}</kbd></dt>
+              <dd>{shortcut.label}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <p className="topic-model-meta">
+          In the article details, {'\u2190'} and {'\u2192'} step through the list and Escape closes.
+        </p>
+      </section>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
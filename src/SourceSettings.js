@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Toggles for which source adapters feed the dashboard
+const SourceSettings = ({ sources, enabledSources, failures, onChange }) => {
+  const toggle = (sourceId) => {
+    const next = enabledSources.includes(sourceId)
+      ? enabledSources.filter(id => id !== sourceId)
+      : [...enabledSources, sourceId];
+    // Keep at least one source switched on
+    if (next.length > 0) onChange(next);
+  };
+
+  return (
+    <section className="source-settings" aria-label="Sources">
+      <h2>Sources</h2>
+      <div className="query-checkboxes">
+        {sources.map(source => (
+          <label key={source.id} className="query-checkbox">
+            <input
+              type="checkbox"
+              checked={enabledSources.includes(source.id)}
+              onChange={() => toggle(source.id)}
+            />
+            <span className={`article-source ${source.name.toLowerCase().replace(/\s+/g, '-')}`}>{source.name}</span>
+          </label>
+        ))}
+      </div>
+      {failures.length > 0 && (
+        <p className="source-warning" role="status">
+          Could not reach {failures.map(failure => failure.name).join(', ')} on the last refresh.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default SourceSettings;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { SUBDOMAIN_LABELS } from './topicModel';
+
+// Inline checklist for correcting an article's subdomains; corrections become training data
+const SubdomainEditor = ({ article, isCorrected, onSave, onReset, onClose }) => {
+  const [selected, setSelected] = useState(
+    (article.subdomains || [])
+      .map(match => match.subdomain)
+      .filter(subdomain => SUBDOMAIN_LABELS.includes(subdomain))
+  );
+
+  const toggle = (subdomain) => {
+    setSelected(current => (current.includes(subdomain)
+      ? current.filter(s => s !== subdomain)
+      : [...current, subdomain]));
+  };
+
+  return (
+    <div
+      className="subdomain-editor"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <fieldset>
+        <legend className="query-field-label">Correct subdomains</legend>
+        {SUBDOMAIN_LABELS.map(subdomain => (
+          <label key={subdomain} className="query-checkbox">
+            <input
+              type="checkbox"
+              checked={selected.includes(subdomain)}
+              onChange={() => toggle(subdomain)}
+            />
+            {subdomain}
+          </label>
+        ))}
+      </fieldset>
+      <div className="query-builder-actions">
+        <button className="query-button primary" onClick={() => onSave(selected)}>
+          Save correction
+        </button>
+        {isCorrected && (
+          <button className="query-button" onClick={onReset}>Use classifier</button>
+        )}
+        <button className="query-button" onClick={onClose}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default SubdomainEditor;
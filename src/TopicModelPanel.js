@@ -0,0 +1,35 @@
+import React from 'react';
+
+const STATUS_TEXT = {
+  loading: 'Loading the saved topic model…',
+  training: 'Training the topic model on this device…',
+  ready: 'Topic model ready',
+  unavailable: 'Topic model unavailable; using keyword rules'
+};
+
+// Status of the in-browser topic model with a control to retrain it on the latest corrections
+const TopicModelPanel = ({ status, topicModel, correctionCount, onRetrain }) => (
+  <section className="topic-model-panel" aria-live="polite">
+    <h2>Subdomain Classifier</h2>
+    <p>{STATUS_TEXT[status]}</p>
+    {topicModel && (
+      <p className="topic-model-meta">
+        Trained on {topicModel.exampleCount} labelled articles
+        {topicModel.trainedAt && ` on ${new Date(topicModel.trainedAt).toLocaleDateString()}`}.
+        {' '}Low-confidence predictions fall back to keyword rules.
+      </p>
+    )}
+    <p className="topic-model-meta">
+      {correctionCount} {correctionCount === 1 ? 'correction' : 'corrections'} saved.
+    </p>
+    <button
+      className="query-button"
+      onClick={onRetrain}
+      disabled={status === 'training' || status === 'loading'}
+    >
+      Retrain with corrections
+    </button>
+  </section>
+);
+
+export default TopicModelPanel;
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  GRANULARITIES,
+  archiveCoverageStart,
+  emergingTerms,
+  subdomainTrends
+} from './trends';
+
+const SERIES_COLORS = ['#37DBFF', '#B66DFF', '#34D399', '#F59E0B', '#FF6B6B', '#6366F1', '#EC4899', '#A3E635'];
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  interaction: { mode: 'index', intersect: false },
+  scales: {
+    x: {
+      grid: { color: 'rgba(255, 255, 255, 0.1)' },
+      ticks: { color: '#ffffff' }
+    },
+    y: {
+      stacked: true,
+      grid: { color: 'rgba(255, 255, 255, 0.1)' },
+      ticks: { color: '#ffffff' }
+    }
+  },
+  plugins: {
+    legend: { labels: { color: '#ffffff' } },
+    tooltip: {
+      callbacks: { label: (item) => `${item.dataset.label}: ${Math.round(item.parsed.y * 10) / 10}` }
+    }
+  }
+};
+
+const formatCount = (count) => String(Math.round(count * 10) / 10);
+
+const GrowthBadge = ({ growth, current }) => {
+  if (growth === null) return <span className="trend-change up">{current > 0 ? 'new' : '\u2013'}</span>;
+  const percent = Math.round(growth * 100);
+  return (
+    <span className={`trend-change ${percent > 0 ? 'up' : percent < 0 ? 'down' : ''}`}>
+      {percent > 0 ? '+' : ''}{percent}%
+    </span>
+  );
+};
+
+// Subdomain time series, growth against the previous window and rising terms.
+// Clicking a term searches the publications for it.
+const TrendAnalytics = ({ articles, dateWindowDays, onSearchTerm }) => {
+  const [granularityId, setGranularityId] = useState('month');
+  const granularity = GRANULARITIES.find(option => option.id === granularityId);
+
+  const trends = useMemo(
+    () => subdomainTrends(articles, { granularity: granularityId }),
+    [articles, granularityId]
+  );
+  const terms = useMemo(
+    () => emergingTerms(articles, { granularity: granularityId }),
+    [articles, granularityId]
+  );
+  const coverageStart = archiveCoverageStart(articles, dateWindowDays);
+  const windowLabel = `last ${granularity.periods} ${granularity.unit}`;
+
+  return (
+    <>
+      <div className="charts-section">
+        <div className="trend-header">
+          <h2>Publication Trends by Subdomain</h2>
+          <select
+            className="profile-select"
+            value={granularityId}
+            aria-label="Granularity"
+            onChange={(e) => setGranularityId(e.target.value)}
+          >
+            {GRANULARITIES.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="chart-container">
+          <Line
+            data={{
+              labels: trends.periods.map(period => period.label),
+              datasets: trends.series.map((row, i) => ({
+                label: row.subdomain,
+                data: row.counts,
+                borderColor: SERIES_COLORS[i % SERIES_COLORS.length],
+                backgroundColor: `${SERIES_COLORS[i % SERIES_COLORS.length]}55`,
+                fill: true,
+                tension: 0.3
+              }))
+            }}
+            options={chartOptions}
+          />
+        </div>
+        <p className="topic-model-meta">
+          {trends.spread > 0 && `${trends.spread} articles with only a month, season or year are spread over the periods their date covers. `}
+          {trends.undated > 0 && `${trends.undated} articles without a date are left out. `}
+          {coverageStart && coverageStart > trends.previousStart
+            && `The archive only reaches back to ${coverageStart.toLocaleDateString()}, so earlier periods are incomplete.`}
+        </p>
+      </div>
+
+      <div className="charts-section trend-tables">
+        <div>
+          <h2>Growth, {windowLabel} vs the {granularity.periods} before</h2>
+          <table className="trend-table">
+            <thead>
+              <tr>
+                <th>Subdomain</th>
+                <th>Current</th>
+                <th>Previous</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...trends.series, { subdomain: 'All articles', ...trends.total }].map(row => (
+                <tr key={row.subdomain}>
+                  <td>{row.subdomain}</td>
+                  <td>{formatCount(row.current)}</td>
+                  <td>{formatCount(row.previous)}</td>
+                  <td><GrowthBadge growth={row.growth} current={row.current} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h2>Emerging Terms</h2>
+          {terms.length === 0 ? (
+            <p className="topic-model-meta">No terms are rising over the {windowLabel} yet.</p>
+          ) : (
+            <ol className="emerging-terms">
+              {terms.map(term => (
+                <li key={term.term}>
+                  <button className="author-link" onClick={() => onSearchTerm(term.term)}>{term.term}</button>
+                  <span className="topic-model-meta">
+                    {term.current} articles, {term.previous} before
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TrendAnalytics;
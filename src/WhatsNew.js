@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { FEED_FORMATS } from './feeds';
+import { downloadFile } from './download';
+
+const formatSince = (since) => new Date(since).toLocaleString(undefined, {
+  day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// New-article count and filter for the active profile, its notification switch and a
+// feed of the current results
+const WhatsNew = ({
+  since,
+  newCount,
+  newOnly,
+  onNewOnlyChange,
+  notify,
+  notificationsAvailable,
+  onNotifyChange,
+  articles,
+  feed
+}) => {
+  const [formatId, setFormatId] = useState(FEED_FORMATS[0].id);
+  const [blocked, setBlocked] = useState(false);
+
+  const downloadFeed = () => {
+    const format = FEED_FORMATS.find(f => f.id === formatId);
+    downloadFile(format.format(articles, feed), `radiology-ai-feed.${format.extension}`, format.mimeType);
+  };
+
+  return (
+    <div className="whats-new">
+      {since ? (
+        <label className="whats-new-filter">
+          <input
+            type="checkbox"
+            checked={newOnly}
+            disabled={newCount === 0 && !newOnly}
+            onChange={(e) => onNewOnlyChange(e.target.checked)}
+          />
+          <span>
+            Only new since {formatSince(since)} <strong>({newCount})</strong>
+          </span>
+        </label>
+      ) : (
+        <span className="whats-new-filter">First visit: articles found from now on will be marked new.</span>
+      )}
+      {notificationsAvailable && (
+        <label className="whats-new-notify">
+          <input
+            type="checkbox"
+            checked={notify}
+            onChange={async (e) => setBlocked(!(await onNotifyChange(e.target.checked)))}
+          />
+          Notify me of new matches
+        </label>
+      )}
+      {blocked && (
+        <span className="whats-new-blocked" role="alert">
+          Notifications are blocked; allow them for this site in your browser settings.
+        </span>
+      )}
+      <select
+        className="profile-select"
+        value={formatId}
+        aria-label="Feed format"
+        onChange={(e) => setFormatId(e.target.value)}
+      >
+        {FEED_FORMATS.map(format => (
+          <option key={format.id} value={format.id}>{format.label}</option>
+        ))}
+      </select>
+      <button
+        className="query-button"
+        disabled={articles.length === 0}
+        title="A feed of the current results for feed readers"
+        onClick={downloadFeed}
+      >
+        Download feed
+      </button>
+    </div>
+  );
+};
+
+export default WhatsNew;
@@ -0,0 +1,284 @@
+import { normalizeDoi } from './deduplicate';
+import { fetchFromSources } from './sources';
+
+// Persistent article archive. Every record a profile has ever fetched is kept, keyed by
+// PMID or DOI, with first-seen and last-updated timestamps, so history accumulates
+// across sessions. Syncs are incremental: each source is only asked for records newer
+// than its last successful sync for the profile.
+//
+// Records live in IndexedDB; where that is unavailable (private windows, tests, Node)
+// an in-memory backend with the same interface is used instead.
+
+const DB_NAME = 'radiology-ai-archive';
+const DB_VERSION = 1;
+const ARTICLES_STORE = 'articles';
+const SYNC_STORE = 'sync';
+
+// Records dropped at a time when the browser refuses to store more
+const PRUNE_BATCH = 200;
+
+export const articleKey = (article) => {
+  if (article.pmid) return `pmid:${article.pmid}`;
+  const doi = normalizeDoi(article.doi);
+  return doi ? `doi:${doi}` : article.uid;
+};
+
+export const isQuotaError = (error) =>
+  ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED'].includes(error?.name);
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbBackend = async (indexedDB) => {
+  const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+  openRequest.onupgradeneeded = () => {
+    openRequest.result.createObjectStore(ARTICLES_STORE, { keyPath: 'key' });
+    openRequest.result.createObjectStore(SYNC_STORE, { keyPath: 'id' });
+  };
+  const db = await requestResult(openRequest);
+
+  // Resolve once the transaction commits; quota errors abort it and surface here
+  const run = (storeName, mode, operation) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error || request?.error);
+    transaction.onabort = () => reject(transaction.error || request?.error);
+  });
+
+  return {
+    getAll: (storeName) => run(storeName, 'readonly', store => store.getAll()),
+    put: (storeName, values) => run(storeName, 'readwrite', store => {
+      values.forEach(value => store.put(value));
+    }),
+    delete: (storeName, keys) => run(storeName, 'readwrite', store => {
+      keys.forEach(key => store.delete(key));
+    }),
+    close: () => db.close()
+  };
+};
+
+// `maxRecords` caps the article store to mimic a browser storage quota
+export const createMemoryBackend = ({ maxRecords = Infinity } = {}) => {
+  const stores = {
+    [ARTICLES_STORE]: { keyPath: 'key', values: new Map() },
+    [SYNC_STORE]: { keyPath: 'id', values: new Map() }
+  };
+
+  return {
+    getAll: async (storeName) => [...stores[storeName].values.values()],
+    put: async (storeName, values) => {
+      const { keyPath, values: stored } = stores[storeName];
+      const newKeys = new Set(values.map(value => value[keyPath]).filter(key => !stored.has(key)));
+      if (storeName === ARTICLES_STORE && stored.size + newKeys.size > maxRecords) {
+        throw new DOMException('Archive is full', 'QuotaExceededError');
+      }
+      values.forEach(value => stored.set(value[keyPath], JSON.parse(JSON.stringify(value))));
+    },
+    delete: async (storeName, keys) => {
+      keys.forEach(key => stores[storeName].values.delete(key));
+    },
+    close: () => {}
+  };
+};
+
+// Fields that change on every fetch without the record itself changing
+const comparable = ({ relevanceRank, ...article }) => JSON.stringify(article);
+
+export const createArticleArchive = (backend) => {
+  // Drop the least recently updated records, never touching the ones in `keep`
+  const pruneOldest = async (count, keep = new Set()) => {
+    const candidates = (await backend.getAll(ARTICLES_STORE))
+      .filter(record => !keep.has(record.key))
+      .sort((a, b) => a.lastUpdated.localeCompare(b.lastUpdated))
+      .slice(0, count)
+      .map(record => record.key);
+    if (candidates.length > 0) await backend.delete(ARTICLES_STORE, candidates);
+    return candidates.length;
+  };
+
+  // Write records, pruning the oldest (apart from `keep`) and retrying once if storage is full
+  const putRecords = async (records, keep, minimumPrune) => {
+    try {
+      await backend.put(ARTICLES_STORE, records);
+      return 0;
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      const pruned = await pruneOldest(Math.max(PRUNE_BATCH, minimumPrune), keep);
+      if (pruned === 0) throw error;
+      await backend.put(ARTICLES_STORE, records);
+      return pruned;
+    }
+  };
+
+  const getArticles = async (profileId) =>
+    (await backend.getAll(ARTICLES_STORE))
+      .filter(record => record.profiles.includes(profileId))
+      .map(({ article, firstSeen, lastUpdated }) => ({ ...article, firstSeen, lastUpdated }));
+
+  /**
+   * Upsert fetched articles for a profile. New records get a first-seen timestamp;
+   * existing ones only get a new last-updated timestamp when their content changed.
+   * When storage is full the oldest records are pruned and the write is retried once.
+   * Resolves to { added, updated, pruned }.
+   */
+  const putArticles = async (profileId, articles, now = new Date()) => {
+    const timestamp = now.toISOString();
+    const existing = new Map((await backend.getAll(ARTICLES_STORE)).map(record => [record.key, record]));
+    const incoming = new Map(articles.map(article => [articleKey(article), article]));
+    let added = 0;
+    let updated = 0;
+
+    const records = [...incoming].map(([key, article]) => {
+      const current = existing.get(key);
+      if (!current) {
+        added++;
+        return { key, article, profiles: [profileId], firstSeen: timestamp, lastUpdated: timestamp };
+      }
+      const changed = comparable(current.article) !== comparable(article);
+      if (changed) updated++;
+      return {
+        ...current,
+        article,
+        profiles: [...new Set([...current.profiles, profileId])],
+        lastUpdated: changed ? timestamp : current.lastUpdated
+      };
+    });
+    if (records.length === 0) return { added, updated, pruned: 0 };
+
+    const pruned = await putRecords(records, new Set(incoming.keys()), added);
+    return { added, updated, pruned };
+  };
+
+  // Last successful sync per source for a profile, as { [sourceId]: ISO timestamp }
+  const getSyncState = async (profileId) =>
+    Object.fromEntries((await backend.getAll(SYNC_STORE))
+      .filter(entry => entry.profileId === profileId)
+      .map(entry => [entry.sourceId, entry.syncedAt]));
+
+  const setSyncState = (profileId, sourceIds, syncedAt) =>
+    backend.put(SYNC_STORE, sourceIds.map(sourceId => ({
+      id: `${profileId}:${sourceId}`,
+      profileId,
+      sourceId,
+      syncedAt
+    })));
+
+  // Forget a profile's results; records no other profile uses are deleted
+  const clearProfile = async (profileId) => {
+    const records = (await backend.getAll(ARTICLES_STORE))
+      .filter(record => record.profiles.includes(profileId));
+    const shared = records
+      .filter(record => record.profiles.length > 1)
+      .map(record => ({ ...record, profiles: record.profiles.filter(id => id !== profileId) }));
+    const orphaned = records
+      .filter(record => record.profiles.length === 1)
+      .map(record => record.key);
+
+    if (shared.length > 0) await backend.put(ARTICLES_STORE, shared);
+    if (orphaned.length > 0) await backend.delete(ARTICLES_STORE, orphaned);
+
+    const syncEntries = (await backend.getAll(SYNC_STORE))
+      .filter(entry => entry.profileId === profileId)
+      .map(entry => entry.id);
+    if (syncEntries.length > 0) await backend.delete(SYNC_STORE, syncEntries);
+  };
+
+  // Every record and sync entry as stored, for snapshots
+  const exportRecords = async () => ({
+    records: await backend.getAll(ARTICLES_STORE),
+    sync: await backend.getAll(SYNC_STORE)
+  });
+
+  /**
+   * Merge exported records into the archive. The more recently updated version of an
+   * article wins, the earliest first-seen time is kept and a source's sync time only
+   * moves forward. Resolves to { imported, pruned }.
+   */
+  const importRecords = async ({ records, sync }) => {
+    const existing = new Map((await backend.getAll(ARTICLES_STORE)).map(record => [record.key, record]));
+    const merged = records.map(record => {
+      const current = existing.get(record.key);
+      if (!current) return record;
+      return {
+        ...(record.lastUpdated > current.lastUpdated ? record : current),
+        profiles: [...new Set([...current.profiles, ...record.profiles])],
+        firstSeen: [current.firstSeen, record.firstSeen].sort()[0]
+      };
+    });
+    const syncedAt = new Map((await backend.getAll(SYNC_STORE)).map(entry => [entry.id, entry.syncedAt]));
+    const advanced = sync.filter(entry => !syncedAt.has(entry.id) || entry.syncedAt > syncedAt.get(entry.id));
+
+    const pruned = merged.length > 0
+      ? await putRecords(merged, new Set(merged.map(record => record.key)), 0)
+      : 0;
+    if (advanced.length > 0) await backend.put(SYNC_STORE, advanced);
+    return { imported: merged.length, pruned };
+  };
+
+  return {
+    getArticles,
+    putArticles,
+    getSyncState,
+    setSyncState,
+    clearProfile,
+    pruneOldest,
+    exportRecords,
+    importRecords
+  };
+};
+
+// The page's or, in the service worker, the worker's IndexedDB
+const browserIndexedDb = () => (typeof indexedDB !== 'undefined' ? indexedDB : undefined);
+
+export const openArticleArchive = async ({ indexedDB = browserIndexedDb() } = {}) => {
+  if (indexedDB) {
+    try {
+      // Ask the browser not to evict the archive under storage pressure
+      if (typeof navigator !== 'undefined' && navigator.storage?.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+      return createArticleArchive(await createIndexedDbBackend(indexedDB));
+    } catch (error) {
+      console.warn('IndexedDB unavailable, keeping the archive in memory:', error);
+    }
+  }
+  return createArticleArchive(createMemoryBackend());
+};
+
+// Oldest last-sync time across the given sources, or null if any has never synced
+export const lastSyncedAt = (syncState, sourceIds) => {
+  const times = sourceIds.map(id => syncState[id]);
+  if (times.length === 0 || times.some(time => !time)) return null;
+  return times.sort()[0];
+};
+
+/**
+ * Fetch what is new for a profile from the enabled sources and add it to the archive.
+ * A source's sync time only advances when it succeeded, so a failed source catches up
+ * on the next sync. `maxResults` caps a source's first sync; later ones page through
+ * everything since the last, so nothing is skipped when the sync time moves on. Resolves to the profile's full archive plus the sync summary.
+ */
+export const syncProfile = async (archive, adapters, enabledIds, profile, { now = new Date(), maxResults = 200 } = {}) => {
+  const syncState = await archive.getSyncState(profile.id);
+  const { articles, failures } = await fetchFromSources(adapters, enabledIds, profile, adapter => ({
+    maxResults,
+    now,
+    since: syncState[adapter.id] ? new Date(syncState[adapter.id]) : undefined
+  }));
+
+  const { added, updated, pruned } = await archive.putArticles(profile.id, articles, now);
+  const failed = new Set(failures.map(failure => failure.id));
+  await archive.setSyncState(profile.id, enabledIds.filter(id => !failed.has(id)), now.toISOString());
+
+  return {
+    articles: await archive.getArticles(profile.id),
+    failures,
+    added,
+    updated,
+    pruned,
+    syncedAt: now.toISOString()
+  };
+};
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  articleKey,
+  createArticleArchive,
+  createMemoryBackend,
+  lastSyncedAt,
+  openArticleArchive,
+  syncProfile
+} from './articleArchive';
+
+const article = (uid, fields = {}) => ({ uid, pmid: uid, title: `Article ${uid}`, source: 'PubMed', ...fields });
+
+const day = (date) => new Date(`${date}T12:00:00Z`);
+
+describe('articleKey', () => {
+  test('prefers the PMID, then the DOI, then the source id', () => {
+    expect(articleKey({ uid: '1', pmid: '1', doi: '10.1/a' })).toBe('pmid:1');
+    expect(articleKey({ uid: 'arxiv:2402.1', doi: 'https://doi.org/10.48550/ARXIV.2402.1' }))
+      .toBe('doi:10.48550/arxiv.2402.1');
+    expect(articleKey({ uid: 'scholar:abc', doi: '' })).toBe('scholar:abc');
+  });
+});
+
+describe('putArticles', () => {
+  test('keeps the first-seen time and only moves last-updated when content changes', async () => {
+    const archive = createArticleArchive(createMemoryBackend());
+    await archive.putArticles('p', [article('1'), article('2')], day('2025-01-01'));
+
+    const result = await archive.putArticles('p', [
+      article('1'),
+      article('2', { title: 'Article 2 (corrected)' }),
+      article('3')
+    ], day('2025-01-08'));
+
+    expect(result).toEqual({ added: 1, updated: 1, pruned: 0 });
+    const byUid = Object.fromEntries((await archive.getArticles('p')).map(a => [a.uid, a]));
+    expect(byUid['1']).toMatchObject({ firstSeen: '2025-01-01T12:00:00.000Z', lastUpdated: '2025-01-01T12:00:00.000Z' });
+    expect(byUid['2']).toMatchObject({ firstSeen: '2025-01-01T12:00:00.000Z', lastUpdated: '2025-01-08T12:00:00.000Z' });
+    expect(byUid['3'].firstSeen).toBe('2025-01-08T12:00:00.000Z');
+  });
+
+  test('prunes the oldest records when storage is full', async () => {
+    const archive = createArticleArchive(createMemoryBackend({ maxRecords: 3 }));
+    await archive.putArticles('p', [article('old')], day('2024-01-01'));
+    await archive.putArticles('p', [article('recent')], day('2024-06-01'));
+
+    const result = await archive.putArticles('p', [article('new1'), article('new2')], day('2025-01-01'));
+
+    expect(result.pruned).toBe(2);
+    expect((await archive.getArticles('p')).map(a => a.uid).sort()).toEqual(['new1', 'new2']);
+  });
+});
+
+describe('clearProfile', () => {
+  test('keeps records another profile still uses', async () => {
+    const archive = createArticleArchive(createMemoryBackend());
+    await archive.putArticles('a', [article('1'), article('2')]);
+    await archive.putArticles('b', [article('2')]);
+    await archive.setSyncState('a', ['pubmed'], '2025-01-01T00:00:00.000Z');
+
+    await archive.clearProfile('a');
+
+    expect(await archive.getArticles('a')).toEqual([]);
+    expect((await archive.getArticles('b')).map(a => a.uid)).toEqual(['2']);
+    expect(await archive.getSyncState('a')).toEqual({});
+  });
+});
+
+describe('importRecords', () => {
+  test('merges exported records, keeping first-seen times and the newest sync', async () => {
+    const source = createArticleArchive(createMemoryBackend());
+    await source.putArticles('p', [article('1'), article('2', { title: 'Revised' })], day('2025-01-01'));
+    await source.setSyncState('p', ['pubmed'], day('2025-03-01').toISOString());
+
+    const archive = createArticleArchive(createMemoryBackend());
+    await archive.putArticles('p', [article('2')], day('2024-12-01'));
+    await archive.putArticles('q', [article('3')], day('2024-12-01'));
+    await archive.setSyncState('p', ['pubmed', 'arxiv'], day('2025-02-01').toISOString());
+
+    const { imported } = await archive.importRecords(await source.exportRecords());
+
+    expect(imported).toBe(2);
+    const byUid = Object.fromEntries((await archive.getArticles('p')).map(a => [a.uid, a]));
+    expect(Object.keys(byUid).sort()).toEqual(['1', '2']);
+    expect(byUid['2']).toMatchObject({ title: 'Revised', firstSeen: day('2024-12-01').toISOString() });
+    expect(await archive.getSyncState('p')).toEqual({
+      pubmed: day('2025-03-01').toISOString(),
+      arxiv: day('2025-02-01').toISOString()
+    });
+    expect((await archive.getArticles('q')).map(a => a.uid)).toEqual(['3']);
+  });
+});
+
+describe('IndexedDB backend', () => {
+  test('persists records and sync state between sessions', async () => {
+    const indexedDB = new IDBFactory();
+    const first = await openArticleArchive({ indexedDB });
+    await first.putArticles('p', [article('1', { meshTerms: ['Mammography'] })], day('2025-02-01'));
+    await first.setSyncState('p', ['pubmed'], '2025-02-01T12:00:00.000Z');
+
+    const second = await openArticleArchive({ indexedDB });
+
+    expect(await second.getArticles('p')).toEqual([expect.objectContaining({
+      uid: '1',
+      meshTerms: ['Mammography'],
+      firstSeen: '2025-02-01T12:00:00.000Z'
+    })]);
+    expect(await second.getSyncState('p')).toEqual({ pubmed: '2025-02-01T12:00:00.000Z' });
+  });
+});
+
+describe('syncProfile', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  test('asks each source only for records since its last successful sync', async () => {
+    const archive = createArticleArchive(createMemoryBackend());
+    const pubmed = { id: 'pubmed', name: 'PubMed', fetchArticles: jest.fn().mockResolvedValue([article('1')]) };
+    const arxiv = { id: 'arxiv', name: 'arXiv', fetchArticles: jest.fn().mockRejectedValue(new Error('offline')) };
+    const profile = { id: 'p' };
+
+    const first = await syncProfile(archive, [pubmed, arxiv], ['pubmed', 'arxiv'], profile, { now: day('2025-03-01') });
+    expect(first.added).toBe(1);
+    expect(first.failures.map(failure => failure.id)).toEqual(['arxiv']);
+    expect(pubmed.fetchArticles.mock.calls[0][1].since).toBeUndefined();
+
+    pubmed.fetchArticles.mockResolvedValue([article('2')]);
+    const second = await syncProfile(archive, [pubmed, arxiv], ['pubmed', 'arxiv'], profile, { now: day('2025-03-02') });
+
+    expect(pubmed.fetchArticles.mock.calls[1][1].since).toEqual(day('2025-03-01'));
+    // arXiv never synced, so it still gets a full fetch
+    expect(arxiv.fetchArticles.mock.calls[1][1].since).toBeUndefined();
+    expect(second.articles.map(a => a.uid).sort()).toEqual(['1', '2']);
+    expect(lastSyncedAt(await archive.getSyncState('p'), ['pubmed'])).toBe('2025-03-02T12:00:00.000Z');
+    expect(lastSyncedAt(await archive.getSyncState('p'), ['pubmed', 'arxiv'])).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+import { parseDateParts } from './dates';
+
+// Orderings for the publication list. Every mode sorts the whole filtered list; there is
+// no cut-off. The blend mixes recency, PubMed relevance, journal standing and citations,
+// each scaled to 0-1, with weights the user can adjust.
+
+const WEIGHTS_KEY = 'radiology_ai_ranking_weights';
+
+export const RANKING_MODES = [
+  { id: 'blend', label: 'Weighted blend' },
+  { id: 'recency', label: 'Newest first' },
+  { id: 'relevance', label: 'PubMed relevance' },
+  { id: 'tier', label: 'Journal tier' },
+  { id: 'citations', label: 'Most cited' }
+];
+
+// Search results can also keep the order of the search itself
+export const MATCH_MODE = { id: 'match', label: 'Best match' };
+
+export const DEFAULT_BLEND_WEIGHTS = {
+  recency: 0.4,
+  relevance: 0.2,
+  journal: 0.3,
+  citations: 0.1
+};
+
+// Half the recency score is lost every this many days
+const RECENCY_HALF_LIFE_DAYS = 90;
+const DAY_MS = 86400000;
+
+export const loadBlendWeights = () => {
+  try {
+    return { ...DEFAULT_BLEND_WEIGHTS, ...JSON.parse(localStorage.getItem(WEIGHTS_KEY)) };
+  } catch (error) {
+    return DEFAULT_BLEND_WEIGHTS;
+  }
+};
+
+export const saveBlendWeights = (weights) => {
+  localStorage.setItem(WEIGHTS_KEY, JSON.stringify(weights));
+};
+
+// The later of the epub and issue dates; partial dates count from their start
+const articleTime = (article) => Math.max(...[article.epubDate, article.publicationDate].map(date => {
+  const [year, month = 1, day = 1] = parseDateParts(date);
+  return year ? new Date(year, month - 1, day).getTime() : 0;
+}));
+
+// Journal standing: tier first, impact factor within a tier
+const journalScore = (article, maxImpactFactor) => {
+  if (!article.journalTier) return 0;
+  const tierScore = (4 - article.journalTier) / 3;
+  const impact = maxImpactFactor ? (article.impactFactor || 0) / maxImpactFactor : 0;
+  return 0.8 * tierScore + 0.2 * impact;
+};
+
+const byTime = (a, b) => articleTime(b) - articleTime(a);
+const byRelevance = (a, b) => (a.relevanceRank || Infinity) - (b.relevanceRank || Infinity);
+
+const COMPARATORS = {
+  recency: byTime,
+  relevance: (a, b) => byRelevance(a, b) || byTime(a, b),
+  tier: (a, b) => (a.journalTier || Infinity) - (b.journalTier || Infinity)
+    || (b.impactFactor || 0) - (a.impactFactor || 0)
+    || byTime(a, b),
+  citations: (a, b) => (b.citationCount || 0) - (a.citationCount || 0)
+    || (b.relativeCitationRatio || 0) - (a.relativeCitationRatio || 0)
+    || byTime(a, b)
+};
+
+/**
+ * Blend scores for a list of articles, keyed by uid. Each component is 0-1 and the
+ * weights are normalised, so the score is 0-1 as well.
+ */
+export const blendScores = (articles, weights = DEFAULT_BLEND_WEIGHTS, now = new Date()) => {
+  const maxRank = Math.max(1, ...articles.map(article => article.relevanceRank || 0));
+  const maxCitations = Math.max(0, ...articles.map(article => article.citationCount || 0));
+  const maxImpactFactor = Math.max(0, ...articles.map(article => article.impactFactor || 0));
+  const totalWeight = Object.keys(DEFAULT_BLEND_WEIGHTS).reduce((sum, key) => sum + (weights[key] || 0), 0) || 1;
+
+  return new Map(articles.map(article => {
+    const time = articleTime(article);
+    const ageDays = Math.max(0, (now.getTime() - time) / DAY_MS);
+    const components = {
+      recency: time ? 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS) : 0,
+      relevance: article.relevanceRank ? 1 - (article.relevanceRank - 1) / maxRank : 0,
+      journal: journalScore(article, maxImpactFactor),
+      citations: maxCitations ? Math.log1p(article.citationCount || 0) / Math.log1p(maxCitations) : 0
+    };
+    const score = Object.keys(components)
+      .reduce((sum, key) => sum + components[key] * (weights[key] || 0), 0) / totalWeight;
+    return [article.uid, score];
+  }));
+};
+
+/**
+ * A sorted copy of the articles. `match` (and any unknown mode) keeps the given order,
+ * which for a search is best match first.
+ */
+export const rankArticles = (articles, mode, { weights = DEFAULT_BLEND_WEIGHTS, now = new Date() } = {}) => {
+  if (mode === 'blend') {
+    const scores = blendScores(articles, weights, now);
+    return [...articles].sort((a, b) => scores.get(b.uid) - scores.get(a.uid) || byTime(a, b));
+  }
+  return COMPARATORS[mode] ? [...articles].sort(COMPARATORS[mode]) : articles;
+};
@@ -0,0 +1,32 @@
+import { blendScores, rankArticles } from './articleRanking';
+
+const now = new Date(2025, 5, 1);
+const articles = [
+  { uid: 'old-top-journal', publicationDate: '2024 Jan 10', journalTier: 1, impactFactor: 19.8, relevanceRank: 3 },
+  { uid: 'new-preprint', publicationDate: '2025-05-30', relevanceRank: 1 },
+  { uid: 'cited', publicationDate: '2024 Sep', epubDate: '2025 Apr 2', journalTier: 2, impactFactor: 3.5, citationCount: 120 },
+  { uid: 'unranked', publicationDate: '2023' }
+];
+const order = (mode, options) => rankArticles(articles, mode, { now, ...options }).map(article => article.uid);
+
+describe('article ranking', () => {
+  test('sorts the whole list in each mode', () => {
+    expect(order('recency')).toEqual(['new-preprint', 'cited', 'old-top-journal', 'unranked']);
+    expect(order('relevance')).toEqual(['new-preprint', 'old-top-journal', 'cited', 'unranked']);
+    expect(order('tier')).toEqual(['old-top-journal', 'cited', 'new-preprint', 'unranked']);
+    expect(order('citations')).toEqual(['cited', 'new-preprint', 'old-top-journal', 'unranked']);
+    expect(order('match')).toEqual(articles.map(article => article.uid));
+  });
+
+  test('blends the components with adjustable weights', () => {
+    expect(order('blend', { weights: { recency: 0, relevance: 0, journal: 1, citations: 0 } })[0]).toBe('old-top-journal');
+    expect(order('blend', { weights: { recency: 1, relevance: 0, journal: 0, citations: 0 } })[0]).toBe('new-preprint');
+
+    const scores = blendScores(articles, undefined, now);
+    scores.forEach(score => {
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(1);
+    });
+    expect(Math.min(...scores.values())).toBe(scores.get('unranked'));
+  });
+});
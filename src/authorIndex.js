@@ -0,0 +1,298 @@
+import { authorDetailsOf, authorName } from './citationExport';
+import { normalizeTitle } from './deduplicate';
+
+// Authors, institutions and co-authorship built from article.authorDetails (PubMed efetch
+// names and affiliations). The same person appears as "Müller AK", "Anna K. Muller" and
+// "Muller A"; name variants are merged into one author when their surnames and initials
+// agree, and shared co-authors and institutions decide between candidates when an
+// initial alone could belong to more than one person.
+
+// Affiliation segments that name an institution rather than a department or a city
+const INSTITUTION_PATTERN = /universit|hospital|institut|college|school|cent(er|re)|clinic|klinik|foundation|laborator|academy|corporation|\b(inc|ltd|gmbh|llc)\b/i;
+const DEPARTMENT_PATTERN = /^(the )?(dept|department|division|section|unit|program|service|faculty|laboratory of|graduate school of|school of)\b/i;
+
+/**
+ * The institution named in a free-text affiliation, e.g. "Massachusetts General Hospital"
+ * from "Department of Radiology, Massachusetts General Hospital, Boston, MA, USA.", or
+ * null when no segment looks like one.
+ */
+export const institutionName = (affiliation) => {
+  const segments = (affiliation || '')
+    .replace(/electronic address:.*$/i, '')
+    .replace(/\S+@\S+/g, '')
+    .split(/[,;]/)
+    .map(segment => segment.replace(/\.$/, '').trim())
+    .filter(Boolean);
+  return segments.find(segment => INSTITUTION_PATTERN.test(segment) && !DEPARTMENT_PATTERN.test(segment))
+    || segments.find(segment => INSTITUTION_PATTERN.test(segment))
+    || null;
+};
+
+// Surname, forename and initials of one author entry, normalised for matching
+const readName = (author) => {
+  const { family, given, literal } = authorName(author);
+  if (literal || !family) return null;
+  const givenWords = normalizeTitle(given).split(' ').filter(Boolean);
+  // "JA" from PubMed's Initials field is two initials, not a forename
+  const words = givenWords.length === 1 && /^[A-Z]{2,3}$/.test(given.trim())
+    ? givenWords[0].split('')
+    : givenWords;
+  const familyKey = normalizeTitle(family);
+  if (!familyKey || words.length === 0) return null;
+  return {
+    family,
+    given: given.trim(),
+    structured: 'lastName' in author,
+    familyKey,
+    firstName: words[0].length > 1 ? words[0] : null,
+    initials: words.map(word => word[0]).join('')
+  };
+};
+
+const compatible = (identity, occurrence) => (
+  !identity.articleIds.has(occurrence.article.uid)
+  && (!identity.firstName || !occurrence.firstName || identity.firstName === occurrence.firstName)
+  && (identity.initials.startsWith(occurrence.initials) || occurrence.initials.startsWith(identity.initials))
+);
+
+// How much an author's other papers overlap with this occurrence: co-authors plus institutions
+const affinity = (identity, occurrence) => (
+  occurrence.coauthors.filter(key => identity.coauthors.has(key)).length
+  + occurrence.institutions.filter(({ key }) => identity.institutionKeys.has(key)).length
+);
+
+const displayName = ({ family, given, firstName, initials }) => (firstName
+  ? `${given} ${family}`
+  : `${family} ${initials.toUpperCase()}`);
+
+const countNames = (counts, names) => names.forEach(({ key, name }) => {
+  const entry = counts.get(key) || { key, name, count: 0 };
+  entry.count++;
+  counts.set(key, entry);
+});
+
+const sortByCount = (counts) => [...counts.values()]
+  .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+/**
+ * Group every author occurrence into people and count institutions. Returns
+ * { authors, byId, articleAuthors, institutions } where authors are sorted by paper count:
+ * { id, name, variants, articleIds, articles, institutions: [{ name, count }], coauthors: [{ id, count }] },
+ * articleAuthors maps an article uid to [{ id, name }] in author order (id is null for
+ * collective authors), and institutions are [{ key, name, count }] by distinct papers.
+ */
+export const buildAuthorIndex = (articles) => {
+  const occurrences = [];
+  const articleAuthors = new Map();
+  const institutionCounts = new Map();
+
+  articles.forEach(article => {
+    const details = authorDetailsOf(article).filter(author => author.name || author.lastName);
+    const names = details.map(readName);
+    const institutionsByAuthor = details.map(author => (author.affiliations || [])
+      .map(institutionName)
+      .filter(Boolean)
+      .map(name => ({ key: normalizeTitle(name), name })));
+    const articleInstitutions = [...institutionsByAuthor.flat(), ...(article.affiliations || [])
+      .map(institutionName)
+      .filter(Boolean)
+      .map(name => ({ key: normalizeTitle(name), name }))];
+    countNames(institutionCounts, [...new Map(articleInstitutions.map(inst => [inst.key, inst])).values()]);
+
+    const links = details.map(author => ({ id: null, name: author.name || author.lastName }));
+    articleAuthors.set(article.uid, links);
+    names.forEach((name, index) => {
+      if (!name) return;
+      occurrences.push({
+        ...name,
+        article,
+        link: links[index],
+        institutions: institutionsByAuthor[index],
+        coauthors: names.filter((other, i) => other && i !== index).map(other => other.familyKey)
+      });
+    });
+  });
+
+  // Most specific names first, so initials-only variants join a named author when they can
+  occurrences.sort((a, b) => (
+    Number(Boolean(b.firstName)) - Number(Boolean(a.firstName))
+    || b.initials.length - a.initials.length
+    || a.familyKey.localeCompare(b.familyKey)
+  ));
+
+  const groups = new Map();
+  occurrences.forEach(occurrence => {
+    const groupKey = `${occurrence.familyKey}|${occurrence.initials[0]}`;
+    const group = groups.get(groupKey) || [];
+    groups.set(groupKey, group);
+
+    const candidates = group.filter(identity => compatible(identity, occurrence));
+    let identity = candidates.sort((a, b) => (
+      affinity(b, occurrence) - affinity(a, occurrence) || b.occurrences.length - a.occurrences.length
+    ))[0];
+    if (!identity) {
+      identity = {
+        familyKey: occurrence.familyKey,
+        firstName: occurrence.firstName,
+        initials: occurrence.initials,
+        occurrences: [],
+        articleIds: new Set(),
+        coauthors: new Set(),
+        institutionKeys: new Set()
+      };
+      group.push(identity);
+    }
+    if (occurrence.initials.length > identity.initials.length) identity.initials = occurrence.initials;
+    identity.firstName = identity.firstName || occurrence.firstName;
+    identity.occurrences.push(occurrence);
+    identity.articleIds.add(occurrence.article.uid);
+    occurrence.coauthors.forEach(key => identity.coauthors.add(key));
+    occurrence.institutions.forEach(({ key }) => identity.institutionKeys.add(key));
+  });
+
+  const usedIds = new Set();
+  const authors = [...groups.values()].flat().map(identity => {
+    const base = `${identity.familyKey.replace(/ /g, '-')}-${identity.firstName || identity.initials}`;
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+
+    // The fullest spelling names the author, preferring PubMed's structured names, which
+    // keep diacritics; the rest are listed as variants
+    const names = identity.occurrences.map(displayName);
+    const name = displayName([...identity.occurrences].sort((a, b) => (
+      Number(Boolean(b.firstName)) - Number(Boolean(a.firstName))
+      || b.initials.length - a.initials.length
+      || Number(b.structured) - Number(a.structured)
+    ))[0]);
+    const institutions = new Map();
+    identity.occurrences.forEach(occurrence => {
+      countNames(institutions, [...new Map(occurrence.institutions.map(inst => [inst.key, inst])).values()]);
+      occurrence.link.id = id;
+    });
+    return {
+      id,
+      name,
+      variants: [...new Set(names)].filter(variant => variant !== name),
+      articleIds: identity.articleIds,
+      articles: [...new Set(identity.occurrences.map(occurrence => occurrence.article))],
+      institutions: sortByCount(institutions).map(({ name: institution, count }) => ({ name: institution, count }))
+    };
+  }).sort((a, b) => b.articleIds.size - a.articleIds.size || a.name.localeCompare(b.name));
+
+  const byId = new Map(authors.map(author => [author.id, author]));
+  authors.forEach(author => {
+    const coauthors = new Map();
+    author.articles.forEach(article => articleAuthors.get(article.uid).forEach(({ id }) => {
+      if (id && id !== author.id) coauthors.set(id, (coauthors.get(id) || 0) + 1);
+    }));
+    author.coauthors = [...coauthors.entries()]
+      .map(([id, count]) => ({ id, count }))
+      .sort((a, b) => b.count - a.count || byId.get(a.id).name.localeCompare(byId.get(b.id).name));
+  });
+
+  return { authors, byId, articleAuthors, institutions: sortByCount(institutionCounts) };
+};
+
+/**
+ * The co-authorship graph of the most prolific authors: nodes are
+ * { id, name, count, cluster } and links { source, target, weight } where weight is the
+ * number of shared papers. Clusters come from weighted label propagation and are
+ * numbered from the largest.
+ */
+export const coauthorNetwork = (authorIndex, { maxNodes = 40 } = {}) => {
+  const authors = authorIndex.authors.filter(author => author.coauthors.length > 0).slice(0, maxNodes);
+  const included = new Set(authors.map(author => author.id));
+  const links = authors.flatMap(author => author.coauthors
+    .filter(({ id }) => included.has(id) && author.id < id)
+    .map(({ id, count }) => ({ source: author.id, target: id, weight: count })));
+
+  const neighbours = new Map(authors.map(author => [author.id, []]));
+  links.forEach(({ source, target, weight }) => {
+    neighbours.get(source).push({ id: target, weight });
+    neighbours.get(target).push({ id: source, weight });
+  });
+
+  // Each author takes the label with the most shared papers among their co-authors
+  const labels = new Map(authors.map((author, index) => [author.id, index]));
+  for (let round = 0, changed = true; changed && round < 20; round++) {
+    changed = false;
+    authors.forEach(author => {
+      const weights = new Map();
+      neighbours.get(author.id).forEach(({ id, weight }) => {
+        weights.set(labels.get(id), (weights.get(labels.get(id)) || 0) + weight);
+      });
+      const [best] = [...weights.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      if (best && best[1] > (weights.get(labels.get(author.id)) || 0)) {
+        labels.set(author.id, best[0]);
+        changed = true;
+      }
+    });
+  }
+
+  const sizes = new Map();
+  labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+  const clusterOrder = [...sizes.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([label]) => label);
+
+  return {
+    nodes: authors.map(author => ({
+      id: author.id,
+      name: author.name,
+      count: author.articleIds.size,
+      cluster: clusterOrder.indexOf(labels.get(author.id))
+    })),
+    links
+  };
+};
+
+/**
+ * Force-directed positions { id: { x, y } } within width x height. Starts from a circle
+ * so the same network always gets the same layout.
+ */
+export const layoutNetwork = ({ nodes, links }, { width = 720, height = 480, iterations = 200 } = {}) => {
+  const margin = 40;
+  const area = (width - 2 * margin) * (height - 2 * margin);
+  const k = Math.sqrt(area / Math.max(nodes.length, 1));
+  const positions = new Map(nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length;
+    return [node.id, { x: width / 2 + (width / 3) * Math.cos(angle), y: height / 2 + (height / 3) * Math.sin(angle) }];
+  }));
+
+  for (let i = 0; i < iterations; i++) {
+    const temperature = (width / 10) * (1 - i / iterations);
+    const shift = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+    nodes.forEach((a, index) => nodes.slice(index + 1).forEach(b => {
+      const pa = positions.get(a.id);
+      const pb = positions.get(b.id);
+      const dx = pa.x - pb.x || 0.01;
+      const dy = pa.y - pb.y || 0.01;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const force = (k * k) / distance;
+      shift.get(a.id).x += (dx / distance) * force;
+      shift.get(a.id).y += (dy / distance) * force;
+      shift.get(b.id).x -= (dx / distance) * force;
+      shift.get(b.id).y -= (dy / distance) * force;
+    }));
+    links.forEach(({ source, target, weight }) => {
+      const pa = positions.get(source);
+      const pb = positions.get(target);
+      const dx = pa.x - pb.x;
+      const dy = pa.y - pb.y;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+      const force = ((distance * distance) / k) * Math.min(weight, 3);
+      shift.get(source).x -= (dx / distance) * force;
+      shift.get(source).y -= (dy / distance) * force;
+      shift.get(target).x += (dx / distance) * force;
+      shift.get(target).y += (dy / distance) * force;
+    });
+    nodes.forEach(node => {
+      const { x, y } = shift.get(node.id);
+      const length = Math.sqrt(x * x + y * y) || 1;
+      const position = positions.get(node.id);
+      position.x = Math.min(width - margin, Math.max(margin, position.x + (x / length) * Math.min(length, temperature)));
+      position.y = Math.min(height - margin, Math.max(margin, position.y + (y / length) * Math.min(length, temperature)));
+    });
+  }
+
+  return Object.fromEntries(positions);
+};
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { parsePubMedXml } from './pubmedClient';
+import { buildAuthorIndex, coauthorNetwork, institutionName, layoutNetwork } from './authorIndex';
+
+const efetchXml = fs.readFileSync(path.join(__dirname, 'fixtures', 'pubmed', 'efetch.xml'), 'utf8');
+const pubmedArticles = parsePubMedXml(efetchXml);
+
+const preprint = (uid, authors) => ({ uid, title: uid, authors });
+
+describe('author analytics', () => {
+  test('reads the institution from an affiliation', () => {
+    expect(institutionName('Department of Radiology, Massachusetts General Hospital, Boston, MA, USA.'))
+      .toBe('Massachusetts General Hospital');
+    expect(institutionName('Harvard Medical School, Boston, MA, USA. Electronic address: js@mgh.harvard.edu.'))
+      .toBe('Harvard Medical School');
+    expect(institutionName('Boston, MA, USA')).toBeNull();
+  });
+
+  test('merges name variants with diacritics and initials', () => {
+    const { authors, byId, articleAuthors, institutions } = buildAuthorIndex([
+      ...pubmedArticles,
+      preprint('arxiv:1', ['Anna K. Muller', 'Wei Zhang']),
+      preprint('arxiv:2', ['Muller A', 'Zhang W'])
+    ]);
+
+    const muller = authors.find(author => author.name === 'Anna K Müller');
+    expect(muller.articleIds).toEqual(new Set([pubmedArticles[0].uid, 'arxiv:1', 'arxiv:2']));
+    expect(muller.variants).toEqual(expect.arrayContaining(['Anna K. Muller', 'Muller A']));
+    expect(muller.institutions).toEqual([{ name: 'University Hospital Zurich', count: 1 }]);
+    expect(byId.get(muller.id)).toBe(muller);
+
+    // "John Smith" and "John A Smith" agree on forename and initials
+    const smith = authors.find(author => author.name === 'John A Smith');
+    expect(smith.articleIds.size).toBe(2);
+    expect(articleAuthors.get('arxiv:2').map(link => link.id)).toEqual([muller.id, expect.any(String)]);
+    expect(institutions[0]).toMatchObject({ name: 'Massachusetts General Hospital', count: 2 });
+  });
+
+  test('keeps different forenames apart and places bare initials by shared co-authors', () => {
+    const { authors } = buildAuthorIndex([
+      preprint('a', ['John Smith', 'Priya Patel']),
+      preprint('b', ['Jane Smith', 'Lars Olsen']),
+      preprint('c', ['Smith J', 'Olsen L'])
+    ]);
+
+    const jane = authors.find(author => author.name === 'Jane Smith');
+    const john = authors.find(author => author.name === 'John Smith');
+    expect(jane.articleIds).toEqual(new Set(['b', 'c']));
+    expect(john.articleIds).toEqual(new Set(['a']));
+    expect(jane.coauthors).toEqual([{ id: authors.find(author => author.name === 'Lars Olsen').id, count: 2 }]);
+  });
+
+  test('clusters the co-authorship network and lays it out inside the canvas', () => {
+    const index = buildAuthorIndex([
+      preprint('a', ['Ann Lee', 'Bo Kim']),
+      preprint('b', ['Ann Lee', 'Bo Kim', 'Cy Ng']),
+      preprint('c', ['Dan Roe', 'Eve Fox']),
+      preprint('d', ['Solo Author'])
+    ]);
+    const network = coauthorNetwork(index);
+
+    expect(network.nodes).toHaveLength(5);
+    const cluster = (name) => network.nodes.find(node => node.name === name).cluster;
+    expect(cluster('Ann Lee')).toBe(0);
+    expect(cluster('Cy Ng')).toBe(0);
+    expect(cluster('Dan Roe')).toBe(cluster('Eve Fox'));
+    expect(cluster('Dan Roe')).not.toBe(0);
+    expect(network.links).toContainEqual({ source: expect.any(String), target: expect.any(String), weight: 2 });
+
+    const positions = layoutNetwork(network, { width: 400, height: 300 });
+    Object.values(positions).forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(40);
+      expect(x).toBeLessThanOrEqual(360);
+      expect(y).toBeGreaterThanOrEqual(40);
+      expect(y).toBeLessThanOrEqual(260);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { lastSyncedAt, syncProfile } from './articleArchive';
+
+// Keeping the archive fresh without the dashboard polling for it. Where the browser
+// supports Periodic Background Sync, the service worker (src/service-worker.js) syncs
+// once a day even with the dashboard closed; otherwise the dashboard checks when it is
+// shown again. A sync that fails for lack of network is queued with Background Sync, or
+// until the browser reports it is back online, and runs when the connection returns.
+
+export const REFRESH_TAG = 'radiology-ai-refresh';
+export const PERIODIC_REFRESH_TAG = 'radiology-ai-daily-refresh';
+// Posted by the service worker to open dashboards after it synced
+export const REFRESHED_MESSAGE = 'radiology-ai-refreshed';
+
+const DAY_MS = 86400000;
+
+// The service worker has no localStorage, so the dashboard leaves it what it needs to
+// sync in Cache Storage: { profiles, enabledSources, notifyProfiles }
+const CONFIG_CACHE = 'radiology-ai-refresh-config';
+const CONFIG_URL = `${process.env.PUBLIC_URL}/refresh-config.json`;
+
+const browserCaches = () => (typeof caches !== 'undefined' ? caches : undefined);
+
+export const saveRefreshConfig = async (config, cacheStorage = browserCaches()) => {
+  if (!cacheStorage) return;
+  const cache = await cacheStorage.open(CONFIG_CACHE);
+  await cache.put(CONFIG_URL, new Response(JSON.stringify(config), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+export const loadRefreshConfig = async (cacheStorage = browserCaches()) => {
+  if (!cacheStorage) return null;
+  const cache = await cacheStorage.open(CONFIG_CACHE);
+  const response = await cache.match(CONFIG_URL);
+  return response ? response.json() : null;
+};
+
+// A profile syncs once per calendar day; one that never synced is due now
+export const refreshDue = (lastRefresh, now = new Date()) =>
+  !lastRefresh || new Date(lastRefresh).toDateString() !== now.toDateString();
+
+// Did a request fail because there is no connection, rather than an error from the source?
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false)
+  || Boolean(error && error.isAxiosError && !error.response);
+
+/**
+ * How current the shown data is: 'offline' without a connection, 'stale' when the
+ * profile hasn't synced today and 'live' otherwise.
+ */
+export const dataFreshness = ({ online, lastRefresh, now = new Date() }) => {
+  if (!online) return 'offline';
+  return refreshDue(lastRefresh, now) ? 'stale' : 'live';
+};
+
+const serviceWorkerRegistration = async () => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+/**
+ * Ask the service worker to sync once the connection is back. Resolves to false when
+ * there is no service worker or the browser lacks Background Sync, in which case the
+ * dashboard has to retry itself.
+ */
+export const queueRefresh = async () => {
+  try {
+    const registration = await serviceWorkerRegistration();
+    if (!registration || !registration.sync) return false;
+    await registration.sync.register(REFRESH_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Background Sync unavailable:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Have the service worker sync daily. Browsers only allow this for an installed app
+ * and may space the syncs out further. Resolves to whether it was registered.
+ */
+export const registerPeriodicRefresh = async () => {
+  try {
+    const registration = await serviceWorkerRegistration();
+    if (!registration || !registration.periodicSync) return false;
+    const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (permission.state !== 'granted') return false;
+    await registration.periodicSync.register(PERIODIC_REFRESH_TAG, { minInterval: DAY_MS });
+    return true;
+  } catch (error) {
+    console.warn('Periodic Background Sync unavailable:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Sync each configured profile that is due, as the dashboard would, and call
+ * `notify(profile, articles)` with the new articles of profiles that asked for
+ * notifications. Resolves to [{ profileId, added, failures } | { profileId, skipped }
+ * | { profileId, error }].
+ */
+export const runBackgroundRefresh = async (config, { archive, adapters, now = new Date(), notify }) => {
+  const results = [];
+  // One profile at a time keeps the sources within their rate limits
+  for (const profile of config.profiles) {
+    try {
+      const previous = lastSyncedAt(await archive.getSyncState(profile.id), config.enabledSources);
+      if (!refreshDue(previous, now)) {
+        results.push({ profileId: profile.id, skipped: true });
+        continue;
+      }
+      const { articles, added, failures, syncedAt } = await syncProfile(
+        archive,
+        adapters,
+        config.enabledSources,
+        profile,
+        { now, maxResults: 200 }
+      );
+      // A profile's first sync finds everything, which isn't news
+      const found = articles.filter(article => article.firstSeen === syncedAt);
+      if (found.length > 0 && found.length < articles.length && config.notifyProfiles.includes(profile.id)) {
+        await notify(profile, found);
+      }
+      results.push({ profileId: profile.id, added, failures: failures.map(failure => failure.id) });
+    } catch (error) {
+      console.error(`Error refreshing profile ${profile.name}:`, error.message);
+      results.push({ profileId: profile.id, error: error.message });
+    }
+  }
+  return results;
+};
@@ -0,0 +1,78 @@
+import { createArticleArchive, createMemoryBackend } from './articleArchive';
+import { dataFreshness, isNetworkError, refreshDue, runBackgroundRefresh } from './backgroundRefresh';
+
+const article = (uid) => ({ uid, pmid: uid, title: `Article ${uid}`, source: 'PubMed' });
+
+const at = (date, time = '12:00') => new Date(`${date}T${time}:00`);
+
+describe('refreshDue', () => {
+  test('is due once per calendar day', () => {
+    expect(refreshDue(null, at('2025-03-02'))).toBe(true);
+    expect(refreshDue(at('2025-03-02', '00:30').toISOString(), at('2025-03-02', '23:00'))).toBe(false);
+    expect(refreshDue(at('2025-03-01', '23:30').toISOString(), at('2025-03-02', '00:30'))).toBe(true);
+  });
+});
+
+describe('dataFreshness', () => {
+  test('reports offline, stale or live', () => {
+    const now = at('2025-03-02');
+    expect(dataFreshness({ online: false, lastRefresh: now.toISOString(), now })).toBe('offline');
+    expect(dataFreshness({ online: true, lastRefresh: at('2025-03-01').toISOString(), now })).toBe('stale');
+    expect(dataFreshness({ online: true, lastRefresh: now.toISOString(), now })).toBe('live');
+  });
+});
+
+describe('isNetworkError', () => {
+  test('tells a missing connection from an error response', () => {
+    expect(isNetworkError({ isAxiosError: true })).toBe(true);
+    expect(isNetworkError({ isAxiosError: true, response: { status: 500 } })).toBe(false);
+    expect(isNetworkError(new Error('Unexpected XML'))).toBe(false);
+  });
+});
+
+describe('runBackgroundRefresh', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  const profiles = [{ id: 'chest', name: 'Chest' }, { id: 'neuro', name: 'Neuro' }];
+
+  test('syncs the profiles that are due and notifies of new articles', async () => {
+    const archive = createArticleArchive(createMemoryBackend());
+    const pubmed = { id: 'pubmed', name: 'PubMed', fetchArticles: jest.fn().mockResolvedValue([article('1')]) };
+    const notify = jest.fn();
+    const config = { profiles, enabledSources: ['pubmed'], notifyProfiles: ['chest'] };
+
+    await runBackgroundRefresh(config, { archive, adapters: [pubmed], now: at('2025-03-01'), notify });
+    // A first sync finds everything, so there is nothing to announce
+    expect(notify).not.toHaveBeenCalled();
+
+    const sameDay = await runBackgroundRefresh(config, { archive, adapters: [pubmed], now: at('2025-03-01', '18:00'), notify });
+    expect(sameDay).toEqual([{ profileId: 'chest', skipped: true }, { profileId: 'neuro', skipped: true }]);
+
+    pubmed.fetchArticles.mockResolvedValue([article('2')]);
+    const nextDay = await runBackgroundRefresh(config, { archive, adapters: [pubmed], now: at('2025-03-02'), notify });
+    expect(nextDay[0]).toEqual({ profileId: 'chest', added: 1, failures: [] });
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify.mock.calls[0][0]).toBe(profiles[0]);
+    expect(notify.mock.calls[0][1].map(a => a.uid)).toEqual(['2']);
+  });
+
+  test('records a profile whose sources all failed and carries on', async () => {
+    const archive = createArticleArchive(createMemoryBackend());
+    const pubmed = {
+      id: 'pubmed',
+      name: 'PubMed',
+      fetchArticles: jest.fn()
+        .mockRejectedValueOnce(new Error('Network Error'))
+        .mockResolvedValue([article('1')])
+    };
+    const config = { profiles, enabledSources: ['pubmed'], notifyProfiles: [] };
+
+    const results = await runBackgroundRefresh(config, { archive, adapters: [pubmed], now: at('2025-03-01'), notify: jest.fn() });
+
+    expect(results).toEqual([
+      { profileId: 'chest', error: 'Network Error' },
+      { profileId: 'neuro', added: 1, failures: [] }
+    ]);
+  });
+});
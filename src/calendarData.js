@@ -0,0 +1,61 @@
+import { dayKey, normalizeDate, parseDay } from './dates';
+
+// Day-by-day counts for the Statistics calendar heatmap. Both the issue date and the
+// epub date are plotted, so a paper published online in March and in print in June
+// shows up on both days.
+
+const TOP_TITLES = 3;
+
+/**
+ * One entry per day from `start` to `end` inclusive, days without articles included so
+ * every square in the heatmap has a date:
+ * { date, key, count, published, epub, titles: [top titles by journal impact factor] }
+ */
+export const calendarDays = (articles, start, end) => {
+  const days = new Map();
+  for (let date = new Date(start.getFullYear(), start.getMonth(), start.getDate()); date <= end;
+    date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    days.set(dayKey(date), { date, key: dayKey(date), count: 0, published: 0, epub: 0, articles: [] });
+  }
+
+  articles.forEach(article => {
+    const published = parseDay(article.publicationDate);
+    const epub = parseDay(article.epubDate);
+    const publishedDay = published && days.get(dayKey(published));
+    const epubDay = epub && days.get(dayKey(epub));
+    if (publishedDay) {
+      publishedDay.published++;
+      publishedDay.articles.push(article);
+    }
+    if (epubDay && epubDay !== publishedDay) {
+      epubDay.epub++;
+      epubDay.articles.push(article);
+    }
+  });
+
+  return [...days.values()].map(({ articles: dayArticles, ...day }) => ({
+    ...day,
+    count: day.published + day.epub,
+    titles: [...dayArticles]
+      .sort((a, b) => (b.impactFactor || 0) - (a.impactFactor || 0))
+      .slice(0, TOP_TITLES)
+      .map(article => article.title)
+  }));
+};
+
+// Colour bucket 0-4 relative to the busiest day
+export const intensity = (count, max) => (count === 0 || max === 0 ? 0 : Math.ceil((count / max) * 4));
+
+/**
+ * Whether an article's publication or epub day falls between `start` and `end` (either
+ * may be null). Articles dated only by month, season or year count from the first day of it.
+ */
+export const inDateRange = (article, start, end) => {
+  const days = [parseDay(article.publicationDate), parseDay(article.epubDate)].filter(Boolean);
+  if (days.length === 0) {
+    const date = normalizeDate(article.publicationDate);
+    if (!date) return !start && !end;
+    days.push(date.start);
+  }
+  return days.some(day => (!start || day >= start) && (!end || day <= end));
+};
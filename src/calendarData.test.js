@@ -0,0 +1,36 @@
+import { calendarDays, inDateRange, intensity } from './calendarData';
+import { parseDay } from './dates';
+
+const articles = [
+  { uid: '1', title: 'Low impact', publicationDate: '2024 Mar 5', impactFactor: 2 },
+  { uid: '2', title: 'High impact', publicationDate: '2024 Jun 1', epubDate: '2024 Mar 5', impactFactor: 19.7 },
+  { uid: '3', title: 'Preprint', publicationDate: '2024-03-06' },
+  { uid: '4', title: 'Same day', publicationDate: '2024 Mar 6', epubDate: '2024-03-06' },
+  { uid: '5', title: 'Month only', publicationDate: '2024 Mar' }
+];
+
+describe('publication calendar', () => {
+  test('counts publication and epub dates for every day in the range', () => {
+    const days = calendarDays(articles, new Date(2024, 2, 4), new Date(2024, 2, 7));
+
+    expect(days.map(day => day.key)).toEqual(['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07']);
+    expect(days[0]).toMatchObject({ count: 0, titles: [] });
+    expect(days[1]).toMatchObject({ count: 2, published: 1, epub: 1, titles: ['High impact', 'Low impact'] });
+    expect(days[2]).toMatchObject({ count: 2, published: 2, epub: 0 });
+    expect(days[1].date).toEqual(new Date(2024, 2, 5));
+  });
+
+  test('matches a date range on either date', () => {
+    const march5 = parseDay('2024 Mar 5');
+
+    expect(articles.filter(article => inDateRange(article, march5, march5)).map(a => a.uid)).toEqual(['1', '2']);
+    expect(inDateRange(articles[4], new Date(2024, 2, 1), null)).toBe(true);
+    expect(inDateRange(articles[4], new Date(2024, 2, 2), null)).toBe(false);
+    expect(inDateRange({ publicationDate: '' }, march5, null)).toBe(false);
+  });
+
+  test('buckets counts relative to the busiest day', () => {
+    expect([0, 1, 5, 10].map(count => intensity(count, 10))).toEqual([0, 1, 2, 4]);
+    expect(intensity(0, 0)).toBe(0);
+  });
+});
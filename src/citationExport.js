@@ -0,0 +1,226 @@
+import { normalizeTitle } from './deduplicate';
+import { MONTH_ABBREVIATIONS, parseDateParts } from './dates';
+
+// Reference-manager exports of a list of articles: BibTeX, RIS, CSV and CSL-JSON.
+// Every format carries authors, journal, date, PMID/DOI, abstract, link, the study-type
+// category and the assigned subdomains, and all formats share the same citation keys.
+
+// Year, month and day of an article's publication date
+export const dateParts = (article) => parseDateParts(article.publicationDate || article.epubDate);
+
+/**
+ * Split an author into { family, given } or { literal } for collective names. Without
+ * structured names, "Smith JA" is read as surname plus initials and "Wei Zhang" as
+ * forename plus surname.
+ */
+export const authorName = (author) => {
+  // PubMed records are structured; a record without a surname is a collective author
+  if ('lastName' in author) {
+    return author.lastName
+      ? { family: author.lastName, given: author.foreName || author.initials || '' }
+      : { literal: author.name };
+  }
+  const parts = author.name.trim().split(/\s+/);
+  if (parts.length === 1) return { literal: author.name.trim() };
+  const last = parts[parts.length - 1];
+  if (/^[A-Z]{1,3}$/.test(last)) return { family: parts.slice(0, -1).join(' '), given: last.split('').join(' ') };
+  // Long multi-word names without initials are usually consortia
+  if (parts.length > 4) return { literal: author.name.trim() };
+  return { family: last, given: parts.slice(0, -1).join(' ') };
+};
+
+// Structured author details where the source has them, otherwise the plain name list
+export const authorDetailsOf = (article) => (article.authorDetails?.length
+  ? article.authorDetails
+  : (article.authors || []).map(name => ({ name, affiliations: [] })));
+
+export const authorNames = (article) => authorDetailsOf(article)
+  .filter(author => author.name || author.lastName)
+  .map(authorName);
+
+const asciiWord = (text) => normalizeTitle(text).replace(/ /g, '');
+
+const KEY_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'on', 'in', 'for', 'and', 'to', 'with', 'is', 'are']);
+
+const baseKey = (article) => {
+  const [first] = authorNames(article);
+  const name = first ? asciiWord(first.family || first.literal.split(/\s+/)[0]) : 'anon';
+  const [year] = dateParts(article);
+  const word = (article.title || '').split(/\s+/).map(asciiWord).find(w => w && !KEY_STOPWORDS.has(w)) || '';
+  return `${name}${year || 'nd'}${word}`;
+};
+
+/**
+ * Citation keys like "smith2024deep". Keys only depend on the articles themselves, so
+ * exporting the same papers twice gives the same keys; clashes get a, b, c suffixes in
+ * PMID/uid order rather than list order.
+ */
+export const citationKeys = (articles) => {
+  const groups = new Map();
+  articles.forEach(article => {
+    const key = baseKey(article);
+    groups.set(key, [...(groups.get(key) || []), article]);
+  });
+  const keys = new Map();
+  groups.forEach((group, key) => {
+    if (group.length === 1) {
+      keys.set(group[0].uid, key);
+      return;
+    }
+    [...group]
+      .sort((a, b) => String(a.pmid || a.uid).localeCompare(String(b.pmid || b.uid), undefined, { numeric: true }))
+      .forEach((article, i) => keys.set(article.uid, `${key}${i < 26 ? String.fromCharCode(97 + i) : i + 1}`));
+  });
+  return keys;
+};
+
+const isPreprint = (article) => (article.publicationTypes || []).includes('Preprint');
+
+const tags = (article) => [
+  article.category,
+  ...(article.subdomains || []).map(({ subdomain }) => subdomain)
+].filter(Boolean);
+
+const oneLine = (text) => (text || '').replace(/\s*\n\s*/g, ' ').trim();
+
+// BibTeX
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '%': '\\%',
+  '&': '\\&',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}'
+};
+
+const escapeBibtex = (text) => oneLine(text).replace(/[\\{}%&$#_^~]/g, char => BIBTEX_ESCAPES[char]);
+
+// DOIs and URLs are read verbatim, so escapes would end up in them; only braces, which
+// would unbalance the field, are dropped
+const verbatimBibtex = (text) => oneLine(text).replace(/[{}]/g, '');
+
+const bibtexName = (author) => (author.literal
+  ? `{${escapeBibtex(author.literal)}}`
+  : [author.family, author.given].filter(Boolean).map(escapeBibtex).join(', '));
+
+export const toBibtex = (articles) => {
+  const keys = citationKeys(articles);
+  return articles.map(article => {
+    const [year, month] = dateParts(article);
+    const fields = [
+      ['author', authorNames(article).map(bibtexName).join(' and ')],
+      // Double braces keep the title's capitalisation
+      ['title', article.title && `{${escapeBibtex(article.title)}}`],
+      [isPreprint(article) ? 'howpublished' : 'journal', escapeBibtex(article.journal)],
+      ['year', year && String(year)],
+      ['month', month && MONTH_ABBREVIATIONS[month - 1]],
+      ['doi', verbatimBibtex(article.doi)],
+      ['pmid', article.pmid],
+      ['url', verbatimBibtex(article.link)],
+      ['abstract', escapeBibtex(article.abstract)],
+      ['keywords', tags(article).map(escapeBibtex).join(', ')]
+    ].filter(([, value]) => value);
+    const body = fields
+      .map(([name, value]) => (name === 'month' ? `  ${name} = ${value}` : `  ${name} = {${value}}`))
+      .join(',\n');
+    return `@${isPreprint(article) ? 'misc' : 'article'}{${keys.get(article.uid)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+// RIS
+
+export const toRis = (articles) => {
+  const keys = citationKeys(articles);
+  return articles.map(article => {
+    const [year, month, day] = dateParts(article);
+    const pad = (n) => (n ? String(n).padStart(2, '0') : '');
+    const lines = [
+      ['TY', isPreprint(article) ? 'UNPB' : 'JOUR'],
+      ['ID', keys.get(article.uid)],
+      ...authorNames(article).map(author => ['AU', author.literal || [author.family, author.given].filter(Boolean).join(', ')]),
+      ['TI', oneLine(article.title)],
+      ['T2', oneLine(article.journal)],
+      ['J2', oneLine(article.journalAbbrev)],
+      ['PY', year && String(year)],
+      ['DA', year && `${year}/${pad(month)}/${pad(day)}/`],
+      ['DO', article.doi],
+      ['AN', article.pmid && `PMID:${article.pmid}`],
+      ['UR', article.link],
+      ['AB', oneLine(article.abstract)],
+      ...tags(article).map(tag => ['KW', tag]),
+      ['ER', '']
+    ].filter(([tag, value]) => value || tag === 'ER');
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+};
+
+// CSV
+
+export const CSV_COLUMNS = [
+  ['Citation key', (article, key) => key],
+  ['Title', article => oneLine(article.title)],
+  ['Authors', article => (article.authors || []).join('; ')],
+  ['Journal', article => article.journal],
+  ['Publication date', article => article.publicationDate],
+  ['Year', article => dateParts(article)[0]],
+  ['PMID', article => article.pmid],
+  ['DOI', article => article.doi],
+  ['Category', article => article.category],
+  ['Subdomains', article => (article.subdomains || []).map(({ subdomain }) => subdomain).join('; ')],
+  ['Abstract', article => article.abstract],
+  ['Link', article => article.link]
+];
+
+export const csvCell = (value) => {
+  if (typeof value === 'number') return String(value);
+  const text = value === undefined || value === null ? '' : String(value);
+  // Leading =, +, - or @ would be run as a formula by spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const toCsv = (articles) => {
+  const keys = citationKeys(articles);
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...articles.map(article => CSV_COLUMNS.map(([, value]) => value(article, keys.get(article.uid))))
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// CSL-JSON
+
+export const toCslJson = (articles) => {
+  const keys = citationKeys(articles);
+  const items = articles.map(article => {
+    const parts = dateParts(article);
+    return Object.fromEntries(Object.entries({
+      id: keys.get(article.uid),
+      type: isPreprint(article) ? 'article' : 'article-journal',
+      title: oneLine(article.title),
+      author: authorNames(article),
+      'container-title': article.journal,
+      'container-title-short': article.journalAbbrev,
+      issued: parts.length > 0 ? { 'date-parts': [parts] } : undefined,
+      DOI: article.doi,
+      PMID: article.pmid,
+      URL: article.link,
+      abstract: article.abstract,
+      keyword: tags(article).join(', ')
+    }).filter(([, value]) => value !== undefined && value !== ''));
+  });
+  return `${JSON.stringify(items, null, 2)}\n`;
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'bibtex', label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', format: toBibtex },
+  { id: 'ris', label: 'RIS (EndNote, Zotero)', extension: 'ris', mimeType: 'application/x-research-info-systems', format: toRis },
+  // The byte-order mark makes Excel read the file as UTF-8
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', format: articles => `\ufeff${toCsv(articles)}` },
+  { id: 'csl-json', label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json', format: toCslJson }
+];
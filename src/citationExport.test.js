@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { parsePubMedXml } from './pubmedClient';
+import { authorNames, citationKeys, dateParts, toBibtex, toCslJson, toCsv, toRis } from './citationExport';
+
+const efetchXml = fs.readFileSync(path.join(__dirname, 'fixtures', 'pubmed', 'efetch.xml'), 'utf8');
+const [tomosynthesis, brain, jacr] = parsePubMedXml(efetchXml).map(article => ({
+  ...article,
+  category: 'Performance Validation',
+  subdomains: [{ subdomain: 'Breast' }]
+}));
+
+const special = {
+  uid: 'arxiv:2402.01234',
+  title: 'Dice & IoU: 95% of {nnU-Net} runs cost $5_000, "quoted"',
+  abstract: 'First line\nsecond line, with a comma',
+  authors: ['Wei Zhang', 'Priya Natarajan'],
+  journal: 'arXiv',
+  publicationDate: '2024-02-02',
+  publicationTypes: ['Preprint'],
+  doi: '10.48550/arXiv.2402.01234',
+  link: 'http://arxiv.org/abs/2402.01234v2'
+};
+
+describe('names, dates and keys', () => {
+  test('reads structured, initial-style and collective author names', () => {
+    expect(authorNames(brain)).toContainEqual({ literal: 'BRAIN-AI Consortium' });
+    expect(authorNames(tomosynthesis)[0]).toEqual({ family: 'Müller', given: 'Anna K' });
+    expect(authorNames({ authors: ['Smith JA', 'Wei Zhang'] }))
+      .toEqual([{ family: 'Smith', given: 'J A' }, { family: 'Zhang', given: 'Wei' }]);
+  });
+
+  test('parses PubMed, ISO and seasonal dates', () => {
+    expect(dateParts({ publicationDate: '2024 Mar 5' })).toEqual([2024, 3, 5]);
+    expect(dateParts({ publicationDate: '2024-02-02' })).toEqual([2024, 2, 2]);
+    expect(dateParts({ publicationDate: '2023 Winter' })).toEqual([2023]);
+  });
+
+  test('keys are stable regardless of list order and disambiguated', () => {
+    const twin = { ...jacr, uid: '39000009', pmid: '39000009' };
+    const forward = citationKeys([tomosynthesis, jacr, twin]);
+    const reversed = citationKeys([twin, jacr, tomosynthesis]);
+
+    expect(forward.get(tomosynthesis.uid)).toBe('muller2024deep');
+    expect(forward.get(jacr.uid)).toBe('smith2024implementationa');
+    expect(forward.get(twin.uid)).toBe('smith2024implementationb');
+    expect(reversed).toEqual(forward);
+  });
+});
+
+describe('formats', () => {
+  test('BibTeX escapes LaTeX specials and keeps the title case', () => {
+    const bib = toBibtex([tomosynthesis, special]);
+
+    expect(bib.split('\n').slice(0, 2)).toEqual(['@article{muller2024deep,', '  author = {Müller, Anna K and Smith, John},']);
+    expect(bib).toContain('  month = mar,');
+    expect(bib).toContain('  pmid = {39000001},');
+    expect(bib).toContain('  keywords = {Performance Validation, Breast}');
+    expect(bib).toContain('@misc{zhang2024dice,');
+    expect(bib).toContain('title = {{Dice \\& IoU: 95\\% of \\{nnU-Net\\} runs cost \\$5\\_000, "quoted"}}');
+    expect(bib).toContain('abstract = {First line second line, with a comma}');
+  });
+
+  test('BibTeX keeps DOIs and URLs verbatim', () => {
+    const bib = toBibtex([{
+      ...special,
+      doi: '10.1002/(SICI)1097-4636_199#3%~{x}',
+      link: 'https://example.org/a_b?q=1%20x#frag~1'
+    }]);
+
+    expect(bib).toContain('  doi = {10.1002/(SICI)1097-4636_199#3%~x},');
+    expect(bib).toContain('  url = {https://example.org/a_b?q=1%20x#frag~1},');
+  });
+
+  test('RIS has one tag per line and ends every record', () => {
+    const ris = toRis([tomosynthesis, brain]).split('\r\n');
+
+    expect(ris[0]).toBe('TY  - JOUR');
+    expect(ris).toContain('AU  - Müller, Anna K');
+    expect(ris).toContain('AU  - BRAIN-AI Consortium');
+    expect(ris).toContain('AN  - PMID:39000001');
+    expect(ris).toContain('DO  - 10.1148/radiol.000001');
+    expect(ris).toContain('KW  - Breast');
+    expect(ris.filter(line => line === 'ER  -')).toHaveLength(2);
+  });
+
+  test('CSV quotes commas, quotes, newlines and formula prefixes', () => {
+    const [header, row, rest] = toCsv([{ ...special, title: '=HYPERLINK("x")' }]).split('\r\n');
+
+    expect(header).toBe('Citation key,Title,Authors,Journal,Publication date,Year,PMID,DOI,Category,Subdomains,Abstract,Link');
+    expect(row).toBe('zhang2024hyperlinkx,"\'=HYPERLINK(""x"")",Wei Zhang; Priya Natarajan,arXiv,2024-02-02,2024,'
+      + ',10.48550/arXiv.2402.01234,,,"First line\nsecond line, with a comma",http://arxiv.org/abs/2402.01234v2');
+    expect(rest).toBe('');
+  });
+
+  test('CSL-JSON uses CSL names, dates and types', () => {
+    const [item, preprint] = JSON.parse(toCslJson([tomosynthesis, special]));
+
+    expect(item).toMatchObject({
+      id: 'muller2024deep',
+      type: 'article-journal',
+      'container-title': 'Radiology',
+      issued: { 'date-parts': [[2024, 3]] },
+      DOI: '10.1148/radiol.000001',
+      PMID: '39000001',
+      keyword: 'Performance Validation, Breast'
+    });
+    expect(item.author[0]).toEqual({ family: 'Müller', given: 'Anna K' });
+    expect(preprint.type).toBe('article');
+    expect(preprint.author).toEqual([{ family: 'Zhang', given: 'Wei' }, { family: 'Natarajan', given: 'Priya' }]);
+  });
+});
@@ -0,0 +1,189 @@
+import { articleKey } from './articleArchive';
+import { createRateLimiter, fetchWithRetry } from './http';
+
+// Citation metrics from NIH iCite (PMIDs, in batches) with OpenCitations as a fallback for
+// records iCite doesn't know, including DOI-only preprints. Results are cached by archive
+// key (pmid:..., doi:...) and looked up again once older than the refresh interval.
+//
+// Providers share one interface:
+//   { id, name, supports(key), lookup(keys, years) => Promise<Map<key, metrics>> }
+// where years maps each key to its publication year, and metrics are { citationCount, relativeCitationRatio, citationsPerYear }, the
+// ratio being null when the provider doesn't compute one.
+
+export const ICITE_BASE_URL = 'https://icite.od.nih.gov/api';
+export const OPENCITATIONS_BASE_URL = 'https://opencitations.net/index/api/v2';
+
+const CACHE_KEY = 'radiology_ai_citation_metrics';
+
+export const DEFAULT_REFRESH_DAYS = 7;
+const DAY_MS = 86400000;
+
+const pmidOf = (key) => key.slice('pmid:'.length);
+
+/**
+ * NIH iCite: citation count, relative citation ratio (RCR) and citations per year for
+ * up to `batchSize` PMIDs per request.
+ */
+export const createICiteProvider = ({
+  baseUrl = ICITE_BASE_URL,
+  batchSize = 200,
+  requestsPerSecond = 2,
+  retries = 3,
+  retryDelay = 2000
+} = {}) => {
+  const throttle = createRateLimiter(requestsPerSecond);
+  return {
+    id: 'icite',
+    name: 'iCite',
+    supports: (key) => key.startsWith('pmid:'),
+    lookup: async (keys) => {
+      const results = new Map();
+      for (let i = 0; i < keys.length; i += batchSize) {
+        const batch = keys.slice(i, i + batchSize);
+        const response = await throttle(() => fetchWithRetry(`${baseUrl}/pubs`, {
+          params: {
+            pmids: batch.map(pmidOf).join(','),
+            fl: 'pmid,year,citation_count,relative_citation_ratio,citations_per_year'
+          }
+        }, retries, retryDelay));
+        (response.data?.data || []).forEach(record => {
+          results.set(`pmid:${record.pmid}`, {
+            citationCount: record.citation_count || 0,
+            relativeCitationRatio: record.relative_citation_ratio ?? null,
+            citationsPerYear: record.citations_per_year ?? null
+          });
+        });
+      }
+      return results;
+    }
+  };
+};
+
+/**
+ * OpenCitations Index: citation counts by PMID or DOI, one record per request. It has
+ * no field-normalised ratio; citations per year are estimated from the publication year.
+ */
+export const createOpenCitationsProvider = ({
+  baseUrl = OPENCITATIONS_BASE_URL,
+  accessToken,
+  requestsPerSecond = 3,
+  retries = 3,
+  retryDelay = 2000,
+  now = () => new Date()
+} = {}) => {
+  const throttle = createRateLimiter(requestsPerSecond);
+  return {
+    id: 'opencitations',
+    name: 'OpenCitations',
+    supports: (key) => key.startsWith('pmid:') || key.startsWith('doi:'),
+    lookup: async (keys, years = new Map()) => {
+      const results = new Map();
+      for (const key of keys) {
+        let response;
+        try {
+          response = await throttle(() => fetchWithRetry(
+            `${baseUrl}/citation-count/${encodeURI(key)}`,
+            accessToken ? { headers: { authorization: accessToken } } : {},
+            retries,
+            retryDelay
+          ));
+        } catch (error) {
+          // An identifier the index has never seen is a 404, not an outage
+          if (error.response?.status === 404) continue;
+          throw error;
+        }
+        const count = parseInt(response.data?.[0]?.count, 10);
+        if (!Number.isFinite(count)) continue;
+        const year = years.get(key);
+        const age = year ? Math.max(1, now().getFullYear() - year + 1) : null;
+        results.set(key, {
+          citationCount: count,
+          relativeCitationRatio: null,
+          citationsPerYear: age ? Math.round((count / age) * 10) / 10 : null
+        });
+      }
+      return results;
+    }
+  };
+};
+
+export const createCitationProviders = (options = {}) => [
+  createICiteProvider(options.icite),
+  createOpenCitationsProvider(options.opencitations)
+];
+
+export const loadCitationCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading cached citation metrics:', error);
+    return {};
+  }
+};
+
+export const saveCitationCache = (cache) => {
+  localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+};
+
+const isFresh = (entry, now, refreshDays) => entry
+  && now.getTime() - new Date(entry.fetchedAt).getTime() < refreshDays * DAY_MS;
+
+/**
+ * Archive keys of the articles whose cached metrics are missing or older than
+ * `refreshDays`.
+ */
+export const staleCitationKeys = (articles, cache, { now = new Date(), refreshDays = DEFAULT_REFRESH_DAYS } = {}) => [
+  ...new Set(articles.map(articleKey).filter(key => !isFresh(cache[key], now, refreshDays)))
+];
+
+const publicationYear = (article) => parseInt((article.publicationDate || article.epubDate || '').slice(0, 4), 10) || null;
+
+/**
+ * Look up stale articles with each provider in turn; later providers only see what
+ * earlier ones didn't find. A failing provider is reported and skipped, and its stale
+ * cache entries are kept. Records nobody knows are cached with citationCount null so
+ * they aren't asked for again until the next refresh.
+ * Resolves to { cache, updated, failures: [{ id, name, error }] } with a new cache object.
+ */
+export const refreshCitationMetrics = async (articles, providers, cache, {
+  now = new Date(),
+  refreshDays = DEFAULT_REFRESH_DAYS
+} = {}) => {
+  let pending = staleCitationKeys(articles, cache, { now, refreshDays });
+  const years = new Map(articles.map(article => [articleKey(article), publicationYear(article)]));
+  const next = { ...cache };
+  const failures = [];
+  const unreachable = new Set();
+  const fetchedAt = now.toISOString();
+  let updated = 0;
+
+  for (const provider of providers) {
+    const keys = pending.filter(provider.supports);
+    if (keys.length === 0) continue;
+    try {
+      const found = await provider.lookup(keys, years);
+      found.forEach((metrics, key) => {
+        next[key] = { ...metrics, source: provider.name, fetchedAt };
+      });
+      updated += found.size;
+      pending = pending.filter(key => !found.has(key));
+    } catch (error) {
+      console.error(`Error fetching citations from ${provider.name}:`, error);
+      failures.push({ id: provider.id, name: provider.name, error });
+      keys.forEach(key => unreachable.add(key));
+    }
+  }
+
+  // Keys a failed provider couldn't answer for keep whatever was cached before
+  pending.filter(key => !unreachable.has(key)).forEach(key => {
+    next[key] = { citationCount: null, relativeCitationRatio: null, citationsPerYear: null, source: null, fetchedAt };
+  });
+
+  return { cache: next, updated, failures };
+};
+
+// Cached metrics for an article, or null when no provider knows it
+export const citationMetricsFor = (cache, article) => {
+  const entry = cache[articleKey(article)];
+  return entry && entry.citationCount !== null ? entry : null;
+};
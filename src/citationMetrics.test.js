@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import {
+  citationMetricsFor,
+  createICiteProvider,
+  createOpenCitationsProvider,
+  refreshCitationMetrics,
+  staleCitationKeys
+} from './citationMetrics';
+import { startMockCitationServer } from './fixtures/mockCitationServer';
+
+const articles = [
+  { uid: '39000001', pmid: '39000001', publicationDate: '2024 Mar' },
+  { uid: '39000002', pmid: '39000002', publicationDate: '2023 Winter' },
+  { uid: '39000003', pmid: '39000003', publicationDate: '2024 May 9' },
+  { uid: 'arxiv:2402.01234', doi: '10.48550/arXiv.2402.01234', publicationDate: '2024-02-02' },
+  { uid: 'arxiv:2403.00001', doi: '10.48550/arXiv.2403.00001', publicationDate: '2024-03-01' }
+];
+
+const now = new Date('2025-06-01T12:00:00Z');
+const fast = { retries: 1, retryDelay: 0, requestsPerSecond: 100 };
+
+describe('citation metrics', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  const providers = () => [
+    createICiteProvider({ baseUrl: server.iciteUrl, batchSize: 2, ...fast }),
+    createOpenCitationsProvider({ baseUrl: server.openCitationsUrl, now: () => now, ...fast })
+  ];
+
+  test('looks PMIDs up in iCite batches and falls back to OpenCitations', async () => {
+    server = await startMockCitationServer();
+
+    const { cache, updated, failures } = await refreshCitationMetrics(articles, providers(), {}, { now });
+
+    expect(failures).toEqual([]);
+    expect(updated).toBe(4);
+    expect(server.requests.filter(r => r.service === 'icite').map(r => r.params.pmids))
+      .toEqual(['39000001,39000002', '39000003']);
+    expect(citationMetricsFor(cache, articles[0])).toMatchObject({
+      citationCount: 42, relativeCitationRatio: 3.17, citationsPerYear: 21, source: 'iCite'
+    });
+    expect(citationMetricsFor(cache, articles[2])).toMatchObject({
+      citationCount: 5, relativeCitationRatio: null, citationsPerYear: 2.5, source: 'OpenCitations'
+    });
+    expect(citationMetricsFor(cache, articles[3]).citationCount).toBe(12);
+    // Unknown everywhere: remembered, but reported as no metrics
+    expect(cache['doi:10.48550/arxiv.2403.00001']).toMatchObject({ citationCount: null });
+    expect(citationMetricsFor(cache, articles[4])).toBeNull();
+  });
+
+  test('reuses cached results until the refresh interval has passed', async () => {
+    server = await startMockCitationServer();
+    const { cache } = await refreshCitationMetrics(articles, providers(), {}, { now });
+    const requestCount = server.requests.length;
+
+    const nextDay = new Date(now.getTime() + 86400000);
+    expect(staleCitationKeys(articles, cache, { now: nextDay })).toEqual([]);
+    await refreshCitationMetrics(articles, providers(), cache, { now: nextDay });
+    expect(server.requests).toHaveLength(requestCount);
+
+    const nextWeek = new Date(now.getTime() + 8 * 86400000);
+    expect(staleCitationKeys(articles, cache, { now: nextWeek })).toHaveLength(articles.length);
+    expect(staleCitationKeys(articles, cache, { now: nextWeek, refreshDays: 30 })).toEqual([]);
+  });
+
+  test('keeps stale metrics when a provider is down', async () => {
+    server = await startMockCitationServer({ failing: ['icite'] });
+    const stale = {
+      'pmid:39000001': { citationCount: 40, relativeCitationRatio: 3, citationsPerYear: 20, source: 'iCite', fetchedAt: '2025-01-01T00:00:00.000Z' }
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { cache, failures } = await refreshCitationMetrics(articles, providers(), stale, { now });
+
+    expect(failures.map(failure => failure.id)).toEqual(['icite']);
+    expect(cache['pmid:39000001']).toEqual(stale['pmid:39000001']);
+    // OpenCitations still answered for the PMIDs iCite couldn't
+    expect(citationMetricsFor(cache, articles[2]).source).toBe('OpenCitations');
+    expect(cache['pmid:39000002']).toBeUndefined();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,116 @@
+import { csvCell } from './citationExport';
+import { dayKey } from './dates';
+import { inDateRange } from './calendarData';
+import { journalBreakdown, journalName } from './journalRegistry';
+import { countBySubdomain, hasSubdomain } from './subdomainClassifier';
+import { addPeriods, periodStart, risingTerms } from './trends';
+
+// Side-by-side comparison of two filter sets ("sides"), each a profile plus an optional
+// date range, subdomain and journal: "chest this quarter vs last quarter", "Neuro vs MSK".
+// Side A is the baseline, so differences read as B minus A.
+
+export const SIDE_NAMES = ['A', 'B'];
+
+export const emptySide = (profileId) => ({
+  profileId,
+  startDate: null,
+  endDate: null,
+  subdomain: null,
+  journal: null
+});
+
+// A: the previous quarter, B: the quarter so far, both in the same profile
+export const quarterSides = (profileId, now = new Date()) => {
+  const current = periodStart(now, 'quarter');
+  const previous = addPeriods(current, 'quarter', -1);
+  const dayBefore = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  return [
+    { ...emptySide(profileId), startDate: previous, endDate: dayBefore(current) },
+    { ...emptySide(profileId), startDate: current, endDate: dayBefore(addPeriods(current, 'quarter', 1)) }
+  ];
+};
+
+export const filterSide = (articles, side, lookup) => articles
+  .filter(article => (!side.startDate && !side.endDate) || inDateRange(article, side.startDate, side.endDate))
+  .filter(article => !side.subdomain || hasSubdomain(article, side.subdomain))
+  .filter(article => !side.journal || journalName(article, lookup) === side.journal);
+
+// "Neuro, Radiology, 2025-01-01 to 2025-03-31 (Default profile)"
+export const describeSide = (side, profiles = []) => {
+  const profile = profiles.find(option => option.id === side.profileId);
+  const dates = side.startDate || side.endDate
+    ? `${side.startDate ? dayKey(side.startDate) : '\u2026'} to ${side.endDate ? dayKey(side.endDate) : '\u2026'}`
+    : null;
+  const filters = [side.subdomain, side.journal, dates].filter(Boolean).join(', ') || 'All articles';
+  return profile ? `${filters} (${profile.name})` : filters;
+};
+
+const share = (count, total) => (total ? count / total : 0);
+
+/**
+ * Compare the articles of two sides. Returns
+ *   { totals: [a, b], growth, subdomains, journals, topJournals, terms }
+ * where subdomains are [{ subdomain, counts, shares, countDifference, shareDifference }],
+ * shares being the fraction of a side's articles in the subdomain (multi-label articles
+ * count in each of theirs); journals are the top journals of either side with both
+ * sides' counts and topJournals[i] side i's own top journals; and terms[i] lists the terms more common on side i than on the other,
+ * as risingTerms. growth is B's change on A, null when A is empty.
+ */
+export const compareSides = ([a, b], lookup, { topJournals = 10, topTerms = 10, minTermCount = 3 } = {}) => {
+  const totals = [a.length, b.length];
+  const counts = [countBySubdomain(a), countBySubdomain(b)];
+  const subdomains = [...new Set([...Object.keys(counts[0]), ...Object.keys(counts[1])])]
+    .map(subdomain => {
+      const sideCounts = counts.map(count => count[subdomain] || 0);
+      const shares = sideCounts.map((count, i) => share(count, totals[i]));
+      return {
+        subdomain,
+        counts: sideCounts,
+        shares,
+        countDifference: sideCounts[1] - sideCounts[0],
+        shareDifference: shares[1] - shares[0]
+      };
+    })
+    .sort((x, y) => (y.counts[0] + y.counts[1]) - (x.counts[0] + x.counts[1]) || x.subdomain.localeCompare(y.subdomain));
+
+  const breakdowns = [journalBreakdown(a, lookup), journalBreakdown(b, lookup)];
+  const journalCount = (i, name) => breakdowns[i].find(journal => journal.name === name)?.count || 0;
+  const journals = [...new Set(breakdowns.flatMap(breakdown => breakdown.slice(0, topJournals).map(journal => journal.name)))]
+    .map(name => ({ name, counts: [journalCount(0, name), journalCount(1, name)] }));
+
+  return {
+    totals,
+    growth: totals[0] ? (totals[1] - totals[0]) / totals[0] : null,
+    subdomains,
+    journals,
+    topJournals: breakdowns.map(breakdown => breakdown.slice(0, topJournals)),
+    terms: [
+      risingTerms(a, b, { minCount: minTermCount, limit: topTerms }),
+      risingTerms(b, a, { minCount: minTermCount, limit: topTerms })
+    ]
+  };
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * The comparison as CSV: the two sides' filters, then one row per total, subdomain,
+ * journal and distinctive term with each side's count and share and the B minus A
+ * differences.
+ */
+export const comparisonCsv = (comparison, sides, profiles) => {
+  const row = (section, item, [countA, countB]) => {
+    const shares = [share(countA, comparison.totals[0]), share(countB, comparison.totals[1])];
+    return [section, item, countA, round(shares[0]), countB, round(shares[1]), countB - countA, round(shares[1] - shares[0])];
+  };
+  const rows = [
+    ['Section', 'Item', 'A count', 'A share', 'B count', 'B share', 'Count difference', 'Share difference'],
+    ...sides.map((side, i) => ['Filters', `${SIDE_NAMES[i]}: ${describeSide(side, profiles)}`]),
+    row('Total', 'All articles', comparison.totals),
+    ...comparison.subdomains.map(subdomain => row('Subdomain', subdomain.subdomain, subdomain.counts)),
+    ...comparison.journals.map(journal => row('Journal', journal.name, journal.counts)),
+    ...comparison.terms[0].map(term => row('Term more common in A', term.term, [term.current, term.previous])),
+    ...comparison.terms[1].map(term => row('Term more common in B', term.term, [term.previous, term.current]))
+  ];
+  return rows.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
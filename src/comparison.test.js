@@ -0,0 +1,87 @@
+import {
+  compareSides,
+  comparisonCsv,
+  describeSide,
+  emptySide,
+  filterSide,
+  quarterSides
+} from './comparison';
+
+const article = (uid, publicationDate, subdomains, journal = 'Radiology', title = 'Deep learning for fracture detection') => ({
+  uid,
+  title,
+  journal,
+  publicationDate,
+  subdomains: subdomains.map(subdomain => ({ subdomain }))
+});
+
+// No registry: every journal is listed under its own name
+const lookup = () => null;
+
+const articles = [
+  article('1', '2025 Jan 10', ['Neuro']),
+  article('2', '2025 Feb 3', ['Neuro', 'MSK'], 'European Radiology'),
+  article('3', '2025 Apr 7', ['MSK'], 'Radiology', 'Large language models for radiology reports'),
+  article('4', '2025 May 2', ['MSK'], 'Radiology', 'Large language models for radiology reports'),
+  article('5', '2025 May 20', ['Neuro'], 'Radiology', 'Large language models for radiology reports')
+];
+
+describe('quarterSides', () => {
+  test('sets A to the previous quarter and B to the current one', () => {
+    const [a, b] = quarterSides('default', new Date(2025, 4, 15));
+    expect([a.startDate, a.endDate]).toEqual([new Date(2025, 0, 1), new Date(2025, 2, 31)]);
+    expect([b.startDate, b.endDate]).toEqual([new Date(2025, 3, 1), new Date(2025, 5, 30)]);
+    expect(b.profileId).toBe('default');
+  });
+});
+
+describe('filterSide', () => {
+  test('applies the date range, subdomain and journal', () => {
+    const side = { ...emptySide('default'), startDate: new Date(2025, 0, 1), endDate: new Date(2025, 2, 31) };
+    expect(filterSide(articles, side, lookup).map(a => a.uid)).toEqual(['1', '2']);
+    expect(filterSide(articles, { ...side, journal: 'European Radiology' }, lookup).map(a => a.uid)).toEqual(['2']);
+    expect(filterSide(articles, { ...emptySide('default'), subdomain: 'MSK' }, lookup).map(a => a.uid)).toEqual(['2', '3', '4']);
+  });
+});
+
+describe('compareSides', () => {
+  const [a, b] = quarterSides('default', new Date(2025, 4, 15));
+  const comparison = compareSides([filterSide(articles, a, lookup), filterSide(articles, b, lookup)], lookup, { minTermCount: 2 });
+
+  test('reports counts, shares and differences per subdomain', () => {
+    expect(comparison.totals).toEqual([2, 3]);
+    expect(comparison.growth).toBe(0.5);
+    expect(comparison.subdomains.map(row => row.subdomain)).toEqual(['MSK', 'Neuro']);
+    expect(comparison.subdomains[0]).toMatchObject({ counts: [1, 2], shares: [0.5, 2 / 3], countDifference: 1 });
+    expect(comparison.subdomains[1].shareDifference).toBeCloseTo(1 / 3 - 1);
+  });
+
+  test('lists both sides\' top journals and the terms that set each side apart', () => {
+    expect(comparison.journals).toEqual([
+      { name: 'European Radiology', counts: [1, 0] },
+      { name: 'Radiology', counts: [1, 3] }
+    ]);
+    expect(comparison.topJournals[1]).toEqual([{ name: 'Radiology', count: 3, tier: null, registered: false }]);
+    expect(comparison.terms[1].map(term => term.term)).toContain('large language models');
+    expect(comparison.terms[0].map(term => term.term)).toContain('fracture detection');
+  });
+
+  test('exports a CSV with one row per total, subdomain, journal and term', () => {
+    const profiles = [{ id: 'default', name: 'Default' }];
+    const lines = comparisonCsv(comparison, [a, b], profiles).trim().split('\r\n');
+    expect(lines[0]).toBe('Section,Item,A count,A share,B count,B share,Count difference,Share difference');
+    expect(lines[1]).toBe('Filters,A: 2025-01-01 to 2025-03-31 (Default)');
+    expect(lines[3]).toBe('Total,All articles,2,1,3,1,1,0');
+    expect(lines[4]).toBe('Subdomain,MSK,1,0.5,2,0.6667,1,0.1667');
+    expect(lines[5]).toBe('Subdomain,Neuro,2,1,1,0.3333,-1,-0.6667');
+    expect(lines).toContain('Journal,European Radiology,1,0.5,0,0,-1,-0.5');
+  });
+});
+
+describe('describeSide', () => {
+  test('summarises the filters', () => {
+    expect(describeSide(emptySide('default'))).toBe('All articles');
+    expect(describeSide({ ...emptySide('x'), subdomain: 'Neuro', startDate: new Date(2025, 0, 1) }))
+      .toBe('Neuro, 2025-01-01 to \u2026');
+  });
+});
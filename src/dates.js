@@ -0,0 +1,115 @@
+// Publication dates arrive as "2024 Mar 5" (PubMed), "2024-03-05" (preprint servers),
+// "2023 Winter" or just "2023". These helpers read them without going through
+// Date parsing, which treats ISO dates as UTC and shifts them a day in some timezones.
+
+export const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Local "YYYY-MM-DD"
+export const dayKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// From most to least precise
+export const DATE_PRECISIONS = ['day', 'month', 'season', 'year'];
+
+// Journal seasons are read as quarters of the issue year, Winter being the first
+const SEASON_MONTHS = new Map([['winter', 1], ['spring', 4], ['summer', 7], ['fall', 10], ['autumn', 10]]);
+
+// { year, month, day, season } from as much of "2024 Mar 5", "2023 Winter", "Apr" or "12" as is there
+const readDatePart = (text) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const part = {};
+  if (/^\d{4}$/.test(tokens[0] || '')) part.year = Number(tokens.shift());
+  const word = (tokens[0] || '').toLowerCase();
+  const monthIndex = /^[a-z]{3,}\.?$/.test(word) ? MONTH_ABBREVIATIONS.indexOf(word.slice(0, 3)) : -1;
+  if (SEASON_MONTHS.has(word)) {
+    part.season = SEASON_MONTHS.get(word);
+    tokens.shift();
+  } else if (monthIndex >= 0) {
+    part.month = monthIndex + 1;
+    tokens.shift();
+  }
+  if (/^\d{1,2}$/.test(tokens[0] || '')) part.day = Number(tokens[0]);
+  return part;
+};
+
+// The local-midnight span [start, end) a date part covers, and how precise it is
+const spanOf = ({ year, month, day, season }) => {
+  if (season) return { start: new Date(year, season - 1, 1), end: new Date(year, season + 2, 1), precision: 'season' };
+  if (!month || month > 12) return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1), precision: 'year' };
+  const start = new Date(year, month - 1, day || 1);
+  if (!day || start.getMonth() !== month - 1) {
+    return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1), precision: 'month' };
+  }
+  return { start, end: new Date(year, month - 1, day + 1), precision: 'day' };
+};
+
+/**
+ * Read a publication date into the span of days it stands for, as { start, end, precision }
+ * with `end` exclusive, or null without a year. Understands ISO dates, PubMed's
+ * "2024 Mar 5", "2024 Mar" and "2023 Winter", and MEDLINE ranges such as "2024 Mar-Apr",
+ * "2024 Jan 5-12", "2023 Dec-2024 Jan" and "2023 Spring-Summer".
+ */
+export const normalizeDate = (text) => {
+  const date = (text || '').trim();
+  const iso = date.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+  if (iso) return spanOf({ year: Number(iso[1]), month: Number(iso[2]), day: iso[3] && Number(iso[3]) });
+
+  const [fromText, toText] = date.split(/\s*-\s*/);
+  const from = readDatePart(fromText);
+  if (!from.year) return null;
+  const first = spanOf(from);
+  const to = toText ? readDatePart(toText) : {};
+  if (!to.year && !to.month && !to.season && !to.day) return first;
+
+  // The end of a range leaves out the parts it shares with the start
+  const last = spanOf(to.year ? to : to.month || to.season ? { ...to, year: from.year } : { ...from, day: to.day });
+  if (last.end <= first.start) return first;
+  const precision = DATE_PRECISIONS[Math.max(
+    DATE_PRECISIONS.indexOf(first.precision),
+    DATE_PRECISIONS.indexOf(last.precision)
+  )];
+  return { start: first.start, end: last.end, precision };
+};
+
+// [year, month, day] with as many parts as normalizeDate makes precise, or [] if there is
+// no year. A range gives its start; a season gives only the year.
+export const parseDateParts = (text) => {
+  const date = normalizeDate(text);
+  if (!date) return [];
+  const { start, precision } = date;
+  return [start.getFullYear(), start.getMonth() + 1, start.getDate()]
+    .slice(0, { day: 3, month: 2 }[precision] || 1);
+};
+
+// Local-midnight Date for a date known to the day, or null when the day is unknown
+export const parseDay = (text) => {
+  const date = normalizeDate(text);
+  return date?.precision === 'day' ? date.start : null;
+};
+
+// Whether a span is exactly one day or one month, rather than a range of them
+const isSingle = ({ start, end, precision }) => end.getTime() === (precision === 'day'
+  ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1)
+  : new Date(start.getFullYear(), start.getMonth() + 1, 1)).getTime();
+
+/**
+ * A publication date for display: a single day or month in the locale's format, and
+ * seasons, years and ranges ("2023 Winter", "2024 Mar-Apr") as the source wrote them.
+ */
+export const formatPublicationDate = (text) => {
+  const date = normalizeDate(text);
+  if (!date || !['day', 'month'].includes(date.precision) || !isSingle(date)) return (text || '').trim();
+  return date.precision === 'day'
+    ? date.start.toLocaleDateString()
+    : date.start.toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+};
+
+// A valid HTML `datetime` for a publication date ("2024-03-05", "2024-03" or "2024"), or
+// undefined without a year
+export const dateTimeAttribute = (text) => {
+  const parts = parseDateParts(text);
+  return parts.length > 0 ? parts.map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0')).join('-') : undefined;
+};
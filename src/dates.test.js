@@ -0,0 +1,65 @@
+import { dateTimeAttribute, formatPublicationDate, normalizeDate, parseDateParts, parseDay } from './dates';
+
+const span = (text) => {
+  const date = normalizeDate(text);
+  return date && [date.start.toDateString(), date.end.toDateString(), date.precision];
+};
+
+describe('normalizeDate', () => {
+  test('reads single dates with their precision', () => {
+    expect(span('2024 Mar 5')).toEqual(['Tue Mar 05 2024', 'Wed Mar 06 2024', 'day']);
+    expect(span('2024-03-05')).toEqual(['Tue Mar 05 2024', 'Wed Mar 06 2024', 'day']);
+    expect(span('2024 Mar')).toEqual(['Fri Mar 01 2024', 'Mon Apr 01 2024', 'month']);
+    expect(span('2023 Winter')).toEqual(['Sun Jan 01 2023', 'Sat Apr 01 2023', 'season']);
+    expect(span('2023 Autumn')).toEqual(['Sun Oct 01 2023', 'Mon Jan 01 2024', 'season']);
+    expect(span('2023')).toEqual(['Sun Jan 01 2023', 'Mon Jan 01 2024', 'year']);
+    // An impossible day falls back to the month
+    expect(span('2023 Feb 30')).toEqual(['Wed Feb 01 2023', 'Wed Mar 01 2023', 'month']);
+  });
+
+  test('reads MEDLINE date ranges', () => {
+    expect(span('2024 Mar-Apr')).toEqual(['Fri Mar 01 2024', 'Wed May 01 2024', 'month']);
+    expect(span('2024 Jan 5-12')).toEqual(['Fri Jan 05 2024', 'Sat Jan 13 2024', 'day']);
+    expect(span('2023 Dec-2024 Jan')).toEqual(['Fri Dec 01 2023', 'Thu Feb 01 2024', 'month']);
+    expect(span('2023 Spring-Summer')).toEqual(['Sat Apr 01 2023', 'Sun Oct 01 2023', 'season']);
+  });
+
+  test('returns null without a year', () => {
+    expect(normalizeDate('')).toBeNull();
+    expect(normalizeDate(undefined)).toBeNull();
+    expect(normalizeDate('Spring')).toBeNull();
+  });
+});
+
+describe('parseDateParts and parseDay', () => {
+  test('keep the parts normalizeDate is sure of', () => {
+    expect(parseDateParts('2024 Mar 5')).toEqual([2024, 3, 5]);
+    expect(parseDateParts('2024-03')).toEqual([2024, 3]);
+    expect(parseDateParts('2024 Mar-Apr')).toEqual([2024, 3]);
+    expect(parseDateParts('2023 Winter')).toEqual([2023]);
+    expect(parseDateParts('Spring')).toEqual([]);
+    expect(parseDay('2024-03-05').toDateString()).toBe('Tue Mar 05 2024');
+    expect(parseDay('2024 Mar')).toBeNull();
+  });
+});
+
+describe('formatPublicationDate', () => {
+  test('formats single days and months and keeps other dates as written', () => {
+    expect(formatPublicationDate('2024 Mar 5')).toBe(new Date(2024, 2, 5).toLocaleDateString());
+    expect(formatPublicationDate('2024 Mar'))
+      .toBe(new Date(2024, 2, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'short' }));
+    expect(formatPublicationDate('2023 Winter')).toBe('2023 Winter');
+    expect(formatPublicationDate('2024 Mar-Apr')).toBe('2024 Mar-Apr');
+    expect(formatPublicationDate(undefined)).toBe('');
+  });
+});
+
+describe('dateTimeAttribute', () => {
+  test('writes valid datetime values at the date\'s precision', () => {
+    expect(dateTimeAttribute('2024 Mar 5')).toBe('2024-03-05');
+    expect(dateTimeAttribute('2024 Mar')).toBe('2024-03');
+    expect(dateTimeAttribute('2024 Jan 5-12')).toBe('2024-01-05');
+    expect(dateTimeAttribute('2023 Winter')).toBe('2023');
+    expect(dateTimeAttribute('')).toBeUndefined();
+  });
+});
@@ -0,0 +1,233 @@
+import stringSimilarity from 'string-similarity';
+
+// Cross-source duplicate detection. Records match on DOI or PMID, or on fuzzy title
+// plus author similarity. Matches are merged into one canonical article that keeps
+// every source link and version date; near misses are returned for manual review.
+
+const THRESHOLDS_KEY = 'radiology_ai_dedupe_thresholds';
+const DECISIONS_KEY = 'radiology_ai_dedupe_decisions';
+
+export const DEFAULT_THRESHOLDS = {
+  title: 0.9, // Title similarity that counts as a match on its own (with some author overlap)
+  author: 0.3, // Minimum author-surname overlap for a title match
+  review: 0.75 // Title similarity from which a non-match is listed for review
+};
+
+// Preferred canonical version, best first
+const VERSION_RANK = ['published', 'epub', 'preprint'];
+
+const PREPRINT_SOURCES = ['arxiv', 'medrxiv', 'biorxiv'];
+
+export const versionOf = (record) => {
+  if (PREPRINT_SOURCES.includes((record.source || '').toLowerCase())
+    || (record.publicationTypes || []).includes('Preprint')) {
+    return 'preprint';
+  }
+  if (['aheadofprint', 'epublish'].includes(record.publicationStatus)) return 'epub';
+  return 'published';
+};
+
+export const normalizeDoi = (doi) => (doi || '')
+  .toLowerCase()
+  .replace(/^https?:\/\/(dx\.)?doi\.org\//, '')
+  .replace(/^doi:\s*/, '')
+  .trim();
+
+export const normalizeTitle = (title) => (title || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// "Müller AK" and "Anna K. Muller" both reduce to "muller"
+const surname = (name) => {
+  const parts = normalizeTitle(name).split(' ').filter(Boolean);
+  if (parts.length < 2) return parts[0] || '';
+  // PubMed style is "Surname Initials"; other sources give "Forename Surname"
+  return parts[parts.length - 1].length <= 2 ? parts[0] : parts[parts.length - 1];
+};
+
+export const authorSimilarity = (a = [], b = []) => {
+  const surnamesA = new Set(a.map(surname).filter(Boolean));
+  const surnamesB = new Set(b.map(surname).filter(Boolean));
+  if (surnamesA.size === 0 || surnamesB.size === 0) return 0;
+  const shared = [...surnamesA].filter(name => surnamesB.has(name)).length;
+  return shared / Math.min(surnamesA.size, surnamesB.size);
+};
+
+export const pairKey = (a, b) => [a, b].sort().join('|');
+
+export const compareRecords = (a, b, thresholds = DEFAULT_THRESHOLDS) => {
+  const doiA = normalizeDoi(a.doi);
+  if (doiA && doiA === normalizeDoi(b.doi)) return { match: true, reason: 'doi' };
+  if (a.pmid && a.pmid === b.pmid) return { match: true, reason: 'pmid' };
+
+  const titleA = normalizeTitle(a.title);
+  const titleB = normalizeTitle(b.title);
+  // Cheap length check before the bigram comparison
+  const lengthRatio = Math.min(titleA.length, titleB.length) / Math.max(titleA.length, titleB.length);
+  if (!titleA || !titleB || lengthRatio < thresholds.review) return { match: false };
+
+  const titleSimilarity = stringSimilarity.compareTwoStrings(titleA, titleB);
+  if (titleSimilarity < thresholds.review) return { match: false };
+
+  const authors = authorSimilarity(a.authors, b.authors);
+  const match = titleSimilarity >= thresholds.title && authors >= thresholds.author;
+  return {
+    match,
+    borderline: !match,
+    reason: 'title',
+    titleSimilarity,
+    authorSimilarity: authors
+  };
+};
+
+const byPreference = (a, b) =>
+  VERSION_RANK.indexOf(versionOf(a)) - VERSION_RANK.indexOf(versionOf(b))
+  || (b.abstract || '').length - (a.abstract || '').length;
+
+const union = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+const mergeGroup = (records) => {
+  const [canonical, ...others] = [...records].sort(byPreference);
+  if (others.length === 0 && canonical.sources) return canonical;
+
+  const sources = records.flatMap(record => record.sources || [{
+    source: record.source,
+    id: record.uid,
+    link: record.link,
+    version: versionOf(record),
+    date: record.epubDate || record.publicationDate
+  }]);
+
+  return {
+    ...canonical,
+    doi: canonical.doi || others.find(record => record.doi)?.doi || '',
+    pmid: canonical.pmid || others.find(record => record.pmid)?.pmid,
+    abstract: [canonical, ...others].map(record => record.abstract || '')
+      .reduce((longest, abstract) => (abstract.length > longest.length ? abstract : longest), ''),
+    meshTerms: union(...records.map(record => record.meshTerms || [])),
+    keywords: union(...records.map(record => record.keywords || [])),
+    sources,
+    mergedFrom: sources.length,
+    // A paper seen before as a preprint isn't new when its published version arrives
+    ...(records.some(record => record.firstSeen) && {
+      firstSeen: records.map(record => record.firstSeen).filter(Boolean).sort()[0]
+    })
+  };
+};
+
+// Indexes of records sharing a key, as lists of two or more. keysOf(record, i) lists a record's keys.
+const buckets = (records, keysOf) => {
+  const index = new Map();
+  records.forEach((record, i) => keysOf(record, i).forEach(key => index.set(key, [...(index.get(key) || []), i])));
+  return [...index.values()].filter(bucket => bucket.length > 1);
+};
+
+// Title words with the rarest first, so near-identical titles share one of their first few
+const titleWords = (records) => {
+  const words = records.map(record => [...new Set(normalizeTitle(record.title).split(' ').filter(Boolean))]);
+  const frequency = new Map();
+  words.flat().forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+  return words.map(list => list.sort((a, b) => frequency.get(a) - frequency.get(b) || a.localeCompare(b)));
+};
+
+/**
+ * The pairs of record indexes worth comparing, [i, j] with i < j in record order: those
+ * sharing a DOI or PMID, those sharing one of the rarest words of their titles (as many
+ * as titles above the review threshold can differ in), and those the user has decided on.
+ * Comparing only these keeps large batches from comparing every pair.
+ */
+const candidatePairs = (records, thresholds, decisions) => {
+  const pairs = new Set();
+  const addBucket = (bucket) => bucket.forEach((i, n) => bucket.slice(n + 1).forEach(j => pairs.add(`${i},${j}`)));
+
+  buckets(records, record => (normalizeDoi(record.doi) ? [`doi:${normalizeDoi(record.doi)}`] : [])).forEach(addBucket);
+  buckets(records, record => (record.pmid ? [`pmid:${record.pmid}`] : [])).forEach(addBucket);
+  const words = titleWords(records);
+  buckets(records, (record, i) =>
+    words[i].slice(0, words[i].length - Math.ceil(words[i].length * thresholds.review) + 1)).forEach(addBucket);
+
+  const indexes = new Map(records.map((record, i) => [record.uid, i]));
+  Object.keys(decisions).forEach(key => {
+    const [i, j] = key.split('|').map(uid => indexes.get(uid)).sort((a, b) => a - b);
+    if (i !== undefined && j !== undefined && i !== j) pairs.add(`${i},${j}`);
+  });
+
+  return [...pairs]
+    .map(pair => pair.split(',').map(Number))
+    .sort(([a, b], [c, d]) => a - c || b - d);
+};
+
+/**
+ * Merge duplicate records. `decisions` maps pairKey(uidA, uidB) to 'merge' or 'separate'
+ * for borderline pairs the user has reviewed.
+ * Returns { articles, reviews } where reviews lists the undecided borderline pairs.
+ */
+export const deduplicateArticles = (records, thresholds = DEFAULT_THRESHOLDS, decisions = {}) => {
+  const parent = records.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const join = (i, j) => {
+    parent[find(i)] = find(j);
+  };
+  const reviews = [];
+
+  candidatePairs(records, thresholds, decisions).forEach(([i, j]) => {
+    const decision = decisions[pairKey(records[i].uid, records[j].uid)];
+    if (decision === 'merge') {
+      join(i, j);
+      return;
+    }
+    if (decision === 'separate') return;
+
+    const result = compareRecords(records[i], records[j], thresholds);
+    if (result.match) {
+      join(i, j);
+    } else if (result.borderline) {
+      reviews.push({
+        i,
+        j,
+        review: {
+          key: pairKey(records[i].uid, records[j].uid),
+          a: records[i],
+          b: records[j],
+          titleSimilarity: result.titleSimilarity,
+          authorSimilarity: result.authorSimilarity
+        }
+      });
+    }
+  });
+
+  const groups = new Map();
+  records.forEach((record, i) => {
+    const root = find(i);
+    groups.set(root, [...(groups.get(root) || []), record]);
+  });
+
+  return {
+    articles: [...groups.values()].map(mergeGroup),
+    // Pairs that ended up merged through other records need no review
+    reviews: reviews.filter(({ i, j }) => find(i) !== find(j)).map(({ review }) => review)
+  };
+};
+
+const loadJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const loadThresholds = () => ({ ...DEFAULT_THRESHOLDS, ...loadJson(THRESHOLDS_KEY, {}) });
+
+export const saveThresholds = (thresholds) => {
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds));
+};
+
+export const loadDecisions = () => loadJson(DECISIONS_KEY, {});
+
+export const saveDecisions = (decisions) => {
+  localStorage.setItem(DECISIONS_KEY, JSON.stringify(decisions));
+};
@@ -0,0 +1,141 @@
+import stringSimilarity from 'string-similarity';
+import {
+  DEFAULT_THRESHOLDS,
+  authorSimilarity,
+  deduplicateArticles,
+  normalizeDoi,
+  pairKey,
+  versionOf
+} from './deduplicate';
+
+const published = {
+  uid: '39000001',
+  pmid: '39000001',
+  doi: '10.1148/radiol.000001',
+  title: 'Deep Learning for Detection of Breast Cancer at Digital Breast Tomosynthesis',
+  abstract: 'Full published abstract with results.',
+  authors: ['Müller AK', 'Smith J'],
+  publicationDate: '2024 Mar',
+  source: 'PubMed',
+  link: 'https://pubmed.ncbi.nlm.nih.gov/39000001',
+  meshTerms: ['Mammography']
+};
+
+const preprint = {
+  uid: 'medrxiv:10.1101/2023.01.01.000001',
+  doi: '10.1101/2023.01.01.000001',
+  title: 'Deep learning for detection of breast cancer at digital breast tomosynthesis.',
+  abstract: 'Preprint abstract.',
+  authors: ['Anna Muller', 'John Smith'],
+  publicationDate: '2023-01-03',
+  source: 'medRxiv',
+  link: 'https://www.medrxiv.org/content/10.1101/2023.01.01.000001'
+};
+
+const unrelated = {
+  uid: '39000002',
+  pmid: '39000002',
+  title: 'Automated segmentation of brain metastases on MRI',
+  authors: ['Garcia M'],
+  source: 'PubMed'
+};
+
+describe('helpers', () => {
+  test('normalizeDoi strips resolvers and case', () => {
+    expect(normalizeDoi('https://doi.org/10.1148/RADIOL.1')).toBe('10.1148/radiol.1');
+    expect(normalizeDoi('doi: 10.1148/radiol.1')).toBe('10.1148/radiol.1');
+  });
+
+  test('authorSimilarity compares surnames across name formats and diacritics', () => {
+    expect(authorSimilarity(['Müller AK', 'Smith J'], ['Anna Muller', 'John Smith'])).toBe(1);
+    expect(authorSimilarity(['Garcia M'], ['John Smith'])).toBe(0);
+  });
+
+  test('versionOf distinguishes preprints, epubs and final versions', () => {
+    expect(versionOf(preprint)).toBe('preprint');
+    expect(versionOf({ ...published, publicationStatus: 'aheadofprint' })).toBe('epub');
+    expect(versionOf(published)).toBe('published');
+  });
+});
+
+describe('deduplicateArticles', () => {
+  test('merges a preprint into the published version and keeps both sources', () => {
+    const { articles, reviews } = deduplicateArticles([preprint, published, unrelated]);
+
+    expect(articles).toHaveLength(2);
+    const merged = articles.find(article => article.mergedFrom === 2);
+    expect(merged.uid).toBe('39000001');
+    expect(merged.sources.map(source => [source.source, source.version])).toEqual([
+      ['medRxiv', 'preprint'],
+      ['PubMed', 'published']
+    ]);
+    expect(merged.sources[0].date).toBe('2023-01-03');
+    expect(reviews).toEqual([]);
+  });
+
+  test('a merged article was first seen when its earliest version was', () => {
+    const { articles } = deduplicateArticles([
+      { ...preprint, firstSeen: '2023-01-04T08:00:00.000Z' },
+      { ...published, firstSeen: '2024-03-02T08:00:00.000Z' }
+    ]);
+    expect(articles[0].firstSeen).toBe('2023-01-04T08:00:00.000Z');
+  });
+
+  test('matches on DOI or PMID regardless of title', () => {
+    const { articles } = deduplicateArticles([
+      published,
+      { uid: 'scholar:1', title: 'Scholar listing', doi: 'https://doi.org/10.1148/RADIOL.000001' },
+      unrelated,
+      { uid: 'scholar:2', title: 'Another listing', pmid: '39000002' }
+    ]);
+
+    expect(articles.map(article => article.mergedFrom).sort()).toEqual([2, 2]);
+  });
+
+  test('lists borderline pairs for review and honours decisions', () => {
+    const similar = { ...preprint, authors: ['Lee K'] };
+    const { articles, reviews } = deduplicateArticles([published, similar]);
+
+    expect(articles).toHaveLength(2);
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0].titleSimilarity).toBeGreaterThan(DEFAULT_THRESHOLDS.title);
+
+    const key = pairKey(published.uid, similar.uid);
+    expect(deduplicateArticles([published, similar], DEFAULT_THRESHOLDS, { [key]: 'merge' }).articles)
+      .toHaveLength(1);
+    expect(deduplicateArticles([published, similar], DEFAULT_THRESHOLDS, { [key]: 'separate' }).reviews)
+      .toEqual([]);
+  });
+
+  test('only compares titles that share a distinctive word', () => {
+    const batch = Array.from({ length: 100 }, (_, i) => ({
+      uid: `batch-${i}`,
+      title: `Deep learning model ${i}a for ${i}b prediction in ${i}c imaging`,
+      authors: [`Author${i} A`],
+      source: 'PubMed'
+    }));
+    const typo = { ...preprint, doi: '', title: 'Deep learning for detection of breast cancer at digital breast tomosynthesys' };
+    const compare = jest.spyOn(stringSimilarity, 'compareTwoStrings');
+
+    const { articles } = deduplicateArticles([published, ...batch, typo]);
+    const calls = compare.mock.calls.length;
+    compare.mockRestore();
+
+    expect(articles).toHaveLength(batch.length + 1);
+    expect(articles[0].mergedFrom).toBe(2);
+    // Comparing every pair would take 5151 calls
+    expect(calls).toBeLessThan(100);
+  });
+
+  test('thresholds are configurable', () => {
+    const similar = { ...preprint, authors: ['Lee K'] };
+    const lenient = { ...DEFAULT_THRESHOLDS, author: 0 };
+    expect(deduplicateArticles([published, similar], lenient).articles).toHaveLength(1);
+
+    const strict = { ...DEFAULT_THRESHOLDS, author: 1 };
+    expect(deduplicateArticles([published, { ...preprint, authors: ['Anna Muller'] }], strict).articles)
+      .toHaveLength(1);
+    expect(deduplicateArticles([published, { ...preprint, authors: ['Anna Muller', 'Lee K'] }], strict).articles)
+      .toHaveLength(2);
+  });
+});
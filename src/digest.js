@@ -0,0 +1,235 @@
+import { dayKey } from './dates';
+import { inDateRange } from './calendarData';
+import { DEFAULT_BLEND_WEIGHTS, rankArticles } from './articleRanking';
+import { countBySubdomain } from './subdomainClassifier';
+import { addPeriods, periodStart, subdomainTrends } from './trends';
+
+// The department digest: one profile's articles over a date window, with subdomain counts
+// against the window before it and the top articles of each subdomain, as a print-ready
+// HTML page and as Markdown or plain text for email.
+
+const DAY_MS = 86400000;
+
+// Monday to Sunday of the week before the one containing `now`
+export const lastWeek = (now = new Date()) => {
+  const start = addPeriods(periodStart(now, 'week'), 'week', -1);
+  return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6) };
+};
+
+// The window of the same number of days just before [start, end]
+export const previousWindow = (start, end) => {
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  return {
+    start: new Date(start.getFullYear(), start.getMonth(), start.getDate() - days),
+    end: new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+  };
+};
+
+// The opening of an abstract without its section labels, cut at a sentence or word end
+export const excerpt = (abstract, maxLength = 280) => {
+  const text = (abstract || '')
+    .split('\n')
+    .map(line => line.replace(/^[A-Z][A-Za-z ,&/-]{0,40}: /, ''))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  if (sentenceEnd > maxLength / 2) return cut.slice(0, sentenceEnd + 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}\u2026`;
+};
+
+// "Smith J, Lee K, Chen Y, et al."
+const authorList = (authors = [], max = 3) => (authors.length > max
+  ? `${authors.slice(0, max).join(', ')}, et al.`
+  : authors.join(', '));
+
+const growth = (current, previous) => (previous ? (current - previous) / previous : null);
+
+/**
+ * Everything a digest shows, from the dashboard's enriched articles:
+ *   { profileName, start, end, previousStart, previousEnd, total, previousTotal, growth,
+ *     subdomainStats, subdomains, trend }
+ * subdomainStats counts the window's articles per subdomain as the dashboard's pie does,
+ * and subdomains lists [{ subdomain, count, previousCount, growth, articles }] by count.
+ * An article is listed under its most confident subdomain only, so the top articles
+ * (by the weighted blend ranking) don't repeat. trend is the weekly subdomainTrends up to
+ * the window's end.
+ */
+export const buildDigest = (articles, {
+  start,
+  end,
+  profileName,
+  topPerSubdomain = 3,
+  excerptLength = 280,
+  weights = DEFAULT_BLEND_WEIGHTS
+}) => {
+  const previous = previousWindow(start, end);
+  const current = articles.filter(article => inDateRange(article, start, end));
+  const before = articles.filter(article => inDateRange(article, previous.start, previous.end));
+  const subdomainStats = countBySubdomain(current);
+  const previousStats = countBySubdomain(before);
+
+  const ranked = rankArticles(current, 'blend', { weights, now: end });
+  const subdomains = [...new Set([...Object.keys(subdomainStats), ...Object.keys(previousStats)])]
+    .map(subdomain => ({
+      subdomain,
+      count: subdomainStats[subdomain] || 0,
+      previousCount: previousStats[subdomain] || 0,
+      growth: growth(subdomainStats[subdomain] || 0, previousStats[subdomain] || 0),
+      articles: ranked
+        .filter(article => article.subdomains?.[0]?.subdomain === subdomain)
+        .slice(0, topPerSubdomain)
+        .map(article => ({
+          uid: article.uid,
+          title: article.title,
+          authors: authorList(article.authors),
+          journal: article.journal || article.source,
+          publicationDate: article.publicationDate,
+          link: article.link,
+          excerpt: excerpt(article.abstract, excerptLength)
+        }))
+    }))
+    .sort((a, b) => b.count - a.count || b.previousCount - a.previousCount || a.subdomain.localeCompare(b.subdomain));
+
+  return {
+    profileName,
+    start,
+    end,
+    previousStart: previous.start,
+    previousEnd: previous.end,
+    total: current.length,
+    previousTotal: before.length,
+    growth: growth(current.length, before.length),
+    subdomainStats,
+    subdomains,
+    trend: subdomainTrends(articles, { granularity: 'week', periods: 12, now: end })
+  };
+};
+
+const formatGrowth = (value) => (value === null ? 'new' : `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`);
+
+const digestTitle = (digest) => `Radiology AI digest: ${digest.profileName}`;
+const windowLabel = (digest) => `${dayKey(digest.start)} to ${dayKey(digest.end)}`;
+const summaryLine = (digest) => `${digest.total} article${digest.total === 1 ? '' : 's'} `
+  + `(previous period ${dayKey(digest.previousStart)} to ${dayKey(digest.previousEnd)}: ${digest.previousTotal}`
+  + `${digest.previousTotal || digest.total ? `, ${formatGrowth(digest.growth)}` : ''})`;
+
+const articleMeta = (article) => [article.authors, article.journal, article.publicationDate].filter(Boolean).join(' \u00b7 ');
+
+// Subdomains with articles in the window, the only ones with top articles to list
+const listedSubdomains = (digest) => digest.subdomains.filter(row => row.articles.length > 0);
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]<>|])/g, '\\$1');
+
+// Link destinations end at a space or an unbalanced ")", as in doi.org links to
+// "10.1016/S0140-6736(20)...", so those are percent-encoded
+const markdownUrl = (url) => url.replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+export const digestMarkdown = (digest) => [
+  `# ${escapeMarkdown(digestTitle(digest))}`,
+  '',
+  `${windowLabel(digest)}: **${summaryLine(digest)}**`,
+  '',
+  '| Subdomain | Articles | Previous period | Change |',
+  '| --- | ---: | ---: | ---: |',
+  ...digest.subdomains.map(row =>
+    `| ${escapeMarkdown(row.subdomain)} | ${row.count} | ${row.previousCount} | ${formatGrowth(row.growth)} |`),
+  ...listedSubdomains(digest).flatMap(row => [
+    '',
+    `## ${escapeMarkdown(row.subdomain)}`,
+    '',
+    ...row.articles.flatMap((article, i) => [
+      `${i + 1}. **${article.link ? `[${escapeMarkdown(article.title)}](${markdownUrl(article.link)})` : escapeMarkdown(article.title)}**  `,
+      `   ${escapeMarkdown(articleMeta(article))}  `,
+      `   ${escapeMarkdown(article.excerpt)}`
+    ])
+  ]),
+  ''
+].join('\n');
+
+const underline = (text, character) => `${text}\n${character.repeat(text.length)}`;
+
+export const digestText = (digest) => [
+  underline(digestTitle(digest), '='),
+  '',
+  `${windowLabel(digest)}: ${summaryLine(digest)}`,
+  '',
+  ...digest.subdomains.map(row =>
+    `  ${row.subdomain}: ${row.count} (previous ${row.previousCount}, ${formatGrowth(row.growth)})`),
+  ...listedSubdomains(digest).flatMap(row => [
+    '',
+    underline(row.subdomain, '-'),
+    ...row.articles.flatMap((article, i) => [
+      '',
+      `${i + 1}. ${article.title}`,
+      `   ${articleMeta(article)}`,
+      ...(article.link ? [`   <${article.link}>`] : []),
+      `   ${article.excerpt}`
+    ])
+  ]),
+  ''
+].join('\n');
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const DIGEST_STYLES = `
+  body { font-family: 'Open Sans', Arial, sans-serif; color: #1a1a1a; max-width: 800px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { color: #005F73; margin-bottom: 4px; }
+  h2 { color: #005F73; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 32px; }
+  .summary { font-size: 18px; }
+  table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+  td.number, th.number { text-align: right; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+  .charts img { max-width: 100%; height: auto; }
+  ol { padding-left: 20px; }
+  li { margin-bottom: 16px; break-inside: avoid; }
+  .meta { color: #4a4a4a; font-size: 14px; }
+  .excerpt { margin: 4px 0 0; }
+  a { color: #005F73; }
+  @page { margin: 16mm; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
+
+/**
+ * The digest as a standalone, print-ready HTML page. `charts` holds PNG data URLs of the
+ * subdomain pie and the weekly trend ({ pie, trend }); either may be missing.
+ */
+export const digestHtml = (digest, charts = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<base target="_blank">
+<title>${escapeHtml(digestTitle(digest))}, ${windowLabel(digest)}</title>
+<style>${DIGEST_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(digestTitle(digest))}</h1>
+<p class="summary">${windowLabel(digest)}: <strong>${escapeHtml(summaryLine(digest))}</strong></p>
+${charts.pie || charts.trend ? `<div class="charts">
+${charts.pie ? `<img src="${charts.pie}" alt="Articles by subdomain, ${windowLabel(digest)}">` : ''}
+${charts.trend ? `<img src="${charts.trend}" alt="Weekly articles by subdomain, last 12 weeks">` : ''}
+</div>` : ''}
+<table>
+<thead><tr><th>Subdomain</th><th class="number">Articles</th><th class="number">Previous period</th><th class="number">Change</th></tr></thead>
+<tbody>
+${digest.subdomains.map(row => `<tr><td>${escapeHtml(row.subdomain)}</td><td class="number">${row.count}</td><td class="number">${row.previousCount}</td><td class="number">${formatGrowth(row.growth)}</td></tr>`).join('\n')}
+</tbody>
+</table>
+${listedSubdomains(digest).map(row => `<h2>${escapeHtml(row.subdomain)}</h2>
+<ol>
+${row.articles.map(article => `<li>
+<strong>${article.link ? `<a href="${escapeHtml(article.link)}">${escapeHtml(article.title)}</a>` : escapeHtml(article.title)}</strong>
+<div class="meta">${escapeHtml(articleMeta(article))}</div>
+<p class="excerpt">${escapeHtml(article.excerpt)}</p>
+</li>`).join('\n')}
+</ol>`).join('\n')}
+</body>
+</html>
+`;
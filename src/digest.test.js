@@ -0,0 +1,98 @@
+import {
+  buildDigest,
+  digestHtml,
+  digestMarkdown,
+  digestText,
+  excerpt,
+  lastWeek,
+  previousWindow
+} from './digest';
+
+const article = (uid, publicationDate, subdomains, fields = {}) => ({
+  uid,
+  title: `Article ${uid}`,
+  authors: ['Smith J', 'Lee K'],
+  journal: 'Radiology',
+  publicationDate,
+  link: `https://pubmed.ncbi.nlm.nih.gov/${uid}`,
+  abstract: `PURPOSE: To test article ${uid}.\nRESULTS: It worked.`,
+  subdomains: subdomains.map(subdomain => ({ subdomain })),
+  ...fields
+});
+
+const articles = [
+  article('1', '2025 Mar 4', ['Neuro', 'MSK'], { citationCount: 10 }),
+  article('2', '2025 Mar 5', ['Neuro']),
+  article('3', '2025 Mar 7', ['Chest']),
+  article('4', '2025 Feb 26', ['Neuro']),
+  article('5', '2025 Feb 25', ['MSK'])
+];
+
+describe('date windows', () => {
+  test('lastWeek is the previous Monday to Sunday', () => {
+    expect(lastWeek(new Date(2025, 2, 12))).toEqual({ start: new Date(2025, 2, 3), end: new Date(2025, 2, 9) });
+  });
+
+  test('previousWindow is as long as the window and ends the day before it', () => {
+    expect(previousWindow(new Date(2025, 2, 3), new Date(2025, 2, 9)))
+      .toEqual({ start: new Date(2025, 1, 24), end: new Date(2025, 2, 2) });
+  });
+});
+
+describe('excerpt', () => {
+  test('drops section labels and cuts at a sentence or word end', () => {
+    expect(excerpt('PURPOSE: To test.\nRESULTS: It worked.')).toBe('To test. It worked.');
+    expect(excerpt('First sentence here. Second sentence is longer.', 30)).toBe('First sentence here.');
+    expect(excerpt('A fairly long sentence without any stop', 20)).toBe('A fairly long\u2026');
+    expect(excerpt(undefined)).toBe('');
+  });
+});
+
+describe('buildDigest', () => {
+  const digest = buildDigest(articles, {
+    start: new Date(2025, 2, 3),
+    end: new Date(2025, 2, 9),
+    profileName: 'Default'
+  });
+
+  test('counts the window and the period before it per subdomain', () => {
+    expect(digest.total).toBe(3);
+    expect(digest.previousTotal).toBe(2);
+    expect(digest.growth).toBe(0.5);
+    expect(digest.subdomainStats).toEqual({ Neuro: 2, MSK: 1, Chest: 1 });
+    expect(digest.subdomains.map(row => [row.subdomain, row.count, row.previousCount])).toEqual([
+      ['Neuro', 2, 1],
+      ['MSK', 1, 1],
+      ['Chest', 1, 0]
+    ]);
+    expect(digest.subdomains[2].growth).toBeNull();
+  });
+
+  test('lists each article once, under its most confident subdomain', () => {
+    expect(digest.subdomains[0].articles.map(a => a.uid)).toEqual(['1', '2']);
+    expect(digest.subdomains[1].articles).toEqual([]);
+    expect(digest.subdomains[0].articles[0]).toMatchObject({ authors: 'Smith J, Lee K', excerpt: 'To test article 1. It worked.' });
+  });
+
+  test('renders Markdown, text and HTML', () => {
+    const markdown = digestMarkdown(digest);
+    expect(markdown).toContain('# Radiology AI digest: Default');
+    expect(markdown).toContain('2025-03-03 to 2025-03-09: **3 articles (previous period 2025-02-24 to 2025-03-02: 2, +50%)**');
+    expect(markdown).toContain('| Chest | 1 | 0 | new |');
+    expect(markdown).toContain('1. **[Article 1](https://pubmed.ncbi.nlm.nih.gov/1)**');
+    expect(markdown).not.toContain('## MSK');
+    const [first] = digest.subdomains;
+    const link = 'https://doi.org/10.1016/S0140-6736(20) 30183-5';
+    const lancet = digestMarkdown({ ...digest, subdomains: [{ ...first, articles: [{ ...first.articles[0], link }] }] });
+    expect(lancet).toContain('(https://doi.org/10.1016/S0140-6736%2820%29%2030183-5)**');
+
+    const text = digestText(digest);
+    expect(text).toContain('Neuro\n-----');
+    expect(text).toContain('   <https://pubmed.ncbi.nlm.nih.gov/3>');
+
+    const html = digestHtml({ ...digest, profileName: 'Chest & <Neuro>' }, { pie: 'data:image/png;base64,AAAA' });
+    expect(html).toContain('<h1>Radiology AI digest: Chest &amp; &lt;Neuro&gt;</h1>');
+    expect(html).toContain('<img src="data:image/png;base64,AAAA"');
+    expect(html).not.toContain('Weekly articles by subdomain');
+  });
+});
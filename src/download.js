@@ -0,0 +1,16 @@
+// Save a Blob as a file through a temporary object URL
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Save generated text as a file
+export const downloadFile = (content, filename, mimeType) => {
+  downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+};
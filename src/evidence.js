@@ -0,0 +1,215 @@
+// Study evidence read from an article's title and abstract: imaging modality, study
+// design, dataset size, reported metrics and mentions of FDA clearance or clinical
+// deployment. Every value keeps the sentence it came from and the text that matched,
+// so the table and detail panel can show where it was found. The rules are plain
+// regular expressions; they favour what abstracts usually say over rare phrasings.
+
+export const MODALITIES = [
+  { value: 'CT', pattern: /\b(?:CT|CTA|MDCT|CBCT|[Cc]omputed [Tt]omography)\b/ },
+  { value: 'MRI', pattern: /\b(?:f?MRI|MR imaging|MR images?|magnetic resonance)\b/i },
+  { value: 'Radiograph', pattern: /\b(?:radiographs?|radiography|radiographic|X-rays?|CXRs?|chest films?)\b/i },
+  { value: 'Ultrasound', pattern: /\b(?:ultrasound|ultrasonography|sonograph\w*|echocardiograph\w*)\b/i },
+  { value: 'PET', pattern: /\b(?:PET|[Pp]ositron [Ee]mission [Tt]omography)\b/ },
+  { value: 'Mammography', pattern: /\b(?:mammogra\w*|tomosynthesis|DBT)\b/i }
+];
+
+export const DESIGNS = [
+  { value: 'Retrospective', pattern: /\bretrospective(?:ly)?\b/i },
+  { value: 'Prospective', pattern: /\bprospective(?:ly)?\b/i },
+  { value: 'Multicentre', pattern: /\bmulti-?\s?(?:cent(?:er|re)s?|institution(?:al|s)?|site|national|vendor)\b|\b(?:two|three|four|five|six|seven|eight|nine|ten|\d+) (?:centers|centres|hospitals|institutions|sites)\b/i },
+  { value: 'External validation', pattern: /\bexternal(?:ly)?\s+(?:validat\w*|test\w*)\b|\bindependent (?:external )?(?:test|validation) (?:set|cohort|dataset)s?\b/i }
+];
+
+export const METRICS = [
+  { id: 'auc', label: 'AUC', pattern: /\b(?:AUCs?|AUROCs?|AUC-ROC|area under the (?:receiver operating characteristic |ROC )?curves?)/gi },
+  { id: 'sensitivity', label: 'Sensitivity', pattern: /\bsensitivit(?:y|ies)\b/gi },
+  { id: 'specificity', label: 'Specificity', pattern: /\bspecificit(?:y|ies)\b/gi },
+  { id: 'dice', label: 'Dice', pattern: /\b(?:Dice(?: similarity)?(?: coefficients?| scores?| index| indices)?(?: \(DSC\))?|DSCs?)\b/gi }
+];
+
+const FDA_PATTERN = /\bFDA[- ](?:cleared|approved|authori[sz]ed)\b|\b510\(k\)|\b(?:FDA|Food and Drug Administration)\b.*?\b(?:clear|approv|authori[sz])\w*|\b(?:clear|approv|authori[sz])\w*\b.*?\b(?:FDA|Food and Drug Administration)\b/i;
+const DEPLOYMENT_PATTERN = /\b(?:deployed|deployment|implemented (?:in|into) (?:the )?(?:clinical|routine|daily)\b[\w ]{0,20}|clinical implementation|integrated (?:in|into) (?:the )?(?:clinical |radiology )?workflow|in (?:routine )?clinical use|real-world (?:use|deployment|implementation))/i;
+
+// Counted things, people first: a study's size is its patients where it gives them
+const SUBJECT_UNITS = ['patients', 'participants', 'subjects', 'individuals', 'women', 'men', 'children', 'adults'];
+const ITEM_UNITS = ['cases', 'examinations', 'exams', 'scans', 'studies', 'images', 'radiographs', 'mammograms', 'lesions', 'nodules', 'volumes'];
+const SIZE_PATTERN = new RegExp(
+  `\\b(\\d{1,3}(?:,\\d{3})+|\\d+)\\s+(?:(?:consecutive|adult|unique|pediatric|paediatric|female|male|eligible|included|CT|MRI|chest|screening)\\s+){0,2}(${[...SUBJECT_UNITS, ...ITEM_UNITS].join('|')})\\b`,
+  'gi'
+);
+const N_PATTERN = /\b[nN]\s*=\s*(\d{1,3}(?:,\d{3})+|\d+)/g;
+
+// Abbreviations whose full stop doesn't end a sentence
+const ABBREVIATION_END = /\b(?:e\.g|i\.e|vs|al|approx)\.$/;
+
+// Break a line before each capital or bracket that follows a space, then rejoin the pieces
+// that didn't follow a sentence end. No lookbehind, which Safari before 16.4 lacks.
+const splitSentences = (line) => line.split(/\s+(?=[A-Z(])/).reduce((result, piece) => {
+  const previous = result[result.length - 1];
+  if (previous !== undefined && (!/[.!?]$/.test(previous) || ABBREVIATION_END.test(previous))) {
+    result[result.length - 1] = `${previous} ${piece}`;
+  } else {
+    result.push(piece);
+  }
+  return result;
+}, []);
+
+// Split title and abstract into sentences, dropping structured-abstract labels
+// ("RESULTS: ...") but keeping decimals and abbreviations like "e.g." intact
+export const sentences = (article) => [article.title, ...(article.abstract || '').split('\n')]
+  .filter(Boolean)
+  .map(line => line.replace(/^[A-Z][A-Za-z ,&/-]{0,40}: /, ''))
+  .flatMap(splitSentences)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+const firstMention = (texts, { value, pattern }) => {
+  for (const sentence of texts) {
+    const match = sentence.match(pattern);
+    if (match) return { value, sentence, match: match[0] };
+  }
+  return null;
+};
+
+// Numbers in `text` that aren't inside parentheses, so confidence intervals are skipped
+const numbersOutsideParentheses = (text) => {
+  const numbers = [];
+  let depth = 0;
+  const pattern = /(\d+(?:\.\d+)?)\s*(%)?|[()[\]]/g;
+  let token = pattern.exec(text);
+  while (token) {
+    if (token[0] === '(' || token[0] === '[') depth++;
+    else if (token[0] === ')' || token[0] === ']') depth = Math.max(0, depth - 1);
+    else if (depth === 0) numbers.push({ text: token[0].trim(), index: token.index, value: Number(token[1]), percent: Boolean(token[2]) });
+    token = pattern.exec(text);
+  }
+  return numbers;
+};
+
+// Metric values as fractions: 92% and 0.92 are both 0.92. Other numbers (reader counts,
+// thresholds) are not metric values.
+const metricValue = ({ value, percent }) => {
+  const fraction = percent ? value / 100 : value;
+  return fraction > 0 && fraction <= 1 ? Math.round(fraction * 10000) / 10000 : null;
+};
+
+// How far after a metric's name its value may appear
+const VALUE_WINDOW = 60;
+
+// Metrics reported in one sentence. "sensitivity and specificity of 91% and 84%" pairs
+// names and values in order; one value after several names applies to all of them.
+const sentenceMetrics = (sentence) => {
+  const mentions = METRICS.flatMap(({ id, pattern }) => [...sentence.matchAll(pattern)]
+    .map(match => ({ id, start: match.index, end: match.index + match[0].length })))
+    .sort((a, b) => a.start - b.start);
+
+  // Group names joined only by commas, "and" or slashes
+  const runs = [];
+  mentions.forEach(mention => {
+    const run = runs[runs.length - 1];
+    if (run && /^(?:\s*(?:,|\/|and|,\s*and)\s*(?:the\s+)?)$/i.test(sentence.slice(run[run.length - 1].end, mention.start))) {
+      run.push(mention);
+    } else {
+      runs.push([mention]);
+    }
+  });
+
+  return runs.flatMap((run, i) => {
+    const from = run[run.length - 1].end;
+    const to = Math.min(from + VALUE_WINDOW, i + 1 < runs.length ? runs[i + 1][0].start : sentence.length);
+    const values = numbersOutsideParentheses(sentence.slice(from, to))
+      .map(number => ({ ...number, fraction: metricValue(number) }))
+      .filter(number => number.fraction !== null);
+    if (values.length === 0) return [];
+    const last = values[Math.min(values.length, run.length) - 1];
+    const match = sentence.slice(run[0].start, from + last.index + last.text.length);
+    return run.map((mention, j) => ({
+      metric: mention.id,
+      value: (values.length === 1 ? values[0] : values[j])?.fraction,
+      sentence,
+      match
+    })).filter(metric => metric.value !== undefined);
+  });
+};
+
+const parseCount = (text) => Number(text.replace(/,/g, ''));
+
+// The largest count of subjects, or of anything counted when no subjects are given.
+// A bare "n = 120" has no unit.
+const datasetSize = (texts) => {
+  const counts = texts.flatMap(sentence => [
+    ...[...sentence.matchAll(SIZE_PATTERN)].map(match => ({
+      value: parseCount(match[1]),
+      unit: match[2].toLowerCase(),
+      sentence,
+      match: match[0]
+    })),
+    ...[...sentence.matchAll(N_PATTERN)].map(match => ({
+      value: parseCount(match[1]),
+      unit: null,
+      sentence,
+      match: match[0]
+    }))
+  ]).filter(count => count.value > 0);
+  const subjects = counts.filter(count => SUBJECT_UNITS.includes(count.unit));
+  return (subjects.length > 0 ? subjects : counts)
+    .reduce((largest, count) => (!largest || count.value > largest.value ? count : largest), null);
+};
+
+/**
+ * Everything extracted from an article, as
+ * { modalities, designs, datasetSize, metrics, fda, deployment }. Modalities and designs
+ * are [{ value, sentence, match }] in the order of the lists above; datasetSize is
+ * { value, unit, sentence, match } or null, unit being null for a bare "n = 120"; metrics are [{ metric, value, sentence, match }]
+ * in abstract order with values as fractions; fda and deployment are { value: true,
+ * sentence, match } or null.
+ */
+export const extractEvidence = (article) => {
+  const texts = sentences(article);
+  const mention = (rule) => firstMention(texts, rule);
+  return {
+    modalities: MODALITIES.map(mention).filter(Boolean),
+    designs: DESIGNS.map(mention).filter(Boolean),
+    datasetSize: datasetSize(texts),
+    metrics: texts.flatMap(sentenceMetrics),
+    fda: mention({ value: true, pattern: FDA_PATTERN }),
+    deployment: mention({ value: true, pattern: DEPLOYMENT_PATTERN })
+  };
+};
+
+// The headline value of a metric: the first one the abstract reports
+export const headlineMetric = (evidence, metricId) =>
+  (evidence?.metrics || []).find(metric => metric.metric === metricId) || null;
+
+// 0.92 -> "0.92", 0.915 -> "0.915"
+export const formatMetric = (value) => {
+  if (value === null || value === undefined) return '';
+  return value.toFixed(Math.abs(Math.round(value * 100) - value * 100) < 1e-6 ? 2 : 3);
+};
+
+export const formatDatasetSize = (size) => {
+  if (!size) return '';
+  const count = size.value.toLocaleString('en-US');
+  return size.unit ? `${count} ${size.unit}` : `n = ${count}`;
+};
+
+/**
+ * The evidence as labelled facets for tags and lists: [{ facet, value, label, sentence, match }].
+ * Metrics give one facet per metric, its headline value.
+ */
+export const evidenceFacets = (evidence) => {
+  if (!evidence) return [];
+  return [
+    ...evidence.modalities.map(item => ({ facet: 'Modality', label: item.value, ...item })),
+    ...evidence.designs.map(item => ({ facet: 'Design', label: item.value, ...item })),
+    ...(evidence.datasetSize
+      ? [{ facet: 'Dataset size', label: formatDatasetSize(evidence.datasetSize), ...evidence.datasetSize }]
+      : []),
+    ...METRICS.map(({ id, label }) => {
+      const metric = headlineMetric(evidence, id);
+      return metric && { facet: label, label: `${label} ${formatMetric(metric.value)}`, ...metric };
+    }).filter(Boolean),
+    ...(evidence.fda ? [{ facet: 'Regulatory', label: 'FDA cleared', ...evidence.fda }] : []),
+    ...(evidence.deployment ? [{ facet: 'Deployment', label: 'Deployed', ...evidence.deployment }] : [])
+  ];
+};
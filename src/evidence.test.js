@@ -0,0 +1,114 @@
+import {
+  evidenceFacets,
+  extractEvidence,
+  formatDatasetSize,
+  formatMetric,
+  headlineMetric,
+  sentences
+} from './evidence';
+
+const article = {
+  title: 'Deep learning for pulmonary nodule detection on chest CT: a multicenter external validation',
+  abstract: [
+    'PURPOSE: To validate a commercial algorithm, e.g. one cleared by the FDA, on low-dose CT.',
+    'METHODS: This retrospective study included 1,245 patients (3,512 CT scans) from three hospitals. An independent test set (n = 400) was held out.',
+    'RESULTS: The AUC was 0.912 (95% CI: 0.88, 0.94). Sensitivity and specificity were 91.5% and 84% at the default threshold, with 4 readers.',
+    'CONCLUSION: The algorithm has been deployed in clinical practice at two sites.'
+  ].join('\n')
+};
+
+describe('sentences', () => {
+  test('splits the title and abstract into sentences without section labels', () => {
+    const texts = sentences(article);
+    expect(texts[0]).toBe(article.title);
+    expect(texts[1]).toBe('To validate a commercial algorithm, e.g. one cleared by the FDA, on low-dose CT.');
+    expect(texts).toContain('The AUC was 0.912 (95% CI: 0.88, 0.94).');
+  });
+
+  test('does not end sentences at abbreviations before a capital', () => {
+    const texts = sentences({
+      title: 'Photon-counting vs. Energy-integrating CT',
+      abstract: 'Building on Smith et al. (2023), we compared scanners. Results favoured i.e. Photon counting! Done?'
+    });
+    expect(texts).toEqual([
+      'Photon-counting vs. Energy-integrating CT',
+      'Building on Smith et al. (2023), we compared scanners.',
+      'Results favoured i.e. Photon counting!',
+      'Done?'
+    ]);
+  });
+});
+
+describe('extractEvidence', () => {
+  const evidence = extractEvidence(article);
+
+  test('finds modalities and designs with their source sentences', () => {
+    expect(evidence.modalities.map(item => item.value)).toEqual(['CT']);
+    expect(evidence.modalities[0].sentence).toBe(article.title);
+    expect(evidence.designs.map(item => item.value)).toEqual(['Retrospective', 'Multicentre', 'External validation']);
+    expect(evidence.designs[0].match).toBe('retrospective');
+  });
+
+  test('takes the largest count of patients as the dataset size', () => {
+    expect(evidence.datasetSize).toMatchObject({ value: 1245, unit: 'patients', match: '1,245 patients' });
+    expect(formatDatasetSize(evidence.datasetSize)).toBe('1,245 patients');
+    expect(formatDatasetSize({ value: 120, unit: null })).toBe('n = 120');
+  });
+
+  test('reads metric values, pairing listed names with listed values and skipping intervals', () => {
+    expect(evidence.metrics.map(({ metric, value }) => [metric, value])).toEqual([
+      ['auc', 0.912],
+      ['sensitivity', 0.915],
+      ['specificity', 0.84]
+    ]);
+    expect(headlineMetric(evidence, 'sensitivity').match).toBe('Sensitivity and specificity were 91.5% and 84%');
+    expect(headlineMetric(evidence, 'dice')).toBeNull();
+  });
+
+  test('applies one value to several names and ignores numbers that are not metrics', () => {
+    const { metrics } = extractEvidence({
+      title: 'Segmentation of gliomas on MRI',
+      abstract: 'Three readers rated 50 cases. Sensitivity and specificity both exceeded 90%. The mean Dice similarity coefficient was 0.87.'
+    });
+    expect(metrics.map(({ metric, value }) => [metric, value])).toEqual([
+      ['sensitivity', 0.9],
+      ['specificity', 0.9],
+      ['dice', 0.87]
+    ]);
+  });
+
+  test('flags FDA clearance and deployment only when mentioned', () => {
+    expect(evidence.fda.sentence).toBe('To validate a commercial algorithm, e.g. one cleared by the FDA, on low-dose CT.');
+    expect(evidence.deployment.match).toBe('deployed');
+    const plain = extractEvidence({ title: 'Radiomics of breast ultrasound', abstract: 'We studied 80 women.' });
+    expect(plain.fda).toBeNull();
+    expect(plain.deployment).toBeNull();
+    expect(plain.modalities.map(item => item.value)).toEqual(['Ultrasound']);
+    expect(plain.datasetSize.value).toBe(80);
+  });
+});
+
+describe('evidenceFacets', () => {
+  test('lists every extracted value with a label', () => {
+    const labels = evidenceFacets(extractEvidence(article)).map(facet => `${facet.facet}: ${facet.label}`);
+    expect(labels).toEqual([
+      'Modality: CT',
+      'Design: Retrospective',
+      'Design: Multicentre',
+      'Design: External validation',
+      'Dataset size: 1,245 patients',
+      'AUC: AUC 0.912',
+      'Sensitivity: Sensitivity 0.915',
+      'Specificity: Specificity 0.84',
+      'Regulatory: FDA cleared',
+      'Deployment: Deployed'
+    ]);
+    expect(evidenceFacets(null)).toEqual([]);
+  });
+
+  test('formats metrics with two or three decimals', () => {
+    expect(formatMetric(0.9)).toBe('0.90');
+    expect(formatMetric(0.875)).toBe('0.875');
+    expect(formatMetric(null)).toBe('');
+  });
+});
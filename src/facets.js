@@ -0,0 +1,104 @@
+import { dateParts } from './citationExport';
+import { journalName } from './journalRegistry';
+
+// Faceted filtering of the publication list. A selection maps facet ids to the values
+// picked in them: an article matches when, in every facet with a selection, it has at
+// least one of the picked values (OR within a facet, AND across facets).
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// `values(article, context)` lists an article's values in the facet; context holds the
+// journal lookup. The ids double as URL parameters.
+export const FACETS = [
+  {
+    id: 'subdomain',
+    label: 'Subdomain',
+    values: (article) => (article.subdomains || []).map(({ subdomain }) => subdomain)
+  },
+  {
+    id: 'category',
+    label: 'Study category',
+    values: (article) => [article.category || 'General']
+  },
+  {
+    id: 'journal',
+    label: 'Journal',
+    values: (article, { journalLookup }) => [journalName(article, journalLookup)]
+  },
+  {
+    id: 'year',
+    label: 'Publication year',
+    values: (article) => {
+      const [year] = dateParts(article);
+      return year ? [String(year)] : [];
+    },
+    // Newest first rather than most articles first
+    order: (a, b) => b.value.localeCompare(a.value)
+  },
+  {
+    id: 'source',
+    label: 'Source',
+    values: (article) => unique((article.sources || [{ source: article.source }]).map(({ source }) => source))
+  },
+  {
+    id: 'type',
+    label: 'Publication type',
+    values: (article) => unique(article.publicationTypes || [])
+  },
+  {
+    id: 'modality',
+    label: 'Modality',
+    values: (article) => (article.evidence?.modalities || []).map(({ value }) => value)
+  }
+];
+
+export const FACET_IDS = FACETS.map(facet => facet.id);
+
+const byCount = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+
+// Facets with at least one picked value
+const activeFacets = (selection) => FACETS.filter(facet => selection[facet.id]?.length > 0);
+
+export const activeFacetCount = (selection) =>
+  activeFacets(selection).reduce((total, facet) => total + selection[facet.id].length, 0);
+
+const matches = (article, facets, selection, context) => facets.every(facet => {
+  const picked = selection[facet.id];
+  return facet.values(article, context).some(value => picked.includes(value));
+});
+
+export const filterByFacets = (articles, selection, context) => {
+  const facets = activeFacets(selection);
+  return facets.length === 0 ? articles : articles.filter(article => matches(article, facets, selection, context));
+};
+
+/**
+ * Each facet's values with live counts: [{ id, label, values: [{ value, count, selected }] }].
+ * A facet's counts apply every other facet's selection but not its own, so they say how
+ * many articles picking that value as well would add. Picked values stay listed even when
+ * no article has them; facets without any values (modality before abstracts are read,
+ * say) are left out.
+ */
+export const facetCounts = (articles, selection, context) => {
+  const active = activeFacets(selection);
+  return FACETS.map(facet => {
+    const others = active.filter(other => other.id !== facet.id);
+    const counts = new Map((selection[facet.id] || []).map(value => [value, 0]));
+    articles.forEach(article => {
+      if (!matches(article, others, selection, context)) return;
+      unique(facet.values(article, context)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    const values = [...counts]
+      .map(([value, count]) => ({ value, count, selected: (selection[facet.id] || []).includes(value) }))
+      .sort(facet.order || byCount);
+    return { id: facet.id, label: facet.label, values };
+  }).filter(facet => facet.values.length > 0);
+};
+
+// Pick a value, or unpick it if it was picked
+export const toggleFacetValue = (selection, facetId, value) => {
+  const picked = selection[facetId] || [];
+  const next = picked.includes(value) ? picked.filter(option => option !== value) : [...picked, value];
+  const { [facetId]: _previous, ...rest } = selection;
+  return next.length > 0 ? { ...rest, [facetId]: next } : rest;
+};
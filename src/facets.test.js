@@ -0,0 +1,70 @@
+import { activeFacetCount, facetCounts, filterByFacets, toggleFacetValue } from './facets';
+
+const article = (uid, fields) => ({
+  uid,
+  journal: 'Radiology',
+  publicationDate: '2025 Mar 4',
+  source: 'PubMed',
+  publicationTypes: ['Journal Article'],
+  category: 'Diagnosis',
+  ...fields,
+  subdomains: (fields.subdomains || []).map(subdomain => ({ subdomain }))
+});
+
+const context = { journalLookup: () => null };
+
+const articles = [
+  article('1', { subdomains: ['Neuro'], evidence: { modalities: [{ value: 'MRI' }] } }),
+  article('2', { subdomains: ['Neuro', 'MSK'], journal: 'European Radiology', evidence: { modalities: [{ value: 'CT' }] } }),
+  article('3', { subdomains: ['Chest'], publicationDate: '2024 Nov', category: 'Segmentation', evidence: { modalities: [] } }),
+  article('4', { subdomains: ['MSK'], source: 'arXiv', publicationTypes: ['Preprint'], evidence: { modalities: [] } })
+];
+
+const uids = (list) => list.map(a => a.uid);
+
+describe('filterByFacets', () => {
+  test('ORs values within a facet and ANDs facets', () => {
+    expect(uids(filterByFacets(articles, {}, context))).toEqual(['1', '2', '3', '4']);
+    expect(uids(filterByFacets(articles, { subdomain: ['Neuro', 'Chest'] }, context))).toEqual(['1', '2', '3']);
+    expect(uids(filterByFacets(articles, { subdomain: ['Neuro', 'Chest'], year: ['2025'] }, context))).toEqual(['1', '2']);
+    expect(uids(filterByFacets(articles, { modality: ['CT'], journal: ['European Radiology'] }, context))).toEqual(['2']);
+  });
+});
+
+describe('facetCounts', () => {
+  test('counts each facet under the other facets\' selections', () => {
+    const facets = Object.fromEntries(facetCounts(articles, { subdomain: ['MSK'], source: ['PubMed'] }, context)
+      .map(facet => [facet.id, facet.values]));
+
+    // Source counts ignore the source pick but apply the subdomain one
+    expect(facets.source).toEqual([
+      { value: 'arXiv', count: 1, selected: false },
+      { value: 'PubMed', count: 1, selected: true }
+    ]);
+    expect(facets.subdomain).toEqual([
+      { value: 'Neuro', count: 2, selected: false },
+      { value: 'Chest', count: 1, selected: false },
+      { value: 'MSK', count: 1, selected: true }
+    ]);
+  });
+
+  test('lists years newest first', () => {
+    const years = facetCounts(articles, {}, context).find(facet => facet.id === 'year');
+    expect(years.values.map(option => option.value)).toEqual(['2025', '2024']);
+  });
+
+  test('keeps picked values without articles and drops facets without values', () => {
+    const facets = facetCounts(articles.map(a => ({ ...a, evidence: undefined })), { journal: ['Lancet'] }, context);
+    expect(facets.map(facet => facet.id)).not.toContain('modality');
+    expect(facets.find(facet => facet.id === 'journal').values).toContainEqual({ value: 'Lancet', count: 0, selected: true });
+  });
+});
+
+describe('toggleFacetValue', () => {
+  test('picks and unpicks values, dropping empty facets', () => {
+    const picked = toggleFacetValue(toggleFacetValue({}, 'year', '2025'), 'year', '2024');
+    expect(picked).toEqual({ year: ['2025', '2024'] });
+    expect(activeFacetCount(picked)).toBe(2);
+    expect(toggleFacetValue({ year: ['2025'] }, 'year', '2025')).toEqual({});
+  });
+});
@@ -0,0 +1,105 @@
+import { dateParts } from './citationExport';
+
+// Atom and RSS 2.0 feeds of an article list, for feed readers. Entries carry the title,
+// link, authors, abstract and subdomains; the newest articles come first.
+
+// Control characters other than tab and newlines aren't allowed in XML 1.0
+const isXmlCharacter = (character) => {
+  const code = character.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+const escapeXml = (text) => [...String(text ?? '')]
+  .filter(isXmlCharacter)
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Publication date as a UTC Date, or null without a year
+const publishedDate = (article) => {
+  const [year, month = 1, day = 1] = dateParts(article);
+  return year ? new Date(Date.UTC(year, month - 1, day)) : null;
+};
+
+// When the dashboard last saw the article change, for the entry's <updated>
+const updatedDate = (article, fallback) => (article.lastUpdated && new Date(article.lastUpdated))
+  || publishedDate(article)
+  || fallback;
+
+const entryId = (article) => (article.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`
+  : article.doi ? `https://doi.org/${article.doi}`
+    : article.link || `urn:radiology-ai-dashboard:${article.uid}`);
+
+const byNewest = (articles) => [...articles].sort((a, b) => (publishedDate(b) || 0) - (publishedDate(a) || 0));
+
+/**
+ * Atom 1.0 feed. `feed` is { title, link, id, updated, self } where link is the dashboard
+ * view the feed came from and id defaults to it; self is where the feed itself is hosted,
+ * if it is.
+ */
+export const toAtom = (articles, { title, link, id = link, updated = new Date(), self }) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `  <title>${escapeXml(title)}</title>`,
+  `  <id>${escapeXml(id)}</id>`,
+  `  <link rel="alternate" href="${escapeXml(link)}"/>`,
+  ...(self ? [`  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>`] : []),
+  `  <updated>${updated.toISOString()}</updated>`,
+  '  <generator>Radiology AI Dashboard</generator>',
+  ...byNewest(articles).flatMap(article => {
+    const published = publishedDate(article);
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(article.title)}</title>`,
+      `    <id>${escapeXml(entryId(article))}</id>`,
+      `    <link rel="alternate" href="${escapeXml(article.link || entryId(article))}"/>`,
+      `    <updated>${updatedDate(article, updated).toISOString()}</updated>`,
+      ...(published ? [`    <published>${published.toISOString()}</published>`] : []),
+      ...(article.authors || []).map(name => `    <author><name>${escapeXml(name)}</name></author>`),
+      ...(article.journal ? [`    <source><title>${escapeXml(article.journal)}</title></source>`] : []),
+      ...(article.subdomains || []).map(({ subdomain }) => `    <category term="${escapeXml(subdomain)}"/>`),
+      ...(article.abstract ? [`    <summary>${escapeXml(article.abstract)}</summary>`] : []),
+      '  </entry>'
+    ];
+  }),
+  '</feed>',
+  ''
+].join('\n');
+
+/**
+ * RSS 2.0 feed, for readers without Atom support. Takes the same `feed` details as toAtom.
+ */
+export const toRss = (articles, { title, link, updated = new Date() }) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<rss version="2.0">',
+  '  <channel>',
+  `    <title>${escapeXml(title)}</title>`,
+  `    <link>${escapeXml(link)}</link>`,
+  `    <description>${escapeXml(title)}</description>`,
+  `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+  '    <generator>Radiology AI Dashboard</generator>',
+  ...byNewest(articles).flatMap(article => {
+    const published = publishedDate(article);
+    const id = entryId(article);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(article.title)}</title>`,
+      `      <link>${escapeXml(article.link || id)}</link>`,
+      `      <guid isPermaLink="${/^https?:/.test(id)}">${escapeXml(id)}</guid>`,
+      ...(published ? [`      <pubDate>${published.toUTCString()}</pubDate>`] : []),
+      ...(article.subdomains || []).map(({ subdomain }) => `      <category>${escapeXml(subdomain)}</category>`),
+      ...(article.abstract ? [`      <description>${escapeXml(article.abstract)}</description>`] : []),
+      '    </item>'
+    ];
+  }),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+export const FEED_FORMATS = [
+  { id: 'atom', label: 'Atom', extension: 'atom', mimeType: 'application/atom+xml', format: toAtom },
+  { id: 'rss', label: 'RSS', extension: 'rss', mimeType: 'application/rss+xml', format: toRss }
+];
@@ -0,0 +1,66 @@
+import { toAtom, toRss } from './feeds';
+
+const articles = [
+  {
+    uid: '39000001',
+    pmid: '39000001',
+    title: 'Deep learning for <b>breast</b> MRI & mammography',
+    link: 'https://pubmed.ncbi.nlm.nih.gov/39000001/',
+    authors: ['Müller AK', 'Smith J'],
+    journal: 'Radiology',
+    publicationDate: '2024 Mar',
+    abstract: 'Results "held" up.',
+    subdomains: [{ subdomain: 'Breast Imaging', score: 3 }]
+  },
+  {
+    uid: 'arxiv:2405.00001',
+    doi: '10.48550/arXiv.2405.00001',
+    title: 'A newer preprint',
+    authors: [],
+    publicationDate: '2024-05-02',
+    lastUpdated: '2024-05-10T08:00:00.000Z'
+  }
+];
+
+const feed = {
+  title: 'Radiology AI Dashboard: Breast',
+  link: 'https://example.org/dashboard/?profile=breast',
+  updated: new Date('2024-06-01T00:00:00Z')
+};
+
+describe('feeds', () => {
+  test('builds an escaped Atom feed, newest first', () => {
+    const atom = toAtom(articles, feed);
+    expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(atom).toContain('<id>https://example.org/dashboard/?profile=breast</id>');
+    expect(atom).toContain('<title>Deep learning for &lt;b&gt;breast&lt;/b&gt; MRI &amp; mammography</title>');
+    expect(atom).toContain('<published>2024-03-01T00:00:00.000Z</published>');
+    expect(atom).toContain('<author><name>Müller AK</name></author>');
+    expect(atom).toContain('<category term="Breast Imaging"/>');
+    expect(atom).toContain('<summary>Results &quot;held&quot; up.</summary>');
+    // Without a link the DOI stands in, and lastUpdated drives <updated>
+    expect(atom).toContain('<link rel="alternate" href="https://doi.org/10.48550/arXiv.2405.00001"/>');
+    expect(atom).toContain('<updated>2024-05-10T08:00:00.000Z</updated>');
+    expect(atom.indexOf('A newer preprint')).toBeLessThan(atom.indexOf('Deep learning'));
+    expect(atom).not.toContain('rel="self"');
+  });
+
+  test('links a hosted Atom feed to itself', () => {
+    const atom = toAtom(articles, { ...feed, self: 'https://example.org/dashboard/snapshots/breast.atom' });
+    expect(atom).toContain('<link rel="self" type="application/atom+xml" href="https://example.org/dashboard/snapshots/breast.atom"/>');
+  });
+
+  test('drops control characters XML does not allow', () => {
+    const atom = toAtom([{ uid: 'x', title: 'Bell\u0007 and\ttab' }], feed);
+    expect(atom).toContain('<title>Bell and\ttab</title>');
+  });
+
+  test('builds an RSS 2.0 feed with permalink guids', () => {
+    const rss = toRss(articles, feed);
+    expect(rss).toContain('<rss version="2.0">');
+    expect(rss).toContain('<lastBuildDate>Sat, 01 Jun 2024 00:00:00 GMT</lastBuildDate>');
+    expect(rss).toContain('<guid isPermaLink="true">https://pubmed.ncbi.nlm.nih.gov/39000001/</guid>');
+    expect(rss).toContain('<pubDate>Fri, 01 Mar 2024 00:00:00 GMT</pubDate>');
+    expect(rss).toContain('<category>Breast Imaging</category>');
+  });
+});
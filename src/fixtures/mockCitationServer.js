@@ -0,0 +1,61 @@
+// Local stand-in for the iCite and OpenCitations endpoints used by citationMetrics, for tests and offline runs
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const icite = JSON.parse(fs.readFileSync(path.join(__dirname, 'citations', 'icite.json'), 'utf8'));
+const openCitations = JSON.parse(fs.readFileSync(path.join(__dirname, 'citations', 'opencitations.json'), 'utf8'));
+
+/**
+ * Starts the server on a random port. iCite lives under /icite/api and OpenCitations
+ * under /opencitations/index/api/v2. `failing` lists the services ('icite',
+ * 'opencitations') that answer every request with 500.
+ */
+const startMockCitationServer = ({ failing = [] } = {}) => new Promise(resolve => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    const service = url.pathname.split('/')[1];
+    requests.push({ service, path: url.pathname, params });
+
+    if (failing.includes(service)) {
+      res.writeHead(500);
+      res.end('Internal Server Error');
+      return;
+    }
+
+    if (url.pathname === '/icite/api/pubs') {
+      const pmids = (params.pmids || '').split(',');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...icite,
+        data: icite.data.filter(record => pmids.includes(String(record.pmid)))
+      }));
+      return;
+    }
+
+    const citationCount = url.pathname.match(/^\/opencitations\/index\/api\/v2\/citation-count\/(.+)$/);
+    if (citationCount && openCitations[decodeURI(citationCount[1])]) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openCitations[decodeURI(citationCount[1])]));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end('Not Found');
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      iciteUrl: `${baseUrl}/icite/api`,
+      openCitationsUrl: `${baseUrl}/opencitations/index/api/v2`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startMockCitationServer };
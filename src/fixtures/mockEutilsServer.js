@@ -0,0 +1,100 @@
+// Local stand-in for the E-utilities endpoints used by pubmedClient, for tests and offline runs
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const efetchXml = fs.readFileSync(path.join(__dirname, 'pubmed', 'efetch.xml'), 'utf8');
+const records = efetchXml.match(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g);
+const recordId = (record) => record.match(/<PMID[^>]*>(\d+)<\/PMID>/)[1];
+
+const elink = JSON.parse(fs.readFileSync(path.join(__dirname, 'pubmed', 'elink.json'), 'utf8'));
+const esummary = JSON.parse(fs.readFileSync(path.join(__dirname, 'pubmed', 'esummary.json'), 'utf8'));
+
+const wrap = (items) => `<?xml version="1.0" ?>\n<PubmedArticleSet>\n${items.join('\n')}\n</PubmedArticleSet>`;
+
+/**
+ * Starts the server on a random port. `failFirst` makes the first N requests answer 500
+ * so retry behaviour can be exercised.
+ */
+const startMockEutilsServer = ({ failFirst = 0 } = {}) => new Promise(resolve => {
+  const requests = [];
+  let failuresLeft = failFirst;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, params, time: Date.now() });
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      res.writeHead(500);
+      res.end('Internal Server Error');
+      return;
+    }
+
+    if (url.pathname.endsWith('/esearch.fcgi')) {
+      const retmax = parseInt(params.retmax || '20', 10);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        header: { type: 'esearch', version: '0.3' },
+        esearchresult: {
+          count: String(records.length),
+          retmax: String(Math.min(retmax, records.length)),
+          retstart: '0',
+          querykey: '1',
+          webenv: 'MCID_mock',
+          idlist: records.slice(0, retmax).map(recordId)
+        }
+      }));
+      return;
+    }
+
+    if (url.pathname.endsWith('/efetch.fcgi')) {
+      let page;
+      if (params.id) {
+        const ids = params.id.split(',');
+        page = records.filter(record => ids.includes(recordId(record)));
+      } else {
+        const start = parseInt(params.retstart || '0', 10);
+        page = records.slice(start, start + parseInt(params.retmax || '20', 10));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/xml' });
+      res.end(wrap(page));
+      return;
+    }
+
+    // Neighbours are only recorded for the first fixture record; others have none
+    if (url.pathname.endsWith('/elink.fcgi')) {
+      const known = elink.linksets[0].ids.includes(params.id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(known ? elink : {
+        ...elink,
+        linksets: [{ dbfrom: 'pubmed', ids: [params.id] }]
+      }));
+      return;
+    }
+
+    if (url.pathname.endsWith('/esummary.fcgi')) {
+      const ids = (params.id || '').split(',').filter(id => esummary.result[id]);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...esummary,
+        result: { uids: ids, ...Object.fromEntries(ids.map(id => [id, esummary.result[id]])) }
+      }));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end('Not Found');
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startMockEutilsServer };
@@ -0,0 +1,39 @@
+import axios from 'axios';
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client errors other than 429 (Too Many Requests) will not succeed on retry
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// GET/POST with exponential backoff between failed attempts
+export const fetchWithRetry = async (url, options = {}, retries = 3, backoff = 2000) => {
+  for (let i = 0; i < retries; i++) {
+    try {
+      return await axios(url, {
+        timeout: 10000, // 10 second timeout
+        ...options
+      });
+    } catch (error) {
+      console.error(`Attempt ${i + 1} failed:`, error.message);
+      if (i === retries - 1 || !isRetryable(error)) throw error;
+      await delay(backoff * Math.pow(2, i));
+    }
+  }
+};
+
+// Spaces out task start times so no more than `requestsPerSecond` begin per second
+export const createRateLimiter = (requestsPerSecond) => {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async (task) => {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait > 0) await delay(wait);
+    return task();
+  };
+};
@@ -2,6 +2,7 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';  // Note the change here: import createRoot
 import App from './App';
 import ErrorBoundary from './ErrorBoundary';
+import { registerServiceWorker } from './serviceWorkerRegistration';
 import './index.css';
 
 // Optionally, import your global CSS here
@@ -15,4 +16,7 @@ root.render(
       <App />
     </ErrorBoundary>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Caches the app for offline use and runs background refreshes
+registerServiceWorker();
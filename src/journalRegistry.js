@@ -0,0 +1,252 @@
+import { normalizeTitle } from './deduplicate';
+
+// Journals the dashboard knows about, with a tier (1 is the strongest) and, where known,
+// an impact factor. Articles are matched by ISSN first, then by full name, NLM
+// abbreviation or alias, so "Eur Radiol", "European radiology" and 0938-7994 all find
+// the same entry. The registry is stored locally and can be edited, or imported as JSON
+// or CSV.
+
+const REGISTRY_KEY = 'radiology_ai_journal_registry';
+const EXPORT_VERSION = 1;
+
+export const JOURNAL_TIERS = [
+  { id: 1, label: 'Tier 1' },
+  { id: 2, label: 'Tier 2' },
+  { id: 3, label: 'Tier 3' }
+];
+
+export const DEFAULT_JOURNALS = [
+  { name: 'Radiology', abbreviation: 'Radiology', issns: ['0033-8419', '1527-1315'], aliases: [], tier: 1, impactFactor: 19.8 },
+  { name: 'Radiology: Artificial Intelligence', abbreviation: 'Radiol Artif Intell', issns: ['2638-6100'], aliases: [], tier: 1, impactFactor: null },
+  { name: 'European Radiology', abbreviation: 'Eur Radiol', issns: ['0938-7994', '1432-1084'], aliases: [], tier: 1, impactFactor: 7.8 },
+  { name: 'Journal of the American College of Radiology', abbreviation: 'J Am Coll Radiol', issns: ['1546-1440', '1558-349X'], aliases: ['JACR'], tier: 2, impactFactor: 4.3 },
+  { name: 'European Journal of Radiology', abbreviation: 'Eur J Radiol', issns: ['0720-048X', '1872-7727'], aliases: [], tier: 2, impactFactor: 3.8 },
+  { name: 'American Journal of Roentgenology', abbreviation: 'AJR Am J Roentgenol', issns: ['0361-803X', '1546-3141'], aliases: ['AJR'], tier: 2, impactFactor: 3.7 },
+  { name: 'RadioGraphics', abbreviation: 'Radiographics', issns: ['0271-5333', '1527-1323'], aliases: [], tier: 2, impactFactor: 3.5 }
+];
+
+export const normalizeIssn = (issn) => String(issn || '').toUpperCase().replace(/[^0-9X]/g, '');
+
+const formatIssn = (issn) => {
+  const digits = normalizeIssn(issn);
+  return digits.length === 8 ? `${digits.slice(0, 4)}-${digits.slice(4)}` : null;
+};
+
+const list = (value) => (Array.isArray(value) ? value : String(value || '').split(/[;|]/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const number = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * A registry entry with every field present and cleaned up, or null without a name:
+ * { name, abbreviation, issns, aliases, tier (1-3 or null), impactFactor (or null) }
+ */
+export const normalizeJournal = (journal) => {
+  const name = String(journal?.name || '').trim();
+  if (!name) return null;
+  const tier = parseInt(journal.tier, 10);
+  return {
+    name,
+    abbreviation: String(journal.abbreviation || '').trim(),
+    issns: [...new Set(list(journal.issns).flatMap(issn => issn.split(/[\s,]+/)).map(formatIssn).filter(Boolean))],
+    aliases: list(journal.aliases),
+    tier: JOURNAL_TIERS.some(t => t.id === tier) ? tier : null,
+    impactFactor: number(journal.impactFactor)
+  };
+};
+
+export const loadJournalRegistry = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    return Array.isArray(stored) ? stored.map(normalizeJournal).filter(Boolean) : DEFAULT_JOURNALS;
+  } catch (error) {
+    console.error('Error reading the journal registry:', error);
+    return DEFAULT_JOURNALS;
+  }
+};
+
+export const saveJournalRegistry = (journals) => {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(journals));
+};
+
+const nameKeys = (journal) => [journal.name, journal.abbreviation, ...journal.aliases]
+  .map(normalizeTitle)
+  .filter(Boolean);
+
+/**
+ * A function from an article to its registry entry, or null. Builds the lookup tables
+ * once, so call it once per registry rather than once per article.
+ */
+export const createJournalLookup = (journals) => {
+  const byIssn = new Map();
+  const byName = new Map();
+  journals.forEach(journal => {
+    journal.issns.forEach(issn => byIssn.set(normalizeIssn(issn), journal));
+    nameKeys(journal).forEach(key => byName.has(key) || byName.set(key, journal));
+  });
+
+  return (article) => {
+    const issnMatch = (article.issn || []).map(issn => byIssn.get(normalizeIssn(issn))).find(Boolean);
+    if (issnMatch) return issnMatch;
+    return [article.journal, article.journalAbbrev]
+      .map(name => byName.get(normalizeTitle(name)))
+      .find(Boolean) || null;
+  };
+};
+
+// Does an incoming entry describe a journal already in the registry?
+const sameJournal = (a, b) => a.issns.some(issn => b.issns.includes(issn))
+  || nameKeys(a).some(key => nameKeys(b).includes(key));
+
+/**
+ * Merge imported journals into the registry: an entry sharing an ISSN, name or alias
+ * with an existing one replaces it, and the rest are added. Returns
+ * { journals, imported, skipped }.
+ */
+export const mergeJournals = (journals, incoming) => {
+  const next = [...journals];
+  let imported = 0;
+  let skipped = 0;
+  incoming.forEach(raw => {
+    const journal = normalizeJournal(raw);
+    if (!journal) {
+      skipped++;
+      return;
+    }
+    const index = next.findIndex(existing => sameJournal(existing, journal));
+    if (index >= 0) {
+      next[index] = journal;
+    } else {
+      next.push(journal);
+    }
+    imported++;
+  });
+  return { journals: next, imported, skipped };
+};
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// CSV headers people are likely to use for each field
+const CSV_HEADERS = {
+  name: ['name', 'journal', 'title', 'journal name'],
+  abbreviation: ['abbreviation', 'abbrev', 'iso abbreviation', 'medline ta', 'nlm abbreviation'],
+  issns: ['issn', 'issns', 'eissn', 'print issn', 'electronic issn'],
+  aliases: ['alias', 'aliases'],
+  tier: ['tier', 'rank'],
+  impactFactor: ['impact factor', 'impactfactor', 'impact_factor', 'if', 'jif']
+};
+
+const fromCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\ufeff/, ''));
+  const columns = (header || []).map(cell => {
+    const label = cell.trim().toLowerCase();
+    return Object.keys(CSV_HEADERS).find(field => CSV_HEADERS[field].includes(label));
+  });
+  if (!columns.includes('name')) {
+    throw new Error('The CSV file needs a "name" (or "journal") column.');
+  }
+  return rows.map(cells => {
+    const journal = {};
+    cells.forEach((cell, index) => {
+      const field = columns[index];
+      if (!field) return;
+      // Several ISSN columns (print and electronic) add up
+      journal[field] = field === 'issns' && journal.issns ? `${journal.issns};${cell}` : cell;
+    });
+    return journal;
+  });
+};
+
+/**
+ * Journals from an imported file: a registry export, a JSON array of journals, or a CSV
+ * with a header row. Throws an Error with a readable message when the file can't be used.
+ */
+export const parseJournalFile = (text, filename = '') => {
+  const trimmed = text.trim();
+  if (/\.csv$/i.test(filename) || !/^[[{]/.test(trimmed)) return fromCsv(trimmed);
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (Array.isArray(data)) return data;
+  if (data?.type !== 'radiology-ai-journal-registry' || !Array.isArray(data.journals)) {
+    throw new Error('The file is not a journal registry export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The journal registry was exported by a newer version of the dashboard.');
+  }
+  return data.journals;
+};
+
+export const exportJournalRegistry = (journals) => JSON.stringify({
+  type: 'radiology-ai-journal-registry',
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  journals
+}, null, 2);
+
+// The name an article's journal is listed under: its registry name where it has one
+export const journalName = (article, lookup) => {
+  const journal = lookup(article);
+  return journal ? journal.name : (article.journal || article.source || 'Unknown');
+};
+
+/**
+ * Articles per journal, most first: [{ name, count, tier, registered }]. Matched articles are grouped
+ * under the registry name, so abbreviations and aliases count as one journal.
+ */
+export const journalBreakdown = (articles, lookup) => {
+  const counts = new Map();
+  articles.forEach(article => {
+    const journal = lookup(article);
+    const name = journalName(article, lookup);
+    const entry = counts.get(name) || { name, count: 0, tier: journal ? journal.tier : null, registered: Boolean(journal) };
+    entry.count++;
+    counts.set(name, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
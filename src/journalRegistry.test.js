@@ -0,0 +1,76 @@
+import {
+  DEFAULT_JOURNALS,
+  createJournalLookup,
+  exportJournalRegistry,
+  journalBreakdown,
+  loadJournalRegistry,
+  mergeJournals,
+  parseJournalFile,
+  saveJournalRegistry
+} from './journalRegistry';
+
+describe('journal registry', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('matches articles by ISSN, abbreviation, alias and loosely written names', () => {
+    const lookup = createJournalLookup(DEFAULT_JOURNALS);
+
+    expect(lookup({ journal: 'Some title', issn: ['0938 7994'] }).name).toBe('European Radiology');
+    expect(lookup({ journal: '', journalAbbrev: 'AJR Am J Roentgenol' }).name).toBe('American Journal of Roentgenology');
+    expect(lookup({ journal: 'Radiology. Artificial intelligence' }).name).toBe('Radiology: Artificial Intelligence');
+    expect(lookup({ journal: 'JACR' }).tier).toBe(2);
+    expect(lookup({ journal: 'Medical Physics' })).toBeNull();
+  });
+
+  test('imports CSV with quoted fields and several ISSN columns', () => {
+    const csv = '\ufeffJournal,Abbreviation,Print ISSN,Electronic ISSN,Aliases,Tier,Impact Factor\r\n'
+      + '"Medical Physics",Med Phys,0094-2405,2473-4209,"AAPM journal; Med. Phys.",3,3.2\r\n'
+      + 'European Radiology,Eur Radiol,0938-7994,,,1,6.1\r\n'
+      + ',,,,,,\r\n'
+      + ',orphan,,,,2,\r\n';
+
+    const { journals, imported, skipped } = mergeJournals(DEFAULT_JOURNALS, parseJournalFile(csv, 'journals.csv'));
+
+    expect(imported).toBe(2);
+    expect(skipped).toBe(1);
+    expect(journals).toHaveLength(DEFAULT_JOURNALS.length + 1);
+    expect(journals.find(j => j.name === 'European Radiology').impactFactor).toBe(6.1);
+    expect(journals.find(j => j.name === 'Medical Physics')).toEqual({
+      name: 'Medical Physics',
+      abbreviation: 'Med Phys',
+      issns: ['0094-2405', '2473-4209'],
+      aliases: ['AAPM journal', 'Med. Phys.'],
+      tier: 3,
+      impactFactor: 3.2
+    });
+  });
+
+  test('round-trips a JSON export through local storage', () => {
+    const { journals } = mergeJournals(DEFAULT_JOURNALS, parseJournalFile(exportJournalRegistry([
+      { name: 'Medical Physics', issns: '00942405', tier: '7' }
+    ])));
+    saveJournalRegistry(journals);
+
+    expect(loadJournalRegistry()).toEqual(journals);
+    expect(journals.find(j => j.name === 'Medical Physics')).toMatchObject({ issns: ['0094-2405'], tier: null });
+    expect(() => parseJournalFile('{"journals": []}')).toThrow('not a journal registry export');
+    expect(() => parseJournalFile('{oops')).toThrow('not valid JSON');
+    expect(() => parseJournalFile('issn,tier\n1234-5678,1')).toThrow('"name"');
+  });
+
+  test('breaks articles down by registered journal', () => {
+    const lookup = createJournalLookup(DEFAULT_JOURNALS);
+    const breakdown = journalBreakdown([
+      { journal: 'Eur Radiol' },
+      { journal: 'European radiology' },
+      { journal: 'Medical Physics' },
+      { journal: '', source: 'arXiv' }
+    ], lookup);
+
+    expect(breakdown).toEqual([
+      { name: 'European Radiology', count: 2, tier: 1, registered: true },
+      { name: 'arXiv', count: 1, tier: null, registered: false },
+      { name: 'Medical Physics', count: 1, tier: null, registered: false }
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+// Subdomain labels corrected by users in the UI, keyed by PMID. The article text is kept
+// alongside the labels so corrections can be replayed as topic-model training examples.
+
+const CORRECTIONS_KEY = 'radiology_ai_label_corrections';
+
+export const loadCorrections = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CORRECTIONS_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading label corrections:', error);
+    return {};
+  }
+};
+
+export const saveCorrection = (corrections, article, subdomains) => {
+  const next = {
+    ...corrections,
+    [article.uid]: {
+      title: article.title,
+      abstract: article.abstract || '',
+      meshTerms: article.meshTerms || [],
+      keywords: article.keywords || [],
+      subdomains,
+      correctedAt: new Date().toISOString()
+    }
+  };
+  localStorage.setItem(CORRECTIONS_KEY, JSON.stringify(next));
+  return next;
+};
+
+export const removeCorrection = (corrections, uid) => {
+  const { [uid]: _removed, ...next } = corrections;
+  localStorage.setItem(CORRECTIONS_KEY, JSON.stringify(next));
+  return next;
+};
@@ -0,0 +1,91 @@
+// "New since your last visit": each profile remembers when it was last opened, and
+// articles the archive first saw after that are new. Reloading or coming back within
+// the same session keeps the same cut-off, so new articles don't vanish on refresh.
+
+const VISITS_KEY = 'radiology_ai_visits';
+const NOTIFY_KEY = 'radiology_ai_notify_profiles';
+
+// A gap this long between page views starts a new visit
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+const loadJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Record a page view for a profile. Returns the start of the cut-off for "new" as an ISO
+ * string: the end of the previous visit, or null on the first visit ever.
+ */
+export const recordVisit = (profileId, now = new Date()) => {
+  const visits = loadJson(VISITS_KEY, {});
+  const visit = visits[profileId];
+  const sameSession = visit && now.getTime() - new Date(visit.lastSeenAt).getTime() < SESSION_GAP_MS;
+  const since = sameSession ? visit.since : (visit?.lastSeenAt || null);
+  localStorage.setItem(VISITS_KEY, JSON.stringify({
+    ...visits,
+    [profileId]: { since, lastSeenAt: now.toISOString() }
+  }));
+  return since;
+};
+
+export const isNewSince = (article, since) => Boolean(since && article.firstSeen && article.firstSeen > since);
+
+// Profiles whose new matches should raise a browser notification
+export const loadNotifyProfiles = () => loadJson(NOTIFY_KEY, []);
+
+export const saveNotifyProfiles = (profileIds) => {
+  localStorage.setItem(NOTIFY_KEY, JSON.stringify(profileIds));
+};
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Ask for permission to notify. Resolves to true when notifications may be shown.
+ */
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (window.Notification.permission === 'granted') return true;
+  if (window.Notification.permission === 'denied') return false;
+  return (await window.Notification.requestPermission()) === 'granted';
+};
+
+// Title and options of the notification for a sync's new articles, shared with the service worker
+export const newArticlesNotification = (profile, articles) => {
+  const count = articles.length;
+  return {
+    title: `${count} new article${count === 1 ? '' : 's'} for "${profile.name}"`,
+    options: {
+      body: articles.slice(0, 3).map(article => article.title).join('\n'),
+      tag: `radiology-ai-${profile.id}`
+    }
+  };
+};
+
+/**
+ * Show a notification listing a sync's new articles for a profile, if allowed. Goes
+ * through the service worker where there is one, since mobile browsers don't allow
+ * `new Notification()`. Resolves to whether a notification was shown; never rejects, so
+ * a notification can't fail the sync that found the articles.
+ */
+export const notifyNewArticles = async (profile, articles) => {
+  if (!notificationsSupported() || window.Notification.permission !== 'granted' || articles.length === 0) {
+    return false;
+  }
+  const { title, options } = newArticlesNotification(profile, articles);
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await (await navigator.serviceWorker.ready).showNotification(title, options);
+    } else {
+      new window.Notification(title, options);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error showing the new articles notification:', error);
+    return false;
+  }
+};
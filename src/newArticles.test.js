@@ -0,0 +1,58 @@
+import { isNewSince, notifyNewArticles, recordVisit } from './newArticles';
+
+describe('whats new', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('uses the end of the previous visit as the cut-off', () => {
+    expect(recordVisit('breast', new Date('2024-05-01T09:00:00Z'))).toBeNull();
+    // Reloading within the session keeps the same cut-off
+    expect(recordVisit('breast', new Date('2024-05-01T09:10:00Z'))).toBeNull();
+    expect(recordVisit('breast', new Date('2024-05-03T09:00:00Z'))).toBe('2024-05-01T09:10:00.000Z');
+    expect(recordVisit('breast', new Date('2024-05-03T09:20:00Z'))).toBe('2024-05-01T09:10:00.000Z');
+    // Profiles are tracked separately
+    expect(recordVisit('neuro', new Date('2024-05-03T09:20:00Z'))).toBeNull();
+  });
+
+  test('marks articles first seen after the cut-off', () => {
+    const since = '2024-05-01T09:10:00.000Z';
+    expect(isNewSince({ firstSeen: '2024-05-03T09:00:00.000Z' }, since)).toBe(true);
+    expect(isNewSince({ firstSeen: '2024-04-30T09:00:00.000Z' }, since)).toBe(false);
+    expect(isNewSince({}, since)).toBe(false);
+    expect(isNewSince({ firstSeen: '2024-05-03T09:00:00.000Z' }, null)).toBe(false);
+  });
+
+  describe('notifyNewArticles', () => {
+    const profile = { id: 'breast', name: 'Breast AI' };
+    const articles = [{ title: 'Tomosynthesis screening' }];
+
+    afterEach(() => {
+      delete window.Notification;
+      delete navigator.serviceWorker;
+    });
+
+    test('shows the notification through the service worker when there is one', async () => {
+      const showNotification = jest.fn(() => Promise.resolve());
+      window.Notification = jest.fn();
+      window.Notification.permission = 'granted';
+      Object.defineProperty(navigator, 'serviceWorker', {
+        configurable: true,
+        value: { getRegistration: () => Promise.resolve({}), ready: Promise.resolve({ showNotification }) }
+      });
+
+      await expect(notifyNewArticles(profile, articles)).resolves.toBe(true);
+      expect(showNotification).toHaveBeenCalledWith('1 new article for "Breast AI"', expect.objectContaining({ tag: 'radiology-ai-breast' }));
+      expect(window.Notification).not.toHaveBeenCalled();
+    });
+
+    test('does not reject when the Notification constructor throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      window.Notification = jest.fn(() => {
+        throw new TypeError('Illegal constructor');
+      });
+      window.Notification.permission = 'granted';
+
+      await expect(notifyNewArticles(profile, articles)).resolves.toBe(false);
+      expect(window.Notification).toHaveBeenCalled();
+    });
+  });
+});
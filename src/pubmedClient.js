@@ -0,0 +1,241 @@
+import * as cheerio from 'cheerio/slim';
+import { fetchWithRetry, createRateLimiter } from './http';
+
+export const EUTILS_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// efetch mixes "Mar" and "03" style months; normalise to the abbreviation esummary uses
+const normalizeMonth = (month) => {
+  if (!month) return '';
+  const index = parseInt(month, 10);
+  return index >= 1 && index <= 12 ? MONTHS[index - 1] : month;
+};
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Helper: Read a <PubDate>/<ArticleDate> node into "YYYY Mon DD" (or the raw MedlineDate)
+const readDate = ($date) => {
+  if (!$date.length) return '';
+  const medlineDate = $date.children('MedlineDate').text();
+  if (medlineDate) return cleanText(medlineDate);
+  return [
+    $date.children('Year').text(),
+    normalizeMonth($date.children('Month').text()),
+    $date.children('Day').text().replace(/^0/, '')
+  ].filter(Boolean).join(' ');
+};
+
+const readAuthor = ($, author) => {
+  const $author = $(author);
+  const lastName = $author.children('LastName').text();
+  const foreName = $author.children('ForeName').text();
+  const initials = $author.children('Initials').text();
+  const collectiveName = $author.children('CollectiveName').text();
+  return {
+    name: collectiveName ? cleanText(collectiveName) : [lastName, initials].filter(Boolean).join(' '),
+    lastName,
+    foreName,
+    initials,
+    affiliations: $author.find('AffiliationInfo > Affiliation')
+      .map((_, affiliation) => cleanText($(affiliation).text()))
+      .get()
+  };
+};
+
+const readArticle = ($, node) => {
+  const $node = $(node);
+  const $citation = $node.children('MedlineCitation');
+  const $article = $citation.children('Article');
+  const $journal = $article.children('Journal');
+  const pmid = $citation.children('PMID').first().text();
+
+  const abstract = $article.find('Abstract > AbstractText')
+    .map((_, section) => {
+      const label = $(section).attr('Label');
+      const text = cleanText($(section).text());
+      return label ? `${label}: ${text}` : text;
+    })
+    .get()
+    .join('\n');
+
+  const authorDetails = $article.find('AuthorList > Author')
+    .map((_, author) => readAuthor($, author))
+    .get();
+
+  const doi = $node.find('PubmedData ArticleIdList > ArticleId[IdType="doi"]').first().text()
+    || $article.children('ELocationID[EIdType="doi"]').first().text();
+
+  const epubDate = readDate($article.children('ArticleDate').first());
+
+  return {
+    uid: pmid,
+    pmid,
+    doi,
+    title: cleanText($article.children('ArticleTitle').text()),
+    abstract,
+    authors: authorDetails.map(author => author.name).filter(Boolean),
+    authorDetails,
+    affiliations: [...new Set(authorDetails.flatMap(author => author.affiliations))],
+    journal: cleanText($journal.children('Title').text()),
+    journalAbbrev: $journal.children('ISOAbbreviation').text()
+      || $citation.find('MedlineJournalInfo > MedlineTA').text(),
+    issn: $journal.children('ISSN').map((_, issn) => $(issn).text()).get(),
+    publicationDate: readDate($journal.find('JournalIssue > PubDate')) || epubDate,
+    epubDate,
+    publicationTypes: $article.find('PublicationTypeList > PublicationType')
+      .map((_, type) => $(type).text())
+      .get(),
+    meshTerms: $citation.find('MeshHeadingList > MeshHeading > DescriptorName')
+      .map((_, descriptor) => $(descriptor).text())
+      .get(),
+    keywords: $citation.find('KeywordList > Keyword')
+      .map((_, keyword) => cleanText($(keyword).text()))
+      .get(),
+    publicationStatus: $node.find('PubmedData > PublicationStatus').text(),
+    grants: $article.find('GrantList > Grant')
+      .map((_, grant) => ({
+        id: $(grant).children('GrantID').text(),
+        agency: $(grant).children('Agency').text(),
+        country: $(grant).children('Country').text()
+      }))
+      .get(),
+    link: `https://pubmed.ncbi.nlm.nih.gov/${pmid}`,
+    source: 'PubMed'
+  };
+};
+
+// Parse an efetch (db=pubmed, retmode=xml) response into article records
+export const parsePubMedXml = (xml) => {
+  const $ = cheerio.load(xml, { xml: true });
+  return $('PubmedArticleSet > PubmedArticle')
+    .map((_, node) => readArticle($, node))
+    .get();
+};
+
+/**
+ * PubMed E-utilities client.
+ *
+ * Searches run through the history server (usehistory=y) so results can be paged
+ * with efetch beyond a single esearch page. Requests are throttled to NCBI's limits:
+ * 3 per second without an API key, 10 per second with one.
+ */
+export const createPubMedClient = ({
+  apiKey,
+  email,
+  tool = 'radiology-ai-dashboard',
+  baseUrl = EUTILS_BASE_URL,
+  requestsPerSecond,
+  retries = 3,
+  retryDelay = 2000
+} = {}) => {
+  const throttle = createRateLimiter(requestsPerSecond || (apiKey ? 10 : 3));
+  const identity = {
+    tool,
+    ...(email && { email }),
+    ...(apiKey && { api_key: apiKey })
+  };
+
+  const request = (endpoint, params, responseType = 'json') => throttle(() =>
+    fetchWithRetry(`${baseUrl}/${endpoint}`, {
+      params: { db: 'pubmed', ...identity, ...params },
+      responseType
+    }, retries, retryDelay)
+  );
+
+  const search = async (term, { sort = 'relevance', retmax = 0, ...filters } = {}) => {
+    const response = await request('esearch.fcgi', {
+      term,
+      sort,
+      retmax,
+      usehistory: 'y',
+      retmode: 'json',
+      ...filters
+    });
+    const result = response.data.esearchresult;
+    if (!result || result.ERROR) {
+      throw new Error(`PubMed search failed: ${result?.ERROR || 'empty response'}`);
+    }
+    return {
+      count: parseInt(result.count, 10) || 0,
+      ids: result.idlist || [],
+      webEnv: result.webenv,
+      queryKey: result.querykey
+    };
+  };
+
+  // Fetch full records either by explicit PMIDs or by a page of a history-server search
+  const fetchRecords = async ({ ids, webEnv, queryKey, retstart = 0, retmax = 100 }) => {
+    const params = ids
+      ? { id: ids.join(',') }
+      : { WebEnv: webEnv, query_key: queryKey, retstart, retmax };
+    const response = await request('efetch.fcgi', {
+      ...params,
+      rettype: 'abstract',
+      retmode: 'xml'
+    }, 'text');
+    return parsePubMedXml(response.data);
+  };
+
+  // Search and page through efetch until `maxResults` records are collected
+  const searchArticles = async (term, { maxResults = 200, batchSize = 100, ...searchOptions } = {}) => {
+    const { count, webEnv, queryKey } = await search(term, searchOptions);
+    const total = Math.min(count, maxResults);
+    const articles = [];
+
+    for (let retstart = 0; retstart < total; retstart += batchSize) {
+      const page = await fetchRecords({
+        webEnv,
+        queryKey,
+        retstart,
+        retmax: Math.min(batchSize, total - retstart)
+      });
+      page.forEach((article, i) => {
+        articles.push({ ...article, relevanceRank: retstart + i + 1 });
+      });
+    }
+
+    return { count, articles };
+  };
+
+  /**
+   * PubMed's similar articles for a PMID from elink neighbour scores, best first, with
+   * titles from esummary. Resolves to [{ pmid, score, title, journal, publicationDate,
+   * authors, link }].
+   */
+  const relatedArticles = async (pmid, { limit = 10 } = {}) => {
+    const response = await request('elink.fcgi', {
+      dbfrom: 'pubmed',
+      id: pmid,
+      cmd: 'neighbor_score',
+      retmode: 'json'
+    });
+    const linkset = response.data.linksets?.[0];
+    if (!linkset || linkset.ERROR) {
+      throw new Error(`PubMed elink failed: ${linkset?.ERROR || 'empty response'}`);
+    }
+    const neighbours = ((linkset.linksetdbs || []).find(db => db.linkname === 'pubmed_pubmed')?.links || [])
+      .filter(link => String(link.id) !== String(pmid))
+      .slice(0, limit);
+    if (neighbours.length === 0) return [];
+
+    const summaries = (await request('esummary.fcgi', {
+      id: neighbours.map(link => link.id).join(','),
+      retmode: 'json'
+    })).data.result || {};
+    return neighbours.map(({ id, score }) => {
+      const summary = summaries[id] || {};
+      return {
+        pmid: String(id),
+        score: Number(score),
+        title: cleanText(summary.title || ''),
+        journal: summary.fulljournalname || summary.source || '',
+        publicationDate: summary.pubdate || '',
+        authors: (summary.authors || []).map(author => author.name),
+        link: `https://pubmed.ncbi.nlm.nih.gov/${id}`
+      };
+    });
+  };
+
+  return { search, fetchRecords, searchArticles, relatedArticles };
+};
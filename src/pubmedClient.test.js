@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { createPubMedClient, parsePubMedXml } from './pubmedClient';
+import { startMockEutilsServer } from './fixtures/mockEutilsServer';
+
+const efetchXml = fs.readFileSync(path.join(__dirname, 'fixtures', 'pubmed', 'efetch.xml'), 'utf8');
+
+describe('parsePubMedXml', () => {
+  const [tomosynthesis, brain, jacr] = parsePubMedXml(efetchXml);
+
+  test('reads abstracts, MeSH terms, DOIs and publication types', () => {
+    expect(tomosynthesis.pmid).toBe('39000001');
+    expect(tomosynthesis.title).toBe(
+      'Deep Learning for Detection of Breast Cancer at Digital Breast Tomosynthesis: External Validation.'
+    );
+    expect(tomosynthesis.abstract).toMatch(/^BACKGROUND: Mammography screening/);
+    expect(tomosynthesis.abstract).toMatch(/RESULTS: In 12 450 examinations/);
+    expect(tomosynthesis.meshTerms).toEqual(['Breast Neoplasms', 'Deep Learning', 'Mammography']);
+    expect(tomosynthesis.doi).toBe('10.1148/radiol.000001');
+    expect(tomosynthesis.publicationTypes).toEqual(['Journal Article', 'Validation Study']);
+    expect(tomosynthesis.grants).toEqual([
+      { id: 'R01 CA000001', agency: 'NCI NIH HHS', country: 'United States' }
+    ]);
+  });
+
+  test('reads authors with their affiliations', () => {
+    expect(tomosynthesis.authors).toEqual(['Müller AK', 'Smith J']);
+    expect(tomosynthesis.authorDetails[1].affiliations).toEqual([
+      'Department of Radiology, Massachusetts General Hospital, Boston, MA, USA.',
+      'Harvard Medical School, Boston, MA, USA.'
+    ]);
+    expect(tomosynthesis.affiliations).toHaveLength(3);
+    expect(brain.authors).toEqual(['Garcia M', 'BRAIN-AI Consortium']);
+  });
+
+  test('normalises publication and electronic dates', () => {
+    expect(tomosynthesis.publicationDate).toBe('2024 Mar');
+    expect(tomosynthesis.epubDate).toBe('2024 Feb 6');
+    expect(brain.publicationDate).toBe('2023 Winter');
+    expect(jacr.publicationDate).toBe('2024 May 9');
+  });
+
+  test('falls back to the ELocationID DOI and MedlineTA abbreviation', () => {
+    expect(brain.doi).toBe('');
+    expect(brain.journalAbbrev).toBe('Eur Radiol');
+    expect(jacr.doi).toBe('10.1016/j.jacr.2024.000003');
+  });
+});
+
+describe('createPubMedClient', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  test('pages through the history server with efetch', async () => {
+    server = await startMockEutilsServer();
+    const client = createPubMedClient({ baseUrl: server.baseUrl, requestsPerSecond: 100 });
+
+    const { count, articles } = await client.searchArticles('deep learning', { batchSize: 2 });
+
+    expect(count).toBe(3);
+    expect(articles.map(article => article.pmid)).toEqual(['39000001', '39000002', '39000003']);
+    expect(articles.map(article => article.relevanceRank)).toEqual([1, 2, 3]);
+
+    const [search, ...fetches] = server.requests;
+    expect(search.params.usehistory).toBe('y');
+    expect(fetches.map(request => [request.params.retstart, request.params.retmax]))
+      .toEqual([['0', '2'], ['2', '1']]);
+    expect(fetches.every(request => request.params.WebEnv === 'MCID_mock')).toBe(true);
+  });
+
+  test('passes the API key, email and tool name with every request', async () => {
+    server = await startMockEutilsServer();
+    const client = createPubMedClient({
+      baseUrl: server.baseUrl,
+      apiKey: 'test-key',
+      email: 'team@example.org'
+    });
+
+    await client.fetchRecords({ ids: ['39000002'] });
+
+    expect(server.requests[0].params).toMatchObject({
+      api_key: 'test-key',
+      email: 'team@example.org',
+      tool: 'radiology-ai-dashboard',
+      id: '39000002'
+    });
+  });
+
+  test('stays under the request rate limit', async () => {
+    server = await startMockEutilsServer();
+    const client = createPubMedClient({ baseUrl: server.baseUrl, requestsPerSecond: 10 });
+
+    await client.searchArticles('deep learning', { batchSize: 1 });
+
+    const times = server.requests.map(request => request.time);
+    for (let i = 1; i < times.length; i++) {
+      expect(times[i] - times[i - 1]).toBeGreaterThanOrEqual(90);
+    }
+  });
+
+  test('lists related articles by elink neighbour score with esummary titles', async () => {
+    server = await startMockEutilsServer();
+    const client = createPubMedClient({ baseUrl: server.baseUrl, requestsPerSecond: 100 });
+
+    const related = await client.relatedArticles('39000001', { limit: 2 });
+
+    expect(related).toEqual([
+      {
+        pmid: '38500123',
+        score: 48211833,
+        title: 'Artificial intelligence for breast cancer screening with digital breast tomosynthesis: a reader study.',
+        journal: 'Radiology',
+        publicationDate: '2023 Nov',
+        authors: ['Lee CI', 'Okafor C'],
+        link: 'https://pubmed.ncbi.nlm.nih.gov/38500123'
+      },
+      expect.objectContaining({ pmid: '39000003', score: 31544187 })
+    ]);
+    expect(server.requests[0].params).toMatchObject({ dbfrom: 'pubmed', db: 'pubmed', cmd: 'neighbor_score' });
+    expect(server.requests[1].params.id).toBe('38500123,39000003');
+    expect(await client.relatedArticles('39000002')).toEqual([]);
+  });
+
+  test('retries failed requests through fetchWithRetry', async () => {
+    server = await startMockEutilsServer({ failFirst: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = createPubMedClient({
+      baseUrl: server.baseUrl,
+      requestsPerSecond: 100,
+      retryDelay: 10
+    });
+
+    const { count } = await client.search('deep learning');
+
+    expect(count).toBe(3);
+    expect(server.requests).toHaveLength(2);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,132 @@
+import { articleKey } from './articleArchive';
+
+// Personal reading list: bookmarked articles with a read status, tags and notes, stored
+// locally and keyed like the archive (PMID, else DOI). Each entry keeps a snapshot of the
+// article so the list still shows it after the archive or the active profile changes.
+
+const READING_LIST_KEY = 'radiology_ai_reading_list';
+const EXPORT_VERSION = 1;
+
+export const READ_STATUSES = [
+  { id: 'unread', label: 'Unread' },
+  { id: 'to-discuss', label: 'To discuss' },
+  { id: 'read', label: 'Read' }
+];
+
+const SNAPSHOT_FIELDS = [
+  'uid', 'pmid', 'doi', 'title', 'abstract', 'authors', 'journal', 'publicationDate', 'link', 'source', 'category'
+];
+
+const snapshot = (article) => Object.fromEntries(
+  SNAPSHOT_FIELDS.filter(field => article[field] !== undefined).map(field => [field, article[field]])
+);
+
+export const normalizeTags = (tags) => [...new Set((tags || [])
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean))];
+
+export const loadReadingList = () => {
+  try {
+    return JSON.parse(localStorage.getItem(READING_LIST_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading the reading list:', error);
+    return {};
+  }
+};
+
+const store = (list) => {
+  localStorage.setItem(READING_LIST_KEY, JSON.stringify(list));
+  return list;
+};
+
+export const readingListEntry = (list, article) => list[articleKey(article)];
+
+// Add an article or change its status, tags or note
+export const updateReadingListEntry = (list, article, changes = {}) => {
+  const key = articleKey(article);
+  const now = new Date().toISOString();
+  const current = list[key] || { status: 'unread', tags: [], note: '', addedAt: now };
+  return store({
+    ...list,
+    [key]: {
+      ...current,
+      ...changes,
+      tags: normalizeTags(changes.tags || current.tags),
+      article: snapshot(article),
+      updatedAt: now
+    }
+  });
+};
+
+export const removeReadingListEntry = (list, article) => {
+  const { [articleKey(article)]: _removed, ...next } = list;
+  return store(next);
+};
+
+export const readingListTags = (list) =>
+  [...new Set(Object.values(list).flatMap(entry => entry.tags))].sort();
+
+export const exportReadingList = (list, now = new Date()) => JSON.stringify({
+  type: 'radiology-ai-reading-list',
+  version: EXPORT_VERSION,
+  exportedAt: now.toISOString(),
+  entries: list
+}, null, 2);
+
+const isValidEntry = (entry) => entry
+  && typeof entry === 'object'
+  && entry.article
+  && typeof entry.article.title === 'string'
+  && (entry.tags === undefined || Array.isArray(entry.tags))
+  && READ_STATUSES.some(status => status.id === entry.status);
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Merge an exported list into `list`. Where both have an entry, the more recently
+ * updated status and note win and the tags are combined; an entry without an update time
+ * never replaces one already here, and gets the import time as its added and updated
+ * dates. Throws on files that are not reading-list exports; entries that don't validate
+ * are skipped and counted. Returns { list, imported, skipped }.
+ */
+export const importReadingList = (list, json, now = new Date()) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.type !== 'radiology-ai-reading-list' || !data.entries || typeof data.entries !== 'object') {
+    throw new Error('The file is not a reading list export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The reading list was exported by a newer version of the dashboard.');
+  }
+
+  const next = { ...list };
+  let imported = 0;
+  let skipped = 0;
+  Object.entries(data.entries).forEach(([key, entry]) => {
+    if (!isValidEntry(entry)) {
+      skipped++;
+      return;
+    }
+    const importedAt = now.toISOString();
+    const incoming = {
+      note: '',
+      ...entry,
+      tags: normalizeTags(entry.tags),
+      addedAt: isTimestamp(entry.addedAt) ? entry.addedAt : importedAt,
+      updatedAt: isTimestamp(entry.updatedAt) ? entry.updatedAt : importedAt
+    };
+    const current = next[key];
+    const newer = !current || (isTimestamp(entry.updatedAt) && entry.updatedAt > (current.updatedAt || ''));
+    next[key] = {
+      ...(newer ? incoming : current),
+      tags: normalizeTags([...(current?.tags || []), ...incoming.tags])
+    };
+    imported++;
+  });
+
+  return { list: store(next), imported, skipped };
+};
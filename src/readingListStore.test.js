@@ -0,0 +1,88 @@
+import {
+  exportReadingList,
+  importReadingList,
+  loadReadingList,
+  readingListEntry,
+  readingListTags,
+  removeReadingListEntry,
+  updateReadingListEntry
+} from './readingListStore';
+
+const article = { uid: '39000001', pmid: '39000001', title: 'Deep learning at tomosynthesis', journal: 'Radiology', subdomains: [] };
+const preprint = { uid: 'arxiv:2402.01234', doi: '10.48550/arXiv.2402.01234', title: 'Foundation models', journal: 'arXiv' };
+
+describe('reading list', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('bookmarks articles by PMID or DOI and keeps a snapshot', () => {
+    let list = updateReadingListEntry({}, article);
+    list = updateReadingListEntry(list, preprint, { status: 'to-discuss', tags: [' Journal Club ', 'journal club', 'DBT'] });
+
+    expect(Object.keys(list)).toEqual(['pmid:39000001', 'doi:10.48550/arxiv.2402.01234']);
+    expect(readingListEntry(list, article)).toMatchObject({ status: 'unread', tags: [], note: '' });
+    expect(readingListEntry(list, preprint).tags).toEqual(['journal club', 'dbt']);
+    expect(readingListEntry(list, article).article).toEqual({
+      uid: '39000001', pmid: '39000001', title: 'Deep learning at tomosynthesis', journal: 'Radiology'
+    });
+    expect(loadReadingList()).toEqual(list);
+    expect(readingListTags(list)).toEqual(['dbt', 'journal club']);
+  });
+
+  test('keeps the added date when an entry changes and can remove it', () => {
+    const list = updateReadingListEntry({}, article);
+    const updated = updateReadingListEntry(list, article, { status: 'read', note: 'Strong external validation' });
+
+    expect(readingListEntry(updated, article)).toMatchObject({
+      status: 'read',
+      note: 'Strong external validation',
+      addedAt: readingListEntry(list, article).addedAt
+    });
+    expect(removeReadingListEntry(updated, article)).toEqual({});
+    expect(loadReadingList()).toEqual({});
+  });
+
+  test('imports a colleague\'s export, merging tags and keeping newer notes', () => {
+    const mine = updateReadingListEntry({}, article, { tags: ['dbt'], note: 'mine' });
+    const theirs = {
+      'pmid:39000001': { ...mine['pmid:39000001'], tags: ['journal club'], note: 'theirs', updatedAt: '2999-01-01T00:00:00.000Z' },
+      'doi:10.48550/arxiv.2402.01234': { status: 'read', tags: [], article: preprint, updatedAt: '2025-01-01T00:00:00.000Z' },
+      'broken': { status: 'maybe', article: {} },
+      'pmid:39000009': { status: 'read', tags: 'journal club', article: { ...article, pmid: '39000009' } }
+    };
+    const json = exportReadingList(theirs);
+
+    const { list, imported, skipped } = importReadingList(mine, json);
+
+    expect(imported).toBe(2);
+    expect(skipped).toBe(2);
+    expect(list['pmid:39000001']).toMatchObject({ note: 'theirs', tags: ['dbt', 'journal club'] });
+    expect(list['doi:10.48550/arxiv.2402.01234']).toMatchObject({ status: 'read', note: '' });
+  });
+
+  test('dates imported entries that have no timestamps without letting them win', () => {
+    const mine = updateReadingListEntry({}, article, { note: 'mine' });
+    const theirs = {
+      'pmid:39000001': { status: 'read', tags: [], note: 'theirs', article },
+      'doi:10.48550/arxiv.2402.01234': { status: 'unread', article: preprint, addedAt: 42 }
+    };
+    const now = new Date('2025-03-01T00:00:00.000Z');
+
+    const { list, imported } = importReadingList(mine, exportReadingList(theirs), now);
+
+    expect(imported).toBe(2);
+    expect(list['pmid:39000001'].note).toBe('mine');
+    expect(list['doi:10.48550/arxiv.2402.01234']).toMatchObject({
+      addedAt: '2025-03-01T00:00:00.000Z',
+      updatedAt: '2025-03-01T00:00:00.000Z'
+    });
+    // Sorting the list by update time, as the Reading List view does, works on every entry
+    expect(() => Object.values(list).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))).not.toThrow();
+  });
+
+  test('rejects files that are not reading list exports', () => {
+    expect(() => importReadingList({}, 'not json')).toThrow('not valid JSON');
+    expect(() => importReadingList({}, '{"entries": {}}')).toThrow('not a reading list export');
+    expect(() => importReadingList({}, JSON.stringify({ type: 'radiology-ai-reading-list', version: 99, entries: {} })))
+      .toThrow('newer version');
+  });
+});
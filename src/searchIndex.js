@@ -0,0 +1,382 @@
+import { normalizeTitle } from './deduplicate';
+
+// In-memory full-text index for the Publications search box. Articles are tokenised per
+// field into an inverted index with term positions, so queries can combine field
+// qualifiers (author:smith), AND/OR/NOT, parentheses, quoted phrases, prefixes (radiol*)
+// and small typos. Results are ranked with a field-weighted tf-idf score.
+
+export const SEARCH_FIELDS = {
+  title: { weight: 3, values: article => [article.title] },
+  abstract: { weight: 1, values: article => [article.abstract] },
+  authors: { weight: 2, values: article => article.authors || [] },
+  journal: { weight: 1.5, values: article => [article.journal, article.journalAbbrev] },
+  mesh: { weight: 2, values: article => article.meshTerms || [] },
+  keywords: { weight: 2, values: article => article.keywords || [] },
+  category: { weight: 1, values: article => [article.category] }
+};
+
+// Qualifiers accepted before a colon, including PubMed's short tags
+const FIELD_ALIASES = {
+  title: 'title',
+  ti: 'title',
+  abstract: 'abstract',
+  ab: 'abstract',
+  author: 'authors',
+  authors: 'authors',
+  au: 'authors',
+  journal: 'journal',
+  ta: 'journal',
+  mesh: 'mesh',
+  mh: 'mesh',
+  keyword: 'keywords',
+  keywords: 'keywords',
+  kw: 'keywords',
+  category: 'category',
+  type: 'category'
+};
+
+// Gap between list entries (e.g. two authors) so phrases don't match across them
+const VALUE_GAP = 2;
+
+// Match quality multipliers for the ways a query word can match an indexed term
+const EXACT = 1;
+const EXPLICIT_PREFIX = 0.9;
+const PREFIX = 0.6;
+const TYPO = 0.4;
+
+export const tokenizeText = (text) => normalizeTitle(text).split(' ').filter(Boolean);
+
+const fieldPositions = (values) => {
+  const positions = new Map();
+  let offset = 0;
+  values.filter(Boolean).forEach(value => {
+    const tokens = tokenizeText(value);
+    tokens.forEach((token, i) => {
+      positions.set(token, [...(positions.get(token) || []), offset + i]);
+    });
+    offset += tokens.length + VALUE_GAP;
+  });
+  return positions;
+};
+
+const signature = (article) => JSON.stringify(
+  Object.values(SEARCH_FIELDS).map(field => field.values(article))
+);
+
+// Levenshtein distance, giving up as soon as it must exceed `max`
+const withinDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+};
+
+const typoAllowance = (word) => {
+  if (word.length >= 9) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+};
+
+// Split a query into words, quoted phrases, parentheses and operators
+const lex = (query) => {
+  const tokens = [];
+  let field = null;
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"?|(\S+?)(?=[\s()"]|$))/gy;
+  let match;
+  while ((match = pattern.exec(query)) && match[0]) {
+    const [, open, close, phrase, word] = match;
+    if (open) tokens.push({ type: 'lparen' });
+    else if (close) tokens.push({ type: 'rparen' });
+    else if (phrase !== undefined) {
+      tokens.push({ type: 'text', field, value: phrase, phrase: true });
+      field = null;
+    } else if (['AND', 'OR', 'NOT'].includes(word)) {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      const negated = word.startsWith('-') && word.length > 1;
+      const [, qualifier, rest] = (negated ? word.slice(1) : word).match(/^([a-z]+):(.*)$/i) || [];
+      const alias = qualifier && FIELD_ALIASES[qualifier.toLowerCase()];
+      if (negated) tokens.push({ type: 'not' });
+      if (alias && !rest) {
+        // "author:" followed by a quoted phrase or the next word
+        field = alias;
+        continue;
+      }
+      tokens.push({
+        type: 'text',
+        field: alias || field,
+        value: alias ? rest : (negated ? word.slice(1) : word),
+        phrase: false
+      });
+      field = null;
+    }
+  }
+  return tokens;
+};
+
+// Recursive descent: OR binds loosest, then AND (also implicit), then NOT
+export const parseQuery = (query) => {
+  const tokens = lex(query);
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const textNode = ({ field, value, phrase }) => {
+    const prefix = !phrase && value.endsWith('*');
+    const words = tokenizeText(value);
+    if (words.length === 0) return null;
+    if (words.length === 1 && !phrase) return { type: 'term', field, word: words[0], prefix };
+    return { type: 'phrase', field, words };
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) return null;
+    if (token.type === 'lparen') {
+      const node = parseOr();
+      if (peek()?.type === 'rparen') position++;
+      return node;
+    }
+    if (token.type === 'text') return textNode(token);
+    return null;
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      position++;
+      const child = parseNot();
+      return child && { type: 'not', child };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && !['or', 'rparen'].includes(peek().type)) {
+      if (peek().type === 'and') {
+        position++;
+        continue;
+      }
+      const child = parseNot();
+      if (child) children.push(child);
+    }
+    return children.length > 1 ? { type: 'and', children } : children[0] || null;
+  };
+
+  const parseOr = () => {
+    const children = [];
+    do {
+      if (peek()?.type === 'or') position++;
+      const child = parseAnd();
+      if (child) children.push(child);
+    } while (peek()?.type === 'or');
+    return children.length > 1 ? { type: 'or', children } : children[0] || null;
+  };
+
+  const nodes = [];
+  while (position < tokens.length) {
+    const node = parseOr();
+    if (node) nodes.push(node);
+    // Skip a stray closing parenthesis
+    if (peek()?.type === 'rparen') position++;
+  }
+  return nodes.length > 1 ? { type: 'and', children: nodes } : nodes[0] || null;
+};
+
+export const createSearchIndex = () => {
+  // term -> docId -> field -> positions
+  const postings = new Map();
+  const docs = new Map();
+  let version = 0;
+
+  const add = (article) => {
+    const terms = new Set();
+    Object.entries(SEARCH_FIELDS).forEach(([field, { values }]) => {
+      fieldPositions(values(article)).forEach((positions, term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const byDoc = postings.get(term);
+        if (!byDoc.has(article.uid)) byDoc.set(article.uid, new Map());
+        byDoc.get(article.uid).set(field, positions);
+        terms.add(term);
+      });
+    });
+    docs.set(article.uid, { signature: signature(article), terms });
+  };
+
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.terms.forEach(term => {
+      const byDoc = postings.get(term);
+      byDoc.delete(id);
+      if (byDoc.size === 0) postings.delete(term);
+    });
+    docs.delete(id);
+  };
+
+  /**
+   * Bring the index in line with `articles`: new and changed articles are (re)indexed,
+   * missing ones removed, untouched ones left alone. Returns a version number that
+   * changes whenever the index did.
+   */
+  const update = (articles) => {
+    const current = new Set();
+    let changed = false;
+    articles.forEach(article => {
+      current.add(article.uid);
+      if (docs.get(article.uid)?.signature === signature(article)) return;
+      remove(article.uid);
+      add(article);
+      changed = true;
+    });
+    [...docs.keys()].filter(id => !current.has(id)).forEach(id => {
+      remove(id);
+      changed = true;
+    });
+    if (changed) version++;
+    return version;
+  };
+
+  const idf = (term) => Math.log(1 + docs.size / (postings.get(term)?.size || 1));
+
+  // Indexed terms a query word can stand for, with how well each matches
+  const expand = ({ word, prefix }) => {
+    const expansions = new Map();
+    if (postings.has(word)) expansions.set(word, EXACT);
+    const allowance = prefix ? 0 : typoAllowance(word);
+    postings.forEach((_, term) => {
+      if (term === word) return;
+      if (term.startsWith(word) && (prefix || word.length >= 3)) {
+        expansions.set(term, prefix ? EXPLICIT_PREFIX : PREFIX);
+      } else if (allowance && withinDistance(word, term, allowance)) {
+        expansions.set(term, TYPO);
+      }
+    });
+    return expansions;
+  };
+
+  const fieldsOf = (field) => (field ? [field] : Object.keys(SEARCH_FIELDS));
+
+  const evaluateTerm = (node, highlights) => {
+    const scores = new Map();
+    expand(node).forEach((quality, term) => {
+      postings.get(term).forEach((byField, id) => {
+        let score = 0;
+        fieldsOf(node.field).forEach(field => {
+          const positions = byField.get(field);
+          if (!positions) return;
+          score += SEARCH_FIELDS[field].weight * (1 + Math.log(positions.length)) * idf(term) * quality;
+          highlights?.[field].add(term);
+        });
+        if (score > (scores.get(id) || 0)) scores.set(id, score);
+      });
+    });
+    return scores;
+  };
+
+  const evaluatePhrase = (node, highlights) => {
+    const scores = new Map();
+    const [first, ...rest] = node.words;
+    if (!node.words.every(word => postings.has(word))) return scores;
+
+    postings.get(first).forEach((byField, id) => {
+      let score = 0;
+      fieldsOf(node.field).forEach(field => {
+        const hits = (byField.get(field) || []).filter(start => rest.every((word, i) =>
+          (postings.get(word).get(id)?.get(field) || []).includes(start + i + 1)
+        ));
+        if (hits.length === 0) return;
+        const weight = node.words.reduce((sum, word) => sum + idf(word), 0);
+        score += SEARCH_FIELDS[field].weight * (1 + Math.log(hits.length)) * weight;
+        node.words.forEach(word => highlights?.[field].add(word));
+      });
+      if (score > 0) scores.set(id, score);
+    });
+    return scores;
+  };
+
+  // Highlights are only collected outside NOT, where matches count for the article
+  const evaluate = (node, highlights) => {
+    switch (node.type) {
+      case 'term':
+        return evaluateTerm(node, highlights);
+      case 'phrase':
+        return evaluatePhrase(node, highlights);
+      case 'not': {
+        const excluded = evaluate(node.child, null);
+        return new Map([...docs.keys()].filter(id => !excluded.has(id)).map(id => [id, 0]));
+      }
+      case 'and':
+        return node.children.map(child => evaluate(child, highlights)).reduce((a, b) =>
+          new Map([...a].filter(([id]) => b.has(id)).map(([id, score]) => [id, score + b.get(id)])));
+      case 'or':
+        return node.children.map(child => evaluate(child, highlights)).reduce((a, b) => {
+          const union = new Map(a);
+          b.forEach((score, id) => union.set(id, (union.get(id) || 0) + score));
+          return union;
+        });
+      default:
+        return new Map();
+    }
+  };
+
+  /**
+   * Run a query. Resolves to { results: [{ id, score }], highlights } with results
+   * best first and highlights mapping each field to the indexed terms that matched.
+   */
+  const search = (query) => {
+    const highlights = Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, new Set()]));
+    const ast = parseQuery(query);
+    if (!ast) return { results: [], highlights };
+    const results = [...evaluate(ast, highlights)]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+    return { results, highlights };
+  };
+
+  return {
+    update,
+    search,
+    get size() {
+      return docs.size;
+    }
+  };
+};
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Split text into [{ text, match }] segments, marking words whose token is in `terms`
+export const highlightSegments = (text, terms) => {
+  if (!text || !terms || terms.size === 0) return [{ text: text || '', match: false }];
+  const segments = [];
+  let last = 0;
+  for (const { 0: word, index } of text.matchAll(WORD_PATTERN)) {
+    if (!terms.has(tokenizeText(word).join(' '))) continue;
+    if (index > last) segments.push({ text: text.slice(last, index), match: false });
+    segments.push({ text: word, match: true });
+    last = index + word.length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
+
+// A window of `text` around its first highlighted word, or null if nothing matched
+export const matchSnippet = (text, terms, length = 220) => {
+  if (!text || !terms || terms.size === 0) return null;
+  const first = [...text.matchAll(WORD_PATTERN)]
+    .find(({ 0: word }) => terms.has(tokenizeText(word).join(' ')));
+  if (!first) return null;
+  const start = Math.max(0, first.index - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,120 @@
+import { createSearchIndex, highlightSegments, matchSnippet, parseQuery } from './searchIndex';
+
+const articles = [
+  {
+    uid: '1',
+    title: 'Deep learning for mammography screening',
+    abstract: 'A convolutional network reduced false positives at breast cancer screening.',
+    authors: ['Smith J', 'Müller A'],
+    journal: 'Radiology',
+    meshTerms: ['Mammography', 'Deep Learning'],
+    category: 'Clinical Validation'
+  },
+  {
+    uid: '2',
+    title: 'Large language models simplify radiology reports',
+    abstract: 'GPT-4 rewrote reports for patients; deep learning was not used.',
+    authors: ['Chen L'],
+    journal: 'European Radiology',
+    meshTerms: ['Natural Language Processing'],
+    category: 'Other'
+  },
+  {
+    uid: '3',
+    title: 'Radiomics of lung nodules on CT',
+    abstract: 'Learning curves for deep features were flat.',
+    authors: ['Smithson K'],
+    journal: 'Journal of Thoracic Imaging',
+    meshTerms: ['Lung Neoplasms'],
+    category: 'Technical Development'
+  }
+];
+
+const ids = (index, query) => index.search(query).results.map(result => result.id);
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex();
+  index.update(articles);
+
+  test('ranks title matches above abstract matches', () => {
+    expect(ids(index, 'mammography')).toEqual(['1']);
+    expect(ids(index, 'deep learning')).toEqual(['1', '2', '3']);
+  });
+
+  test('restricts qualified terms to their field', () => {
+    expect(ids(index, 'author:chen')).toEqual(['2']);
+    expect(ids(index, 'journal:"european radiology"')).toEqual(['2']);
+    expect(ids(index, 'ti:radiology')).toEqual(['2']);
+  });
+
+  test('matches quoted phrases in order only', () => {
+    expect(ids(index, '"deep learning"')).toEqual(['1', '2']);
+    expect(ids(index, '"learning deep"')).toEqual([]);
+  });
+
+  test('supports AND, OR, NOT and parentheses', () => {
+    expect(ids(index, 'radiomics OR mammography').sort()).toEqual(['1', '3']);
+    expect(ids(index, 'deep AND NOT journal:radiology').sort()).toEqual(['3']);
+    expect(ids(index, '(lung OR reports) -radiomics')).toEqual(['2']);
+  });
+
+  test('matches prefixes and small typos', () => {
+    expect(ids(index, 'author:smith*').sort()).toEqual(['1', '3']);
+    expect(ids(index, 'mamography')).toEqual(['1']);
+    expect(ids(index, 'author:muller')).toEqual(['1']);
+  });
+
+  test('reports the matched terms per field for highlighting', () => {
+    const { highlights } = index.search('author:smith screening');
+    expect([...highlights.authors]).toEqual(['smith', 'smithson']);
+    expect([...highlights.title]).toEqual(['screening']);
+  });
+
+  test('updates incrementally as articles change', () => {
+    const incremental = createSearchIndex();
+    const first = incremental.update(articles.slice(0, 2));
+    expect(incremental.update(articles.slice(0, 2))).toBe(first);
+
+    incremental.update([{ ...articles[0], title: 'Tomosynthesis triage' }, articles[2]]);
+    expect(incremental.size).toBe(2);
+    expect(ids(incremental, 'tomosynthesis')).toEqual(['1']);
+    expect(ids(incremental, 'chen')).toEqual([]);
+  });
+});
+
+describe('parseQuery', () => {
+  test('treats adjacent terms as AND and unknown qualifiers as text', () => {
+    expect(parseQuery('ct foo:bar')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', field: null, word: 'ct', prefix: false },
+        { type: 'phrase', field: null, words: ['foo', 'bar'] }
+      ]
+    });
+  });
+
+  test('tolerates unbalanced quotes and parentheses', () => {
+    expect(parseQuery('(lung OR "deep learn')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'term', field: null, word: 'lung', prefix: false },
+        { type: 'phrase', field: null, words: ['deep', 'learn'] }
+      ]
+    });
+    expect(parseQuery('   ')).toBeNull();
+  });
+});
+
+describe('highlightSegments', () => {
+  test('marks whole words whose tokens matched, ignoring case and accents', () => {
+    expect(highlightSegments('Müller A, Smith J', new Set(['muller'])))
+      .toEqual([{ text: 'Müller', match: true }, { text: ' A, Smith J', match: false }]);
+  });
+
+  test('centres a snippet on the first match', () => {
+    const text = `${'x '.repeat(200)}breast cancer ${'y '.repeat(200)}`;
+    const snippet = matchSnippet(text, new Set(['breast']), 60);
+    expect(snippet).toMatch(/^….*breast cancer.*…$/);
+    expect(matchSnippet(text, new Set(['lung']))).toBeNull();
+  });
+});
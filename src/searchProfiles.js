@@ -0,0 +1,138 @@
+// Saved PubMed search profiles. Each profile is a set of query-builder choices that
+// buildSearchQuery turns into an E-utilities search term.
+
+const PROFILES_KEY = 'radiology_ai_profiles';
+const ACTIVE_PROFILE_KEY = 'radiology_ai_active_profile';
+
+export const DATE_WINDOWS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 180, label: 'Last 6 months' },
+  { days: 365, label: 'Last 12 months' },
+  { days: 730, label: 'Last 2 years' },
+  { days: null, label: 'Any time' }
+];
+
+export const PUBLICATION_TYPES = [
+  'Letter',
+  'Editorial',
+  'Comment',
+  'Review',
+  'Systematic Review',
+  'Case Reports',
+  'Preprint',
+  'Published Erratum'
+];
+
+export const TOP_JOURNALS = [
+  'Radiology',
+  'European Radiology',
+  'Journal of the American College of Radiology',
+  'European Journal of Radiology',
+  'American Journal of Roentgenology',
+  'RadioGraphics'
+];
+
+export const DEFAULT_PROFILES = [
+  {
+    id: 'ai-radiology',
+    name: 'AI in Radiology (top journals)',
+    meshTerms: ['Artificial Intelligence', 'Deep Learning', 'Machine Learning'],
+    keywords: ['artificial intelligence', 'deep learning', 'machine learning'],
+    requiredTerms: ['clinical', 'validation', 'implementation'],
+    journals: TOP_JOURNALS,
+    excludedPublicationTypes: ['Letter', 'Editorial', 'Comment'],
+    dateWindowDays: 365
+  },
+  {
+    id: 'ai-mammography',
+    name: 'AI in mammography',
+    meshTerms: ['Artificial Intelligence', 'Mammography'],
+    keywords: ['mammography', 'breast tomosynthesis'],
+    requiredTerms: ['artificial intelligence', 'deep learning'],
+    journals: [],
+    excludedPublicationTypes: ['Letter', 'Editorial', 'Comment'],
+    dateWindowDays: 90
+  },
+  {
+    id: 'llm-reporting',
+    name: 'LLMs in reporting',
+    meshTerms: ['Natural Language Processing'],
+    keywords: ['large language model', 'ChatGPT', 'GPT-4'],
+    requiredTerms: ['radiology', 'report'],
+    journals: [],
+    excludedPublicationTypes: ['Letter', 'Editorial', 'Comment'],
+    dateWindowDays: 180
+  }
+];
+
+// Helper: Format a Date as "YYYY/MM/DD"
+export function formatDate(date) {
+  const yyyy = date.getFullYear();
+  const mm = (date.getMonth() + 1).toString().padStart(2, '0');
+  const dd = date.getDate().toString().padStart(2, '0');
+  return `${yyyy}/${mm}/${dd}`;
+}
+
+const quote = (term) => `"${term.replace(/"/g, '')}"`;
+
+const anyOf = (terms, field) => terms
+  .filter(term => term.trim())
+  .map(term => `${quote(term.trim())}[${field}]`)
+  .join(' OR ');
+
+// Build the PubMed query string for a profile; `now` anchors the relative date window
+export const buildSearchQuery = (profile, now = new Date()) => {
+  const clauses = [];
+
+  const topic = [anyOf(profile.meshTerms || [], 'Mesh'), anyOf(profile.keywords || [], 'Title/Abstract')]
+    .filter(Boolean)
+    .join(' OR ');
+  if (topic) clauses.push(`(${topic})`);
+
+  const required = anyOf(profile.requiredTerms || [], 'Title/Abstract');
+  if (required) clauses.push(`(${required})`);
+
+  const journals = anyOf(profile.journals || [], 'Journal');
+  if (journals) clauses.push(`(${journals})`);
+
+  if (profile.dateWindowDays) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - profile.dateWindowDays);
+    clauses.push(`(${quote(formatDate(from))}[Date - Publication] : ${quote(formatDate(now))}[Date - Publication])`);
+  }
+
+  let query = clauses.join(' AND ');
+
+  const excluded = anyOf(profile.excludedPublicationTypes || [], 'Publication Type');
+  if (excluded) query = `(${query || 'all[sb]'}) NOT (${excluded})`;
+
+  return query || 'all[sb]';
+};
+
+export const createProfile = (name = 'New profile') => ({
+  ...DEFAULT_PROFILES[0],
+  id: `profile-${Date.now().toString(36)}`,
+  name
+});
+
+export const loadProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch (error) {
+    console.error('Error reading saved profiles:', error);
+  }
+  return DEFAULT_PROFILES;
+};
+
+export const saveProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+};
+
+export const loadActiveProfileId = () =>
+  localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILES[0].id;
+
+export const saveActiveProfileId = (profileId) => {
+  localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+};
@@ -0,0 +1,70 @@
+import {
+  DEFAULT_PROFILES,
+  buildSearchQuery,
+  createProfile,
+  loadActiveProfileId,
+  loadProfiles,
+  saveActiveProfileId,
+  saveProfiles
+} from './searchProfiles';
+
+const now = new Date(2025, 2, 31);
+
+describe('buildSearchQuery', () => {
+  test('combines MeSH terms, keywords, journals and exclusions', () => {
+    const query = buildSearchQuery({
+      meshTerms: ['Mammography'],
+      keywords: ['tomosynthesis'],
+      requiredTerms: [],
+      journals: ['Radiology'],
+      excludedPublicationTypes: ['Letter', 'Editorial'],
+      dateWindowDays: null
+    }, now);
+
+    expect(query).toBe(
+      '(("Mammography"[Mesh] OR "tomosynthesis"[Title/Abstract]) AND ("Radiology"[Journal]))'
+      + ' NOT ("Letter"[Publication Type] OR "Editorial"[Publication Type])'
+    );
+  });
+
+  test('turns the relative date window into a publication date range', () => {
+    const query = buildSearchQuery({ keywords: ['deep learning'], dateWindowDays: 90 }, now);
+
+    expect(query).toBe(
+      '("deep learning"[Title/Abstract]) AND ("2024/12/31"[Date - Publication] : "2025/03/31"[Date - Publication])'
+    );
+  });
+
+  test('ignores blank terms and strips embedded quotes', () => {
+    expect(buildSearchQuery({ keywords: ['  ', 'GPT-4 "vision"'] }, now))
+      .toBe('("GPT-4 vision"[Title/Abstract])');
+    expect(buildSearchQuery({}, now)).toBe('all[sb]');
+  });
+
+  test('the default profile keeps the original top-journal strategy', () => {
+    const query = buildSearchQuery(DEFAULT_PROFILES[0], now);
+
+    expect(query).toContain('"Artificial Intelligence"[Mesh]');
+    expect(query).toContain('"European Journal of Radiology"[Journal]');
+    expect(query).toContain('"clinical"[Title/Abstract]');
+    expect(query).not.toContain('"2023"');
+  });
+});
+
+describe('profile storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('falls back to the default profiles', () => {
+    expect(loadProfiles()).toEqual(DEFAULT_PROFILES);
+    expect(loadActiveProfileId()).toBe(DEFAULT_PROFILES[0].id);
+  });
+
+  test('round-trips saved profiles and the active selection', () => {
+    const profile = createProfile('Cardiac CT');
+    saveProfiles([profile]);
+    saveActiveProfileId(profile.id);
+
+    expect(loadProfiles()).toEqual([profile]);
+    expect(loadActiveProfileId()).toBe(profile.id);
+  });
+});
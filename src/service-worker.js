@@ -0,0 +1,103 @@
+/* eslint-disable no-restricted-globals */
+
+// The dashboard's service worker, built by react-scripts with Workbox InjectManifest.
+// It precaches the app shell so the dashboard opens offline and shows the archive from
+// IndexedDB, and runs background and periodic syncs (src/backgroundRefresh.js).
+
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { openArticleArchive } from './articleArchive';
+import { createSourceAdapters } from './sources';
+import {
+  PERIODIC_REFRESH_TAG,
+  REFRESHED_MESSAGE,
+  REFRESH_TAG,
+  loadRefreshConfig,
+  runBackgroundRefresh
+} from './backgroundRefresh';
+import { newArticlesNotification } from './newArticles';
+
+// The bundle has no lazily loaded chunks, so a new version can take over open pages
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get the app shell; files and the section hash are left to the app
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and the web app manifest from public/
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(?:png|ico)$|\/manifest\.json$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'app-assets' })
+);
+
+// Google Fonts: the stylesheets may change, the font files never do
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+const sourceAdapters = createSourceAdapters({
+  pubmed: {
+    apiKey: process.env.REACT_APP_NCBI_API_KEY,
+    email: process.env.REACT_APP_NCBI_EMAIL
+  }
+});
+
+const showNewArticles = async (profile, articles) => {
+  if (self.Notification?.permission !== 'granted') return;
+  const { title, options } = newArticlesNotification(profile, articles);
+  await self.registration.showNotification(title, options);
+};
+
+// Sync the profiles the dashboard last asked for and tell open dashboards to reload.
+// Rejecting lets Background Sync try again later, so a sync that got nowhere rejects.
+const refresh = async () => {
+  const config = await loadRefreshConfig();
+  if (!config) return;
+  const results = await runBackgroundRefresh(config, {
+    archive: await openArticleArchive(),
+    adapters: sourceAdapters,
+    notify: showNewArticles
+  });
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: REFRESHED_MESSAGE, results }));
+  if (results.length > 0 && results.every(result => result.error)) {
+    throw new Error('Background refresh failed');
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === REFRESH_TAG) event.waitUntil(refresh());
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_REFRESH_TAG) event.waitUntil(refresh());
+});
+
+// A new-articles notification opens the dashboard's list of new articles
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows => (windows.length > 0
+    ? windows[0].focus()
+    : self.clients.openWindow(`${process.env.PUBLIC_URL}/#publications?new=1`))));
+});
@@ -0,0 +1,14 @@
+// Register the service worker (src/service-worker.js) in production builds. The
+// development server doesn't build it, so there the dashboard always needs a connection.
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // The worker can only control pages under its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
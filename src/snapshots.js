@@ -0,0 +1,142 @@
+import { createArticleArchive, createMemoryBackend, syncProfile } from './articleArchive';
+import { fetchWithRetry } from './http';
+import { classifySubdomains, countBySubdomain } from './subdomainClassifier';
+
+// Prefetched archives published with the site. At deploy time scripts/snapshot.mjs runs
+// each built-in profile's query through the same source adapters and archive as the
+// browser, and writes the archive as a versioned JSON snapshot next to a manifest:
+//
+//   snapshots/index.json                              { version, latest, snapshots: [...] }
+//   snapshots/snapshot-2025-06-01T05-00-00-000Z.json  { version, createdAt, profiles, records, sync }
+//
+// Each snapshot starts from the previous one, so first-seen times and history carry over
+// and older snapshots can be dropped. Browsers import the newest snapshot into their own
+// archive and only fetch what was added since it was built.
+
+export const SNAPSHOT_VERSION = 1;
+export const MANIFEST_FILE = 'index.json';
+export const DEFAULT_KEEP_SNAPSHOTS = 14;
+
+// The last snapshot this browser imported
+const IMPORTED_KEY = 'radiology_ai_snapshot';
+
+// A profile's query, without its id and name. Snapshot records only apply to a browser
+// profile with the same id that still searches for the same thing.
+export const profileFingerprint = ({ id, name, ...query }) => JSON.stringify(
+  Object.keys(query).sort().map(key => [key, query[key]])
+);
+
+export const snapshotFileName = (createdAt) => `snapshot-${createdAt.replace(/[:.]/g, '-')}.json`;
+
+/**
+ * The records and sync state of a snapshot that belong to the given profiles, for
+ * archive.importRecords. Profiles whose query has changed since are left out.
+ */
+export const snapshotRecordsFor = (snapshot, profiles) => {
+  const fingerprints = new Map(profiles.map(profile => [profile.id, profileFingerprint(profile)]));
+  const ids = new Set(snapshot.profiles
+    .filter(summary => fingerprints.get(summary.id) === summary.fingerprint)
+    .map(summary => summary.id));
+  return {
+    records: snapshot.records
+      .filter(record => record.profiles.some(id => ids.has(id)))
+      .map(record => ({ ...record, profiles: record.profiles.filter(id => ids.has(id)) })),
+    sync: snapshot.sync.filter(entry => ids.has(entry.profileId))
+  };
+};
+
+/**
+ * Sync each profile into an archive seeded from the previous snapshot and return the new
+ * snapshot. A profile whose sources all fail keeps its previous records; the build only
+ * fails when every profile did.
+ */
+export const buildSnapshot = async (adapters, enabledIds, profiles, {
+  previous,
+  now = new Date(),
+  maxResults = 200
+} = {}) => {
+  const archive = createArticleArchive(createMemoryBackend());
+  if (previous) await archive.importRecords(snapshotRecordsFor(previous, profiles));
+
+  const summaries = [];
+  // One profile at a time keeps the sources within their rate limits
+  for (const profile of profiles) {
+    const summary = { id: profile.id, name: profile.name, fingerprint: profileFingerprint(profile) };
+    try {
+      const { added, failures } = await syncProfile(archive, adapters, enabledIds, profile, { now, maxResults });
+      summaries.push({ ...summary, added, failures: failures.map(failure => failure.id) });
+    } catch (error) {
+      console.error(`Error syncing profile ${profile.name}:`, error.message);
+      summaries.push({ ...summary, added: 0, failures: enabledIds, error: error.message });
+    }
+  }
+  if (summaries.every(summary => summary.error)) {
+    throw new Error('Every profile failed to sync; no snapshot was written.');
+  }
+
+  // Keyword-rule subdomain counts give the manifest a history of each profile's mix
+  const withCounts = await Promise.all(summaries.map(async summary => {
+    const articles = (await archive.getArticles(summary.id))
+      .map(article => ({ ...article, subdomains: classifySubdomains(article) }));
+    return { ...summary, count: articles.length, subdomains: countBySubdomain(articles) };
+  }));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: now.toISOString(),
+    profiles: withCounts,
+    ...(await archive.exportRecords())
+  };
+};
+
+/**
+ * A profile's articles in a snapshot as the app shows them, with keyword-rule subdomains,
+ * newest first-seen first.
+ */
+export const snapshotArticles = (snapshot, profileId) => snapshot.records
+  .filter(record => record.profiles.includes(profileId))
+  .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen))
+  .map(({ article, firstSeen, lastUpdated }) => {
+    const withTimes = { ...article, firstSeen, lastUpdated };
+    return { ...withTimes, subdomains: classifySubdomains(withTimes) };
+  });
+
+/**
+ * Add a snapshot to the manifest, newest first, keeping the latest `keep`. Returns the
+ * new manifest and the files that dropped out of it.
+ */
+export const addToManifest = (manifest, snapshot, file, { keep = DEFAULT_KEEP_SNAPSHOTS } = {}) => {
+  const entries = [
+    {
+      file,
+      createdAt: snapshot.createdAt,
+      profiles: snapshot.profiles.map(({ id, name, count, added, subdomains }) => ({ id, name, count, added, subdomains }))
+    },
+    ...(manifest?.snapshots || []).filter(entry => entry.file !== file)
+  ];
+  return {
+    manifest: { version: SNAPSHOT_VERSION, latest: file, snapshots: entries.slice(0, keep) },
+    removed: entries.slice(keep).map(entry => entry.file)
+  };
+};
+
+const fetchJson = async (url) => (await fetchWithRetry(url, { responseType: 'json' }, 1)).data;
+
+/**
+ * Import the newest published snapshot into the archive, once per snapshot. Resolves to
+ * the number of records imported, 0 when there was nothing new to import.
+ */
+export const importLatestSnapshot = async (archive, profiles, {
+  baseUrl = `${process.env.PUBLIC_URL}/snapshots`,
+  load = fetchJson
+} = {}) => {
+  const manifest = await load(`${baseUrl}/${MANIFEST_FILE}`);
+  // The development server answers missing files with the app's HTML
+  if (manifest?.version !== SNAPSHOT_VERSION || !manifest.latest) return 0;
+  if (localStorage.getItem(IMPORTED_KEY) === manifest.latest) return 0;
+
+  const snapshot = await load(`${baseUrl}/${manifest.latest}`);
+  const { imported } = await archive.importRecords(snapshotRecordsFor(snapshot, profiles));
+  localStorage.setItem(IMPORTED_KEY, manifest.latest);
+  return imported;
+};
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { createSourceAdapters } from './sources';
+import { DEFAULT_PROFILES } from './searchProfiles';
+import { addToManifest, buildSnapshot, snapshotArticles, snapshotRecordsFor } from './snapshots';
+import { startMockEutilsServer } from './fixtures/mockEutilsServer';
+
+const profiles = DEFAULT_PROFILES.slice(0, 2);
+
+describe('snapshots', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  const adapters = () => createSourceAdapters({ pubmed: { baseUrl: server.baseUrl, requestsPerSecond: 100 } });
+
+  test('builds on the previous snapshot and only asks for newer records', async () => {
+    server = await startMockEutilsServer();
+    const first = await buildSnapshot(adapters(), ['pubmed'], profiles, { now: new Date('2025-06-01T05:00:00Z') });
+
+    expect(first.profiles.map(profile => [profile.id, profile.count, profile.added])).toEqual([
+      ['ai-radiology', 3, 3],
+      ['ai-mammography', 3, 0]
+    ]);
+    expect(first.records.every(record => record.firstSeen === '2025-06-01T05:00:00.000Z')).toBe(true);
+    expect(Object.keys(first.profiles[0].subdomains).length).toBeGreaterThan(0);
+
+    const second = await buildSnapshot(adapters(), ['pubmed'], profiles, {
+      previous: first,
+      now: new Date('2025-06-02T05:00:00Z')
+    });
+
+    expect(second.profiles.map(profile => profile.added)).toEqual([0, 0]);
+    expect(second.records.every(record => record.firstSeen === '2025-06-01T05:00:00.000Z')).toBe(true);
+    const searches = server.requests.filter(request => request.path.endsWith('/esearch.fcgi'));
+    expect(searches[searches.length - 1].params).toMatchObject({ mindate: '2025/06/01', maxdate: '2025/06/02' });
+  });
+
+  test('leaves out profiles whose query has changed', async () => {
+    server = await startMockEutilsServer();
+    const snapshot = await buildSnapshot(adapters(), ['pubmed'], profiles, { now: new Date('2025-06-01T05:00:00Z') });
+
+    const edited = [{ ...profiles[0], name: 'Renamed' }, { ...profiles[1], dateWindowDays: 30 }];
+    const { records, sync } = snapshotRecordsFor(snapshot, edited);
+
+    expect(records).toHaveLength(3);
+    expect(records.every(record => record.profiles.join() === 'ai-radiology')).toBe(true);
+    expect(sync.map(entry => entry.id)).toEqual(['ai-radiology:pubmed']);
+  });
+
+  test('lists a profile\'s articles with their subdomains', async () => {
+    server = await startMockEutilsServer();
+    const snapshot = await buildSnapshot(adapters(), ['pubmed'], profiles, { now: new Date('2025-06-01T05:00:00Z') });
+
+    const articles = snapshotArticles(snapshot, 'ai-radiology');
+    expect(articles).toHaveLength(3);
+    expect(articles.every(article => article.firstSeen === '2025-06-01T05:00:00.000Z')).toBe(true);
+    expect(articles.every(article => Array.isArray(article.subdomains))).toBe(true);
+    expect(snapshotArticles(snapshot, 'llm-reporting')).toEqual([]);
+  });
+
+  test('keeps the newest snapshots in the manifest', () => {
+    const snapshot = (day) => ({ createdAt: `2025-06-0${day}T05:00:00.000Z`, profiles: [] });
+    let manifest = null;
+    let removed = [];
+    [1, 2, 3].forEach(day => {
+      ({ manifest, removed } = addToManifest(manifest, snapshot(day), `snapshot-${day}.json`, { keep: 2 }));
+    });
+
+    expect(manifest.latest).toBe('snapshot-3.json');
+    expect(manifest.snapshots.map(entry => entry.file)).toEqual(['snapshot-3.json', 'snapshot-2.json']);
+    expect(removed).toEqual(['snapshot-1.json']);
+  });
+});
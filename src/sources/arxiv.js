@@ -0,0 +1,84 @@
+import * as cheerio from 'cheerio/slim';
+import { delay, fetchWithRetry } from '../http';
+import { matchesProfile, normalizeArticle, profileTerms, updatedSince } from './normalize';
+
+export const ARXIV_CONFIG = {
+  apiUrl: 'https://export.arxiv.org/api/query',
+  // Image and video processing plus computer vision, where most radiology AI preprints land
+  categories: ['eess.IV', 'cs.CV'],
+  // arXiv asks API clients to wait three seconds between requests
+  pageDelayMs: 3000
+};
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Parse an arXiv API Atom feed into normalized articles
+export const parseArxivFeed = (xml) => {
+  const $ = cheerio.load(xml, { xml: true });
+  return $('feed > entry').map((_, entry) => {
+    const $entry = $(entry);
+    const absUrl = $entry.children('id').text().trim();
+    const arxivId = absUrl.replace(/^https?:\/\/arxiv\.org\/abs\//, '').replace(/v\d+$/, '');
+    const authorDetails = $entry.children('author').map((_, author) => ({
+      name: cleanText($(author).children('name').text()),
+      affiliations: $(author).children('arxiv\\:affiliation').map((_, a) => cleanText($(a).text())).get()
+    })).get();
+
+    return normalizeArticle({
+      uid: `arxiv:${arxivId}`,
+      doi: $entry.children('arxiv\\:doi').text().trim(),
+      title: cleanText($entry.children('title').text()),
+      abstract: cleanText($entry.children('summary').text()),
+      authors: authorDetails.map(author => author.name),
+      authorDetails,
+      affiliations: [...new Set(authorDetails.flatMap(author => author.affiliations))],
+      journal: 'arXiv',
+      publicationDate: $entry.children('published').text().slice(0, 10),
+      epubDate: $entry.children('updated').text().slice(0, 10),
+      publicationTypes: ['Preprint'],
+      keywords: $entry.children('category').map((_, category) => $(category).attr('term')).get(),
+      link: $entry.children('link[rel="alternate"]').attr('href') || absUrl,
+      source: 'arXiv'
+    });
+  }).get();
+};
+
+export const arxivQuery = (profile, categories = ARXIV_CONFIG.categories) => {
+  const { any, required } = profileTerms(profile);
+  const anyOf = (terms) => `(${terms.map(term => `all:"${term}"`).join(' OR ')})`;
+  return [
+    any.length > 0 && anyOf(any),
+    required.length > 0 && anyOf(required),
+    `(${categories.map(category => `cat:${category}`).join(' OR ')})`
+  ].filter(Boolean).join(' AND ');
+};
+
+export const createArxivAdapter = (config = ARXIV_CONFIG) => ({
+  id: 'arxiv',
+  name: 'arXiv',
+  // A full fetch takes the newest submissions. An incremental one pages back through the
+  // latest updates until it reaches records last updated before `since`.
+  fetchArticles: async (profile, { maxResults = 100, since } = {}) => {
+    const entries = [];
+    for (let start = 0; ; start += maxResults) {
+      if (start > 0) await delay(config.pageDelayMs);
+      const response = await fetchWithRetry(config.apiUrl, {
+        params: {
+          search_query: arxivQuery(profile, config.categories),
+          sortBy: since ? 'lastUpdatedDate' : 'submittedDate',
+          sortOrder: 'descending',
+          start,
+          max_results: maxResults
+        },
+        responseType: 'text'
+      });
+      const page = parseArxivFeed(response.data);
+      entries.push(...page);
+      if (!since || page.length < maxResults || !updatedSince(page[page.length - 1], since)) break;
+    }
+    // arXiv's search is loose on phrases, so re-check the text against the profile
+    return entries
+      .filter(article => matchesProfile(profile, `${article.title} ${article.abstract}`))
+      .filter(article => updatedSince(article, since));
+  }
+});
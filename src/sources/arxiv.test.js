@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { fetchWithRetry } from '../http';
+import { arxivQuery, createArxivAdapter, parseArxivFeed } from './arxiv';
+import { updatedSince } from './normalize';
+
+jest.mock('../http', () => ({ delay: jest.fn(), fetchWithRetry: jest.fn() }));
+
+const xml = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sources', 'arxiv.xml'), 'utf8');
+
+describe('parseArxivFeed', () => {
+  const [foundation, brain] = parseArxivFeed(xml);
+
+  test('reads entries into normalized preprint articles', () => {
+    expect(foundation).toMatchObject({
+      uid: 'arxiv:2402.01234',
+      doi: '10.48550/arXiv.2402.01234',
+      title: 'Foundation Models for Chest Radiograph Interpretation: A Benchmark',
+      authors: ['Wei Zhang', 'Priya Natarajan'],
+      affiliations: ['Stanford University'],
+      journal: 'arXiv',
+      publicationDate: '2024-02-02',
+      epubDate: '2024-02-20',
+      publicationTypes: ['Preprint'],
+      keywords: ['eess.IV', 'cs.CV'],
+      link: 'http://arxiv.org/abs/2402.01234v2',
+      source: 'arXiv'
+    });
+    expect(foundation.abstract).toMatch(/^We benchmark vision-language foundation models on chest radiograph classification/);
+  });
+
+  test('tolerates entries without a DOI or affiliations', () => {
+    expect(brain.doi).toBe('');
+    expect(brain.authorDetails).toEqual([{ name: 'Lucia Fernández', affiliations: [] }]);
+  });
+});
+
+describe('arxivQuery', () => {
+  test('combines profile terms with the imaging categories', () => {
+    expect(arxivQuery({ keywords: ['deep learning'], requiredTerms: ['radiology'] }, ['eess.IV']))
+      .toBe('(all:"deep learning") AND (all:"radiology") AND (cat:eess.IV)');
+  });
+});
+
+describe('updatedSince', () => {
+  const [foundation] = parseArxivFeed(xml);
+
+  test('counts a revision as an update', () => {
+    expect(updatedSince(foundation, new Date('2024-02-10T08:00:00Z'))).toBe(true);
+    expect(updatedSince(foundation, new Date('2024-02-21T08:00:00Z'))).toBe(false);
+  });
+
+  test('keeps records it cannot date', () => {
+    expect(updatedSince({ publicationDate: '2023' }, new Date('2024-01-01T00:00:00Z'))).toBe(true);
+  });
+});
+
+describe('createArxivAdapter', () => {
+  const empty = '<?xml version="1.0" encoding="UTF-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom"></feed>';
+  const adapter = createArxivAdapter();
+
+  test('pages through the latest updates until it reaches older records', async () => {
+    fetchWithRetry.mockResolvedValueOnce({ data: xml }).mockResolvedValueOnce({ data: empty });
+    const articles = await adapter.fetchArticles({}, { maxResults: 2, since: new Date('2024-01-01T00:00:00Z') });
+
+    expect(articles).toHaveLength(2);
+    expect(fetchWithRetry.mock.calls.map(([, { params }]) => [params.sortBy, params.start]))
+      .toEqual([['lastUpdatedDate', 0], ['lastUpdatedDate', 2]]);
+  });
+
+  test('stops once a page reaches records from before the last sync', async () => {
+    fetchWithRetry.mockResolvedValueOnce({ data: xml });
+    const articles = await adapter.fetchArticles({}, { maxResults: 2, since: new Date('2024-02-01T00:00:00Z') });
+
+    expect(articles.map(article => article.uid)).toEqual(['arxiv:2402.01234']);
+    expect(fetchWithRetry).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+import * as cheerio from 'cheerio/slim';
+import { fetchWithRetry } from '../http';
+import { DOI_PATTERN, normalizeArticle, profileTerms } from './normalize';
+
+export const GOOGLE_SCHOLAR_CONFIG = {
+  baseUrl: 'https://corsproxy.io/?',
+  searchQuery: 'artificial intelligence radiology clinical',
+  yearRange: 1
+};
+
+const cleanText = (text) => text.replace(/\u00a0/g, ' ').replace(/\u2026/g, '').replace(/\s+/g, ' ').trim();
+
+// "AK Müller, J Smith - Radiology, 2024 - pubs.rsna.org"
+const parseByline = (byline) => {
+  const [authorPart = '', venuePart = ''] = cleanText(byline).split(' - ');
+  const year = (venuePart.match(/\b(19|20)\d{2}\b/) || [])[0] || '';
+  return {
+    authors: authorPart.split(',').map(name => name.trim()).filter(Boolean),
+    journal: venuePart.replace(/,?\s*\b(19|20)\d{2}\b/, '').trim(),
+    year
+  };
+};
+
+// 32-bit FNV-1a of a string in base 36, a stable id for results without a cluster id
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Parse a Google Scholar results page into normalized articles. Results without a cluster
+// id are keyed by their title and link; those with neither are skipped.
+export const parseScholarResults = (html) => {
+  const $ = cheerio.load(html);
+  return $('.gs_r.gs_or').map((_, result) => {
+    const $result = $(result);
+    const $title = $result.find('.gs_rt');
+    const $link = $title.find('a').first();
+    $title.find('.gs_ctg2, .gs_ctu').remove();
+
+    const link = $link.attr('href') || '';
+    const title = cleanText($title.text());
+    const clusterId = $result.attr('data-cid');
+    if (!clusterId && !title && !link) return null;
+    const { authors, journal, year } = parseByline($result.find('.gs_a').text());
+    const citedBy = $result.find('.gs_fl a')
+      .filter((_, a) => /^Cited by \d+/.test($(a).text()))
+      .text();
+
+    return normalizeArticle({
+      uid: `scholar:${clusterId || `h${hashText(`${title}|${link}`)}`}`,
+      doi: (link.match(DOI_PATTERN) || [])[0],
+      title,
+      abstract: cleanText($result.find('.gs_rs').text()),
+      authors,
+      journal,
+      publicationDate: year,
+      link: link || (clusterId
+        ? `https://scholar.google.com/scholar?cluster=${clusterId}`
+        : `https://scholar.google.com/scholar?q=${encodeURIComponent(title)}`),
+      source: 'Google Scholar',
+      citationCount: parseInt(citedBy.replace(/\D/g, ''), 10) || 0
+    });
+  }).get();
+};
+
+export const scholarQuery = (profile) => {
+  const { any, required } = profileTerms(profile);
+  if (any.length === 0) return GOOGLE_SCHOLAR_CONFIG.searchQuery;
+  const anyOf = (terms) => terms.map(term => `"${term}"`).join(' OR ');
+  return required.length > 0 ? `(${anyOf(any)}) (${anyOf(required)})` : anyOf(any);
+};
+
+export const createGoogleScholarAdapter = (config = GOOGLE_SCHOLAR_CONFIG) => ({
+  id: 'scholar',
+  name: 'Google Scholar',
+  fetchArticles: async (profile, { now = new Date() } = {}) => {
+    const params = new URLSearchParams({
+      q: scholarQuery(profile),
+      as_ylo: String(now.getFullYear() - config.yearRange),
+      hl: 'en'
+    });
+    const url = `https://scholar.google.com/scholar?${params}`;
+    const response = await fetchWithRetry(`${config.baseUrl}${encodeURIComponent(url)}`, {
+      responseType: 'text'
+    });
+    return parseScholarResults(response.data);
+  }
+});
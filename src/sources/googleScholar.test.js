@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { parseScholarResults, scholarQuery, GOOGLE_SCHOLAR_CONFIG } from './googleScholar';
+
+const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sources', 'scholar.html'), 'utf8');
+
+describe('parseScholarResults', () => {
+  const [breast, llm, citation] = parseScholarResults(html);
+
+  test('reads titles, links, DOIs and citation counts', () => {
+    expect(breast).toMatchObject({
+      uid: 'scholar:Zx1a2b3c4d5E',
+      title: 'Deep learning for detection of breast cancer at digital breast tomosynthesis: external validation',
+      link: 'https://pubs.rsna.org/doi/10.1148/radiol.000001',
+      doi: '10.1148/radiol.000001',
+      citationCount: 42,
+      source: 'Google Scholar'
+    });
+    expect(llm.doi).toBe('10.1007/s00330-024-000002');
+    expect(llm.citationCount).toBeUndefined();
+  });
+
+  test('splits the byline into authors, venue and year', () => {
+    expect(breast.authors).toEqual(['AK Müller', 'J Smith']);
+    expect(breast.journal).toBe('Radiology');
+    expect(breast.publicationDate).toBe('2024');
+    expect(llm.authors).toEqual(['M Garcia', 'L Chen', 'P Rossi']);
+    expect(llm.abstract).toMatch(/^We evaluated a large language model/);
+  });
+
+  test('handles citation-only results without a link', () => {
+    expect(citation.title).toBe('Artificial intelligence in musculoskeletal imaging');
+    expect(citation.link).toBe('https://scholar.google.com/scholar?cluster=Cc1t4t1o2n3X');
+    expect(citation.journal).toBe('Skeletal Radiology');
+  });
+
+  test('keys results without a cluster id by their title and link', () => {
+    const page = (cid) => `<div class="gs_r gs_or"${cid ? ` data-cid="${cid}"` : ''}>
+      <h3 class="gs_rt">Radiomics of renal masses at CT</h3>
+      <div class="gs_a">K Lee - European Radiology, 2024 - Springer</div>
+    </div>
+    <div class="gs_r gs_or"><h3 class="gs_rt"><a href="https://example.org/b">Photon-counting CT of the lung</a></h3></div>
+    <div class="gs_r gs_or"><h3 class="gs_rt"></h3></div>`;
+    const [renal, lung, ...rest] = parseScholarResults(page());
+
+    expect(rest).toEqual([]);
+    expect(renal.uid).toMatch(/^scholar:h[0-9a-z]+$/);
+    expect(renal.uid).not.toBe(lung.uid);
+    expect(renal.uid).toBe(parseScholarResults(page())[0].uid);
+    expect(renal.link).toBe('https://scholar.google.com/scholar?q=Radiomics%20of%20renal%20masses%20at%20CT');
+    expect(parseScholarResults(page('Rr1')).map(result => result.uid)[0]).toBe('scholar:Rr1');
+  });
+
+  test('returns the same normalized shape as the other sources', () => {
+    expect(breast).toEqual(expect.objectContaining({
+      meshTerms: [],
+      publicationTypes: [],
+      affiliations: [],
+      epubDate: ''
+    }));
+  });
+});
+
+describe('scholarQuery', () => {
+  test('builds a query from the profile and falls back to the configured search', () => {
+    expect(scholarQuery({ keywords: ['mammography'], requiredTerms: ['deep learning'] }))
+      .toBe('("mammography") ("deep learning")');
+    expect(scholarQuery({})).toBe(GOOGLE_SCHOLAR_CONFIG.searchQuery);
+  });
+});
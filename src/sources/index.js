@@ -0,0 +1,65 @@
+import { createPubMedAdapter } from './pubmed';
+import { createGoogleScholarAdapter } from './googleScholar';
+import { createArxivAdapter } from './arxiv';
+import { createMedrxivAdapter } from './medrxiv';
+
+// Source adapters share one interface:
+//   { id, name, fetchArticles(profile, options) => Promise<article[]> }
+// and every adapter returns articles in the shape produced by normalizeArticle.
+// Options every adapter understands: `maxResults`, `now`, and `since`, a Date before
+// which records are already archived and need not be fetched again. With `since`, an
+// adapter that can page returns every record since then rather than stopping at
+// `maxResults`, as the archive won't ask for them again.
+// An adapter may also offer relatedArticles(article, { limit }) for the detail view.
+
+const SOURCES_KEY = 'radiology_ai_sources';
+
+export const createSourceAdapters = ({ pubmed } = {}) => [
+  createPubMedAdapter(pubmed),
+  createGoogleScholarAdapter(),
+  createArxivAdapter(),
+  createMedrxivAdapter()
+];
+
+export const DEFAULT_ENABLED_SOURCES = ['pubmed'];
+
+export const loadEnabledSources = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SOURCES_KEY));
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+  } catch (error) {
+    console.error('Error reading enabled sources:', error);
+  }
+  return DEFAULT_ENABLED_SOURCES;
+};
+
+export const saveEnabledSources = (sourceIds) => {
+  localStorage.setItem(SOURCES_KEY, JSON.stringify(sourceIds));
+};
+
+/**
+ * Fetch from every enabled adapter in parallel. One failing source doesn't fail the
+ * rest; the call only rejects when every enabled source failed. `options` may be a
+ * function of the adapter, for per-source options such as `since`.
+ * Resolves to { articles, failures: [{ id, name, error }] }.
+ */
+export const fetchFromSources = async (adapters, enabledIds, profile, options) => {
+  const enabled = adapters.filter(adapter => enabledIds.includes(adapter.id));
+  const results = await Promise.allSettled(
+    enabled.map(adapter =>
+      adapter.fetchArticles(profile, typeof options === 'function' ? options(adapter) : options))
+  );
+
+  const failures = [];
+  const articles = results.flatMap((result, i) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`Error fetching from ${enabled[i].name}:`, result.reason);
+    failures.push({ id: enabled[i].id, name: enabled[i].name, error: result.reason });
+    return [];
+  });
+
+  if (enabled.length > 0 && failures.length === enabled.length) {
+    throw failures[0].error;
+  }
+  return { articles, failures };
+};
@@ -0,0 +1,46 @@
+import { fetchFromSources } from './index';
+
+const adapter = (id, result) => ({
+  id,
+  name: id,
+  fetchArticles: jest.fn(() => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)))
+});
+
+describe('fetchFromSources', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  test('only queries enabled adapters and concatenates their articles', async () => {
+    const adapters = [adapter('a', [{ uid: '1' }]), adapter('b', [{ uid: '2' }]), adapter('c', [{ uid: '3' }])];
+
+    const { articles, failures } = await fetchFromSources(adapters, ['a', 'c'], {});
+
+    expect(articles.map(article => article.uid)).toEqual(['1', '3']);
+    expect(adapters[1].fetchArticles).not.toHaveBeenCalled();
+    expect(failures).toEqual([]);
+  });
+
+  test('reports failing sources without dropping the others', async () => {
+    const adapters = [adapter('a', [{ uid: '1' }]), adapter('b', new Error('blocked'))];
+
+    const { articles, failures } = await fetchFromSources(adapters, ['a', 'b'], {});
+
+    expect(articles).toHaveLength(1);
+    expect(failures.map(failure => failure.id)).toEqual(['b']);
+  });
+
+  test('accepts per-source options', async () => {
+    const adapters = [adapter('a', []), adapter('b', [])];
+    const since = new Date(2025, 0, 1);
+
+    await fetchFromSources(adapters, ['a', 'b'], {}, source => (source.id === 'a' ? { since } : {}));
+
+    expect(adapters[0].fetchArticles).toHaveBeenCalledWith({}, { since });
+    expect(adapters[1].fetchArticles).toHaveBeenCalledWith({}, {});
+  });
+
+  test('rejects when every enabled source fails', async () => {
+    await expect(fetchFromSources([adapter('a', new Error('offline'))], ['a'], {}))
+      .rejects.toThrow('offline');
+  });
+});
@@ -0,0 +1,58 @@
+import * as cheerio from 'cheerio/slim';
+import { fetchWithRetry } from '../http';
+import { matchesProfile, normalizeArticle, updatedSince } from './normalize';
+
+export const MEDRXIV_CONFIG = {
+  baseUrl: 'https://corsproxy.io/?',
+  feedUrl: 'https://connect.medrxiv.org/medrxiv_xml/radiology_and_imaging.xml'
+};
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// "Muller, A. K." -> "Muller AK", matching PubMed's author format
+const formatCreator = (creator) => {
+  const [lastName, initials = ''] = creator.split(',').map(part => part.trim());
+  return [lastName, initials.replace(/[.\s]/g, '')].filter(Boolean).join(' ');
+};
+
+// Parse a medRxiv subject RSS feed into normalized articles
+export const parseMedrxivFeed = (xml) => {
+  const $ = cheerio.load(xml, { xml: true });
+  return $('item').map((_, item) => {
+    const $item = $(item);
+    const doi = $item.children('dc\\:identifier').text().replace(/^doi:/, '').trim();
+    const date = $item.children('dc\\:date').text().trim()
+      || $item.children('prism\\:publicationDate').text().trim();
+
+    return normalizeArticle({
+      uid: `medrxiv:${doi}`,
+      doi,
+      title: cleanText($item.children('title').text()),
+      abstract: cleanText($item.children('description').text()),
+      authors: $item.children('dc\\:creator').text()
+        .split(';')
+        .map(creator => formatCreator(creator.trim()))
+        .filter(Boolean),
+      journal: 'medRxiv',
+      publicationDate: date,
+      epubDate: date,
+      publicationTypes: ['Preprint'],
+      link: doi ? `https://www.medrxiv.org/content/${doi}` : $item.children('link').text().trim(),
+      source: 'medRxiv'
+    });
+  }).get();
+};
+
+export const createMedrxivAdapter = (config = MEDRXIV_CONFIG) => ({
+  id: 'medrxiv',
+  name: 'medRxiv',
+  fetchArticles: async (profile, { since } = {}) => {
+    const response = await fetchWithRetry(`${config.baseUrl}${encodeURIComponent(config.feedUrl)}`, {
+      responseType: 'text'
+    });
+    // The subject feed is not searchable, so keep only items that fit the profile
+    return parseMedrxivFeed(response.data)
+      .filter(article => matchesProfile(profile, `${article.title} ${article.abstract}`))
+      .filter(article => updatedSince(article, since));
+  }
+});
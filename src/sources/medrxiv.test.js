@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+import { parseMedrxivFeed } from './medrxiv';
+import { matchesProfile } from './normalize';
+
+const xml = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sources', 'medrxiv.xml'), 'utf8');
+
+describe('parseMedrxivFeed', () => {
+  const [breast, knee] = parseMedrxivFeed(xml);
+
+  test('reads RSS items into normalized preprint articles', () => {
+    expect(breast).toMatchObject({
+      uid: 'medrxiv:10.1101/2023.01.01.000001',
+      doi: '10.1101/2023.01.01.000001',
+      title: 'Deep learning for detection of breast cancer at digital breast tomosynthesis',
+      authors: ['Muller AK', 'Smith J'],
+      journal: 'medRxiv',
+      publicationDate: '2023-01-03',
+      publicationTypes: ['Preprint'],
+      link: 'https://www.medrxiv.org/content/10.1101/2023.01.01.000001',
+      source: 'medRxiv'
+    });
+    expect(knee.authors).toEqual(['Okafor C']);
+  });
+
+  test('feed items can be filtered against a profile', () => {
+    const profile = { keywords: ['deep learning', 'artificial intelligence'], requiredTerms: [] };
+    expect(matchesProfile(profile, `${breast.title} ${breast.abstract}`)).toBe(true);
+    expect(matchesProfile(profile, `${knee.title} ${knee.abstract}`)).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+// The article shape every source adapter returns. PubMed records already carry all of
+// these fields; other adapters fill what they can and get empty defaults for the rest.
+export const normalizeArticle = (record) => ({
+  uid: record.uid,
+  pmid: record.pmid,
+  doi: record.doi || '',
+  title: record.title || '',
+  abstract: record.abstract || '',
+  authors: record.authors || [],
+  authorDetails: record.authorDetails
+    || (record.authors || []).map(name => ({ name, affiliations: [] })),
+  affiliations: record.affiliations || [],
+  journal: record.journal || '',
+  journalAbbrev: record.journalAbbrev || '',
+  issn: record.issn || [],
+  publicationDate: record.publicationDate || '',
+  epubDate: record.epubDate || '',
+  publicationTypes: record.publicationTypes || [],
+  publicationStatus: record.publicationStatus || '',
+  meshTerms: record.meshTerms || [],
+  keywords: record.keywords || [],
+  grants: record.grants || [],
+  link: record.link || '',
+  source: record.source,
+  ...(record.relevanceRank && { relevanceRank: record.relevanceRank }),
+  ...(record.citationCount && { citationCount: record.citationCount })
+});
+
+export const DOI_PATTERN = /10\.\d{4,9}\/[^\s?#&"<>]+/i;
+
+// Simple terms from a search profile for sources without PubMed's query syntax
+export const profileTerms = (profile) => ({
+  any: [...(profile.keywords || []), ...(profile.meshTerms || [])],
+  required: profile.requiredTerms || []
+});
+
+// Does free text satisfy a profile: any topic term and, if given, any required term
+export const matchesProfile = (profile, text) => {
+  const { any, required } = profileTerms(profile);
+  const haystack = text.toLowerCase();
+  const hit = (terms) => terms.length === 0 || terms.some(term => haystack.includes(term.toLowerCase()));
+  return hit(any) && hit(required);
+};
+
+// For incremental syncs: was the record posted or revised on or after `since`?
+// Records without a full ISO date are kept, since they can't be ruled out.
+export const updatedSince = (article, since) => {
+  const date = article.epubDate || article.publicationDate;
+  if (!since || !/^\d{4}-\d{2}-\d{2}/.test(date)) return true;
+  return date.slice(0, 10) >= since.toISOString().slice(0, 10);
+};
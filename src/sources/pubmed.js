@@ -0,0 +1,27 @@
+import { createPubMedClient } from '../pubmedClient';
+import { buildSearchQuery, formatDate } from '../searchProfiles';
+import { normalizeArticle } from './normalize';
+
+export const createPubMedAdapter = (clientOptions) => {
+  const client = createPubMedClient(clientOptions);
+  return {
+    id: 'pubmed',
+    name: 'PubMed',
+    fetchArticles: async (profile, { maxResults = 200, since, now = new Date() } = {}) => {
+      // Incremental syncs only ask for records added to PubMed (Entrez date) since then,
+      // and take all of them: the archive won't ask for that window again
+      const dateRange = since
+        ? { datetype: 'edat', mindate: formatDate(since), maxdate: formatDate(now) }
+        : {};
+      const { articles } = await client.searchArticles(buildSearchQuery(profile, now), {
+        maxResults: since ? Infinity : maxResults,
+        ...dateRange
+      });
+      return articles.map(normalizeArticle);
+    },
+    // PubMed's similar articles; only records with a PMID have any
+    relatedArticles: async (article, options) => (article.pmid
+      ? client.relatedArticles(article.pmid, options)
+      : [])
+  };
+};
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+import { createPubMedAdapter } from './pubmed';
+import { startMockEutilsServer } from '../fixtures/mockEutilsServer';
+
+describe('createPubMedAdapter', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startMockEutilsServer();
+  });
+
+  afterEach(() => server.close());
+
+  const adapter = () => createPubMedAdapter({ baseUrl: server.baseUrl, requestsPerSecond: 100 });
+  const profile = { keywords: ['deep learning'] };
+
+  test('caps a full fetch at maxResults', async () => {
+    const articles = await adapter().fetchArticles(profile, { maxResults: 2 });
+    expect(articles).toHaveLength(2);
+  });
+
+  test('takes every record since the last sync, past maxResults', async () => {
+    const articles = await adapter().fetchArticles(profile, {
+      maxResults: 2,
+      since: new Date('2025-05-01T00:00:00Z'),
+      now: new Date('2025-06-01T00:00:00Z')
+    });
+    expect(articles).toHaveLength(3);
+    const searches = server.requests.filter(request => request.path.endsWith('/esearch.fcgi'));
+    expect(searches[0].params).toMatchObject({ datetype: 'edat', mindate: '2025/05/01' });
+  });
+});
@@ -0,0 +1,23 @@
+// Study-type category from keywords in the title and abstract. Each category scores one
+// point per keyword found; the highest score wins and ties go to the earlier category.
+
+export const STUDY_CATEGORIES = {
+  'Clinical AI Applications': ['diagnosis', 'prediction', 'detection', 'classification', 'segmentation'],
+  'Performance Validation': ['accuracy', 'sensitivity', 'specificity', 'validation', 'performance'],
+  'Implementation Studies': ['implementation', 'workflow', 'integration', 'clinical practice', 'deployment'],
+  'Technical Innovation': ['novel', 'algorithm', 'framework', 'architecture', 'methodology']
+};
+
+export const OTHER_CATEGORY = 'Other';
+
+/**
+ * The article's category and the keywords that decided it, as { category, keywords }.
+ * Articles without any keyword are "Other".
+ */
+export const categorizeArticle = (article) => {
+  const text = `${article.title} ${article.abstract}`.toLowerCase();
+  return Object.entries(STUDY_CATEGORIES)
+    .map(([category, keywords]) => ({ category, keywords: keywords.filter(keyword => text.includes(keyword)) }))
+    .reduce((best, match) => (match.keywords.length > best.keywords.length ? match : best),
+      { category: OTHER_CATEGORY, keywords: [] });
+};
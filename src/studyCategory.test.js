@@ -0,0 +1,15 @@
+import { categorizeArticle } from './studyCategory';
+
+describe('categorizeArticle', () => {
+  test('picks the category with the most keywords and reports them', () => {
+    expect(categorizeArticle({
+      title: 'External validation of a detection model',
+      abstract: 'Sensitivity and specificity were high.'
+    })).toEqual({ category: 'Performance Validation', keywords: ['sensitivity', 'specificity', 'validation'] });
+  });
+
+  test('falls back to Other and breaks ties by category order', () => {
+    expect(categorizeArticle({ title: 'A letter', abstract: '' })).toEqual({ category: 'Other', keywords: [] });
+    expect(categorizeArticle({ title: 'Workflow for detection', abstract: '' }).category).toBe('Clinical AI Applications');
+  });
+});
@@ -0,0 +1,138 @@
+// Multi-label radiology subdomain classifier.
+//
+// Every subdomain scores evidence from the title, author keywords, MeSH headings,
+// abstract and journal name. An article belongs to each subdomain whose confidence
+// clears MIN_CONFIDENCE, and to 'General/Other' when none does. This is independent
+// of the study-type `category` assigned by categorizeArticle.
+
+export const GENERAL_SUBDOMAIN = 'General/Other';
+
+export const MIN_CONFIDENCE = 0.3;
+
+// Terms ending in '*' match as prefixes ("mammograph*" matches "mammography")
+export const radiologySubdomains = {
+  'Neuroradiology': {
+    keywords: ['brain', 'neuro*', 'spine', 'spinal', 'head and neck', 'stroke', 'cerebr*', 'intracranial', 'glioma*', 'glioblastoma', 'multiple sclerosis', 'alzheimer*'],
+    meshTerms: ['Neuroimaging', 'Central Nervous System Diseases', 'Dementia'],
+    journals: ['neuroradiology', 'ajnr', 'neuroimaging', 'stroke']
+  },
+  'Chest/Cardiac': {
+    keywords: ['chest', 'lung', 'lungs', 'cardiac', 'heart', 'thoracic', 'pulmonary', 'cardiovascular', 'coronary', 'pneumonia', 'covid-19', 'myocardi*', 'aort*'],
+    meshTerms: ['Radiography, Thoracic', 'Lung Neoplasms', 'Heart Diseases', 'Respiratory Tract Diseases'],
+    journals: ['chest', 'thoracic', 'cardio*', 'heart']
+  },
+  'Abdominal': {
+    keywords: ['abdomen', 'abdominal', 'liver', 'hepat*', 'pancrea*', 'gastrointestinal', 'colorectal', 'bowel', 'kidney', 'renal', 'prostat*', 'bladder', 'pelvi*'],
+    meshTerms: ['Digestive System Diseases', 'Urogenital Neoplasms', 'Radiography, Abdominal'],
+    journals: ['abdominal', 'gastro*', 'hepatology', 'urology']
+  },
+  'Musculoskeletal': {
+    keywords: ['musculoskeletal', 'bone', 'bones', 'joint', 'joints', 'orthop*', 'msk', 'skeletal', 'fracture*', 'knee', 'hip', 'shoulder', 'osteo*', 'cartilage', 'tendon*'],
+    meshTerms: ['Musculoskeletal Diseases', 'Bone and Bones'],
+    journals: ['skeletal', 'musculoskeletal', 'orthop*', 'bone']
+  },
+  'Breast': {
+    keywords: ['breast', 'mammograph*', 'mammogram*', 'tomosynthesis'],
+    meshTerms: ['Mammography', 'Breast Neoplasms'],
+    journals: ['breast']
+  },
+  'Nuclear/Molecular': {
+    keywords: ['nuclear medicine', 'pet', 'pet/ct', 'pet/mri', 'positron', 'molecular imaging', 'spect', 'radioisotope*', 'radiotracer*', 'radiopharmaceutical*', 'theranostic*', 'scintigraph*'],
+    meshTerms: ['Positron-Emission Tomography', 'Radionuclide Imaging', 'Tomography, Emission-Computed, Single-Photon'],
+    journals: ['nuclear', 'molecular imaging']
+  },
+  [GENERAL_SUBDOMAIN]: { keywords: [], meshTerms: [], journals: [] } // Catch-all category
+};
+
+// How much one matched term counts in each field
+const FIELD_WEIGHTS = {
+  title: 3,
+  keywords: 2,
+  mesh: 3,
+  abstract: 1,
+  journal: 2
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Word-boundary matching so "gi" doesn't match "imaging" or "pet" match "competitive"
+const termPattern = (term) => {
+  const isPrefix = term.endsWith('*');
+  const body = escapeRegExp(isPrefix ? term.slice(0, -1) : term);
+  return new RegExp(`(^|[^a-z0-9])${body}${isPrefix ? '' : '(?![a-z0-9])'}`, 'i');
+};
+
+const compiled = Object.fromEntries(
+  Object.entries(radiologySubdomains).map(([subdomain, { keywords, meshTerms, journals }]) => [
+    subdomain,
+    {
+      keywords: keywords.map(term => ({ term, pattern: termPattern(term) })),
+      meshTerms: meshTerms.map(term => term.toLowerCase()),
+      journals: journals.map(term => ({ term, pattern: termPattern(term) }))
+    }
+  ])
+);
+
+const matchTerms = (terms, text) => (text ? terms.filter(({ pattern }) => pattern.test(text)) : []);
+
+// Map a raw evidence score onto 0..1; one title hit is ~0.63, one abstract hit ~0.28
+const toConfidence = (score) => 1 - Math.exp(-score / 3);
+
+const scoreSubdomain = (rules, article) => {
+  const evidence = [];
+  let score = 0;
+
+  const addMatches = (field, matches, label = match => match.term) => {
+    matches.forEach(match => {
+      score += FIELD_WEIGHTS[field];
+      evidence.push({ field, term: label(match) });
+    });
+  };
+
+  addMatches('title', matchTerms(rules.keywords, article.title));
+  addMatches('keywords', matchTerms(rules.keywords, (article.keywords || []).join(' | ')));
+  addMatches('abstract', matchTerms(rules.keywords, article.abstract));
+  addMatches('journal', matchTerms(rules.journals, [article.journal, article.journalAbbrev].join(' | ')));
+
+  // A heading counts once, whether it matched a keyword or is listed for the subdomain
+  const meshMatches = (article.meshTerms || []).filter(heading =>
+    rules.meshTerms.includes(heading.toLowerCase())
+    || rules.keywords.some(({ pattern }) => pattern.test(heading))
+  );
+  addMatches('mesh', meshMatches, heading => heading);
+
+  return { score, evidence };
+};
+
+/**
+ * Classify an article into one or more radiology subdomains.
+ * Returns [{ subdomain, confidence, evidence: [{ field, term }] }], most confident first.
+ */
+export const classifySubdomains = (article) => {
+  const matches = Object.entries(compiled)
+    .filter(([subdomain]) => subdomain !== GENERAL_SUBDOMAIN)
+    .map(([subdomain, rules]) => {
+      const { score, evidence } = scoreSubdomain(rules, article);
+      return { subdomain, confidence: toConfidence(score), evidence };
+    })
+    .filter(match => match.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return matches.length > 0
+    ? matches
+    : [{ subdomain: GENERAL_SUBDOMAIN, confidence: 1, evidence: [] }];
+};
+
+export const hasSubdomain = (article, subdomain) =>
+  (article.subdomains || []).some(match => match.subdomain === subdomain);
+
+// Count articles per subdomain; multi-label articles count once in each of their subdomains
+export const countBySubdomain = (articles) => {
+  const stats = {};
+  articles.forEach(article => {
+    (article.subdomains || []).forEach(({ subdomain }) => {
+      stats[subdomain] = (stats[subdomain] || 0) + 1;
+    });
+  });
+  return stats;
+};
@@ -0,0 +1,68 @@
+import {
+  GENERAL_SUBDOMAIN,
+  classifySubdomains,
+  countBySubdomain,
+  hasSubdomain
+} from './subdomainClassifier';
+
+const labels = (article) => classifySubdomains(article).map(match => match.subdomain);
+
+describe('classifySubdomains', () => {
+  test('uses the title, MeSH headings and journal together', () => {
+    const [breast] = classifySubdomains({
+      title: 'Deep learning at digital breast tomosynthesis',
+      abstract: '',
+      meshTerms: ['Breast Neoplasms', 'Mammography'],
+      journal: 'Radiology'
+    });
+
+    expect(breast.subdomain).toBe('Breast');
+    expect(breast.confidence).toBeGreaterThan(0.9);
+    expect(breast.evidence).toEqual(expect.arrayContaining([
+      { field: 'title', term: 'breast' },
+      { field: 'mesh', term: 'Mammography' }
+    ]));
+  });
+
+  test('assigns several subdomains when the evidence supports them', () => {
+    expect(labels({
+      title: 'PET/CT radiomics for lung cancer staging',
+      abstract: 'Positron emission tomography features predicted nodal status.'
+    })).toEqual(['Nuclear/Molecular', 'Chest/Cardiac']);
+  });
+
+  test('matches whole words and prefixes only', () => {
+    expect(labels({
+      title: 'A competitive imaging benchmark for neural network training',
+      abstract: 'We compare convolutional neural networks on a public imaging dataset.'
+    })).toEqual([GENERAL_SUBDOMAIN]);
+    expect(labels({ title: 'Neuroimaging biomarkers of dementia', abstract: '' }))
+      .toEqual(['Neuroradiology']);
+  });
+
+  test('a single passing mention in the abstract is not enough', () => {
+    expect(labels({
+      title: 'Automated protocol selection with large language models',
+      abstract: 'Examples included a knee MRI request.'
+    })).toEqual([GENERAL_SUBDOMAIN]);
+  });
+
+  test('journal names add evidence', () => {
+    expect(labels({ title: 'Segmentation of tumours', abstract: '', journal: 'AJNR. American journal of neuroradiology' }))
+      .toEqual(['Neuroradiology']);
+  });
+});
+
+describe('countBySubdomain', () => {
+  test('counts multi-label articles in each of their subdomains', () => {
+    const articles = [
+      { subdomains: [{ subdomain: 'Breast' }, { subdomain: 'Nuclear/Molecular' }] },
+      { subdomains: [{ subdomain: 'Breast' }] },
+      {}
+    ];
+
+    expect(countBySubdomain(articles)).toEqual({ 'Breast': 2, 'Nuclear/Molecular': 1 });
+    expect(hasSubdomain(articles[0], 'Nuclear/Molecular')).toBe(true);
+    expect(hasSubdomain(articles[2], 'Breast')).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+import * as tf from '@tensorflow/tfjs';
+import labelledArticles from './fixtures/labelledArticles.json';
+import { GENERAL_SUBDOMAIN, classifySubdomains, radiologySubdomains } from './subdomainClassifier';
+
+// In-browser subdomain classifier: a bag-of-words multi-label network trained with
+// tf.js on the bundled labelled fixtures plus the user's label corrections. Weights
+// and vocabulary are stored together in IndexedDB. Everything runs on the CPU
+// backend so training never needs a GPU context or the network.
+
+const MODEL_URL = 'indexeddb://radiology-ai-topic-model';
+
+export const SUBDOMAIN_LABELS = Object.keys(radiologySubdomains)
+  .filter(subdomain => subdomain !== GENERAL_SUBDOMAIN);
+
+// Below this top-label confidence the keyword rules decide instead
+export const MODEL_MIN_CONFIDENCE = 0.6;
+// Labels the model assigns once it is confident overall
+const LABEL_THRESHOLD = 0.5;
+
+const MAX_VOCABULARY = 3000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'of',
+  'on', 'or', 'the', 'to', 'was', 'were', 'with', 'we', 'our', 'this', 'that', 'than',
+  'using', 'based', 'study', 'patients', 'results', 'methods', 'background', 'conclusion'
+]);
+
+export const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+const articleTokens = (article) => tokenize([
+  article.title,
+  article.abstract,
+  ...(article.meshTerms || []),
+  ...(article.keywords || [])
+].join(' '));
+
+// Most document-frequent tokens first, capped at MAX_VOCABULARY
+export const buildVocabulary = (articles) => {
+  const documentFrequency = new Map();
+  articles.forEach(article => {
+    new Set(articleTokens(article)).forEach(token => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    });
+  });
+  return [...documentFrequency.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_VOCABULARY)
+    .map(([token]) => token);
+};
+
+// L2-normalised binary bag of words
+export const vectorize = (article, vocabulary) => {
+  const index = new Map(vocabulary.map((token, i) => [token, i]));
+  const vector = new Array(vocabulary.length).fill(0);
+  new Set(articleTokens(article)).forEach(token => {
+    if (index.has(token)) vector[index.get(token)] = 1;
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+const ensureCpuBackend = async () => {
+  if (tf.getBackend() !== 'cpu') await tf.setBackend('cpu');
+  await tf.ready();
+};
+
+// Bundled fixtures plus user corrections; a correction replaces a fixture with the same id
+export const trainingExamples = (corrections = {}) => {
+  const corrected = Object.entries(corrections).map(([id, correction]) => ({ id, ...correction }));
+  const correctedIds = new Set(corrected.map(example => example.id));
+  return [
+    ...labelledArticles.filter(example => !correctedIds.has(example.id)),
+    ...corrected
+  ];
+};
+
+export const trainTopicModel = async (examples, { epochs = 60 } = {}) => {
+  await ensureCpuBackend();
+  const vocabulary = buildVocabulary(examples);
+
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [vocabulary.length], units: 32, activation: 'relu' }));
+  model.add(tf.layers.dropout({ rate: 0.2 }));
+  model.add(tf.layers.dense({ units: SUBDOMAIN_LABELS.length, activation: 'sigmoid' }));
+  model.compile({ optimizer: tf.train.adam(0.01), loss: 'binaryCrossentropy' });
+
+  const xs = tf.tensor2d(examples.map(example => vectorize(example, vocabulary)));
+  const ys = tf.tensor2d(examples.map(example =>
+    SUBDOMAIN_LABELS.map(label => (example.subdomains.includes(label) ? 1 : 0))
+  ));
+  try {
+    await model.fit(xs, ys, { epochs, batchSize: 16, shuffle: true, verbose: 0 });
+  } finally {
+    xs.dispose();
+    ys.dispose();
+  }
+
+  return {
+    model,
+    vocabulary,
+    exampleCount: examples.length,
+    trainedAt: new Date().toISOString()
+  };
+};
+
+export const saveTopicModel = async ({ model, vocabulary, exampleCount, trainedAt }) => {
+  model.setUserDefinedMetadata({ vocabulary, labels: SUBDOMAIN_LABELS, exampleCount, trainedAt });
+  await model.save(MODEL_URL);
+};
+
+// Resolves to null when nothing is stored or the stored labels no longer match
+export const loadTopicModel = async () => {
+  try {
+    await ensureCpuBackend();
+    const model = await tf.loadLayersModel(MODEL_URL);
+    const metadata = model.getUserDefinedMetadata() || {};
+    if (JSON.stringify(metadata.labels) !== JSON.stringify(SUBDOMAIN_LABELS)) return null;
+    return {
+      model,
+      vocabulary: metadata.vocabulary,
+      exampleCount: metadata.exampleCount,
+      trainedAt: metadata.trainedAt
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Per-label sigmoid outputs, most confident first
+export const predictSubdomains = ({ model, vocabulary }, article) => {
+  const scores = tf.tidy(() =>
+    model.predict(tf.tensor2d([vectorize(article, vocabulary)])).dataSync()
+  );
+  return SUBDOMAIN_LABELS
+    .map((subdomain, i) => ({ subdomain, confidence: scores[i] }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// How a subdomain label was decided, as shown to the user; each reads on its own
+export const METHOD_LABELS = {
+  user: 'set by you',
+  model: 'from the topic model',
+  keywords: 'from the keyword rules'
+};
+
+/**
+ * Subdomains for an article: a user correction wins, then the topic model when it is
+ * confident, otherwise the keyword rules. Each match records which `method` decided it
+ * and keeps the keyword evidence for that subdomain where there is any.
+ */
+export const classifyArticle = (topicModel, article, corrections = {}) => {
+  const correction = corrections[article.uid];
+  if (correction) {
+    const labels = correction.subdomains.length > 0 ? correction.subdomains : [GENERAL_SUBDOMAIN];
+    return labels.map(subdomain => ({ subdomain, confidence: 1, evidence: [], method: 'user' }));
+  }
+
+  const keywordMatches = classifySubdomains(article);
+  if (!topicModel) {
+    return keywordMatches.map(match => ({ ...match, method: 'keywords' }));
+  }
+
+  const predictions = predictSubdomains(topicModel, article);
+  if (predictions[0].confidence < MODEL_MIN_CONFIDENCE) {
+    return keywordMatches.map(match => ({ ...match, method: 'keywords' }));
+  }
+
+  return predictions
+    .filter(prediction => prediction.confidence >= LABEL_THRESHOLD)
+    .map(prediction => ({
+      ...prediction,
+      evidence: keywordMatches.find(match => match.subdomain === prediction.subdomain)?.evidence || [],
+      method: 'model'
+    }));
+};
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import {
+  SUBDOMAIN_LABELS,
+  buildVocabulary,
+  classifyArticle,
+  tokenize,
+  trainTopicModel,
+  trainingExamples,
+  vectorize
+} from './topicModel';
+
+describe('text features', () => {
+  test('tokenize lowercases and drops stopwords and punctuation', () => {
+    expect(tokenize('Deep Learning for the PET/CT of Lymphoma.'))
+      .toEqual(['deep', 'learning', 'pet', 'ct', 'lymphoma']);
+  });
+
+  test('vectorize produces a normalised bag of words over the vocabulary', () => {
+    const vocabulary = buildVocabulary([{ title: 'breast mammography' }, { title: 'breast MRI' }]);
+    expect(vocabulary[0]).toBe('breast');
+
+    const vector = vectorize({ title: 'Breast MRI', abstract: 'unknown words' }, vocabulary);
+    expect(vector).toHaveLength(vocabulary.length);
+    expect(vector.reduce((sum, value) => sum + value * value, 0)).toBeCloseTo(1);
+  });
+});
+
+describe('trainingExamples', () => {
+  test('adds user corrections to the bundled fixtures', () => {
+    const fixtures = trainingExamples();
+    const examples = trainingExamples({
+      '123': { title: 'Hepatic lesion detection', abstract: '', subdomains: ['Abdominal'] }
+    });
+
+    expect(examples).toHaveLength(fixtures.length + 1);
+    expect(examples[examples.length - 1]).toMatchObject({ id: '123', subdomains: ['Abdominal'] });
+  });
+});
+
+describe('classifyArticle', () => {
+  let topicModel;
+
+  beforeAll(async () => {
+    topicModel = await trainTopicModel(trainingExamples(), { epochs: 80 });
+  }, 30000);
+
+  afterAll(() => topicModel.model.dispose());
+
+  test('the trained model recognises its subdomains', () => {
+    const [top] = classifyArticle(topicModel, {
+      uid: '1',
+      title: 'Screening mammography reading with artificial intelligence',
+      abstract: 'Digital breast tomosynthesis and mammograms from a screening programme.'
+    });
+
+    expect(top).toMatchObject({ subdomain: 'Breast', method: 'model' });
+    expect(top.evidence.length).toBeGreaterThan(0);
+    expect(SUBDOMAIN_LABELS).toContain(top.subdomain);
+  });
+
+  test('falls back to the keyword rules without a confident model', () => {
+    const matches = classifyArticle(null, { uid: '2', title: 'Knee cartilage MRI', abstract: '' });
+    expect(matches[0]).toMatchObject({ subdomain: 'Musculoskeletal', method: 'keywords' });
+
+    const unclear = classifyArticle(topicModel, { uid: '3', title: 'zzz qqq', abstract: '' });
+    expect(unclear.every(match => match.method === 'keywords')).toBe(true);
+  });
+
+  test('user corrections override both classifiers', () => {
+    const corrections = { '4': { subdomains: ['Abdominal'] } };
+    expect(classifyArticle(topicModel, { uid: '4', title: 'Brain MRI', abstract: '' }, corrections))
+      .toEqual([{ subdomain: 'Abdominal', confidence: 1, evidence: [], method: 'user' }]);
+  });
+});
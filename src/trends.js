@@ -0,0 +1,216 @@
+import { DATE_PRECISIONS, normalizeDate } from './dates';
+import { normalizeTitle } from './deduplicate';
+
+// Publication trends over the archive: per-subdomain counts by week, month or quarter,
+// growth against the previous window of the same length, and terms that are becoming
+// more common. Dates are read with their precision, so a "2023 Winter" issue counts
+// towards the three months it covers rather than landing on one arbitrary day.
+
+export const GRANULARITIES = [
+  { id: 'week', label: 'Weekly', periods: 12, unit: 'weeks' },
+  { id: 'month', label: 'Monthly', periods: 12, unit: 'months' },
+  { id: 'quarter', label: 'Quarterly', periods: 8, unit: 'quarters' }
+];
+
+const DAY_MS = 86400000;
+
+// Start of the period containing `date`: the Monday of its week, or the first of its month or quarter
+export const periodStart = (date, granularity) => {
+  if (granularity === 'week') {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  const month = granularity === 'quarter' ? date.getMonth() - (date.getMonth() % 3) : date.getMonth();
+  return new Date(date.getFullYear(), month, 1);
+};
+
+export const addPeriods = (start, granularity, count) => (granularity === 'week'
+  ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * count)
+  : new Date(start.getFullYear(), start.getMonth() + (granularity === 'quarter' ? 3 : 1) * count, 1));
+
+const periodLabel = (start, granularity) => {
+  if (granularity === 'week') return start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (granularity === 'quarter') return `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`;
+  return start.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+// The more precise of an article's epub and publication dates, the earlier one on a tie
+export const articleDate = (article) => [article.epubDate, article.publicationDate]
+  .map(normalizeDate)
+  .filter(Boolean)
+  .sort((a, b) => DATE_PRECISIONS.indexOf(a.precision) - DATE_PRECISIONS.indexOf(b.precision)
+    || a.start - b.start)[0] || null;
+
+// Share of a date span that falls in [from, to)
+const overlap = (span, from, to) =>
+  Math.max(0, Math.min(span.end, to) - Math.max(span.start, from)) / (span.end - span.start);
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const growth = (current, previous) => (previous ? (current - previous) / previous : null);
+
+// Boundaries of the previous and current windows of `periods` periods, the current one
+// ending with the period that contains `now`
+const windowStarts = (granularity, periods, now) => {
+  const latest = periodStart(now, granularity);
+  return Array.from({ length: 2 * periods + 1 }, (_, i) => addPeriods(latest, granularity, i - 2 * periods + 1));
+};
+
+/**
+ * Per-subdomain article counts for the last `periods` periods up to `now`, each with its
+ * total, the total over the window before it and the growth between the two. Dates
+ * coarser than a period are spread evenly over the periods they cover, so counts can be
+ * fractional. `spread` counts such articles and `undated` the ones without a date.
+ */
+export const subdomainTrends = (articles, { granularity = 'month', periods, now = new Date() } = {}) => {
+  const count = periods || GRANULARITIES.find(option => option.id === granularity).periods;
+  const starts = windowStarts(granularity, count, now);
+  const buckets = starts.slice(0, -1).map((start, i) => [start, starts[i + 1]]);
+  const series = new Map();
+  const totals = new Array(buckets.length).fill(0);
+  let undated = 0;
+  let spread = 0;
+
+  articles.forEach(article => {
+    const span = articleDate(article);
+    if (!span) {
+      undated++;
+      return;
+    }
+    const weights = buckets.map(([from, to]) => overlap(span, from, to));
+    if (weights.filter(weight => weight > 0).length > 1) spread++;
+    weights.forEach((weight, i) => {
+      totals[i] += weight;
+    });
+    (article.subdomains || []).forEach(({ subdomain }) => {
+      const counts = series.get(subdomain) || new Array(buckets.length).fill(0);
+      weights.forEach((weight, i) => {
+        counts[i] += weight;
+      });
+      series.set(subdomain, counts);
+    });
+  });
+
+  const compare = (counts) => {
+    const current = sum(counts.slice(count));
+    const previous = sum(counts.slice(0, count));
+    return { counts: counts.slice(count), current, previous, growth: growth(current, previous) };
+  };
+
+  return {
+    periods: buckets.slice(count).map(([start, end]) => ({ start, end, label: periodLabel(start, granularity) })),
+    previousStart: starts[0],
+    series: [...series]
+      .map(([subdomain, counts]) => ({ subdomain, ...compare(counts) }))
+      .filter(row => row.current > 0 || row.previous > 0)
+      .sort((a, b) => b.current - a.current),
+    total: compare(totals),
+    undated,
+    spread
+  };
+};
+
+// Words that make poor terms on their own or at either end of a phrase
+const TERM_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'between', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'the', 'their', 'to', 'using', 'versus',
+  'via', 'vs', 'what', 'when', 'with', 'without', 'based', 'study', 'studies', 'analysis', 'patients',
+  'patient', 'review', 'systematic', 'meta', 'evaluation', 'assessment', 'performance', 'use',
+  'new', 'approach', 'multicenter', 'retrospective', 'prospective', 'clinical', 'imaging'
+]);
+
+const MAX_TERM_WORDS = 3;
+
+/**
+ * The terms an article is about: title and author-keyword phrases of up to three words
+ * that neither start nor end with a stopword, plus its MeSH headings.
+ */
+export const articleTerms = (article) => {
+  const terms = new Set((article.meshTerms || []).map(normalizeTitle).filter(Boolean));
+  [article.title, ...(article.keywords || [])].forEach(text => {
+    const words = normalizeTitle(text).split(' ').filter(Boolean);
+    words.forEach((_, i) => {
+      for (let n = 1; n <= MAX_TERM_WORDS && i + n <= words.length; n++) {
+        const phrase = words.slice(i, i + n);
+        const usable = !TERM_STOPWORDS.has(phrase[0]) && !TERM_STOPWORDS.has(phrase[n - 1])
+          && phrase.every(word => word.length > 1 && !/^\d+$/.test(word));
+        if (usable) terms.add(phrase.join(' '));
+      }
+    });
+  });
+  return terms;
+};
+
+const termFrequencies = (articles) => {
+  const frequencies = new Map();
+  articles.forEach(article => {
+    articleTerms(article).forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    });
+  });
+  return frequencies;
+};
+
+/**
+ * Terms more common in one set of articles than in another, as
+ * [{ term, current, previous, ratio }] with counts in each set, highest ratio first.
+ * Shares are smoothed so a term going from 0 to 1 article doesn't top the list, and a
+ * term is dropped when a longer term containing it is listed with the same count.
+ */
+export const risingTerms = (currentArticles, previousArticles, { minCount = 3, limit = 15 } = {}) => {
+  const current = termFrequencies(currentArticles);
+  const previous = termFrequencies(previousArticles);
+
+  const candidates = [...current]
+    .filter(([, count]) => count >= minCount)
+    .map(([term, count]) => {
+      const before = previous.get(term) || 0;
+      const ratio = ((count + 1) / (currentArticles.length + 1)) / ((before + 1) / (previousArticles.length + 1));
+      return { term, current: count, previous: before, ratio };
+    })
+    .filter(candidate => candidate.ratio > 1);
+
+  return candidates
+    .filter(candidate => !candidates.some(other => other.term !== candidate.term
+      && other.current === candidate.current
+      && ` ${other.term} `.includes(` ${candidate.term} `)))
+    .sort((a, b) => b.ratio - a.ratio || b.current - a.current || a.term.localeCompare(b.term))
+    .slice(0, limit);
+};
+
+/**
+ * Terms whose share of articles rose from the previous window to the current one, as
+ * risingTerms. Articles fall in the window that holds the middle of their date.
+ */
+export const emergingTerms = (articles, {
+  granularity = 'month',
+  periods,
+  now = new Date(),
+  minCount = 3,
+  limit = 15
+} = {}) => {
+  const count = periods || GRANULARITIES.find(option => option.id === granularity).periods;
+  const starts = windowStarts(granularity, count, now);
+  const [previousStart, currentStart, end] = [starts[0], starts[count], starts[2 * count]];
+  const windows = { current: [], previous: [] };
+
+  articles.forEach(article => {
+    const span = articleDate(article);
+    if (!span) return;
+    const middle = new Date((span.start.getTime() + span.end.getTime()) / 2);
+    if (middle >= currentStart && middle < end) windows.current.push(article);
+    else if (middle >= previousStart && middle < currentStart) windows.previous.push(article);
+  });
+
+  return risingTerms(windows.current, windows.previous, { minCount, limit });
+};
+
+/**
+ * The earliest publication date the archive can be expected to cover: a profile only asks
+ * for articles from `dateWindowDays` before its first sync, so earlier periods are thin
+ * because they weren't fetched, not because less was published. Null for an empty archive.
+ */
+export const archiveCoverageStart = (articles, dateWindowDays) => {
+  const firstSync = articles.map(article => article.firstSeen).filter(Boolean).sort()[0];
+  if (!firstSync || !dateWindowDays) return null;
+  return new Date(new Date(firstSync).getTime() - dateWindowDays * DAY_MS);
+};
@@ -0,0 +1,82 @@
+import { archiveCoverageStart, articleTerms, emergingTerms, subdomainTrends } from './trends';
+
+const now = new Date(2025, 5, 15);
+
+const article = (uid, publicationDate, subdomains, title = 'Deep learning for fracture detection') => ({
+  uid,
+  title,
+  publicationDate,
+  subdomains: subdomains.map(subdomain => ({ subdomain }))
+});
+
+describe('subdomainTrends', () => {
+  const articles = [
+    article('1', '2025 Jun 2', ['Breast']),
+    article('2', '2025 May 20', ['Breast', 'Neuro']),
+    article('3', '2025 Q2', ['Neuro']), // Not a season PubMed uses, so read as the whole year
+    article('4', '2025 Spring', ['Neuro']),
+    article('5', '2024 Jun 3', ['Breast']),
+    article('6', '', ['Breast'])
+  ];
+
+  test('counts each subdomain per period and against the previous window', () => {
+    const trends = subdomainTrends(articles, { granularity: 'month', periods: 3, now });
+
+    expect(trends.periods.map(period => period.label)).toEqual(['Apr 2025', 'May 2025', 'Jun 2025']);
+    const breast = trends.series.find(row => row.subdomain === 'Breast');
+    expect(breast.counts).toEqual([0, 1, 1]);
+    expect(breast.current).toBe(2);
+    expect(breast.previous).toBe(0);
+    expect(breast.growth).toBeNull();
+    // Spring is spread over April to June and the year-only date over all twelve months
+    const neuro = trends.series.find(row => row.subdomain === 'Neuro');
+    expect(neuro.counts.map(count => Math.round(count * 100) / 100)).toEqual([0.41, 1.43, 0.41]);
+    expect(trends.undated).toBe(1);
+    expect(trends.spread).toBe(2);
+  });
+
+  test('compares quarters with the previous window', () => {
+    const trends = subdomainTrends(articles, { granularity: 'quarter', periods: 4, now });
+
+    expect(trends.periods.map(period => period.label)).toEqual(['Q3 2024', 'Q4 2024', 'Q1 2025', 'Q2 2025']);
+    const breast = trends.series.find(row => row.subdomain === 'Breast');
+    expect([breast.current, breast.previous, breast.growth]).toEqual([2, 1, 1]);
+  });
+});
+
+describe('emergingTerms', () => {
+  test('lists phrases whose share of articles is rising', () => {
+    const articles = [
+      ...['1', '2', '3', '4'].map(uid => article(uid, '2025 May 2', [], 'Large language models for radiology reports')),
+      article('5', '2025 May 3', [], 'Deep learning for fracture detection'),
+      ...['6', '7', '8'].map(uid => article(uid, '2024 Nov 2', [], 'Deep learning for fracture detection'))
+    ];
+
+    const terms = emergingTerms(articles, { granularity: 'month', periods: 6, now });
+
+    // Shorter terms with the same count as a longer one are folded into it
+    expect(terms.map(term => term.term)).toEqual(['large language models', 'models for radiology', 'radiology reports']);
+    expect(terms[0]).toMatchObject({ current: 4, previous: 0 });
+    expect(terms.find(term => term.term === 'deep learning')).toBeUndefined();
+  });
+
+  test('builds terms from titles, keywords and MeSH headings', () => {
+    const terms = articleTerms({
+      title: 'Detection of Fractures on CT',
+      keywords: ['Deep learning'],
+      meshTerms: ['Tomography, X-Ray Computed']
+    });
+    expect([...terms].sort()).toEqual([
+      'ct', 'deep', 'deep learning', 'detection', 'detection of fractures', 'fractures', 'fractures on ct',
+      'learning', 'tomography x ray computed'
+    ]);
+  });
+});
+
+describe('archiveCoverageStart', () => {
+  test('goes back one profile window from the first sync', () => {
+    const start = archiveCoverageStart([{ firstSeen: '2025-03-01T00:00:00.000Z' }, {}], 90);
+    expect(start.toISOString()).toBe('2024-12-01T00:00:00.000Z');
+    expect(archiveCoverageStart([], 90)).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+import { READ_STATUSES } from './readingListStore';
+
+// Keyboard triage of the publication list: one key per action on the focused article,
+// so a week's results can be screened without the mouse.
+
+export const TRIAGE_SHORTCUTS = [
+  { key: 'j', action: 'next', label: 'Next article' },
+  { key: 'k', action: 'previous', label: 'Previous article' },
+  { key: 'Enter', action: 'open', label: 'Open the article details' },
+  { key: 'o', action: 'source', label: 'Open in PubMed, or at its source' },
+  { key: 'b', action: 'bookmark', label: 'Add to or remove from my list' },
+  { key: 't', action: 'tag', label: 'Edit tags and notes' },
+  { key: 'r', action: 'read', label: 'Mark read or unread' },
+  { key: 'd', action: 'discuss', label: 'Mark to discuss' },
+  { key: 'x', action: 'select', label: 'Select for export' },
+  { key: '/', action: 'search', label: 'Search' },
+  { key: '?', action: 'help', label: 'Show these shortcuts' }
+];
+
+export const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+/**
+ * The triage action for a keydown, or null for keys left to the page: anything with a
+ * modifier, keys typed into a field, and Enter unless nothing has focus (a focused card
+ * or button handles Enter itself).
+ */
+export const triageAction = (event) => {
+  if (event.altKey || event.ctrlKey || event.metaKey || isTyping(event.target)) return null;
+  const shortcut = TRIAGE_SHORTCUTS.find(option => option.key === event.key);
+  if (!shortcut) return null;
+  if (shortcut.action === 'open' && event.target !== event.target.ownerDocument?.body) return null;
+  return shortcut.action;
+};
+
+// The index j or k moves to, staying within the list; with nothing focused both go to `start`
+export const stepIndex = (index, delta, total, start = 0) => {
+  if (total === 0) return -1;
+  if (index < 0) return Math.min(start, total - 1);
+  return Math.min(Math.max(index + delta, 0), total - 1);
+};
+
+// r and d set their status, or put it back to unread when the article already has it
+export const toggledStatus = (entry, status) => (entry?.status === status ? 'unread' : status);
+
+export const pubmedUrl = (article) => (article.pmid
+  ? `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`
+  : article.link);
+
+// What a screen reader hears on moving to an article: "Article 3 of 42: <title>. In my list, Read, tagged dbt."
+export const triageAnnouncement = (article, { index, total, entry, selected }) => {
+  const status = entry && READ_STATUSES.find(option => option.id === entry.status);
+  const details = [
+    entry && 'In my list',
+    status && status.label,
+    entry?.tags.length > 0 && `tagged ${entry.tags.join(', ')}`,
+    selected && 'selected for export'
+  ].filter(Boolean);
+  return `Article ${index + 1} of ${total}: ${article.title}.${details.length ? ` ${details.join(', ')}.` : ''}`;
+};
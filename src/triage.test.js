@@ -0,0 +1,63 @@
+import { pubmedUrl, stepIndex, toggledStatus, triageAction, triageAnnouncement } from './triage';
+
+const keydown = (key, target = document.body, modifiers = {}) => ({ key, target, ...modifiers });
+
+describe('triageAction', () => {
+  test('maps single keys to actions', () => {
+    expect(triageAction(keydown('j'))).toBe('next');
+    expect(triageAction(keydown('/'))).toBe('search');
+    expect(triageAction(keydown('?', document.body, { shiftKey: true }))).toBe('help');
+    expect(triageAction(keydown('q'))).toBeNull();
+  });
+
+  test('leaves modified keys and typing alone', () => {
+    const input = document.createElement('input');
+    expect(triageAction(keydown('j', input))).toBeNull();
+    expect(triageAction(keydown('r', document.body, { ctrlKey: true }))).toBeNull();
+  });
+
+  test('only takes Enter when nothing has focus', () => {
+    const button = document.createElement('button');
+    document.body.appendChild(button);
+    expect(triageAction(keydown('Enter'))).toBe('open');
+    expect(triageAction(keydown('Enter', button))).toBeNull();
+    button.remove();
+  });
+});
+
+describe('stepIndex', () => {
+  test('moves within the list and starts at the given index', () => {
+    expect(stepIndex(-1, 1, 5)).toBe(0);
+    expect(stepIndex(-1, -1, 5, 3)).toBe(3);
+    expect(stepIndex(2, 1, 5)).toBe(3);
+    expect(stepIndex(4, 1, 5)).toBe(4);
+    expect(stepIndex(0, -1, 5)).toBe(0);
+    expect(stepIndex(-1, 1, 0)).toBe(-1);
+  });
+});
+
+describe('toggledStatus', () => {
+  test('sets a status or puts it back to unread', () => {
+    expect(toggledStatus(undefined, 'read')).toBe('read');
+    expect(toggledStatus({ status: 'to-discuss' }, 'read')).toBe('read');
+    expect(toggledStatus({ status: 'read' }, 'read')).toBe('unread');
+  });
+});
+
+describe('pubmedUrl', () => {
+  test('prefers PubMed and falls back to the source link', () => {
+    expect(pubmedUrl({ pmid: '39000001', link: 'https://example.org' })).toBe('https://pubmed.ncbi.nlm.nih.gov/39000001/');
+    expect(pubmedUrl({ link: 'https://arxiv.org/abs/2402.1' })).toBe('https://arxiv.org/abs/2402.1');
+  });
+});
+
+describe('triageAnnouncement', () => {
+  const article = { title: 'Deep learning for fracture detection' };
+
+  test('reads the position, title and reading-list state', () => {
+    expect(triageAnnouncement(article, { index: 2, total: 42 }))
+      .toBe('Article 3 of 42: Deep learning for fracture detection.');
+    expect(triageAnnouncement(article, { index: 0, total: 1, entry: { status: 'read', tags: ['dbt'] }, selected: true }))
+      .toBe('Article 1 of 1: Deep learning for fracture detection. In my list, Read, tagged dbt, selected for export.');
+  });
+});
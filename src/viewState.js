@@ -0,0 +1,79 @@
+import { MATCH_MODE, RANKING_MODES } from './articleRanking';
+import { dayKey } from './dates';
+import { FACET_IDS } from './facets';
+import { radiologySubdomains } from './subdomainClassifier';
+
+// The dashboard's view (section, filters, search and page) encoded in the URL hash, e.g.
+// #publications?subdomain=Breast&from=2025-01-01&q=tomosynthesis&page=2
+// Facet values repeat their parameter: &subdomain=Breast&subdomain=Neuro&year=2025.
+// An author (#authors?author=muller-anna) is a profile under Authors and a filter elsewhere.
+// An article (&article=39000001) opens its detail panel over the current section.
+// The hash keeps links working under the GitHub Pages sub-path without server rewrites,
+// and plain #section anchors from older links still open the right section.
+
+export const SECTION_IDS = ['overview', 'statistics', 'trends', 'compare', 'digest', 'authors', 'publications', 'evidence', 'reading-list', 'profiles', 'help'];
+
+export const DEFAULT_VIEW_STATE = {
+  section: 'overview',
+  searchTerm: '',
+  facets: {}, // Picked values per facet id (src/facets.js)
+  author: null,
+  startDate: null,
+  endDate: null,
+  newOnly: false, // Only articles new since the last visit
+  sort: null, // Ranking mode; null is best match for a search and the blend otherwise
+  page: 1,
+  article: null // uid of the article whose details are open
+};
+
+const SORT_IDS = [MATCH_MODE, ...RANKING_MODES].map(mode => mode.id);
+
+// "2025-03-31" as local midnight, or null if it isn't a real date
+const parseDayParam = (value) => {
+  const [, year, month, day] = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/) || [];
+  if (!year) return null;
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  return date.getMonth() === Number(month) - 1 ? date : null;
+};
+
+// Unknown subdomains are dropped; other facets take any value, as journals and types vary by archive
+const parseFacets = (params) => Object.fromEntries(FACET_IDS
+  .map(id => [id, [...new Set(params.getAll(id))]
+    .filter(value => value && (id !== 'subdomain' || Object.keys(radiologySubdomains).includes(value)))])
+  .filter(([, values]) => values.length > 0));
+
+export const parseViewHash = (hash) => {
+  const [section, query = ''] = (hash || '').replace(/^#/, '').split('?');
+  const params = new URLSearchParams(query);
+  const page = parseInt(params.get('page'), 10);
+  const sort = params.get('sort');
+
+  return {
+    section: SECTION_IDS.includes(section) ? section : DEFAULT_VIEW_STATE.section,
+    searchTerm: params.get('q') || '',
+    facets: parseFacets(params),
+    author: params.get('author') || null,
+    startDate: parseDayParam(params.get('from')),
+    endDate: parseDayParam(params.get('to')),
+    newOnly: params.get('new') === '1',
+    sort: SORT_IDS.includes(sort) ? sort : null,
+    page: page > 0 ? page : 1,
+    article: params.get('article') || null
+  };
+};
+
+// Only non-default values are written, so an unfiltered view is just "#section"
+export const viewHash = ({ section, searchTerm, facets, author, startDate, endDate, newOnly, sort, page, article }) => {
+  const params = new URLSearchParams();
+  FACET_IDS.forEach(id => (facets[id] || []).forEach(value => params.append(id, value)));
+  if (author) params.set('author', author);
+  if (startDate) params.set('from', dayKey(startDate));
+  if (endDate) params.set('to', dayKey(endDate));
+  if (newOnly) params.set('new', '1');
+  if (searchTerm) params.set('q', searchTerm);
+  if (sort) params.set('sort', sort);
+  if (page > 1) params.set('page', String(page));
+  if (article) params.set('article', article);
+  const query = params.toString();
+  return `#${section}${query ? `?${query}` : ''}`;
+};
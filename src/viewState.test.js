@@ -0,0 +1,38 @@
+import { DEFAULT_VIEW_STATE, parseViewHash, viewHash } from './viewState';
+
+describe('view state hash', () => {
+  test('round-trips a filtered publications view', () => {
+    const view = {
+      section: 'publications',
+      searchTerm: 'author:smith "deep learning"',
+      facets: { subdomain: ['Breast', 'Neuroradiology'], year: ['2025'] },
+      author: 'muller-anna',
+      startDate: new Date(2025, 0, 1),
+      endDate: new Date(2025, 2, 31),
+      newOnly: true,
+      sort: 'tier',
+      page: 2,
+      article: '39000001'
+    };
+
+    const hash = viewHash(view);
+
+    expect(hash).toBe('#publications?subdomain=Breast&subdomain=Neuroradiology&year=2025&author=muller-anna&from=2025-01-01&to=2025-03-31&new=1'
+      + '&q=author%3Asmith+%22deep+learning%22&sort=tier&page=2&article=39000001');
+    expect(parseViewHash(hash)).toEqual(view);
+  });
+
+  test('writes only the section for an unfiltered view', () => {
+    expect(viewHash({ ...DEFAULT_VIEW_STATE, section: 'statistics' })).toBe('#statistics');
+  });
+
+  test('still opens plain section anchors', () => {
+    expect(parseViewHash('#statistics')).toEqual({ ...DEFAULT_VIEW_STATE, section: 'statistics' });
+    expect(parseViewHash('')).toEqual(DEFAULT_VIEW_STATE);
+    expect(parseViewHash('#publications?subdomain=Breast').facets).toEqual({ subdomain: ['Breast'] });
+  });
+
+  test('ignores values it does not recognise', () => {
+    expect(parseViewHash('#admin?subdomain=Podiatry&from=2025-02-30&sort=random&page=-3')).toEqual(DEFAULT_VIEW_STATE);
+  });
+});